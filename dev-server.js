@@ -4,10 +4,17 @@
  * 
  * Provides better control over the development server lifecycle
  * and reduces the localhost reconnection spam when server stops.
+ *
+ * --mock starts the mock Dataverse server (mock/dataverse-server.js) and points the
+ * functions at it, so no Dataverse environment or app registration is needed.
+ * MOCK_DATAVERSE_PORT and MOCK_DATAVERSE_FIXTURES override its port and fixtures.
  */
 
 import { spawn } from 'child_process'
 import { existsSync } from 'fs'
+import { startMockDataverse, DEFAULT_PORT, DEFAULT_FIXTURES_DIR } from './mock/dataverse-server.js'
+
+const useMock = process.argv.includes('--mock')
 
 // Colors for console output
 const colors = {
@@ -29,7 +36,9 @@ function showBanner() {
     log('blue', '│                                             │')
     log('blue', '│  🔧 Netlify Dev + Vite HMR                 │')
     log('blue', '│  🔒 Security headers + Rate limiting        │')
-    log('blue', '│  📊 Dataverse integration                   │')
+    log('blue', useMock
+        ? '│  🧪 Mock Dataverse (offline)                │'
+        : '│  📊 Dataverse integration                   │')
     log('blue', '╰─────────────────────────────────────────────╯\n')
 }
 
@@ -56,12 +65,32 @@ async function startDevelopment() {
         process.exit(1)
     }
 
+    // Offline mode: serve Dataverse and the Azure AD token endpoint from fixtures
+    const env = { ...process.env }
+    let mockServer = null
+    if (useMock) {
+        const fixturesDir = process.env.MOCK_DATAVERSE_FIXTURES || DEFAULT_FIXTURES_DIR
+        mockServer = await startMockDataverse({
+            port: parseInt(process.env.MOCK_DATAVERSE_PORT || DEFAULT_PORT, 10),
+            fixturesDir: fixturesDir
+        })
+        Object.assign(env, {
+            DATAVERSE_URL: mockServer.url,
+            AZURE_AUTHORITY_HOST: mockServer.url,
+            TENANT_ID: 'mock-tenant',
+            CLIENT_ID: 'mock-client',
+            CLIENT_SECRET: 'mock-secret'
+        })
+        log('green', `🧪 Mock Dataverse running on ${mockServer.url} (fixtures: ${fixturesDir})`)
+    }
+
     log('yellow', '🚀 Starting Netlify development server...\n')
 
     // Start netlify dev with proper signal handling
     const netlifyDev = spawn('netlify', ['dev'], {
         stdio: 'inherit',
-        shell: true
+        shell: true,
+        env: env
     })
 
     // Handle graceful shutdown
@@ -70,6 +99,7 @@ async function startDevelopment() {
         log('reset', '   Closing browser tabs to prevent reconnection errors...')
 
         netlifyDev.kill('SIGINT')
+        mockServer?.close()
 
         setTimeout(() => {
             log('green', '✅ Development server stopped cleanly')
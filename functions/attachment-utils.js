@@ -0,0 +1,98 @@
+/**
+ * Attachment validation for files stored as Dataverse notes (annotation records)
+ *
+ * 🔒 SECURITY: Only allow-listed MIME types with a matching file extension are accepted.
+ * Images and PDFs must also start with the file signature of their type, so a renamed
+ * executable is not stored as "report.pdf".
+ */
+
+// Netlify function bodies are limited to 6 MB and uploads arrive base64 encoded (+33%)
+export const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024
+
+// MIME type -> allowed file extensions
+export const ATTACHMENT_MIME_TYPES = {
+    'image/png': ['png'],
+    'image/jpeg': ['jpg', 'jpeg'],
+    'image/gif': ['gif'],
+    'image/webp': ['webp'],
+    'application/pdf': ['pdf'],
+    'text/plain': ['txt'],
+    'text/csv': ['csv'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['docx'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['xlsx'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['pptx']
+}
+
+// Leading bytes each binary type must start with (Office files are zip archives)
+const FILE_SIGNATURES = {
+    'image/png': [[0x89, 0x50, 0x4E, 0x47]],
+    'image/jpeg': [[0xFF, 0xD8, 0xFF]],
+    'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+    'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+    'application/pdf': [[0x25, 0x50, 0x44, 0x46]],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [[0x50, 0x4B, 0x03, 0x04]],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [[0x50, 0x4B, 0x03, 0x04]],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': [[0x50, 0x4B, 0x03, 0x04]]
+}
+
+// Types the browser may show inline (previews); everything else is downloaded
+const INLINE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf']
+
+const MAX_FILE_NAME_LENGTH = 200
+
+/**
+ * Helper to strip paths and unsafe characters from an uploaded file name
+ */
+export function sanitizeFileName(fileName) {
+    const baseName = String(fileName || '').split(/[\\/]/).pop()
+    // eslint-disable-next-line no-control-regex
+    const cleaned = baseName.replace(/[\u0000-\u001F"<>:|?*]/g, '').replace(/\s+/g, ' ').trim()
+    return cleaned.slice(-MAX_FILE_NAME_LENGTH)
+}
+
+/**
+ * Check if an attachment can be shown inline by the browser
+ */
+export function isInlineMimeType(mimeType) {
+    return INLINE_MIME_TYPES.includes(mimeType)
+}
+
+/**
+ * 🔒 SECURITY: Validate an uploaded attachment
+ * Returns { valid, message, fileName, mimeType, content } - content is the base64 body to store
+ */
+export function validateAttachment({ fileName, mimeType, content }) {
+    const safeFileName = sanitizeFileName(fileName)
+    if (!safeFileName || !safeFileName.includes('.')) {
+        return { valid: false, message: 'Attachment validation failed: file name with extension is required' }
+    }
+
+    const allowedExtensions = ATTACHMENT_MIME_TYPES[mimeType]
+    if (!allowedExtensions) {
+        return { valid: false, message: `Attachment validation failed: file type ${mimeType || 'unknown'} is not allowed` }
+    }
+
+    const extension = safeFileName.split('.').pop().toLowerCase()
+    if (!allowedExtensions.includes(extension)) {
+        return { valid: false, message: `Attachment validation failed: .${extension} does not match file type ${mimeType}` }
+    }
+
+    if (typeof content !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(content)) {
+        return { valid: false, message: 'Attachment validation failed: content must be base64 encoded' }
+    }
+
+    const bytes = Buffer.from(content, 'base64')
+    if (bytes.length === 0) {
+        return { valid: false, message: 'Attachment validation failed: file is empty' }
+    }
+    if (bytes.length > MAX_ATTACHMENT_BYTES) {
+        return { valid: false, message: `Attachment validation failed: file exceeds maximum size of ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB` }
+    }
+
+    const signatures = FILE_SIGNATURES[mimeType]
+    if (signatures && !signatures.some(signature => signature.every((byte, index) => bytes[index] === byte))) {
+        return { valid: false, message: `Attachment validation failed: file content is not a valid ${extension} file` }
+    }
+
+    return { valid: true, fileName: safeFileName, mimeType, content, size: bytes.length }
+}
@@ -0,0 +1,534 @@
+/**
+ * Attribute catalog utilities
+ *
+ * Builds a per-entity catalog of attribute metadata from Dataverse EntityDefinitions:
+ * type, format, max length, precision, min/max, required level and create/update validity.
+ * The catalog drives form control types, list column formatting and server-side validation,
+ * replacing the field-name guessing in inferFieldType/inferControlType.
+ *
+ * SECURITY FEATURES:
+ * - Entity names validated before building metadata queries
+ * - Incoming data validated against attribute types and limits before reaching Dataverse
+ */
+
+import { isValidGuid } from './auth-utils.js'
+import { createDataverseClient } from './dataverse-client.js'
+import { getCache } from './cache.js'
+import { logDebug, logError, logWarn } from './logger.js'
+import { validateEntityName, escapeODataValue } from './security-utils.js'
+import { pickLabel } from './form-xml-parser.js'
+
+// Catalog cache - attribute metadata changes rarely (only on solution import/customization)
+const catalogCache = getCache('attribute-catalog')
+const CATALOG_CACHE_TTL = 10 * 60 * 1000 // 10 minutes
+
+/**
+ * Cache tags for entity metadata - invalidating one also drops the forms and views parsed with it
+ */
+export const METADATA_CACHE_TAG = 'metadata'
+export const getEntityMetadataCacheTag = (entityLogicalName) => `${METADATA_CACHE_TAG}:${entityLogicalName}`
+
+// Dataverse AttributeType -> portal field type
+const ATTRIBUTE_TYPE_MAP = {
+    String: 'text',
+    Memo: 'multitext',
+    Integer: 'integer',
+    BigInt: 'integer',
+    Decimal: 'decimal',
+    Double: 'decimal',
+    Money: 'money',
+    DateTime: 'datetime',
+    Boolean: 'boolean',
+    Picklist: 'optionset',
+    State: 'optionset',
+    Status: 'optionset',
+    Lookup: 'lookup',
+    Customer: 'lookup',
+    Owner: 'lookup',
+    Uniqueidentifier: 'uniqueidentifier',
+    EntityName: 'text'
+}
+
+// Choice attribute metadata types - their OptionSet is only returned through a cast
+const OPTION_SET_METADATA_TYPES = [
+    'PicklistAttributeMetadata',
+    'MultiSelectPicklistAttributeMetadata',
+    'StatusAttributeMetadata',
+    'StateAttributeMetadata'
+]
+
+// String attribute formats -> portal field type
+const STRING_FORMAT_MAP = {
+    Email: 'email',
+    Phone: 'phone',
+    Url: 'url',
+    TextArea: 'multitext',
+    RichText: 'richtext'
+}
+
+/**
+ * Read a localized label from a Dataverse Label object
+ */
+function getLocalizedLabel(label) {
+    return label?.UserLocalizedLabel?.Label || label?.LocalizedLabels?.[0]?.Label || null
+}
+
+/**
+ * Map a Dataverse attribute definition to a portal field type
+ *
+ * @param {Object} attribute - AttributeMetadata from EntityDefinitions
+ * @returns {string} - Portal field type (text, email, lookup, optionset, ...)
+ *
+ * @example
+ * getFieldTypeForAttribute({ AttributeType: 'String', FormatName: { Value: 'Email' } }) => 'email'
+ */
+export function getFieldTypeForAttribute(attribute) {
+    const attributeType = attribute.AttributeType
+    const typeName = attribute.AttributeTypeName?.Value
+
+    // Multi-select choices report AttributeType Virtual
+    if (typeName === 'MultiSelectPicklistType') return 'multiselectoptionset'
+    if (typeName === 'ImageType' || typeName === 'FileType') return 'file'
+
+    if (attributeType === 'String' || attributeType === 'Memo') {
+        const format = attribute.FormatName?.Value || attribute.Format
+        if (format && STRING_FORMAT_MAP[format]) {
+            return STRING_FORMAT_MAP[format]
+        }
+    }
+
+    if (attributeType === 'DateTime') {
+        const format = attribute.Format || attribute.DateTimeBehavior?.Value
+        if (format === 'DateOnly') return 'date'
+    }
+
+    return ATTRIBUTE_TYPE_MAP[attributeType] || 'unsupported'
+}
+
+/**
+ * Build a catalog entry for a single attribute
+ */
+function buildCatalogEntry(attribute) {
+    return {
+        logicalName: attribute.LogicalName,
+        schemaName: attribute.SchemaName || null,
+        displayName: getLocalizedLabel(attribute.DisplayName),
+        type: getFieldTypeForAttribute(attribute),
+        attributeType: attribute.AttributeType,
+        format: attribute.FormatName?.Value || attribute.Format || null,
+        maxLength: attribute.MaxLength ?? null,
+        precision: attribute.Precision ?? null,
+        minValue: attribute.MinValue ?? null,
+        maxValue: attribute.MaxValue ?? null,
+        requiredLevel: attribute.RequiredLevel?.Value || 'None',
+        isValidForCreate: attribute.IsValidForCreate !== false,
+        isValidForUpdate: attribute.IsValidForUpdate !== false,
+        isValidForRead: attribute.IsValidForRead !== false,
+        targets: attribute.Targets || null,
+        isPrimaryName: attribute.IsPrimaryName === true,
+        attributeOf: attribute.AttributeOf || null,
+        options: null
+    }
+}
+
+/**
+ * Build an attribute catalog from an EntityDefinitions response
+ *
+ * @param {Object} entityDefinition - EntityMetadata with expanded Attributes
+ * @returns {Object} - { entityLogicalName, entitySetName, primaryIdAttribute, primaryNameAttribute, attributes, navigationProperties }
+ */
+export function buildAttributeCatalog(entityDefinition) {
+    const attributes = {}
+    ;(entityDefinition.Attributes || []).forEach(attribute => {
+        // Skip virtual name/yomi companions of lookups and optionsets (e.g. cp_contactname)
+        if (attribute.AttributeOf && attribute.AttributeType !== 'Virtual') return
+        if (!attribute.LogicalName) return
+        attributes[attribute.LogicalName] = buildCatalogEntry(attribute)
+    })
+
+    // Lookup attribute -> single-valued navigation property (e.g. cp_contact -> cp_Contact)
+    const navigationProperties = {}
+    ;(entityDefinition.ManyToOneRelationships || []).forEach(relationship => {
+        if (relationship.ReferencingAttribute && relationship.ReferencingEntityNavigationPropertyName) {
+            navigationProperties[relationship.ReferencingAttribute] = relationship.ReferencingEntityNavigationPropertyName
+        }
+    })
+
+    return {
+        entityLogicalName: entityDefinition.LogicalName,
+        entitySetName: entityDefinition.EntitySetName || null,
+        primaryIdAttribute: entityDefinition.PrimaryIdAttribute || null,
+        primaryNameAttribute: entityDefinition.PrimaryNameAttribute || null,
+        attributes: attributes,
+        navigationProperties: navigationProperties
+    }
+}
+
+/**
+ * Get entity metadata including attributes and relationships
+ */
+export async function getEntityMetadata(accessToken, entityLogicalName) {
+    const safeEntityName = escapeODataValue(validateEntityName(entityLogicalName))
+
+    // Attributes are expanded without $select so derived properties (MaxLength, Precision, Format, Targets) are included
+    logDebug('🔍 Fetching entity metadata for:', entityLogicalName)
+
+    try {
+        return await createDataverseClient(accessToken).get(`EntityDefinitions(LogicalName='${safeEntityName}')`, {
+            select: 'LogicalName,EntitySetName,PrimaryIdAttribute,PrimaryNameAttribute',
+            expand: 'Attributes,ManyToOneRelationships($select=ReferencingAttribute,ReferencedEntity,ReferencingEntityNavigationPropertyName)'
+        })
+    } catch (error) {
+        logError('Failed to fetch entity metadata:', error.message)
+        return null
+    }
+}
+
+/**
+ * Build a list of choice options with localized labels
+ *
+ * @param {Object} optionSet - OptionSetMetadata with Options
+ * @returns {Array} - [{ value, label, labels, color, state? }] in Dataverse display order
+ *
+ * @example
+ * buildOptionList({ Options: [{ Value: 1, Label: { LocalizedLabels: [{ Label: 'Active', LanguageCode: 1033 }] } }] })
+ * => [{ value: 1, label: 'Active', labels: { 1033: 'Active' }, color: null }]
+ */
+export function buildOptionList(optionSet) {
+    return (optionSet?.Options || []).map(option => {
+        const labels = {}
+        ;(option.Label?.LocalizedLabels || []).forEach(localized => {
+            labels[localized.LanguageCode] = localized.Label
+        })
+
+        const entry = {
+            value: option.Value,
+            label: option.Label?.UserLocalizedLabel?.Label || pickLabel(labels) || String(option.Value),
+            labels: labels,
+            color: option.Color || null
+        }
+
+        // Status reasons belong to a state (e.g. Active/Inactive)
+        if (option.State !== undefined && option.State !== null) {
+            entry.state = option.State
+        }
+
+        return entry
+    })
+}
+
+/**
+ * Fetch choice options for picklist, multi-select, status and state attributes
+ *
+ * @param {string} accessToken - Dataverse access token
+ * @param {string} entityLogicalName - Entity logical name
+ * @returns {Promise<Object>} - Option lists keyed by attribute logical name
+ */
+export async function getEntityOptionSets(accessToken, entityLogicalName) {
+    const safeEntityName = escapeODataValue(validateEntityName(entityLogicalName))
+    const dataverse = createDataverseClient(accessToken)
+
+    const results = await Promise.all(OPTION_SET_METADATA_TYPES.map(async metadataType => {
+        // Only (multi-select) picklists can use a global option set
+        const expand = metadataType.includes('Picklist')
+            ? 'OptionSet($select=Options),GlobalOptionSet($select=Options)'
+            : 'OptionSet($select=Options)'
+
+        try {
+            const data = await dataverse.list(`EntityDefinitions(LogicalName='${safeEntityName}')/Attributes/Microsoft.Dynamics.CRM.${metadataType}`, {
+                select: 'LogicalName',
+                expand: expand
+            })
+            return data.value
+        } catch (error) {
+            logWarn(`⚠️ Failed to fetch ${metadataType} options for ${entityLogicalName}:`, error.status || error.message)
+            return []
+        }
+    }))
+
+    const optionSets = {}
+    results.flat().forEach(attribute => {
+        optionSets[attribute.LogicalName] = buildOptionList(attribute.OptionSet || attribute.GlobalOptionSet)
+    })
+
+    logDebug(`🎛️ Loaded option sets for ${entityLogicalName}: ${Object.keys(optionSets).join(', ')}`)
+    return optionSets
+}
+
+/**
+ * Get the cached attribute catalog for an entity
+ * Returns null when metadata cannot be loaded so callers can fall back to name-based inference
+ *
+ * @param {string} accessToken - Dataverse access token
+ * @param {string} entityLogicalName - Entity logical name
+ * @returns {Promise<Object|null>} - Attribute catalog
+ */
+export async function getAttributeCatalog(accessToken, entityLogicalName) {
+    if (!entityLogicalName) return null
+
+    return catalogCache.getOrSet(entityLogicalName, () => loadAttributeCatalog(accessToken, entityLogicalName), {
+        ttlMs: CATALOG_CACHE_TTL,
+        tags: [METADATA_CACHE_TAG, getEntityMetadataCacheTag(entityLogicalName)]
+    })
+}
+
+/**
+ * Build the attribute catalog from Dataverse metadata (null when unavailable - not cached)
+ */
+async function loadAttributeCatalog(accessToken, entityLogicalName) {
+    try {
+        const entityDefinition = await getEntityMetadata(accessToken, entityLogicalName)
+        if (!entityDefinition) {
+            logWarn(`⚠️ No entity metadata for ${entityLogicalName} - falling back to name-based field types`)
+            return null
+        }
+
+        const catalog = buildAttributeCatalog(entityDefinition)
+
+        // Choice options are optional - a failure here should not drop the whole catalog
+        try {
+            const optionSets = await getEntityOptionSets(accessToken, entityLogicalName)
+            Object.entries(optionSets).forEach(([logicalName, options]) => {
+                if (catalog.attributes[logicalName]) {
+                    catalog.attributes[logicalName].options = options
+                }
+            })
+        } catch (error) {
+            logWarn(`⚠️ Failed to load option sets for ${entityLogicalName}:`, error.message)
+        }
+
+        logDebug(`✅ Built attribute catalog for ${entityLogicalName}: ${Object.keys(catalog.attributes).length} attributes`)
+        return catalog
+    } catch (error) {
+        logWarn(`⚠️ Failed to build attribute catalog for ${entityLogicalName}:`, error.message)
+        return null
+    }
+}
+
+/**
+ * Collect the choice options of every option set attribute in the catalog
+ *
+ * @param {Object} catalog - Attribute catalog
+ * @returns {Object} - Option lists keyed by attribute logical name
+ */
+export function getCatalogOptionSets(catalog) {
+    const optionSets = {}
+    if (!catalog) return optionSets
+
+    Object.values(catalog.attributes).forEach(attribute => {
+        if (attribute.options) {
+            optionSets[attribute.logicalName] = attribute.options
+        }
+    })
+    return optionSets
+}
+
+/**
+ * Clear cached catalogs (all entities, or a single entity) along with the forms and views parsed with them
+ */
+export async function clearAttributeCatalogCache(entityLogicalName = null) {
+    await catalogCache.invalidateTag(entityLogicalName ? getEntityMetadataCacheTag(entityLogicalName) : METADATA_CACHE_TAG)
+}
+
+/**
+ * Look up a catalog entry by field name, accepting the _field_value lookup format
+ *
+ * @param {Object} catalog - Attribute catalog
+ * @param {string} fieldName - Field name (cp_contact or _cp_contact_value)
+ * @returns {Object|null} - Catalog entry
+ */
+export function getCatalogAttribute(catalog, fieldName) {
+    if (!catalog || !fieldName) return null
+    if (catalog.attributes[fieldName]) return catalog.attributes[fieldName]
+
+    const lookupMatch = fieldName.match(/^_(.+)_value$/)
+    if (lookupMatch && catalog.attributes[lookupMatch[1]]) {
+        return catalog.attributes[lookupMatch[1]]
+    }
+
+    // Lowercase form field names that differ in case from the logical name
+    return catalog.attributes[fieldName.toLowerCase()] || null
+}
+
+/**
+ * Check a choice value is an integer and, when options are known, one of them
+ */
+function isValidOption(attribute, value) {
+    const option = Number(value)
+    if (!Number.isInteger(option)) return false
+    return !attribute.options || attribute.options.some(entry => entry.value === option)
+}
+
+/**
+ * Validate a single value against its catalog entry
+ * Returns an error message, or null when the value is acceptable
+ */
+function validateAttributeValue(attribute, value) {
+    if (value === null || value === undefined || value === '') {
+        return null
+    }
+
+    switch (attribute.type) {
+        case 'text':
+        case 'multitext':
+        case 'richtext':
+        case 'email':
+        case 'phone':
+        case 'url':
+            if (typeof value !== 'string') {
+                return `${attribute.logicalName} must be text`
+            }
+            if (attribute.maxLength && value.length > attribute.maxLength) {
+                return `${attribute.logicalName} exceeds maximum length of ${attribute.maxLength}`
+            }
+            return null
+
+        case 'integer':
+        case 'decimal':
+        case 'money': {
+            const number = typeof value === 'number' ? value : Number(value)
+            if (!Number.isFinite(number)) {
+                return `${attribute.logicalName} must be a number`
+            }
+            if (attribute.type === 'integer' && !Number.isInteger(number)) {
+                return `${attribute.logicalName} must be a whole number`
+            }
+            if (attribute.minValue !== null && number < attribute.minValue) {
+                return `${attribute.logicalName} must be at least ${attribute.minValue}`
+            }
+            if (attribute.maxValue !== null && number > attribute.maxValue) {
+                return `${attribute.logicalName} must be at most ${attribute.maxValue}`
+            }
+            return null
+        }
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${attribute.logicalName} must be true or false`
+
+        case 'datetime':
+        case 'date':
+            return isNaN(new Date(value).getTime()) ? `${attribute.logicalName} must be a valid date` : null
+
+        case 'optionset':
+            return isValidOption(attribute, value) ? null : `${attribute.logicalName} must be a valid option value`
+
+        case 'multiselectoptionset': {
+            const values = Array.isArray(value) ? value : String(value).split(',')
+            return values.every(option => isValidOption(attribute, option))
+                ? null
+                : `${attribute.logicalName} must be a list of valid option values`
+        }
+
+        case 'lookup':
+            return isValidGuid(String(value).replace(/[{}]/g, '')) ? null : `${attribute.logicalName} must be a valid record reference`
+
+        default:
+            return null
+    }
+}
+
+/**
+ * 🔒 SECURITY: Validate incoming data against the attribute catalog
+ * Checks create/update validity, types, max length, numeric limits and required fields
+ *
+ * @param {Object} data - Incoming field values (already filtered by validateFieldSecurity)
+ * @param {Object} catalog - Attribute catalog (validation is skipped when null)
+ * @param {string} operation - 'create' or 'update'
+ * @param {Object} options - { requiredFields: string[] } fields that must be present on create
+ * @returns {Object} - { valid: boolean, errors: string[] }
+ */
+export function validateDataAgainstCatalog(data, catalog, operation, options = {}) {
+    if (!catalog) {
+        return { valid: true, errors: [] }
+    }
+
+    const errors = []
+
+    Object.entries(data).forEach(([fieldName, value]) => {
+        // OData annotations and binds are handled by sanitizeDataForDataverse
+        if (fieldName.includes('@')) return
+
+        const attribute = getCatalogAttribute(catalog, fieldName)
+        if (!attribute) return
+
+        if (operation === 'create' && !attribute.isValidForCreate) {
+            errors.push(`${attribute.logicalName} cannot be set on create`)
+            return
+        }
+        if (operation === 'update' && !attribute.isValidForUpdate) {
+            errors.push(`${attribute.logicalName} cannot be updated`)
+            return
+        }
+
+        const error = validateAttributeValue(attribute, value)
+        if (error) errors.push(error)
+    })
+
+    // Required fields are only enforced on create, for fields the user can actually fill in
+    if (operation === 'create') {
+        (options.requiredFields || []).forEach(fieldName => {
+            const attribute = getCatalogAttribute(catalog, fieldName)
+            if (!attribute || attribute.requiredLevel !== 'ApplicationRequired') return
+
+            const value = data[fieldName] ?? data[`_${attribute.logicalName}_value`] ?? data[attribute.logicalName]
+            if (value === null || value === undefined || value === '') {
+                errors.push(`${attribute.displayName || attribute.logicalName} is required`)
+            }
+        })
+    }
+
+    return { valid: errors.length === 0, errors }
+}
+
+// Catalog type -> form control type rendered by EntityEdit
+const CONTROL_TYPE_MAP = {
+    text: 'text',
+    url: 'text',
+    multitext: 'multitext',
+    richtext: 'richtext',
+    email: 'email',
+    phone: 'phone',
+    integer: 'decimal',
+    decimal: 'decimal',
+    money: 'decimal',
+    datetime: 'datetime',
+    date: 'datetime',
+    boolean: 'boolean',
+    optionset: 'optionset',
+    multiselectoptionset: 'multiselectoptionset',
+    lookup: 'lookup'
+}
+
+// Catalog type -> list column type used for formatting and LIST_FILTER_OPERATORS
+const COLUMN_TYPE_MAP = {
+    text: 'text',
+    url: 'text',
+    multitext: 'text',
+    richtext: 'text',
+    email: 'email',
+    phone: 'phone',
+    integer: 'number',
+    decimal: 'decimal',
+    money: 'money',
+    datetime: 'datetime',
+    date: 'datetime',
+    boolean: 'boolean',
+    optionset: 'optionset',
+    multiselectoptionset: 'multiselectoptionset',
+    lookup: 'lookup',
+    uniqueidentifier: 'uniqueidentifier'
+}
+
+/**
+ * Get the form control type for a catalog entry (null when the catalog has no opinion)
+ */
+export function getControlTypeForAttribute(attribute) {
+    return attribute ? CONTROL_TYPE_MAP[attribute.type] || null : null
+}
+
+/**
+ * Get the list column type for a catalog entry (null when the catalog has no opinion)
+ */
+export function getColumnTypeForAttribute(attribute) {
+    return attribute ? COLUMN_TYPE_MAP[attribute.type] || null : null
+}
@@ -1,7 +1,10 @@
 import { logDebug, logError, logWarn } from './logger.js'
+import { createDataverseClient } from './dataverse-client.js'
+import { getCache } from './cache.js'
 
-// 🔒 RATE LIMITING: In-memory storage (use Redis/database in production for multi-instance)
-const rateLimitStore = new Map()
+// 🔒 RATE LIMITING: Request timestamps per identifier (backend selected by CACHE_BACKEND - see cache.js)
+// Entries expire with their window; on a shared backend concurrent instances may undercount slightly
+const rateLimitStore = getCache('rate-limit')
 
 // 🔒 EMAIL VERIFICATION: In-memory storage for verification attempt tracking
 const emailVerificationAttempts = new Map()
@@ -23,6 +26,7 @@ const ERROR_MESSAGES = {
     // Resource errors
     'NOT_FOUND': 'The requested resource was not found.',
     'ALREADY_EXISTS': 'This resource already exists.',
+    'UPDATE_CONFLICT': 'This record was changed by someone else. Review their changes and save again.',
     'OWNERSHIP_VIOLATION': 'Access denied. You do not have permission to access this resource.',
     
     // Rate limiting
@@ -33,6 +37,7 @@ const ERROR_MESSAGES = {
     'DATAVERSE_ERROR': 'Unable to process your request. Please try again later.',
     'DATABASE_ERROR': 'A database error occurred. Please try again later.',
     'CONFIGURATION_ERROR': 'Server configuration error. Please contact support.',
+    'VIEW_NOT_SUPPORTED': 'The Dataverse view configured for this list filters on related tables or the current Dataverse user, which the portal cannot apply. Edit the view or choose another one in the entity configuration.',
     'INTERNAL_ERROR': 'An unexpected error occurred. Please try again later.',
     
     // Network errors
@@ -85,16 +90,16 @@ export async function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
 
 /**
  * 🔒 SECURITY: Rate limiting middleware to prevent abuse and DoS attacks
- * Tracks requests per identifier (IP or user ID) with automatic cleanup
+ * Tracks requests per identifier (IP or user ID); entries expire with the time window
  * 
  * @param {string} identifier - Unique identifier (IP address, user ID, or email)
  * @param {Object} options - Rate limit configuration
  * @param {number} options.maxRequests - Maximum requests allowed in time window
  * @param {number} options.windowMs - Time window in milliseconds
  * @param {string} [options.message] - Custom error message
- * @returns {Object} - Rate limit result with allowed status and headers
+ * @returns {Promise<Object>} - Rate limit result with allowed status and headers
  */
-export function checkRateLimit(identifier, options = {}) {
+export async function checkRateLimit(identifier, options = {}) {
     const {
         maxRequests = 60,
         windowMs = 60 * 1000, // 1 minute default
@@ -105,15 +110,10 @@ export function checkRateLimit(identifier, options = {}) {
     const key = `ratelimit_${identifier}`
     
     // Get or create rate limit entry
-    let limitData = rateLimitStore.get(key)
-    
-    if (!limitData) {
+    const limitData = await rateLimitStore.get(key) || {
         // First request from this identifier
-        limitData = {
-            requests: [],
-            firstRequest: now
-        }
-        rateLimitStore.set(key, limitData)
+        requests: [],
+        firstRequest: now
     }
     
     // Remove requests outside the time window
@@ -142,7 +142,7 @@ export function checkRateLimit(identifier, options = {}) {
     
     // Add current request timestamp
     limitData.requests.push(now)
-    rateLimitStore.set(key, limitData)
+    await rateLimitStore.set(key, limitData, { ttlMs: windowMs })
     
     const remaining = maxRequests - limitData.requests.length
     const resetTime = limitData.requests[0] + windowMs
@@ -160,32 +160,6 @@ export function checkRateLimit(identifier, options = {}) {
     }
 }
 
-/**
- * 🔒 SECURITY: Cleanup old rate limit entries to prevent memory leaks
- * Should be called periodically (e.g., every 5 minutes)
- * 
- * @param {number} maxAge - Maximum age of entries in milliseconds (default: 1 hour)
- * @returns {number} - Number of entries removed
- */
-export function cleanupRateLimitStore(maxAge = 60 * 60 * 1000) {
-    const now = Date.now()
-    let removed = 0
-    
-    for (const [key, data] of rateLimitStore.entries()) {
-        // Remove entries with no recent requests
-        if (data.requests.length === 0 || (now - data.firstRequest) > maxAge) {
-            rateLimitStore.delete(key)
-            removed++
-        }
-    }
-    
-    if (removed > 0) {
-        logDebug(`🧹 RATE LIMIT CLEANUP: Removed ${removed} old entries, ${rateLimitStore.size} remaining`)
-    }
-    
-    return removed
-}
-
 /**
  * 🔒 SECURITY: Track email verification attempts to prevent brute force attacks
  * Implements progressive lockout: 5 attempts allowed, then 15-minute lockout
@@ -356,9 +330,16 @@ export function sanitizeError(error, context = 'unknown') {
     // Determine error type based on message content
     let errorType = 'UNKNOWN_ERROR'
     let statusCode = 500
+    const lowerMessage = errorMessage.toLowerCase()
     
-    // Authentication/Authorization errors
-    if (errorMessage.includes('authentication') || errorMessage.includes('token') || errorMessage.includes('unauthorized')) {
+    // Unsupported view FetchXML - checked first, the detail quotes attribute names that could match the phrases below
+    if (errorMessage.includes('View configuration not supported')) {
+        errorType = 'VIEW_NOT_SUPPORTED'
+        statusCode = 422
+    }
+    // Authentication errors - only phrases about the user's session; Dataverse access tokens,
+    // continuation tokens and "Unauthorized fields" are not a reason to sign the user out
+    else if (lowerMessage.includes('authentication') || lowerMessage.includes('authorization header') || lowerMessage.includes('authorization token')) {
         if (errorMessage.includes('expired')) {
             errorType = 'TOKEN_EXPIRED'
             statusCode = 401
@@ -370,6 +351,17 @@ export function sanitizeError(error, context = 'unknown') {
             statusCode = 401
         }
     }
+    // Resource errors - before access errors, so "not found or access denied" does not reveal the record exists
+    else if (errorMessage.includes('not found') || errorMessage.includes('does not exist')) {
+        errorType = 'NOT_FOUND'
+        statusCode = 404
+    }
+    // Access errors - before validation, so "Admin access required" is not reported as a missing field
+    else if (lowerMessage.includes('ownership') || lowerMessage.includes('access denied') || lowerMessage.includes('permission') ||
+             lowerMessage.includes('admin access required') || lowerMessage.includes('security violation')) {
+        errorType = 'OWNERSHIP_VIOLATION'
+        statusCode = 403
+    }
     // Validation errors
     else if (errorMessage.includes('validation') || errorMessage.includes('invalid format') || errorMessage.includes('required')) {
         if (errorMessage.includes('email')) {
@@ -383,18 +375,13 @@ export function sanitizeError(error, context = 'unknown') {
         }
         statusCode = 400
     }
-    // Resource errors
-    else if (errorMessage.includes('not found') || errorMessage.includes('does not exist')) {
-        errorType = 'NOT_FOUND'
-        statusCode = 404
-    }
     else if (errorMessage.includes('already exists')) {
         errorType = 'ALREADY_EXISTS'
         statusCode = 409
     }
-    else if (errorMessage.includes('ownership') || errorMessage.includes('access denied') || errorMessage.includes('permission')) {
-        errorType = 'OWNERSHIP_VIOLATION'
-        statusCode = 403
+    else if (errorMessage.includes('Update conflict')) {
+        errorType = 'UPDATE_CONFLICT'
+        statusCode = 412
     }
     // Rate limiting
     else if (errorMessage.includes('rate limit')) {
@@ -929,29 +916,23 @@ export async function validateContactOwnership(contactGuid, user, accessToken, u
     logDebug(`🔒 OWNERSHIP VALIDATION: Checking contact ${sanitizedGuid} for user ${user.userId}`)
     
     // Fetch the contact record from Dataverse
-    const contactUrl = `${DATAVERSE_URL}/api/data/v9.0/contacts(${sanitizedGuid})?$select=contactid,emailaddress1,cp_portaladmin,_parentcustomerid_value`
-    
-    const response = await fetch(contactUrl, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-    })
-    
-    if (!response.ok) {
-        if (response.status === 404) {
+    let contact
+    try {
+        contact = await createDataverseClient(accessToken).get(`contacts(${sanitizedGuid})`, {
+            select: 'contactid,fullname,emailaddress1,cp_portaladmin,_parentcustomerid_value'
+        })
+    } catch (error) {
+        if (error.status === 404) {
             logError(`🛡️ OWNERSHIP VIOLATION: Contact GUID ${sanitizedGuid} does not exist`)
             throw new Error('Contact record not found')
         }
-        logError(`🛡️ OWNERSHIP VALIDATION ERROR: Failed to fetch contact: ${response.status}`)
+        if (error.status === 429) {
+            throw error
+        }
+        logError(`🛡️ OWNERSHIP VALIDATION ERROR: Failed to fetch contact: ${error.status || error.message}`)
         throw new Error('Failed to validate contact ownership')
     }
     
-    const contact = await response.json()
-    
     // CRITICAL SECURITY CHECK: Verify the contact's email matches the authenticated user's email
     // Priority: JWT email > Request email parameter
     const userEmail = user.userEmail || userEmailFromRequest
@@ -18,13 +18,11 @@
 
 import { getSecureCorsHeaders, fetchWithTimeout } from './auth-utils.js'
 import { logDebug, logError } from './logger.js'
+import { getCache, createMemoryBackend, hashKey } from './cache.js'
 
-// In-memory token cache (use Redis/database in production for multi-instance deployments)
-let tokenCache = {
-    token: null,
-    expiry: null,
-    scope: null
-}
+// Token cache, keyed by app registration and scope
+// Always in memory - CACHE_BACKEND=file or redis would write the Dataverse bearer token to disk or a shared store
+const tokenCache = getCache('auth-token', { backend: createMemoryBackend() })
 
 export const handler = async (event) => {
     // Get origin for CORS
@@ -63,26 +61,26 @@ export const handler = async (event) => {
         const currentScope = `${DATAVERSE_URL}/.default`
 
         // Check if we have a valid cached token
-        if (tokenCache.token &&
-            tokenCache.expiry &&
-            tokenCache.expiry > Date.now() &&
-            tokenCache.scope === currentScope) {
+        const tokenCacheKey = hashKey([CLIENT_ID, currentScope])
+        const cachedToken = await tokenCache.get(tokenCacheKey)
+        if (cachedToken && cachedToken.expiry > Date.now()) {
 
             logDebug('Returning cached access token')
             return {
                 statusCode: 200,
                 headers: getSecureCorsHeaders(origin),
                 body: JSON.stringify({
-                    access_token: tokenCache.token,
-                    expires_in: Math.floor((tokenCache.expiry - Date.now()) / 1000),
+                    access_token: cachedToken.token,
+                    expires_in: Math.floor((cachedToken.expiry - Date.now()) / 1000),
                     token_type: 'Bearer',
                     cached: true
                 }),
             }
         }
 
-        // Construct the token endpoint URL
-        const tokenUrl = `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/token`
+        // Construct the token endpoint URL (AZURE_AUTHORITY_HOST points at another authority, e.g. the mock Dataverse server)
+        const authorityHost = (process.env.AZURE_AUTHORITY_HOST || 'https://login.microsoftonline.com').replace(/\/+$/, '')
+        const tokenUrl = `${authorityHost}/${TENANT_ID}/oauth2/v2.0/token`
 
         // Prepare the request body for client credentials flow
         const body = new URLSearchParams({
@@ -134,11 +132,8 @@ export const handler = async (event) => {
 
         // Cache the token with proper expiry (subtract 60 seconds for safety buffer)
         const expiresIn = tokenData.expires_in || 3600
-        tokenCache = {
-            token: tokenData.access_token,
-            expiry: Date.now() + (expiresIn * 1000) - 60000, // 60 second buffer
-            scope: currentScope
-        }
+        const expiry = Date.now() + (expiresIn * 1000) - 60000 // 60 second buffer
+        await tokenCache.set(tokenCacheKey, { token: tokenData.access_token, expiry }, { ttlMs: expiry - Date.now() })
 
         logDebug('Successfully obtained and cached new access token')
 
@@ -0,0 +1,373 @@
+/**
+ * Pluggable cache for metadata, configuration and rate limits
+ *
+ * Function instances are short-lived, so per-instance Maps are lost on every cold start.
+ * CACHE_BACKEND selects where entries live:
+ * - memory (default): per function instance
+ * - file: JSON files under CACHE_DIR (default <tmpdir>/community-portal-cache), shared by
+ *   every function on the machine - survives cold starts of the same container and the dev server
+ * - redis: a Redis-compatible REST endpoint (CACHE_REDIS_URL + CACHE_REDIS_TOKEN, e.g. Upstash),
+ *   shared by every instance
+ *
+ * Entries expire after their TTL. Tags group entries for invalidation: every tag has a version
+ * and an entry is only returned while the tag versions it was written with are current, so
+ * invalidateTag() works the same way on every backend without listing keys.
+ * Secrets do not belong on the file or redis backends - auth.js keeps Dataverse tokens in memory.
+ * getOrSet() lets one caller load a missing entry while concurrent callers wait for it (stampede lock).
+ *
+ * Backend errors never fail a request - a broken cache behaves like an empty one.
+ *
+ * @example
+ * const metadataCache = getCache('metadata')
+ * const form = await metadataCache.getOrSet(`form:${guid}`, () => loadForm(guid), { ttlMs: 600000, tags: ['metadata'] })
+ * await metadataCache.invalidateTag('metadata')
+ */
+
+import { createHash, randomUUID } from 'node:crypto'
+import { mkdir, readFile, writeFile, rename, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { logDebug, logWarn } from './logger.js'
+
+const KEY_PREFIX = 'cp:'
+const DEFAULT_TTL_MS = 5 * 60 * 1000
+// Stampede lock - how long a loader may hold it, and how long other callers wait for its result
+const LOCK_TTL_MS = 10000
+const LOCK_WAIT_MS = 5000
+const LOCK_POLL_MS = 100
+// Memory backend - drop expired entries at most once a minute
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000
+
+const sleepFor = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Short stable key for values that are too long or too sensitive for a cache key
+ */
+export function hashKey(value) {
+    return createHash('sha256').update(JSON.stringify(value)).digest('base64url')
+}
+
+/**
+ * In-memory backend (per function instance)
+ */
+export function createMemoryBackend({ now = Date.now } = {}) {
+    const items = new Map()
+    let lastSweep = now()
+
+    const read = (key) => {
+        const item = items.get(key)
+        if (!item) {
+            return null
+        }
+        if (item.expiresAt !== null && item.expiresAt <= now()) {
+            items.delete(key)
+            return null
+        }
+        return item.entry
+    }
+
+    const sweep = () => {
+        if (now() - lastSweep < MEMORY_SWEEP_INTERVAL_MS) {
+            return
+        }
+        lastSweep = now()
+        for (const key of items.keys()) {
+            read(key)
+        }
+    }
+
+    return {
+        name: 'memory',
+        async get(key) {
+            return read(key)
+        },
+        async set(key, entry, ttlMs = null) {
+            sweep()
+            items.set(key, { entry, expiresAt: ttlMs ? now() + ttlMs : null })
+        },
+        async add(key, entry, ttlMs = null) {
+            if (read(key) !== null) {
+                return false
+            }
+            items.set(key, { entry, expiresAt: ttlMs ? now() + ttlMs : null })
+            return true
+        },
+        async delete(key) {
+            items.delete(key)
+        }
+    }
+}
+
+/**
+ * Filesystem backend - one JSON file per key, written atomically (temp file + rename)
+ */
+export function createFileBackend(directory = join(tmpdir(), 'community-portal-cache'), { now = Date.now } = {}) {
+    let ready = null
+    const ensureDirectory = () => {
+        ready = ready || mkdir(directory, { recursive: true })
+        return ready
+    }
+    const pathFor = (key) => join(directory, `${createHash('sha256').update(key).digest('hex')}.json`)
+
+    const read = async (path) => {
+        try {
+            const item = JSON.parse(await readFile(path, 'utf8'))
+            if (item.expiresAt !== null && item.expiresAt <= now()) {
+                await rm(path, { force: true })
+                return null
+            }
+            return item.entry
+        } catch (error) {
+            // Missing or half-written files are a miss
+            if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+                throw error
+            }
+            return null
+        }
+    }
+
+    const serialize = (entry, ttlMs) => JSON.stringify({ entry, expiresAt: ttlMs ? now() + ttlMs : null })
+
+    return {
+        name: 'file',
+        async get(key) {
+            return read(pathFor(key))
+        },
+        async set(key, entry, ttlMs = null) {
+            await ensureDirectory()
+            const path = pathFor(key)
+            const tempPath = `${path}.${randomUUID()}.tmp`
+            await writeFile(tempPath, serialize(entry, ttlMs))
+            await rename(tempPath, path)
+        },
+        async add(key, entry, ttlMs = null) {
+            await ensureDirectory()
+            const path = pathFor(key)
+            for (let attempt = 0; attempt < 2; attempt++) {
+                try {
+                    await writeFile(path, serialize(entry, ttlMs), { flag: 'wx' })
+                    return true
+                } catch (error) {
+                    if (error.code !== 'EEXIST') {
+                        throw error
+                    }
+                    // An expired entry is removed by read() - then try once more
+                    if (await read(path) !== null) {
+                        return false
+                    }
+                }
+            }
+            return false
+        },
+        async delete(key) {
+            await rm(pathFor(key), { force: true })
+        }
+    }
+}
+
+/**
+ * Redis-compatible REST backend (commands are POSTed as JSON arrays, e.g. Upstash)
+ */
+export function createRedisBackend({ url, token, fetch = globalThis.fetch, timeoutMs = 2000 }) {
+    const command = async (...args) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(args),
+            signal: AbortSignal.timeout(timeoutMs)
+        })
+        const data = await response.json().catch(() => ({}))
+        if (!response.ok || data.error) {
+            throw new Error(`Cache backend request failed: ${response.status} ${data.error || ''}`.trim())
+        }
+        return data.result
+    }
+
+    const ttlArgs = (ttlMs) => ttlMs ? ['PX', String(ttlMs)] : []
+
+    return {
+        name: 'redis',
+        async get(key) {
+            const text = await command('GET', key)
+            return text ? JSON.parse(text) : null
+        },
+        async set(key, entry, ttlMs = null) {
+            await command('SET', key, JSON.stringify(entry), ...ttlArgs(ttlMs))
+        },
+        async add(key, entry, ttlMs = null) {
+            return await command('SET', key, JSON.stringify(entry), 'NX', ...ttlArgs(ttlMs)) === 'OK'
+        },
+        async delete(key) {
+            await command('DEL', key)
+        }
+    }
+}
+
+/**
+ * Backend selected by CACHE_BACKEND (falls back to memory when misconfigured)
+ */
+export function createBackendFromEnv(env = process.env) {
+    const backend = (env.CACHE_BACKEND || 'memory').toLowerCase()
+
+    if (backend === 'file') {
+        return createFileBackend(env.CACHE_DIR || undefined)
+    }
+    if (backend === 'redis') {
+        if (env.CACHE_REDIS_URL && env.CACHE_REDIS_TOKEN) {
+            return createRedisBackend({ url: env.CACHE_REDIS_URL, token: env.CACHE_REDIS_TOKEN })
+        }
+        logWarn('⚠️ CACHE: CACHE_BACKEND=redis needs CACHE_REDIS_URL and CACHE_REDIS_TOKEN - using memory')
+    } else if (backend !== 'memory') {
+        logWarn(`⚠️ CACHE: Unknown CACHE_BACKEND "${backend}" - using memory`)
+    }
+    return createMemoryBackend()
+}
+
+/**
+ * Create a cache for one namespace
+ *
+ * @param {string} namespace - Key prefix, e.g. "entity-config"
+ * @param {Object} options - { backend, defaultTtlMs, sleep }
+ * @returns {Object} - { get, set, delete, getOrSet, invalidateTag }
+ */
+export function createCache(namespace, { backend = getCacheBackend(), defaultTtlMs = DEFAULT_TTL_MS, sleep = sleepFor } = {}) {
+    const keyFor = (key) => `${KEY_PREFIX}${namespace}:${key}`
+    const tagKeyFor = (tag) => `${KEY_PREFIX}tag:${tag}`
+    // Loads in progress in this instance - concurrent callers share one promise
+    const pending = new Map()
+
+    const safely = async (operation, fallback, description) => {
+        try {
+            return await operation()
+        } catch (error) {
+            logWarn(`⚠️ CACHE: ${description} failed on ${backend.name} backend:`, error.message)
+            return fallback
+        }
+    }
+
+    const getTagVersions = (tags) => Promise.all(tags.map(async tag => {
+        const entry = await backend.get(tagKeyFor(tag))
+        return [tag, entry ? entry.value : '0']
+    }))
+
+    const cache = {
+        /**
+         * Cached value, or undefined when missing, expired or invalidated by a tag
+         */
+        async get(key) {
+            return safely(async () => {
+                const entry = await backend.get(keyFor(key))
+                if (!entry) {
+                    return undefined
+                }
+                const tags = Object.keys(entry.tags || {})
+                const current = await getTagVersions(tags)
+                if (current.some(([tag, version]) => entry.tags[tag] !== version)) {
+                    return undefined
+                }
+                return entry.value
+            }, undefined, `get ${namespace}:${key}`)
+        },
+
+        /**
+         * Store a value (must be JSON serializable for the file and redis backends)
+         */
+        async set(key, value, { ttlMs = defaultTtlMs, tags = [] } = {}) {
+            await safely(async () => {
+                const tagVersions = Object.fromEntries(await getTagVersions(tags))
+                await backend.set(keyFor(key), { value, tags: tagVersions }, ttlMs)
+            }, undefined, `set ${namespace}:${key}`)
+        },
+
+        async delete(key) {
+            await safely(() => backend.delete(keyFor(key)), undefined, `delete ${namespace}:${key}`)
+        },
+
+        /**
+         * Cached value, or the result of loader() - which is cached unless it is null or undefined
+         * Only one caller runs the loader; others wait up to LOCK_WAIT_MS for its result
+         */
+        async getOrSet(key, loader, options = {}) {
+            const cached = await cache.get(key)
+            if (cached !== undefined) {
+                return cached
+            }
+            if (pending.has(key)) {
+                return pending.get(key)
+            }
+
+            const load = (async () => {
+                const lockKey = `${keyFor(key)}:lock`
+                const locked = await safely(() => backend.add(lockKey, { value: 1 }, LOCK_TTL_MS), true, `lock ${namespace}:${key}`)
+
+                if (!locked) {
+                    // Another instance is loading - use its result when it arrives in time
+                    for (let waited = 0; waited < LOCK_WAIT_MS; waited += LOCK_POLL_MS) {
+                        await sleep(LOCK_POLL_MS)
+                        const value = await cache.get(key)
+                        if (value !== undefined) {
+                            return value
+                        }
+                    }
+                    logDebug(`⏳ CACHE: Gave up waiting for ${namespace}:${key} - loading it here`)
+                }
+
+                try {
+                    const value = await loader()
+                    if (value !== undefined && value !== null) {
+                        await cache.set(key, value, options)
+                    }
+                    return value
+                } finally {
+                    if (locked) {
+                        await safely(() => backend.delete(lockKey), undefined, `unlock ${namespace}:${key}`)
+                    }
+                }
+            })()
+
+            pending.set(key, load)
+            try {
+                return await load
+            } finally {
+                pending.delete(key)
+            }
+        },
+
+        /**
+         * Invalidate every entry written with this tag (in any namespace)
+         */
+        async invalidateTag(tag) {
+            await safely(() => backend.set(tagKeyFor(tag), { value: randomUUID() }), undefined, `invalidate tag ${tag}`)
+            logDebug(`🧹 CACHE: Invalidated tag ${tag}`)
+        }
+    }
+
+    return cache
+}
+
+let sharedBackend = null
+const caches = new Map()
+
+/**
+ * Backend shared by every cache of this instance
+ */
+export function getCacheBackend() {
+    if (!sharedBackend) {
+        sharedBackend = createBackendFromEnv()
+        logDebug(`🗄️ CACHE: Using ${sharedBackend.name} backend`)
+    }
+    return sharedBackend
+}
+
+/**
+ * Cache for a namespace on the configured backend
+ */
+export function getCache(namespace, options = {}) {
+    if (!caches.has(namespace)) {
+        caches.set(namespace, createCache(namespace, options))
+    }
+    return caches.get(namespace)
+}
@@ -0,0 +1,138 @@
+/**
+ * Comment helpers for the record timeline
+ *
+ * 🔒 SECURITY: Comment bodies are stored and returned as HTML, so they are cleaned with the
+ * same allow-list SimpleRichTextEditor gives DOMPurify. Functions have no DOM, so this is a
+ * tokenizer: allow-listed tags are rebuilt with only a safe style attribute, everything else
+ * is dropped (tags) or escaped (stray markup).
+ */
+
+// Same allow-list as src/components/forms/SimpleRichTextEditor.jsx
+const ALLOWED_TAGS = ['p', 'br', 'strong', 'em', 'u', 's', 'ul', 'ol', 'li', 'span', 'div', 'h1', 'h2', 'h3']
+const ALLOWED_ATTR = ['style']
+
+// Elements removed together with their content
+const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math']
+
+// Style values that can load resources or run script in older browsers
+// Entities and CSS escapes are rejected too, since they could spell out any of these
+const UNSAFE_STYLE_PATTERN = /url\s*\(|expression\s*\(|javascript:|@import|behavior\s*:|-moz-binding|[&\\]/i
+
+export const MAX_COMMENT_LENGTH = 10000
+
+// Subject of comment notes - the author's name follows the prefix
+export const COMMENT_SUBJECT_PREFIX = 'Comment from '
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+// Escape < and > in text between tags but keep entities the editor already wrote
+const escapeText = (text) => text.replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/**
+ * Helper to read the allowed attributes of a start tag
+ */
+function getSafeAttributes(attributeText) {
+    const attributes = []
+    const attributePattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*("([^"]*)"|'([^']*)')/g
+    let match
+    while ((match = attributePattern.exec(attributeText)) !== null) {
+        const name = match[1].toLowerCase()
+        const value = match[3] ?? match[4] ?? ''
+        if (ALLOWED_ATTR.includes(name) && !UNSAFE_STYLE_PATTERN.test(value)) {
+            attributes.push(` ${name}="${value.replace(/"/g, '&quot;').replace(/</g, '').replace(/>/g, '')}"`)
+        }
+    }
+    return attributes.join('')
+}
+
+/**
+ * 🔒 SECURITY: Clean comment HTML with the rich text editor's allow-list
+ */
+export function sanitizeCommentHtml(html) {
+    if (!html || typeof html !== 'string') return ''
+
+    let source = html.replace(/<!--[\s\S]*?(-->|$)/g, '')
+    DROP_CONTENT_TAGS.forEach(tag => {
+        source = source.replace(new RegExp(`<${tag}\\b[\\s\\S]*?(</${tag}\\s*>|$)`, 'gi'), '')
+    })
+
+    let output = ''
+    let lastIndex = 0
+    const tagPattern = /<[^<>]*>?/g
+    let match
+    while ((match = tagPattern.exec(source)) !== null) {
+        output += escapeText(source.slice(lastIndex, match.index))
+        lastIndex = tagPattern.lastIndex
+
+        const tag = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>$/.exec(match[0])
+        if (!tag) {
+            // Not a well-formed tag - keep it visible as text
+            output += escapeText(match[0])
+            continue
+        }
+
+        const [, closing, rawName, attributeText] = tag
+        const name = rawName.toLowerCase()
+        if (!ALLOWED_TAGS.includes(name)) continue
+
+        if (closing) {
+            output += name === 'br' ? '' : `</${name}>`
+        } else {
+            output += name === 'br' ? '<br>' : `<${name}${getSafeAttributes(attributeText)}>`
+        }
+    }
+    output += escapeText(source.slice(lastIndex))
+
+    return output.trim()
+}
+
+/**
+ * Turn plain text into paragraphs, keeping line breaks
+ */
+export function plainTextToHtml(text) {
+    return String(text || '')
+        .replace(/\r\n/g, '\n')
+        .split(/\n{2,}/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+        .join('')
+}
+
+/**
+ * Validate a posted comment and return the HTML to store
+ * Returns { valid, message } or { valid: true, html }
+ */
+export function prepareCommentBody({ text, format = 'plain' }) {
+    if (typeof text !== 'string') {
+        return { valid: false, message: 'Comment validation failed: comment text is required' }
+    }
+    if (format !== 'plain' && format !== 'html') {
+        return { valid: false, message: `Comment validation failed: unknown format ${format}` }
+    }
+
+    const html = format === 'html' ? sanitizeCommentHtml(text) : plainTextToHtml(text)
+    const visibleText = html.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim()
+
+    if (!visibleText) {
+        return { valid: false, message: 'Comment validation failed: comment text is required' }
+    }
+    if (html.length > MAX_COMMENT_LENGTH) {
+        return { valid: false, message: `Comment validation failed: comment exceeds maximum length of ${MAX_COMMENT_LENGTH} characters` }
+    }
+
+    return { valid: true, html }
+}
+
+/**
+ * Helper to read the author's name from a comment note subject
+ * Notes written in Dynamics keep their own subject
+ */
+export function getCommentAuthorFromSubject(subject) {
+    if (!subject) return null
+    return subject.startsWith(COMMENT_SUBJECT_PREFIX) ? subject.slice(COMMENT_SUBJECT_PREFIX.length).trim() : subject
+}
@@ -32,6 +32,7 @@ import {
     createSafeErrorResponse,
     withErrorHandling
 } from './auth-utils.js'
+import { createDataverseClient } from './dataverse-client.js'
 import { logDebug, logError, logWarn } from './logger.js'
 
 // Security helper functions
@@ -106,7 +107,7 @@ export const handler = async (event) => {
         }
 
         // 🔒 SECURITY: Rate limiting per authenticated user
-        const rateLimitResult = checkRateLimit(userEmail, {
+        const rateLimitResult = await checkRateLimit(userEmail, {
             maxRequests: 100, // 100 requests per minute for contact operations
             windowMs: 60 * 1000,
             message: 'Too many contact requests. Please try again later.'
@@ -134,6 +135,7 @@ export const handler = async (event) => {
         if (!accessToken) {
             return createAuthErrorResponse('Failed to obtain access token', 500, origin)
         }
+        const dataverse = createDataverseClient(accessToken)
 
         // Get user's admin status
         const isAdmin = await getUserAdminStatus(userEmail)
@@ -166,33 +168,22 @@ export const handler = async (event) => {
             const select = 'contactid,firstname,lastname,emailaddress1,mobilephone,createdon,modifiedon,cp_portaladmin,_parentcustomerid_value'
             // Expand parent customer (account) to get organization name
             const expand = 'parentcustomerid_account($select=accountid,name)'
-            const url = `${DATAVERSE_URL}/api/data/v9.0/contacts?$filter=${encodeURIComponent(filter)}&$select=${select}&$expand=${expand}`
-
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'OData-MaxVersion': '4.0',
-                    'OData-Version': '4.0',
-                    'Accept': 'application/json',
-                },
-            })
-
-            if (!response.ok) {
-                const errorText = await response.text()
-                logError('Dataverse GET request failed:', response.status, errorText)
-                return createAuthErrorResponse('Failed to fetch contact from Dataverse', response.status, origin)
+
+            let data
+            try {
+                data = await dataverse.list('contacts', { filter, select, expand })
+            } catch (error) {
+                return createAuthErrorResponse('Failed to fetch contact from Dataverse', error.status || 502, origin)
             }
 
-            const data = await response.json()
-            const contact = data.value && data.value.length > 0 ? data.value[0] : null
+            const contact = data.value.length > 0 ? data.value[0] : null
 
             // 🔒 SECURITY: Clear verification attempts on successful contact lookup
             if (contact) {
                 clearEmailVerificationAttempts(requestedEmail)
             }
 
-            logDebug(`Found ${data.value?.length || 0} contacts for email: ${requestedEmail}`)
+            logDebug(`Found ${data.value.length} contacts for email: ${requestedEmail}`)
 
             return createSuccessResponse({
                 contact,
@@ -230,30 +221,17 @@ export const handler = async (event) => {
                 mobilephone: (contactData.mobilephone || '').trim().substring(0, 50),
             }
 
-            let response
             let result
 
             // Update existing contact
             if (contactData.contactid) {
                 logDebug(`Authenticated user ${userEmail} updating contact: ${contactData.contactid}`)
 
-                const url = `${DATAVERSE_URL}/api/data/v9.0/contacts(${contactData.contactid})`
-
-                response = await fetch(url, {
-                    method: 'PATCH',
-                    headers: {
-                        'Authorization': `Bearer ${accessToken}`,
-                        'Content-Type': 'application/json',
-                        'OData-MaxVersion': '4.0',
-                        'OData-Version': '4.0',
-                    },
-                    body: JSON.stringify(contact),
-                })
-
-                if (!response.ok) {
-                    const errorText = await response.text()
-                    logError('Dataverse PATCH request failed:', response.status, errorText)
-                    return createAuthErrorResponse('Failed to update contact in Dataverse', response.status, origin)
+                try {
+                    // No If-Match - the PATCH is an upsert
+                    await dataverse.update(`contacts(${contactData.contactid})`, contact, { ifMatch: null })
+                } catch (error) {
+                    return createAuthErrorResponse('Failed to update contact in Dataverse', error.status || 502, origin)
                 }
 
                 // For PATCH requests, return the updated contact
@@ -264,27 +242,12 @@ export const handler = async (event) => {
                 // Create new contact
                 logDebug(`Authenticated user ${userEmail} creating new contact`)
 
-                const url = `${DATAVERSE_URL}/api/data/v9.0/contacts`
-
-                response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${accessToken}`,
-                        'Content-Type': 'application/json',
-                        'OData-MaxVersion': '4.0',
-                        'OData-Version': '4.0',
-                        'Prefer': 'return=representation',
-                    },
-                    body: JSON.stringify(contact),
-                })
-
-                if (!response.ok) {
-                    const errorText = await response.text()
-                    logError('Dataverse POST request failed:', response.status, errorText)
-                    return createAuthErrorResponse('Failed to create contact in Dataverse', response.status, origin)
+                try {
+                    const created = await dataverse.create('contacts', contact, { returnRepresentation: true })
+                    result = created.record
+                } catch (error) {
+                    return createAuthErrorResponse('Failed to create contact in Dataverse', error.status || 502, origin)
                 }
-
-                result = await response.json()
                 logDebug(`Contact created successfully for user ${userEmail} with ID:`, result.contactid)
             }
 
@@ -346,29 +309,11 @@ async function getUserAdminStatus(userEmail) {
         const accessToken = await getAccessToken()
         if (!accessToken) return false
 
-        const { DATAVERSE_URL, CONTACT_VIEW_GUID, CONTACT_FORM_GUID } = process.env
         const filter = buildSecureEmailFilter(userEmail)
-        const url = `${DATAVERSE_URL}/api/data/v9.0/contacts?$filter=${encodeURIComponent(filter)}&$select=cp_portaladmin`
-
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'OData-MaxVersion': '4.0',
-                'OData-Version': '4.0',
-                'Accept': 'application/json',
-            },
-        })
-
-        if (response.ok) {
-            const data = await response.json()
-            const isAdmin = data.value?.[0]?.cp_portaladmin || false
-            logDebug(`User ${userEmail} admin status: ${isAdmin}`)
-            return isAdmin
-        }
-        
-        logDebug(`Could not determine admin status for ${userEmail}, defaulting to false`)
-        return false
+        const data = await createDataverseClient(accessToken).list('contacts', { filter, select: 'cp_portaladmin' })
+        const isAdmin = data.value[0]?.cp_portaladmin || false
+        logDebug(`User ${userEmail} admin status: ${isAdmin}`)
+        return isAdmin
     } catch (error) {
         logError('Error checking admin status:', error)
         return false // Default to non-admin on error
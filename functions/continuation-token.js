@@ -0,0 +1,133 @@
+/**
+ * Encrypted continuation tokens for list paging
+ *
+ * Dataverse pages large results with @odata.nextLink, whose $skiptoken holds the paging
+ * cookie. The link is never sent to the browser: it is stored relative to the Web API root
+ * inside a token encrypted with AES-256-GCM, so the filter, record GUIDs and paging cookie
+ * cannot be read, and the GCM tag rejects any edit. A token is bound to a scope (entity, user
+ * and query) and expires, so it cannot be replayed for another query or kept forever.
+ *
+ * Token shape: base64url(iv) + '.' + base64url(ciphertext) + '.' + base64url(tag)
+ * Payload: { scope, link, page, count, countLimitExceeded, exp }
+ */
+
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes } from 'node:crypto'
+
+export const CONTINUATION_TOKEN_TTL_MS = 30 * 60 * 1000
+
+// Paging cookies are URL-encoded XML - generous, but keeps query strings within URL limits
+const MAX_TOKEN_LENGTH = 6000
+
+// 96-bit IV, the size GCM is specified for
+const IV_LENGTH = 12
+
+// AES-256 key derived from the token secret
+const getEncryptionKey = secret => createHmac('sha256', secret).update('continuation-token-encryption').digest()
+
+/**
+ * Secret the token key is derived from - CONTINUATION_TOKEN_SECRET, or a key derived from the app
+ * registration secret so existing deployments keep working
+ */
+export function getContinuationTokenSecret(env = process.env) {
+    if (env.CONTINUATION_TOKEN_SECRET) {
+        return env.CONTINUATION_TOKEN_SECRET
+    }
+    if (env.CLIENT_SECRET) {
+        return createHmac('sha256', env.CLIENT_SECRET).update('continuation-token').digest()
+    }
+    throw new Error('Continuation tokens are not configured: set CONTINUATION_TOKEN_SECRET')
+}
+
+/**
+ * Hash the parts a token is bound to (e.g. entity, contact, view mode and query options)
+ */
+export function buildTokenScope(parts) {
+    return createHash('sha256').update(JSON.stringify(parts)).digest('base64url')
+}
+
+/**
+ * Strip the Dataverse origin and Web API root from an @odata.nextLink
+ * Links that point anywhere else are rejected
+ *
+ * @example
+ * toRelativeNextLink('https://org.crm4.dynamics.com/api/data/v9.0/cp_ideas?$skiptoken=x', 'https://org.crm4.dynamics.com')
+ * => "v9.0/cp_ideas?$skiptoken=x"
+ */
+export function toRelativeNextLink(nextLink, dataverseUrl) {
+    const root = `${String(dataverseUrl).replace(/\/+$/, '')}/api/data/`
+    if (typeof nextLink !== 'string' || !nextLink.startsWith(root)) {
+        throw new Error('Dataverse returned a next link outside the Web API')
+    }
+    return nextLink.slice(root.length)
+}
+
+/**
+ * Create a token for the next page
+ * Throws when the token would be longer than readContinuationToken accepts, so a list with an
+ * oversized paging cookie fails on the page that produced it instead of on the next request
+ *
+ * @param {Object} data - { scope, link (relative next link), page (1-based page it opens), count, countLimitExceeded }
+ * @param {string|Buffer} secret - Token secret
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {string} - Opaque token
+ */
+export function createContinuationToken({ scope, link, page, count = null, countLimitExceeded = false }, secret, now = Date.now()) {
+    const iv = randomBytes(IV_LENGTH)
+    const cipher = createCipheriv('aes-256-gcm', getEncryptionKey(secret), iv)
+    const payload = JSON.stringify({ scope, link, page, count, countLimitExceeded, exp: now + CONTINUATION_TOKEN_TTL_MS })
+    const ciphertext = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()])
+    const token = [iv, ciphertext, cipher.getAuthTag()].map(part => part.toString('base64url')).join('.')
+    if (token.length > MAX_TOKEN_LENGTH) {
+        throw new Error(`Continuation token is ${token.length} characters, over the ${MAX_TOKEN_LENGTH} limit - the Dataverse paging cookie is too large`)
+    }
+    return token
+}
+
+/**
+ * Verify a token and return its payload
+ * Throws a validation error when the token was changed, expired or belongs to another scope
+ *
+ * @param {string} token - Token from the client
+ * @param {string|Buffer} secret - Token secret
+ * @param {string} scope - Scope the current request resolves to
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Object} - { scope, link, page, count, countLimitExceeded, exp }
+ */
+export function readContinuationToken(token, secret, scope, now = Date.now()) {
+    if (typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH || !/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(token)) {
+        throw new Error('Continuation token validation failed: malformed token')
+    }
+
+    const [iv, ciphertext, tag] = token.split('.').map(part => Buffer.from(part, 'base64url'))
+    if (iv.length !== IV_LENGTH || tag.length !== 16) {
+        throw new Error('Continuation token validation failed: malformed token')
+    }
+
+    let payload
+    try {
+        const decipher = createDecipheriv('aes-256-gcm', getEncryptionKey(secret), iv)
+        decipher.setAuthTag(tag)
+        payload = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8')
+    } catch (error) {
+        throw new Error('Continuation token validation failed: token was changed or issued with another secret')
+    }
+
+    let data
+    try {
+        data = JSON.parse(payload)
+    } catch (error) {
+        throw new Error('Continuation token validation failed: malformed token')
+    }
+
+    if (typeof data.exp !== 'number' || data.exp < now) {
+        throw new Error('Continuation token validation failed: token expired, reload the list')
+    }
+    if (data.scope !== scope) {
+        throw new Error('Continuation token validation failed: token belongs to another list query')
+    }
+    if (typeof data.link !== 'string' || !data.link) {
+        throw new Error('Continuation token validation failed: malformed token')
+    }
+
+    return data
+}
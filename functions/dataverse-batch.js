@@ -0,0 +1,152 @@
+/**
+ * Dataverse $batch utilities
+ *
+ * Builds multipart/mixed $batch requests and parses the multipart response back into
+ * per-request results. Atomic batches wrap every request in one changeset, which runs in
+ * one transaction: either all of them are applied or none are. Non-atomic batches send
+ * independent requests and ask Dataverse to continue after a failed one.
+ *
+ * Request shape: { method, url, headers, body } where url is relative to the Web API root
+ * (e.g. "cp_ideas(0b6f...)") and body is an object serialized as JSON.
+ * Result shape: { contentId, status, headers, body } - contentId is the 1-based request index
+ * for atomic batches and null for non-atomic ones (their results come back in request order).
+ *
+ * Batches are sent with the batch() method of the Dataverse client (dataverse-client.js).
+ */
+
+import { randomUUID } from 'node:crypto'
+
+/**
+ * Build the body and Content-Type for a $batch request
+ * Atomic batches hold one changeset; non-atomic batches list the requests directly
+ */
+export function buildBatchRequest(requests, baseUrl, { batchId = randomUUID(), changesetId = randomUUID(), atomic = true, apiVersion = 'v9.2' } = {}) {
+    const batchBoundary = `batch_${batchId}`
+    const changesetBoundary = `changeset_${changesetId}`
+    const partBoundary = atomic ? changesetBoundary : batchBoundary
+    const lines = atomic
+        ? [`--${batchBoundary}`, `Content-Type: multipart/mixed; boundary=${changesetBoundary}`, '']
+        : []
+
+    requests.forEach((request, index) => {
+        lines.push(
+            `--${partBoundary}`,
+            'Content-Type: application/http',
+            'Content-Transfer-Encoding: binary',
+            ...(atomic ? [`Content-ID: ${index + 1}`] : []),
+            '',
+            `${request.method} ${baseUrl}/api/data/${apiVersion}/${request.url} HTTP/1.1`,
+            'Content-Type: application/json',
+            ...Object.entries(request.headers || {}).map(([name, value]) => `${name}: ${value}`),
+            '',
+            request.body ? JSON.stringify(request.body) : ''
+        )
+    })
+
+    if (atomic) {
+        lines.push(`--${changesetBoundary}--`)
+    }
+    lines.push(`--${batchBoundary}--`, '')
+
+    return {
+        body: lines.join('\r\n'),
+        contentType: `multipart/mixed; boundary=${batchBoundary}`
+    }
+}
+
+/**
+ * Read the boundary parameter from a multipart Content-Type header
+ */
+function getBoundary(contentType) {
+    const match = /boundary=("?)([^";]+)\1/i.exec(contentType || '')
+    return match ? match[2] : null
+}
+
+/**
+ * Split a block of "Name: value" lines into a header map with lowercase names
+ */
+function parseHeaders(block) {
+    const headers = {}
+    block.split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':')
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
+        }
+    })
+    return headers
+}
+
+/**
+ * Split a MIME entity into its header block and the remaining content
+ */
+function splitEntity(text) {
+    const match = /\r?\n\r?\n/.exec(text)
+    if (!match) {
+        return [text, '']
+    }
+    return [text.slice(0, match.index), text.slice(match.index + match[0].length)]
+}
+
+/**
+ * Parse one application/http part into a result
+ */
+function parseHttpPart(partHeaders, content) {
+    const [head, body] = splitEntity(content)
+    const [statusLine, ...headerLines] = head.split(/\r?\n/)
+    const statusMatch = /^HTTP\/\d\.\d\s+(\d{3})/.exec(statusLine.trim())
+    const text = body.trim()
+
+    let parsedBody = null
+    if (text) {
+        try {
+            parsedBody = JSON.parse(text)
+        } catch {
+            parsedBody = text
+        }
+    }
+
+    return {
+        contentId: partHeaders['content-id'] ? parseInt(partHeaders['content-id'], 10) : null,
+        status: statusMatch ? parseInt(statusMatch[1], 10) : 0,
+        headers: parseHeaders(headerLines.join('\n')),
+        body: parsedBody
+    }
+}
+
+/**
+ * Parse a multipart $batch response into results, flattening changeset responses
+ */
+export function parseBatchResponse(text, contentType) {
+    const boundary = getBoundary(contentType)
+    if (!boundary) {
+        throw new Error('Invalid Dataverse batch response: missing multipart boundary')
+    }
+
+    const results = []
+    const delimiter = `--${boundary}`
+
+    text.split(delimiter)
+        .slice(1)
+        .filter(part => !part.startsWith('--'))
+        .forEach(part => {
+            const [headerBlock, content] = splitEntity(part.replace(/^\r?\n/, ''))
+            const partHeaders = parseHeaders(headerBlock)
+            const partType = partHeaders['content-type'] || ''
+
+            if (partType.startsWith('multipart/mixed')) {
+                results.push(...parseBatchResponse(content, partType))
+            } else {
+                results.push(parseHttpPart(partHeaders, content))
+            }
+        })
+
+    return results
+}
+
+/**
+ * Helper to read the record ID from an OData-EntityId header
+ */
+export function getEntityIdFromHeader(entityIdHeader) {
+    const match = /\(([0-9a-f-]{36})\)\s*$/i.exec(entityIdHeader || '')
+    return match ? match[1] : null
+}
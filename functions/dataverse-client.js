@@ -0,0 +1,373 @@
+/**
+ * Dataverse Web API client
+ *
+ * One place for the OData headers, timeouts, retries and error handling of every Dataverse call.
+ * Service protection limits answer 429 (or 503 when the environment is busy) with a Retry-After
+ * header: the client waits that long before retrying and holds back other requests to the same
+ * environment in the meantime. Without a Retry-After it backs off exponentially. Timeouts and
+ * network errors are only retried for reads - a write may already have been applied.
+ *
+ * Paths are relative to the versioned Web API root (e.g. "contacts(0b6f...)"); absolute links of
+ * the same environment (@odata.nextLink) are accepted as well.
+ *
+ * Every failed request throws an Error named 'DataverseError' with
+ * { status, code, dataverseMessage, retryAfter } - code is the Dataverse error code (e.g. "0x80040217")
+ * and retryAfter the seconds Dataverse asked to wait.
+ *
+ * @example
+ * const dataverse = createDataverseClient(accessToken)
+ * const data = await dataverse.list('contacts', { filter: "statecode eq 0", select: 'contactid,fullname', top: 10 })
+ */
+
+import { fetchWithTimeout } from './auth-utils.js'
+import { buildBatchRequest, parseBatchResponse, getEntityIdFromHeader } from './dataverse-batch.js'
+import { logDebug, logWarn, logError } from './logger.js'
+
+export const DEFAULT_API_VERSION = 'v9.2'
+const DEFAULT_TIMEOUT_MS = 30000
+const DEFAULT_MAX_RETRIES = 3
+const RETRY_BASE_DELAY_MS = 500
+// Longer waits fail fast - the function would time out before the retry is sent
+const MAX_RETRY_DELAY_MS = 10000
+
+// Service protection (429) and a busy environment (503) are safe to retry for every method
+const THROTTLED_STATUSES = [429, 503]
+
+// Environments in a service protection pause: base URL -> time requests may be sent again
+const throttledUntil = new Map()
+
+const sleepFor = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Web API version from DATAVERSE_API_VERSION (default v9.2)
+ */
+export function getApiVersion(env = process.env) {
+    const version = env.DATAVERSE_API_VERSION || DEFAULT_API_VERSION
+    if (!/^v\d+\.\d+$/.test(version)) {
+        throw new Error(`Invalid DATAVERSE_API_VERSION configuration: ${version}`)
+    }
+    return version
+}
+
+/**
+ * Read a Retry-After header (delay in seconds or an HTTP date) as milliseconds
+ * Returns null when the header is missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+        return null
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000
+    }
+    const date = Date.parse(value)
+    return isNaN(date) ? null : Math.max(date - now, 0)
+}
+
+/**
+ * Delay before the next attempt - the Retry-After when Dataverse sent one,
+ * otherwise exponential backoff with jitter (500ms, 1s, 2s, ... plus up to 500ms)
+ */
+export function getRetryDelay(attempt, retryAfterMs = null, random = Math.random) {
+    if (retryAfterMs !== null) {
+        return retryAfterMs
+    }
+    return RETRY_BASE_DELAY_MS * 2 ** attempt + Math.floor(random() * RETRY_BASE_DELAY_MS)
+}
+
+/**
+ * Build the OData query string for list requests
+ *
+ * @example
+ * buildQueryString({ filter: "statecode eq 0", select: 'contactid', top: 5 })
+ * => "$filter=statecode%20eq%200&$select=contactid&$top=5"
+ */
+export function buildQueryString({ filter, select, expand, orderBy, top, skip, count } = {}) {
+    const parts = []
+    if (filter) parts.push(`$filter=${encodeURIComponent(filter)}`)
+    if (select) parts.push(`$select=${select}`)
+    if (expand) parts.push(`$expand=${encodeURIComponent(expand)}`)
+    if (orderBy) parts.push(`$orderby=${encodeURIComponent(orderBy)}`)
+    if (top) parts.push(`$top=${top}`)
+    if (skip) parts.push(`$skip=${skip}`)
+    if (count) parts.push('$count=true')
+    return parts.join('&')
+}
+
+/**
+ * Build the Prefer header
+ * annotations: true for all annotations, or an annotation name (e.g. "OData.Community.Display.V1.FormattedValue")
+ */
+export function buildPreferHeader({ annotations, maxPageSize, returnRepresentation, continueOnError } = {}) {
+    const preferences = []
+    if (annotations) preferences.push(`odata.include-annotations="${annotations === true ? '*' : annotations}"`)
+    if (maxPageSize) preferences.push(`odata.maxpagesize=${maxPageSize}`)
+    if (returnRepresentation) preferences.push('return=representation')
+    if (continueOnError) preferences.push('odata.continue-on-error')
+    return preferences.length > 0 ? preferences.join(',') : null
+}
+
+/**
+ * Name of the resource a path points at, for logs and error messages (no keys or query options)
+ */
+function describeResource(path) {
+    return path.replace(/^https?:\/\/[^/]+\/api\/data\/v\d+\.\d+\//, '').split(/[?(/]/)[0] || path
+}
+
+/**
+ * Error with the shape every failed Dataverse request throws
+ */
+function toDataverseError(message, { status, code = null, dataverseMessage = null, retryAfterMs = null }) {
+    const error = new Error(message)
+    error.name = 'DataverseError'
+    error.status = status
+    error.code = code
+    error.dataverseMessage = dataverseMessage
+    error.retryAfter = retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : null
+    return error
+}
+
+/**
+ * Build the error thrown for a failed Dataverse response
+ */
+async function createDataverseError(response, method, resource, retryAfterMs) {
+    const text = await response.text().catch(() => '')
+    let odataError = null
+    try {
+        odataError = JSON.parse(text).error || null
+    } catch {
+        odataError = null
+    }
+
+    const message = response.status === 429
+        ? `Dataverse rate limit exceeded: ${method} ${resource}`
+        : `Dataverse request failed: ${method} ${resource} returned ${response.status}`
+    logError(`❌ DATAVERSE: ${message}`, odataError?.code || '', odataError?.message || text.slice(0, 500))
+
+    return toDataverseError(message, {
+        status: response.status,
+        code: odataError?.code || null,
+        dataverseMessage: odataError?.message || null,
+        retryAfterMs: retryAfterMs
+    })
+}
+
+/**
+ * Create a client for one access token
+ *
+ * @param {string} accessToken - Dataverse access token
+ * @param {Object} options - { baseUrl, apiVersion, timeoutMs, maxRetries, fetch, sleep }
+ *     fetch(url, init, timeoutMs) and sleep(ms) can be replaced in tests
+ * @returns {Object} - { apiVersion, getUrl, get, list, create, update, delete, batch }
+ */
+export function createDataverseClient(accessToken, {
+    baseUrl = process.env.DATAVERSE_URL,
+    apiVersion = getApiVersion(),
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    fetch = fetchWithTimeout,
+    sleep = sleepFor
+} = {}) {
+    if (!baseUrl) {
+        throw new Error('DATAVERSE_URL environment variable not configured')
+    }
+
+    const origin = baseUrl.replace(/\/+$/, '')
+    const root = `${origin}/api/data/`
+
+    const resolveUrl = (path, version) => {
+        if (path.startsWith(root)) {
+            return path
+        }
+        if (/^[a-z]+:/i.test(path)) {
+            throw new Error('Dataverse request validation failed: URL outside the Web API')
+        }
+        return `${root}${version}/${path.replace(/^\/+/, '')}`
+    }
+
+    /**
+     * Send one request with retries and return the successful Response
+     */
+    const send = async (method, path, {
+        body,
+        headers = {},
+        prefer = {},
+        apiVersion: version = apiVersion,
+        timeoutMs: requestTimeoutMs = timeoutMs
+    } = {}) => {
+        const url = resolveUrl(path, version)
+        const resource = describeResource(path)
+        const preferHeader = buildPreferHeader(prefer)
+        const init = {
+            method: method,
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'OData-MaxVersion': '4.0',
+                'OData-Version': '4.0',
+                'Accept': 'application/json',
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(preferHeader && { 'Prefer': preferHeader }),
+                ...headers
+            },
+            ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) })
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            // 🚦 THROTTLING: Wait out a service protection pause another request ran into
+            const pausedFor = (throttledUntil.get(origin) || 0) - Date.now()
+            if (pausedFor > MAX_RETRY_DELAY_MS) {
+                throw toDataverseError(`Dataverse rate limit exceeded: ${method} ${resource}`, { status: 429, retryAfterMs: pausedFor })
+            }
+            if (pausedFor > 0) {
+                await sleep(pausedFor)
+            }
+
+            let response
+            try {
+                response = await fetch(url, init, requestTimeoutMs)
+            } catch (error) {
+                // A write that timed out may have been applied - only reads are repeated
+                if (method !== 'GET' || attempt >= maxRetries) {
+                    throw error
+                }
+                const delay = getRetryDelay(attempt)
+                logWarn(`🔁 DATAVERSE: ${method} ${resource} failed (${error.message}) - retry ${attempt + 1}/${maxRetries} in ${delay}ms`)
+                await sleep(delay)
+                continue
+            }
+
+            if (response.ok) {
+                return response
+            }
+
+            const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'))
+            if (THROTTLED_STATUSES.includes(response.status)) {
+                if (retryAfterMs !== null) {
+                    throttledUntil.set(origin, Math.max(throttledUntil.get(origin) || 0, Date.now() + retryAfterMs))
+                }
+
+                const delay = getRetryDelay(attempt, retryAfterMs)
+                if (attempt < maxRetries && delay <= MAX_RETRY_DELAY_MS) {
+                    logWarn(`🚦 DATAVERSE: ${method} ${resource} throttled (${response.status}) - retry ${attempt + 1}/${maxRetries} in ${delay}ms`)
+                    await response.text().catch(() => '')
+                    // The pause above covers the Retry-After wait
+                    if (retryAfterMs === null) {
+                        await sleep(delay)
+                    }
+                    continue
+                }
+            }
+
+            throw await createDataverseError(response, method, resource, retryAfterMs)
+        }
+    }
+
+    const readJson = async (response) => {
+        const text = await response.text()
+        return text ? JSON.parse(text) : null
+    }
+
+    return {
+        apiVersion: apiVersion,
+
+        /**
+         * Absolute Web API URL of a path, e.g. for @odata.id record references
+         * @param {string} path - e.g. "contacts(0b6f...)"
+         */
+        getUrl(path) {
+            return resolveUrl(path, apiVersion)
+        },
+
+        /**
+         * Retrieve one record or metadata item
+         * @param {string} path - e.g. "contacts(0b6f...)" or "EntityDefinitions(LogicalName='contact')"
+         * @param {Object} options - { select, expand, annotations, apiVersion, timeoutMs }
+         * @returns {Promise<Object>}
+         */
+        async get(path, { select, expand, annotations, ...options } = {}) {
+            const query = buildQueryString({ select, expand })
+            const response = await send('GET', query ? `${path}${path.includes('?') ? '&' : '?'}${query}` : path, { ...options, prefer: { annotations } })
+            return readJson(response)
+        },
+
+        /**
+         * Retrieve a collection (one page when maxPageSize is set - follow @odata.nextLink for more)
+         * @param {string} path - Entity set or navigation path, or an @odata.nextLink
+         * @param {Object} options - { filter, select, expand, orderBy, top, skip, count, annotations, maxPageSize, apiVersion, timeoutMs }
+         * @returns {Promise<Object>} - OData collection ({ value, '@odata.count', '@odata.nextLink', ... })
+         */
+        async list(path, { filter, select, expand, orderBy, top, skip, count, annotations, maxPageSize, ...options } = {}) {
+            const query = buildQueryString({ filter, select, expand, orderBy, top, skip, count })
+            const response = await send('GET', query ? `${path}${path.includes('?') ? '&' : '?'}${query}` : path, { ...options, prefer: { annotations, maxPageSize } })
+            const data = await readJson(response)
+            return { ...data, value: data?.value || [] }
+        },
+
+        /**
+         * Create a record
+         * @param {string} path - Entity set, e.g. "contacts"
+         * @param {Object} data - Record body (lookups as "nav@odata.bind")
+         * @param {Object} options - { returnRepresentation, apiVersion, timeoutMs }
+         * @returns {Promise<Object>} - { id, record } - record only with returnRepresentation
+         */
+        async create(path, data, { returnRepresentation = false, ...options } = {}) {
+            const response = await send('POST', path, { ...options, body: data, prefer: { returnRepresentation } })
+            const record = returnRepresentation ? await readJson(response) : null
+            return {
+                id: getEntityIdFromHeader(response.headers.get('OData-EntityId')),
+                record: record
+            }
+        },
+
+        /**
+         * Update a record
+         * If-Match * (default) keeps the PATCH from re-creating a deleted record; pass an ETag for optimistic concurrency
+         * @param {string} path - e.g. "contacts(0b6f...)"
+         * @param {Object} data - Changed columns
+         * @param {Object} options - { ifMatch, apiVersion, timeoutMs }
+         */
+        async update(path, data, { ifMatch = '*', ...options } = {}) {
+            await send('PATCH', path, { ...options, body: data, headers: ifMatch ? { 'If-Match': ifMatch } : {} })
+        },
+
+        /**
+         * Delete a record (or an association with a "$ref" path)
+         * @param {string} path - e.g. "annotations(0b6f...)"
+         * @param {Object} options - { ifMatch, apiVersion, timeoutMs }
+         */
+        async delete(path, { ifMatch, ...options } = {}) {
+            await send('DELETE', path, { ...options, headers: ifMatch ? { 'If-Match': ifMatch } : {} })
+        },
+
+        /**
+         * Send requests as one $batch (see dataverse-batch.js for the request and result shapes)
+         * Dataverse answers 200 even when the changeset fails - the failed request carries the error
+         * @param {Array} requests - [{ method, url, headers, body }]
+         * @param {Object} options - { atomic, apiVersion }
+         * @returns {Promise<Array>} - [{ contentId, status, headers, body }]
+         */
+        async batch(requests, { atomic = true, apiVersion: version = apiVersion } = {}) {
+            const { body, contentType } = buildBatchRequest(requests, origin, { atomic, apiVersion: version })
+
+            logDebug(`📦 BATCH: Sending ${requests.length} requests ${atomic ? 'in one changeset' : 'independently'}`)
+
+            const response = await send('POST', '$batch', {
+                body: body,
+                headers: { 'Content-Type': contentType },
+                // Independent requests keep running after one fails
+                prefer: { continueOnError: !atomic },
+                apiVersion: version,
+                timeoutMs: 60000  // 60s timeout - a changeset runs every request in one transaction
+            })
+
+            const responseText = await response.text()
+            const responseType = response.headers.get('content-type') || ''
+
+            if (!responseType.startsWith('multipart/mixed')) {
+                throw new Error(`Dataverse batch request failed: ${response.status} - unexpected ${responseType || 'empty'} response`)
+            }
+
+            return parseBatchResponse(responseText, responseType)
+        }
+    }
+}
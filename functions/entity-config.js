@@ -15,12 +15,47 @@
  */
 
 import { validateSimpleAuth, createAuthErrorResponse, createSuccessResponse, getSecureCorsHeaders, checkRateLimit, createRateLimitResponse, createSafeErrorResponse } from './auth-utils.js'
+import { createDataverseClient } from './dataverse-client.js'
+import { getCache } from './cache.js'
 import { logDebug, logError, logWarn } from './logger.js'
 import { escapeODataValue, validateEntityName, validateEmail } from './security-utils.js'
 
-// Configuration cache (in production, use Redis or similar)
-const configCache = new Map()
+// Configuration cache (backend selected by CACHE_BACKEND - see cache.js)
+const configCache = getCache('entity-config')
 const CACHE_TTL = 1 * 60 * 1000 // 1 minute (reduced from 5 minutes for faster updates)
+const CONFIG_CACHE_TAG = 'entity-config'
+
+// cp_deletebehavior choice values - unset keeps the original hard delete
+const DELETE_BEHAVIOR_OPTIONS = {
+    100000000: 'delete',
+    100000001: 'deactivate'
+}
+const DEFAULT_RESTORE_WINDOW_DAYS = 30
+
+// cp_entityconfig columns every portal version reads
+const BASE_CONFIG_COLUMNS = [
+    'cp_entityconfigid',
+    'cp_name',
+    'cp_entitylogicalname',
+    'cp_formguid',
+    'cp_viewmainguid',
+    'cp_contactrelationfield',
+    'cp_accountrelationfield',
+    'cp_showinmenu',
+    'cp_menuicon',
+    'cp_menuorder',
+    'cp_requiresadmin'
+]
+// Delete and comment settings - added to cp_entityconfig later (see README, Entity Configuration Columns)
+const OPTIONAL_CONFIG_COLUMNS = [
+    'cp_allowdelete',
+    'cp_deletebehavior',
+    'cp_restorewindowdays',
+    'cp_commententity',
+    'cp_commentparentfield',
+    'cp_commentbodyfield',
+    'cp_commentauthorfield'
+]
 
 export const handler = async (event) => {
     // Get origin for CORS
@@ -46,7 +81,7 @@ export const handler = async (event) => {
         logDebug(`✅ Entity config request from user: ${user.userId}`)
         
         // 🔒 SECURITY: Rate limiting per user ID
-        const rateLimitResult = checkRateLimit(user.userId, {
+        const rateLimitResult = await checkRateLimit(user.userId, {
             maxRequests: 30, // 30 requests per minute for config operations (lower since configs are cached)
             windowMs: 60 * 1000,
             message: 'Too many configuration requests. Please slow down.'
@@ -73,7 +108,7 @@ export const handler = async (event) => {
         const clearCache = event.queryStringParameters?.clearCache === 'true'
         if (clearCache) {
             logDebug('🧹 Clearing entity config cache...')
-            configCache.clear()
+            await configCache.invalidateTag(CONFIG_CACHE_TAG)
         }
 
         // Get requested entity or all configurations
@@ -110,10 +145,10 @@ async function getAllEntityConfigs(accessToken, isAdmin) {
     const cacheKey = `all_configs_${isAdmin}`
     
     // Check cache first
-    const cached = configCache.get(cacheKey)
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    const cached = await configCache.get(cacheKey)
+    if (cached) {
         logDebug('📋 Returning cached entity configurations')
-        return cached.data
+        return cached
     }
     
     logDebug('🔄 Cache miss or expired - fetching fresh data')
@@ -121,8 +156,6 @@ async function getAllEntityConfigs(accessToken, isAdmin) {
     logDebug('🔍 Fetching entity configurations from Dataverse...')
     logDebug('🔍 User isAdmin:', isAdmin)
     
-    const { DATAVERSE_URL } = process.env
-    
     // Build filter based on admin status
     // Always start with active configurations that should show in menu
     let filter = 'statecode eq 0 and cp_showinmenu eq true'
@@ -135,49 +168,13 @@ async function getAllEntityConfigs(accessToken, isAdmin) {
     
     logDebug('🔍 OData Filter:', filter)
     
-    const select = [
-        'cp_entityconfigid',
-        'cp_name', 
-        'cp_entitylogicalname',
-        'cp_formguid',
-        'cp_viewmainguid',
-        'cp_contactrelationfield',
-        'cp_accountrelationfield',
-        'cp_showinmenu',
-        'cp_menuicon',
-        'cp_menuorder',
-        'cp_requiresadmin'
-    ].join(',')
-
-    const url = `${DATAVERSE_URL}/api/data/v9.0/cp_entityconfigs?$filter=${encodeURIComponent(filter)}&$select=${select}&$orderby=cp_menuorder`
-    logDebug('🔍 Full OData URL:', url)
-
-    const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-    })
-
-    if (!response.ok) {
-        const errorText = await response.text()
-        logError('Failed to fetch entity configurations:', response.status, errorText)
-        throw new Error(`Failed to fetch entity configurations: ${response.status}`)
-    }
-
-    const data = await response.json()
+    const data = await listEntityConfigRecords(accessToken, { filter, orderBy: 'cp_menuorder' })
     logDebug(`✅ Found ${data.value.length} entity configurations matching filter`)
     
     const configs = data.value.map(normalizeEntityConfig)
 
     // Cache the results
-    configCache.set(cacheKey, {
-        data: configs,
-        timestamp: Date.now()
-    })
+    await configCache.set(cacheKey, configs, { ttlMs: CACHE_TTL, tags: [CONFIG_CACHE_TAG] })
 
     logDebug(`✅ Retrieved ${configs.length} entity configurations`)
     return configs
@@ -185,23 +182,22 @@ async function getAllEntityConfigs(accessToken, isAdmin) {
 
 /**
  * Get specific entity configuration
+ * Also used by generic-entity.js, which calls it directly rather than through the handler
  */
-async function getEntityConfig(accessToken, entityName, isAdmin) {
+export async function getEntityConfig(accessToken, entityName, isAdmin) {
     // 🔒 SECURITY: Validate entity name to prevent OData injection
     const safeEntityName = validateEntityName(entityName)
     const cacheKey = `config_${safeEntityName}_${isAdmin}`
     
     // Check cache first
-    const cached = configCache.get(cacheKey)
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    const cached = await configCache.get(cacheKey)
+    if (cached) {
         logDebug(`📋 Returning cached config for: ${safeEntityName}`)
-        return cached.data
+        return cached
     }
 
     logDebug(`🔍 Fetching configuration for entity: ${safeEntityName}`)
     
-    const { DATAVERSE_URL } = process.env
-    
     // 🔒 SECURITY: Escape single quotes in entity name for OData query
     const escapedEntityName = escapeODataValue(safeEntityName)
     
@@ -213,50 +209,15 @@ async function getEntityConfig(accessToken, entityName, isAdmin) {
         filter += ' and cp_requiresadmin ne true'
     }
     
-    const select = [
-        'cp_entityconfigid',
-        'cp_name', 
-        'cp_entitylogicalname',
-        'cp_formguid',
-        'cp_viewmainguid',
-        'cp_contactrelationfield',
-        'cp_accountrelationfield',
-        'cp_showinmenu',
-        'cp_menuicon',
-        'cp_menuorder',
-        'cp_requiresadmin'
-    ].join(',')
-
-    const url = `${DATAVERSE_URL}/api/data/v9.0/cp_entityconfigs?$filter=${encodeURIComponent(filter)}&$select=${select}`
-
-    const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-    })
-
-    if (!response.ok) {
-        const errorText = await response.text()
-        logError('Failed to fetch entity configuration:', response.status, errorText)
-        throw new Error(`Failed to fetch entity configuration: ${response.status}`)
-    }
-
-    const data = await response.json()
+    const data = await listEntityConfigRecords(accessToken, { filter })
     logDebug(`🔍 RAW ENTITY CONFIG from Dataverse for ${entityName}:`, data.value[0])
     
-    const config = data.value && data.value.length > 0 ? normalizeEntityConfig(data.value[0]) : null
+    const config = data.value.length > 0 ? normalizeEntityConfig(data.value[0]) : null
     logDebug(`🔍 NORMALIZED ENTITY CONFIG:`, config)
 
     if (config) {
         // Cache the result
-        configCache.set(cacheKey, {
-            data: config,
-            timestamp: Date.now()
-        })
+        await configCache.set(cacheKey, config, { ttlMs: CACHE_TTL, tags: [CONFIG_CACHE_TAG] })
         logDebug(`✅ Found configuration for: ${entityName}`)
     } else {
         logDebug(`❌ No configuration found for: ${entityName}`)
@@ -265,6 +226,26 @@ async function getEntityConfig(accessToken, entityName, isAdmin) {
     return config
 }
 
+/**
+ * Query cp_entityconfigs with every known column
+ * Environments that do not have the optional columns yet are read with the base columns, so
+ * the portal keeps working with delete disabled and comments stored as notes until they are added.
+ */
+async function listEntityConfigRecords(accessToken, options) {
+    const dataverse = createDataverseClient(accessToken)
+    try {
+        return await dataverse.list('cp_entityconfigs', { ...options, select: [...BASE_CONFIG_COLUMNS, ...OPTIONAL_CONFIG_COLUMNS].join(',') })
+    } catch (error) {
+        // Dataverse names the first unknown column: "Could not find a property named 'cp_allowdelete' ..."
+        const isMissingColumn = OPTIONAL_CONFIG_COLUMNS.some(column => error.dataverseMessage?.includes(`'${column}'`))
+        if (error.status !== 400 || !isMissingColumn) {
+            throw error
+        }
+        logWarn(`⚠️ cp_entityconfig is missing the delete/comment columns - they are ignored until added:`, error.dataverseMessage)
+        return dataverse.list('cp_entityconfigs', { ...options, select: BASE_CONFIG_COLUMNS.join(',') })
+    }
+}
+
 /**
  * Normalize entity configuration from Dataverse format
  */
@@ -289,6 +270,13 @@ function normalizeEntityConfig(rawConfig) {
         menuOrder: rawConfig.cp_menuorder,
         requiresAdmin: rawConfig.cp_requiresadmin,
         description: rawConfig.cp_description || null,
+        // Delete is opt-in per entity; owners can only remove their own records
+        allowDelete: rawConfig.cp_allowdelete === true,
+        // Soft delete: 'deactivate' sets statecode=1 and allows restore within the window
+        deleteBehavior: DELETE_BEHAVIOR_OPTIONS[rawConfig.cp_deletebehavior] || 'delete',
+        restoreWindowDays: rawConfig.cp_restorewindowdays > 0 ? rawConfig.cp_restorewindowdays : DEFAULT_RESTORE_WINDOW_DAYS,
+        // Timeline comments are notes on the record unless a comment entity is configured
+        commentEntity: normalizeCommentEntity(rawConfig),
         // Computed properties using cp_name directly
         listPath: `/entity/${urlPath}`,
         editPath: `/entity/${urlPath}/edit`,
@@ -296,38 +284,36 @@ function normalizeEntityConfig(rawConfig) {
     }
 }
 
+/**
+ * Comment entity settings - entity, lookup to the commented record and body field are required
+ */
+function normalizeCommentEntity(rawConfig) {
+    if (!rawConfig.cp_commententity || !rawConfig.cp_commentparentfield || !rawConfig.cp_commentbodyfield) {
+        return null
+    }
+    
+    return {
+        entityLogicalName: rawConfig.cp_commententity,
+        parentField: rawConfig.cp_commentparentfield,
+        bodyField: rawConfig.cp_commentbodyfield,
+        authorField: rawConfig.cp_commentauthorfield || null
+    }
+}
+
 /**
  * Get user contact information
  */
 async function getUserContact(accessToken, userEmail) {
-    const { DATAVERSE_URL } = process.env
-    
     // 🔒 SECURITY: Validate and escape email to prevent OData injection
     const safeEmail = validateEmail(userEmail)
     const escapedEmail = escapeODataValue(safeEmail)
     
     const filter = `emailaddress1 eq '${escapedEmail}'`
     const select = 'contactid,cp_portaladmin,_parentcustomerid_value'
-    const url = `${DATAVERSE_URL}/api/data/v9.0/contacts?$filter=${encodeURIComponent(filter)}&$select=${select}`
 
     try {
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'OData-MaxVersion': '4.0',
-                'OData-Version': '4.0',
-                'Accept': 'application/json',
-            },
-        })
-
-        if (!response.ok) {
-            logWarn('Failed to fetch user contact for admin check')
-            return null
-        }
-
-        const data = await response.json()
-        return data.value && data.value.length > 0 ? data.value[0] : null
+        const data = await createDataverseClient(accessToken).list('contacts', { filter, select })
+        return data.value.length > 0 ? data.value[0] : null
     } catch (error) {
         logWarn('Error fetching user contact:', error)
         return null
@@ -0,0 +1,502 @@
+/**
+ * Form/View XML parsing utilities
+ *
+ * Dependency-free parser for Dataverse systemforms.formxml, savedqueries.layoutxml
+ * and savedqueries.fetchxml. Replaces the regex matching that broke on <tabs> vs <tab>,
+ * self-closing elements and attribute ordering.
+ *
+ * parseXml() builds a plain element tree; parseFormXml() and parseLayoutXml() turn
+ * that tree into a typed model that generic-entity.js maps to the portal format.
+ */
+
+// Well-known Dataverse control class IDs (lowercase, without braces)
+export const CONTROL_CLASS_IDS = {
+    '4273edbd-ac1d-40d3-9fb2-095c621b552d': 'text',
+    'e0dece4b-6fc8-4a8f-a065-082708572369': 'multitext',
+    'ada2203e-b4cd-49be-9ddf-234642b43b52': 'email',
+    '8c10015a-b339-4982-9474-a95fe05631a5': 'phone',
+    '71716b6c-711e-476c-8ab8-5d11542bfb47': 'url',
+    '1e1fc551-f7a8-43af-ac34-a8dc35c7b6d4': 'ticker',
+    '270bd3db-d9af-4782-9025-509e298dec0a': 'lookup',
+    '5b773807-9fb2-42db-97c3-7a91eff8adff': 'datetime',
+    '3ef39988-22bb-4f0b-bbbe-64b5a3748aee': 'optionset',
+    '4aa28ab7-9c13-4f57-a73d-ad894d048b5f': 'multiselectoptionset',
+    'b0c6723a-8503-4fd7-bb28-c8a06ac933c2': 'boolean',
+    '67fac785-cd58-4f9f-abb3-4b7ddc6ed5ed': 'boolean',
+    'c6d124ca-7eda-4a60-aea9-7fb8d318b68f': 'integer',
+    'c3efe0c3-0ec6-42be-8349-cbd9079dfd8e': 'decimal',
+    '0d2c745a-e5a8-4c8f-ba63-c6d3bb604660': 'decimal',
+    '533b9e00-756b-4312-95a0-dc888637ac78': 'money',
+    'e7a81278-8635-4d9e-8d4d-59480b391c5b': 'subgrid',
+    '9fdf5f91-88b1-47f4-ad53-c11efc01a01d': 'webresource',
+    'fd2a7985-3187-444e-908d-6624b21f69c0': 'iframe',
+    '06375649-c143-495e-a496-c962e5b4488e': 'timeline'
+}
+
+// Language used when a label is not available in the requested language
+export const DEFAULT_LANGUAGE_CODE = 1033
+
+const XML_ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: "'"
+}
+
+/**
+ * Decode XML character and entity references
+ *
+ * @param {string} value - Raw attribute or text value
+ * @returns {string} - Decoded value
+ *
+ * @example
+ * decodeXmlEntities('Tom &amp; Jerry&#39;s') => "Tom & Jerry's"
+ */
+export function decodeXmlEntities(value) {
+    if (!value) return value
+
+    return value.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+            return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match
+        }
+        return XML_ENTITIES[entity] ?? match
+    })
+}
+
+/**
+ * Parse an XML string into a plain element tree
+ * Handles self-closing elements, comments, CDATA, processing instructions and
+ * attributes in any order or quote style. Element names keep their original case.
+ *
+ * @param {string} xml - XML document
+ * @returns {Object} - Root node { name: '#document', attributes, children, text }
+ * @throws {Error} - If the XML is not well-formed
+ *
+ * @example
+ * parseXml('<tab name="general"><labels/></tab>').children[0].attributes.name => 'general'
+ */
+export function parseXml(xml) {
+    if (typeof xml !== 'string') {
+        throw new Error('XML validation failed: input must be a string')
+    }
+
+    const root = { name: '#document', attributes: {}, children: [], text: '' }
+    const stack = [root]
+    let position = 0
+
+    while (position < xml.length) {
+        const tagStart = xml.indexOf('<', position)
+        const current = stack[stack.length - 1]
+
+        if (tagStart === -1) {
+            current.text += decodeXmlEntities(xml.slice(position))
+            break
+        }
+
+        if (tagStart > position) {
+            current.text += decodeXmlEntities(xml.slice(position, tagStart))
+        }
+
+        // Comments, CDATA, processing instructions and doctype
+        if (xml.startsWith('<!--', tagStart)) {
+            const end = xml.indexOf('-->', tagStart + 4)
+            if (end === -1) throw new Error('XML validation failed: unterminated comment')
+            position = end + 3
+            continue
+        }
+        if (xml.startsWith('<![CDATA[', tagStart)) {
+            const end = xml.indexOf(']]>', tagStart + 9)
+            if (end === -1) throw new Error('XML validation failed: unterminated CDATA section')
+            current.text += xml.slice(tagStart + 9, end)
+            position = end + 3
+            continue
+        }
+        if (xml.startsWith('<?', tagStart) || xml.startsWith('<!', tagStart)) {
+            const end = xml.indexOf('>', tagStart)
+            if (end === -1) throw new Error('XML validation failed: unterminated declaration')
+            position = end + 1
+            continue
+        }
+
+        const tagEnd = findTagEnd(xml, tagStart)
+        if (tagEnd === -1) {
+            throw new Error('XML validation failed: unterminated element')
+        }
+
+        const tagContent = xml.slice(tagStart + 1, tagEnd)
+        position = tagEnd + 1
+
+        // Closing tag
+        if (tagContent[0] === '/') {
+            const closingName = tagContent.slice(1).trim()
+            if (stack.length === 1 || current.name !== closingName) {
+                throw new Error(`XML validation failed: unexpected closing tag </${closingName}>`)
+            }
+            stack.pop()
+            continue
+        }
+
+        const selfClosing = tagContent.endsWith('/')
+        const body = selfClosing ? tagContent.slice(0, -1) : tagContent
+        const nameMatch = body.match(/^\s*([^\s/>]+)/)
+        if (!nameMatch) {
+            throw new Error('XML validation failed: element without name')
+        }
+
+        const element = {
+            name: nameMatch[1],
+            attributes: parseAttributes(body.slice(nameMatch[0].length)),
+            children: [],
+            text: ''
+        }
+        current.children.push(element)
+
+        if (!selfClosing) {
+            stack.push(element)
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`XML validation failed: unclosed element <${stack[stack.length - 1].name}>`)
+    }
+
+    return root
+}
+
+/**
+ * Find the closing '>' of a tag, skipping '>' inside quoted attribute values
+ */
+function findTagEnd(xml, tagStart) {
+    let quote = null
+    for (let i = tagStart + 1; i < xml.length; i++) {
+        const char = xml[i]
+        if (quote) {
+            if (char === quote) quote = null
+        } else if (char === '"' || char === "'") {
+            quote = char
+        } else if (char === '>') {
+            return i
+        }
+    }
+    return -1
+}
+
+/**
+ * Parse attribute text into an object - attribute names are lowercased
+ * (Dataverse mixes showlabel/ShowLabel and IsUserDefined/isuserdefined)
+ */
+function parseAttributes(attributeText) {
+    const attributes = {}
+    const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+    let match
+
+    while ((match = attributePattern.exec(attributeText)) !== null) {
+        attributes[match[1].toLowerCase()] = decodeXmlEntities(match[2] ?? match[3])
+    }
+
+    return attributes
+}
+
+/**
+ * Get direct children with the given element name (case-insensitive)
+ */
+export function getChildren(element, name) {
+    if (!element) return []
+    const lowerName = name.toLowerCase()
+    return element.children.filter(child => child.name.toLowerCase() === lowerName)
+}
+
+/**
+ * Get the first direct child with the given element name (case-insensitive)
+ */
+export function getChild(element, name) {
+    return getChildren(element, name)[0] || null
+}
+
+/**
+ * Follow a path of direct children, e.g. getPath(form, ['tabs', 'tab'])
+ * Returns all elements matching the final segment
+ */
+export function getPath(element, path) {
+    return path.reduce((elements, name) => elements.flatMap(el => getChildren(el, name)), [element])
+}
+
+/**
+ * Parse an XML boolean attribute ("true"/"false"/"1"/"0")
+ */
+function parseBoolean(value, defaultValue) {
+    if (value === undefined || value === null || value === '') return defaultValue
+    const lower = String(value).toLowerCase()
+    return lower === 'true' || lower === '1'
+}
+
+function parseInteger(value, defaultValue = null) {
+    const parsed = parseInt(value, 10)
+    return isNaN(parsed) ? defaultValue : parsed
+}
+
+/**
+ * Normalize a GUID attribute - strip braces and lowercase
+ */
+export function normalizeXmlGuid(value) {
+    return value ? value.replace(/[{}]/g, '').toLowerCase() : null
+}
+
+/**
+ * Read <labels><label description="" languagecode=""/></labels> into { [languagecode]: description }
+ */
+export function parseLabels(element) {
+    const labels = {}
+    getPath(element, ['labels', 'label']).forEach(label => {
+        const languageCode = parseInteger(label.attributes.languagecode, DEFAULT_LANGUAGE_CODE)
+        if (label.attributes.description !== undefined) {
+            labels[languageCode] = label.attributes.description
+        }
+    })
+    return labels
+}
+
+/**
+ * Pick a label for a language, falling back to 1033 and then to the first available label
+ *
+ * @param {Object} labels - Labels keyed by language code
+ * @param {number} languageCode - Preferred language code
+ * @returns {string|null}
+ */
+export function pickLabel(labels, languageCode = DEFAULT_LANGUAGE_CODE) {
+    if (!labels) return null
+    if (labels[languageCode]) return labels[languageCode]
+    if (labels[DEFAULT_LANGUAGE_CODE]) return labels[DEFAULT_LANGUAGE_CODE]
+    const first = Object.values(labels).find(Boolean)
+    return first || null
+}
+
+/**
+ * Read <parameters> children into a plain object, e.g. { TargetEntityType: 'cp_idea', ViewId: '...' }
+ */
+function parseParameters(controlElement) {
+    const parameters = {}
+    const parametersElement = getChild(controlElement, 'parameters')
+    if (!parametersElement) return parameters
+
+    parametersElement.children.forEach(parameter => {
+        parameters[parameter.name] = parameter.children.length > 0
+            ? parameter.children.map(child => child.text.trim())
+            : parameter.text.trim()
+    })
+    return parameters
+}
+
+/**
+ * Map controlDescriptions to the custom (PCF) control configured for each control uniqueid
+ */
+function parseControlDescriptions(formElement) {
+    const customControls = {}
+    getPath(formElement, ['controlDescriptions', 'controlDescription']).forEach(description => {
+        const forControl = normalizeXmlGuid(description.attributes.forcontrol)
+        if (!forControl) return
+
+        const names = getChildren(description, 'customControl')
+            .map(customControl => customControl.attributes.name)
+            .filter(name => name && !name.startsWith('{'))
+
+        if (names.length > 0) {
+            customControls[forControl] = names[0]
+        }
+    })
+    return customControls
+}
+
+/**
+ * Build the typed control model from a <control> element
+ */
+function parseControl(controlElement, customControls) {
+    const attributes = controlElement.attributes
+    const classId = normalizeXmlGuid(attributes.classid)
+    const parameters = parseParameters(controlElement)
+    const uniqueId = normalizeXmlGuid(attributes.uniqueid)
+
+    let kind = CONTROL_CLASS_IDS[classId] || null
+    // Subgrids are identified by their parameters when the classid is unknown (e.g. editable grids)
+    if (!kind && (parameters.TargetEntityType || parameters.RelationshipName)) {
+        kind = 'subgrid'
+    }
+
+    const control = {
+        id: attributes.id || null,
+        classId: classId,
+        kind: kind || (attributes.datafieldname ? 'field' : 'unknown'),
+        datafieldname: attributes.datafieldname || null,
+        disabled: parseBoolean(attributes.disabled, false),
+        uniqueId: uniqueId,
+        customControl: uniqueId ? customControls[uniqueId] || null : null,
+        parameters: parameters
+    }
+
+    if (control.kind === 'subgrid') {
+        control.subgrid = {
+            targetEntityType: parameters.TargetEntityType || null,
+            relationshipName: parameters.RelationshipName || null,
+            viewId: normalizeXmlGuid(parameters.ViewId) || null,
+            isUserView: parseBoolean(parameters.IsUserView, false),
+            recordsPerPage: parseInteger(parameters.RecordsPerPage),
+            enableQuickFind: parseBoolean(parameters.EnableQuickFind, false),
+            enableViewPicker: parseBoolean(parameters.EnableViewPicker, false)
+        }
+    }
+
+    return control
+}
+
+/**
+ * Build the typed section model from a <section> element
+ */
+function parseSection(sectionElement, customControls, languageCode, index) {
+    const attributes = sectionElement.attributes
+    const labels = parseLabels(sectionElement)
+    const name = attributes.name || `Section${index + 1}`
+
+    const rows = getPath(sectionElement, ['rows', 'row']).map(rowElement => ({
+        cells: getChildren(rowElement, 'cell').map(cellElement => {
+            const cellLabels = parseLabels(cellElement)
+            return {
+                id: normalizeXmlGuid(cellElement.attributes.id),
+                labels: cellLabels,
+                label: pickLabel(cellLabels, languageCode),
+                showLabel: parseBoolean(cellElement.attributes.showlabel, true),
+                visible: parseBoolean(cellElement.attributes.visible, true),
+                colspan: parseInteger(cellElement.attributes.colspan, 1),
+                rowspan: parseInteger(cellElement.attributes.rowspan, 1),
+                controls: getChildren(cellElement, 'control').map(control => parseControl(control, customControls))
+            }
+        })
+    }))
+
+    return {
+        id: normalizeXmlGuid(attributes.id),
+        name: name,
+        labels: labels,
+        label: pickLabel(labels, languageCode) || name,
+        visible: parseBoolean(attributes.visible, true),
+        showLabel: parseBoolean(attributes.showlabel, true),
+        showBar: parseBoolean(attributes.showbar, false),
+        columns: parseInteger(attributes.columns, 1),
+        rows: rows
+    }
+}
+
+/**
+ * Build the typed tab model from a <tab> element
+ */
+function parseTab(tabElement, customControls, languageCode, index) {
+    const attributes = tabElement.attributes
+    const labels = parseLabels(tabElement)
+    const name = attributes.name || `Tab${index + 1}`
+
+    let sectionIndex = 0
+    const columns = getPath(tabElement, ['columns', 'column']).map(columnElement => ({
+        width: columnElement.attributes.width || null,
+        sections: getPath(columnElement, ['sections', 'section'])
+            .map(section => parseSection(section, customControls, languageCode, sectionIndex++))
+    }))
+
+    return {
+        id: normalizeXmlGuid(attributes.id),
+        name: name,
+        labels: labels,
+        label: pickLabel(labels, languageCode) || name,
+        visible: parseBoolean(attributes.visible, true),
+        showLabel: parseBoolean(attributes.showlabel, true),
+        expanded: parseBoolean(attributes.expanded, true),
+        columns: columns,
+        // Flattened sections across all tab columns, in document order
+        sections: columns.flatMap(column => column.sections)
+    }
+}
+
+/**
+ * Parse Dataverse form XML (systemforms.formxml) into a typed form model
+ *
+ * @param {string} formxml - The form XML
+ * @param {Object} options - Parsing options
+ * @param {number} options.languageCode - Preferred label language (default 1033)
+ * @returns {Object} - { tabs: [{ name, label, labels, visible, showLabel, expanded, columns, sections }] }
+ * @throws {Error} - If the XML is not well-formed or has no <form> root
+ *
+ * Each section contains rows -> cells -> controls. Controls carry their datafieldname,
+ * class ID, resolved kind (text, lookup, subgrid, ...), custom control and parameters.
+ */
+export function parseFormXml(formxml, options = {}) {
+    const languageCode = options.languageCode || DEFAULT_LANGUAGE_CODE
+    const document = parseXml(formxml)
+    const formElement = getChild(document, 'form')
+
+    if (!formElement) {
+        throw new Error('Form XML validation failed: missing <form> root element')
+    }
+
+    const customControls = parseControlDescriptions(formElement)
+    const tabs = getPath(formElement, ['tabs', 'tab'])
+        .map((tab, index) => parseTab(tab, customControls, languageCode, index))
+
+    return { tabs: tabs }
+}
+
+/**
+ * Collect every control in a form model, in document order
+ *
+ * @param {Object} formModel - Result of parseFormXml
+ * @returns {Object[]} - Controls with their containing tab/section/cell
+ */
+export function getFormControls(formModel) {
+    const controls = []
+    formModel.tabs.forEach(tab => {
+        tab.sections.forEach(section => {
+            section.rows.forEach(row => {
+                row.cells.forEach(cell => {
+                    cell.controls.forEach(control => {
+                        controls.push({ control, cell, section, tab })
+                    })
+                })
+            })
+        })
+    })
+    return controls
+}
+
+/**
+ * Parse view layout XML (savedqueries.layoutxml) into a typed grid model
+ *
+ * @param {string} layoutxml - The layout XML
+ * @returns {Object} - { name, jump, primaryKey, columns: [{ name, width, disableSorting, isHidden }] }
+ * @throws {Error} - If the XML is not well-formed or has no <grid> root
+ */
+export function parseLayoutXml(layoutxml) {
+    const document = parseXml(layoutxml)
+    const gridElement = getChild(document, 'grid')
+
+    if (!gridElement) {
+        throw new Error('Layout XML validation failed: missing <grid> root element')
+    }
+
+    const rowElement = getChild(gridElement, 'row')
+    const columns = getChildren(rowElement, 'cell')
+        .filter(cell => cell.attributes.name)
+        .map(cell => ({
+            name: cell.attributes.name,
+            width: cell.attributes.width || null,
+            disableSorting: parseBoolean(cell.attributes.disablesorting, false),
+            isHidden: parseBoolean(cell.attributes.ishidden, false),
+            // Non-standard but seen in customized views
+            label: cell.attributes.displayname || cell.attributes.label || null
+        }))
+
+    return {
+        name: gridElement.attributes.name || null,
+        jump: gridElement.attributes.jump || null,
+        primaryKey: rowElement?.attributes.id || null,
+        columns: columns
+    }
+}
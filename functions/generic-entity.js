@@ -5,11 +5,32 @@
  * Provides unified API for entity operations with dynamic form/view metadata.
  * 
  * GET /generic-entity?entity={name}&mode=list - List entities
+ *     (optional: search, filters=[{field,operator,value,value2}], sortBy, sortDir, top;
+ *     cursor=continuationToken from the previous page for the next one)
+ * GET /generic-entity?entity={name}&mode=export&format={csv|xlsx} - Download every matching record
+ *     (same search, filters and sort as mode=list; columns come from the view)
  * GET /generic-entity?entity={name}&mode=form - Get form metadata
- * GET /generic-entity?entity={name}&id={id} - Get single entity
- * POST /generic-entity?entity={name} - Create entity
+ * GET /generic-entity?entity={name}&mode=subgrid&parentEntity={name}&parentId={id}&relationshipName={name}&viewId={id}
+ *     - Related records of a parent the user can read, one page at a time
+ *     (relationshipType=ManyToMany for N:N; optional top, skip, sortBy, sortDir, viewMode)
+ * GET /generic-entity?entity={name}&mode=lookup&field={lookup}&search={text} - Search lookup targets
+ * GET /generic-entity?entity={name}&mode=removed - List recently deactivated records (soft delete entities)
+ * GET /generic-entity?entity={name}&id={id}&mode=attachments - List files attached to a record
+ * GET /generic-entity?entity={name}&id={id}&mode=attachment&attachmentId={id} - Download an attached file
+ * GET /generic-entity?entity={name}&id={id}&mode=comments - Timeline comments on a record (viewMode=organization for colleagues)
+ * GET /generic-entity?entity={name}&mode=search&search={text} - Search records by primary name (e.g. the "Add existing" picker)
+ * GET /generic-entity?entity={name}&id={id} - Get single entity (read-only access to colleagues' records with viewMode=organization)
+ * POST /generic-entity?entity={name} - Create entity (parentBinding in the body links it to a subgrid parent)
+ * POST /generic-entity?entity={name}&id={id}&action=restore - Restore a deactivated record
+ * POST /generic-entity?entity={name}&action=batch - Bulk create/update/delete in one $batch changeset
+ * POST /generic-entity?entity={name}&action=import - Validate (dryRun) or create imported rows, with a per-row report
+ * POST /generic-entity?entity={name}&id={id}&action=attachment - Attach a file (stored as a note)
+ * POST /generic-entity?entity={name}&id={id}&action=comment - Post a timeline comment
+ * POST /generic-entity?entity={name}&action=associate - Link records to a parent through an N:N relationship
+ * POST /generic-entity?entity={name}&action=disassociate - Unlink records from a parent through an N:N relationship
  * PATCH /generic-entity?entity={name}&id={id} - Update entity
- * DELETE /generic-entity?entity={name}&id={id} - Delete entity
+ * DELETE /generic-entity?entity={name}&id={id} - Delete entity (deactivates it when cp_deletebehavior is Deactivate)
+ * DELETE /generic-entity?entity={name}&id={id}&attachmentId={id} - Delete an attached file
  * 
  * SECURITY FEATURES:
  * - User authentication required
@@ -18,9 +39,24 @@
  * - Admin permission checks
  */
 
-import { validateSimpleAuth, createAuthErrorResponse, createSuccessResponse, buildSecureEmailFilter, sanitizeGuid, isValidGuid, validateContactOwnership, getSecureCorsHeaders, checkRateLimit, createRateLimitResponse, createSafeErrorResponse, fetchWithTimeout } from './auth-utils.js'
+import { validateSimpleAuth, createAuthErrorResponse, createSuccessResponse, buildSecureEmailFilter, sanitizeGuid, isValidGuid, validateContactOwnership, getSecureCorsHeaders, checkRateLimit, createRateLimitResponse, createSafeErrorResponse, sanitizeError } from './auth-utils.js'
 import { logDebug, logError, logWarn } from './logger.js'
-import { validateGuid, validateEntityName, escapeODataValue } from './security-utils.js'
+import { validateGuid, validateEntityName, escapeODataValue, buildSafeODataFilter, buildOrganizationScopeFilter } from './security-utils.js'
+import { parseXml, parseFormXml, parseLayoutXml, getChildren, getPath } from './form-xml-parser.js'
+import { getAttributeCatalog, getCatalogAttribute, getControlTypeForAttribute, getColumnTypeForAttribute, getCatalogOptionSets, validateDataAgainstCatalog, METADATA_CACHE_TAG, getEntityMetadataCacheTag } from './attribute-catalog.js'
+import { getEntityIdFromHeader } from './dataverse-batch.js'
+import { createDataverseClient } from './dataverse-client.js'
+import { getCache, hashKey } from './cache.js'
+import { getEntityConfig } from './entity-config.js'
+import { buildExportFile, EXPORT_FORMATS } from './spreadsheet-export.js'
+import { validateAttachment, isInlineMimeType } from './attachment-utils.js'
+import { prepareCommentBody, sanitizeCommentHtml, getCommentAuthorFromSubject, COMMENT_SUBJECT_PREFIX } from './comment-utils.js'
+import { createContinuationToken, readContinuationToken, getContinuationTokenSecret, buildTokenScope, toRelativeNextLink } from './continuation-token.js'
+
+// Parsed form and view metadata, keyed by GUID and versionnumber (backend selected by CACHE_BACKEND - see cache.js)
+const metadataCache = getCache('metadata')
+const METADATA_VERSION_TTL = 60 * 1000 // how long a known form/view version is trusted before it is checked again
+const METADATA_CACHE_TTL = 10 * 60 * 1000 // same as the attribute catalog the metadata is parsed with
 
 // 🔒 SECURITY: System fields that MUST NOT be modified by client requests
 // These fields are managed by Dataverse internally or through admin operations only
@@ -44,6 +80,16 @@ const BLOCKED_SYSTEM_FIELDS = [
     'yominame',            // Computed field (phonetic name) - read-only
 ]
 
+// Request keys that carry API metadata rather than record fields (compared lowercase)
+const REQUEST_METADATA_FIELDS = ['@odata.etag', 'contactguid']
+
+/**
+ * Record field names in a request body, without API metadata keys
+ */
+function getRequestFieldNames(data) {
+    return Object.keys(data).filter(key => !REQUEST_METADATA_FIELDS.includes(key.toLowerCase()))
+}
+
 /**
  * 🔒 SECURITY: Validate incoming fields against entity form metadata
  * Prevents unauthorized field manipulation by ensuring only form-visible fields are accepted
@@ -117,15 +163,12 @@ function validateFieldSecurity(data, formMetadata, entityLogicalName) {
     logDebug(`🔒   Incoming fields: ${incomingFields.length}`)
     logDebug(`🔒   Incoming fields list: ${incomingFields.join(', ')}`)
     
-    // Fields that are legitimate metadata and should be exempted from validation
-    const METADATA_FIELDS = ['@odata.etag', 'contactguid', 'contactGuid']
-    
     // Check each incoming field
     for (const fieldName of incomingFields) {
         const fieldLower = fieldName.toLowerCase()
         
         // Skip metadata fields (legitimate API fields)
-        if (METADATA_FIELDS.includes(fieldLower)) {
+        if (REQUEST_METADATA_FIELDS.includes(fieldLower)) {
             logDebug(`✅ Allowing metadata field: ${fieldName}`)
             continue
         }
@@ -165,6 +208,35 @@ function validateFieldSecurity(data, formMetadata, entityLogicalName) {
     return { valid: true, blockedFields: [], unauthorizedFields: [], message: '' }
 }
 
+/**
+ * Collect form fields the user must fill in on create
+ * Disabled, hidden and server-populated relation fields are excluded
+ */
+function getRequiredFormFields(formMetadata, entityConfig) {
+    const serverPopulated = [entityConfig.contactRelationField, entityConfig.accountRelationField].filter(Boolean)
+    
+    return getPortalFormControls(formMetadata)
+        .filter(control => control.required && !control.disabled && control.visible !== false &&
+            !serverPopulated.includes(control.datafieldname))
+        .map(control => control.datafieldname)
+}
+
+/**
+ * 🔒 SECURITY: Validate field values against the entity attribute catalog
+ * Throws a validation error (400) listing every invalid field
+ */
+async function validateFieldValues(accessToken, data, formMetadata, entityConfig, operation) {
+    const catalog = await getAttributeCatalog(accessToken, entityConfig.entityLogicalName)
+    const result = validateDataAgainstCatalog(data, catalog, operation, {
+        requiredFields: getRequiredFormFields(formMetadata, entityConfig)
+    })
+    
+    if (!result.valid) {
+        logWarn(`⚠️ Field validation failed for ${operation} ${entityConfig.entityLogicalName}: ${result.errors.join('; ')}`)
+        throw new Error(`Field validation failed: ${result.errors.join('; ')}`)
+    }
+}
+
 export const handler = async (event) => {
     // Get origin for CORS
     const origin = event.headers?.origin || event.headers?.Origin || null
@@ -197,7 +269,7 @@ export const handler = async (event) => {
         logDebug(`✅ Generic entity request from: ${user.userId}`)
         
         // 🔒 SECURITY: Rate limiting per user ID
-        const rateLimitResult = checkRateLimit(user.userId, {
+        const rateLimitResult = await checkRateLimit(user.userId, {
             maxRequests: 60, // 60 requests per minute for generic entity operations
             windowMs: 60 * 1000,
             message: 'Too many API requests. Please slow down.'
@@ -251,7 +323,12 @@ export const handler = async (event) => {
         if (event.httpMethod === 'GET') {
             contactGuid = event.queryStringParameters?.contactGuid
         } else {
-            const requestBody = event.body ? JSON.parse(event.body) : {}
+            let requestBody
+            try {
+                requestBody = event.body ? JSON.parse(event.body) : {}
+            } catch (error) {
+                throw new Error('Request validation failed: body must be valid JSON')
+            }
             contactGuid = requestBody.contactGuid
         }
         
@@ -309,23 +386,73 @@ export const handler = async (event) => {
                 return createAuthErrorResponse('Invalid entity ID format', 400, origin)
             }
         }
+        
+        let attachmentId = event.queryStringParameters?.attachmentId
+        if (attachmentId) {
+            if (!entityId || !isValidGuid(attachmentId)) {
+                logWarn(`🔒 SECURITY: Invalid attachment request rejected: ${attachmentId}`)
+                return createAuthErrorResponse('Invalid attachment ID format', 400, origin)
+            }
+            attachmentId = attachmentId.toLowerCase()
+        }
 
         switch (event.httpMethod) {
             case 'GET':
                 if (mode === 'list') {
                     return await handleListRequest(accessToken, entityConfig, userContact, viewMode, origin, event)
+                } else if (mode === 'export') {
+                    return await handleExportRequest(accessToken, entityConfig, userContact, viewMode, origin, event)
                 } else if (mode === 'form') {
                     return await handleFormMetadataRequest(accessToken, entityConfig, userContact, origin)
                 } else if (mode === 'subgrid') {
-                    return await handleSubgridRequest(accessToken, entityConfig, userContact, event, origin)
+                    return await handleSubgridRequest(accessToken, entityConfig, userContact, event, viewMode, origin)
+                } else if (mode === 'lookup') {
+                    return await handleLookupRequest(accessToken, entityConfig, userContact, event, viewMode, origin)
+                } else if (mode === 'search') {
+                    return await handleSearchRequest(accessToken, entityConfig, userContact, event, viewMode, origin)
+                } else if (mode === 'removed') {
+                    return await handleRemovedListRequest(accessToken, entityConfig, userContact, origin)
+                } else if (mode === 'attachments' && entityId) {
+                    return await handleAttachmentListRequest(accessToken, entityConfig, userContact, entityId, origin)
+                } else if (mode === 'attachment' && attachmentId) {
+                    return await handleAttachmentDownloadRequest(accessToken, entityConfig, userContact, entityId, attachmentId, origin)
+                } else if (mode === 'comments' && entityId) {
+                    return await handleCommentListRequest(accessToken, entityConfig, userContact, entityId, viewMode, origin)
                 } else if (entityId) {
-                    return await handleSingleEntityRequest(accessToken, entityConfig, userContact, entityId, origin)
+                    return await handleSingleEntityRequest(accessToken, entityConfig, userContact, entityId, viewMode, origin)
                 } else {
                     return await handleListRequest(accessToken, entityConfig, userContact, viewMode, origin, event)
                 }
 
             case 'POST':
-                return await handleCreateRequest(accessToken, entityConfig, userContact, event.body, origin)
+                if (event.queryStringParameters?.action === 'batch') {
+                    return await handleBatchRequest(accessToken, entityConfig, userContact, event.body, origin)
+                }
+                if (event.queryStringParameters?.action === 'import') {
+                    return await handleImportRequest(accessToken, entityConfig, userContact, event.body, origin)
+                }
+                if (event.queryStringParameters?.action === 'attachment') {
+                    if (!entityId) {
+                        return createAuthErrorResponse('Entity ID is required for attachments', 400, origin)
+                    }
+                    return await handleAttachmentUploadRequest(accessToken, entityConfig, userContact, entityId, event.body, origin)
+                }
+                if (event.queryStringParameters?.action === 'associate' || event.queryStringParameters?.action === 'disassociate') {
+                    return await handleAssociationRequest(accessToken, entityConfig, userContact, event.queryStringParameters.action, event.body, origin)
+                }
+                if (event.queryStringParameters?.action === 'comment') {
+                    if (!entityId) {
+                        return createAuthErrorResponse('Entity ID is required for comments', 400, origin)
+                    }
+                    return await handleCommentCreateRequest(accessToken, entityConfig, userContact, entityId, viewMode, event.body, origin)
+                }
+                if (event.queryStringParameters?.action === 'restore') {
+                    if (!entityId) {
+                        return createAuthErrorResponse('Entity ID is required for restore', 400, origin)
+                    }
+                    return await handleRestoreRequest(accessToken, entityConfig, userContact, entityId, origin)
+                }
+                return await handleCreateRequest(accessToken, entityConfig, userContact, event.body, viewMode, origin)
 
             case 'PATCH':
                 if (!entityId) {
@@ -337,7 +464,10 @@ export const handler = async (event) => {
                 if (!entityId) {
                     return createAuthErrorResponse('Entity ID is required for delete', 400, origin)
                 }
-                return await handleDeleteRequest(accessToken, entityConfig, userContact, entityId, origin)
+                if (attachmentId) {
+                    return await handleAttachmentDeleteRequest(accessToken, entityConfig, userContact, entityId, attachmentId, origin)
+                }
+                return await handleDeleteRequest(accessToken, entityConfig, userContact, entityId, event.body, origin)
 
             default:
                 return createAuthErrorResponse('Method not allowed', 405, origin)
@@ -349,74 +479,28 @@ export const handler = async (event) => {
     }
 }
 
-/**
- * Get entity metadata from Dataverse to understand field types and names
- */
-async function getEntityMetadata(accessToken, entityLogicalName) {
-    // Using process.env.DATAVERSE_URL directly to avoid initialization issues
-    
-    // Get entity metadata including attributes and relationships
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/EntityDefinitions?$filter=LogicalName eq '${entityLogicalName}'&$expand=Attributes($select=LogicalName,AttributeType,AttributeTypeName),OneToManyRelationships($select=ReferencingAttribute,ReferencingEntity,ReferencingEntityNavigationPropertyName),ManyToOneRelationships($select=ReferencingAttribute,ReferencingEntity,ReferencingEntityNavigationPropertyName)`
-    
-    logDebug('🔍 Fetching entity metadata for:', entityLogicalName)
-    logDebug('🌐 Metadata URL:', url)
-    
-    const response = await fetchWithTimeout(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-    }, 30000)  // 30s timeout for Dataverse API calls
-
-    if (!response.ok) {
-        const errorText = await response.text()
-        console.error('Failed to fetch entity metadata:', response.status, errorText)
-        return null
-    }
-
-    const data = await response.json()
-    const entity = data.value?.[0]
-    
-    if (!entity) {
-        console.error('Entity not found:', entityLogicalName)
-        return null
-    }
-    
-    return entity
-}
-
 /**
  * Get relationship metadata from Dataverse Metadata API
- * Finds the exact lookup field name for a relationship
+ * Finds the exact lookup field name for a 1:N relationship, or the collection-valued
+ * navigation property on the parent for an N:N relationship
  */
 async function getRelationshipMetadata(accessToken, parentEntityName, relationshipName) {
     try {
         logDebug(`🔗 Getting relationship metadata: ${parentEntityName}.${relationshipName}`)
         
         // Query EntityDefinitions for the parent entity with relationship expansion
-        const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/EntityDefinitions?$filter=LogicalName eq '${parentEntityName}'&$expand=OneToManyRelationships($filter=SchemaName eq '${relationshipName}';$select=SchemaName,ReferencedEntity,ReferencedAttribute,ReferencingEntity,ReferencingAttribute,ReferencingEntityNavigationPropertyName)`
-        
-        const response = await fetchWithTimeout(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'OData-MaxVersion': '4.0',
-                'OData-Version': '4.0',
-                'Accept': 'application/json',
-            },
-        }, 30000)
-
-        if (!response.ok) {
-            const errorText = await response.text()
-            logError(`Failed to fetch relationship metadata: ${response.status}`, errorText)
-            return null
+        const oneToMany = `OneToManyRelationships($filter=SchemaName eq '${relationshipName}';$select=SchemaName,ReferencedEntity,ReferencedAttribute,ReferencingEntity,ReferencingAttribute,ReferencingEntityNavigationPropertyName)`
+        const manyToMany = `ManyToManyRelationships($filter=SchemaName eq '${relationshipName}';$select=SchemaName,Entity1LogicalName,Entity2LogicalName,IntersectEntityName,Entity1NavigationPropertyName,Entity2NavigationPropertyName)`
+        const data = await createDataverseClient(accessToken).list('EntityDefinitions', {
+            filter: `LogicalName eq '${parentEntityName}'`,
+            expand: `${oneToMany},${manyToMany}`
+        })
+        const entity = data.value[0]
+        
+        const manyToManyRelationship = entity?.ManyToManyRelationships?.[0]
+        if (manyToManyRelationship && !entity.OneToManyRelationships?.length) {
+            return toManyToManyRelationship(manyToManyRelationship, parentEntityName)
         }
-
-        const data = await response.json()
-        const entity = data.value?.[0]
         
         if (!entity || !entity.OneToManyRelationships || entity.OneToManyRelationships.length === 0) {
             logWarn(`⚠️ Relationship not found: ${relationshipName}`)
@@ -428,6 +512,7 @@ async function getRelationshipMetadata(accessToken, parentEntityName, relationsh
         logDebug(`✅ Found relationship: ${relationship.ReferencingEntity}.${relationship.ReferencingAttribute}`)
         
         return {
+            relationshipType: 'OneToMany',
             referencingEntity: relationship.ReferencingEntity,
             referencingAttribute: relationship.ReferencingAttribute,
             referencedEntity: relationship.ReferencedEntity,
@@ -442,8 +527,100 @@ async function getRelationshipMetadata(accessToken, parentEntityName, relationsh
     }
 }
 
+/**
+ * Map N:N relationship metadata to the side of the parent entity
+ * Records are read and linked through the parent's collection-valued navigation property
+ */
+function toManyToManyRelationship(relationship, parentEntityName) {
+    const parentIsEntity1 = relationship.Entity1LogicalName === parentEntityName
+    const targetEntity = parentIsEntity1 ? relationship.Entity2LogicalName : relationship.Entity1LogicalName
+    const navigationProperty = (parentIsEntity1 ? relationship.Entity1NavigationPropertyName : relationship.Entity2NavigationPropertyName) || relationship.SchemaName
+    
+    logDebug(`✅ Found N:N relationship: ${parentEntityName}.${navigationProperty} -> ${targetEntity} (${relationship.IntersectEntityName})`)
+    
+    return {
+        relationshipType: 'ManyToMany',
+        schemaName: relationship.SchemaName,
+        intersectEntity: relationship.IntersectEntityName,
+        targetEntity: targetEntity,
+        navigationProperty: navigationProperty
+    }
+}
+
+/**
+ * 🔒 SECURITY: Resolve an N:N relationship named by the client from Dataverse metadata
+ * The navigation property is never taken from the request, and the relationship must link
+ * the parent entity to the entity of this request
+ */
+async function resolveManyToManyRelationship(accessToken, entityConfig, params) {
+    const parentEntity = validateEntityName(params.parentEntity)
+    const relationshipName = validateEntityName(params.relationshipName)
+    
+    if (!isValidGuid(params.parentId)) {
+        throw new Error('Invalid parent ID format')
+    }
+    
+    const relationship = await getRelationshipMetadata(accessToken, parentEntity, relationshipName)
+    if (!relationship || relationship.relationshipType !== 'ManyToMany' || relationship.targetEntity !== entityConfig.entityLogicalName) {
+        logWarn(`🛡️ SECURITY: ${relationshipName} is not an N:N relationship between ${parentEntity} and ${entityConfig.entityLogicalName}`)
+        throw new Error(`Relationship validation failed: ${relationshipName} does not link ${parentEntity} to ${entityConfig.entityLogicalName}`)
+    }
+    
+    const parentSetName = await resolveEntitySetName(accessToken, parentEntity)
+    return {
+        ...relationship,
+        parentEntity: parentEntity,
+        parentId: params.parentId.toLowerCase(),
+        parentPath: `${parentSetName}(${params.parentId.toLowerCase()})/${relationship.navigationProperty}`
+    }
+}
+
+/**
+ * 🔒 SECURITY: Resolve a 1:N relationship named by the client from Dataverse metadata
+ * The lookup that points at the parent is never taken from the request, and the relationship
+ * must link the parent entity to the entity of this request
+ */
+async function resolveOneToManyRelationship(accessToken, entityConfig, params) {
+    const parentEntity = validateEntityName(params.parentEntity)
+    const relationshipName = validateEntityName(params.relationshipName)
+    
+    if (!isValidGuid(params.parentId)) {
+        throw new Error('Invalid parent ID format')
+    }
+    
+    const relationship = await getRelationshipMetadata(accessToken, parentEntity, relationshipName)
+    if (!relationship || relationship.relationshipType !== 'OneToMany' || relationship.referencingEntity !== entityConfig.entityLogicalName) {
+        logWarn(`🛡️ SECURITY: ${relationshipName} is not a 1:N relationship from ${parentEntity} to ${entityConfig.entityLogicalName}`)
+        throw new Error(`Relationship validation failed: ${relationshipName} does not link ${parentEntity} to ${entityConfig.entityLogicalName}`)
+    }
+    
+    return {
+        ...relationship,
+        parentEntity: parentEntity,
+        parentId: params.parentId.toLowerCase(),
+        lookupField: `_${relationship.referencingAttribute}_value`
+    }
+}
+
+/**
+ * 🔒 SECURITY: Verify the user can read the parent record of a relationship
+ * The parent entity must be configured for the portal, so its security scoping is known
+ */
+async function verifyParentRecordAccess(accessToken, userContact, relationship, viewMode) {
+    const parentConfig = await getEntityConfiguration(accessToken, relationship.parentEntity)
+    if (!parentConfig) {
+        logWarn(`⚠️ SECURITY: Parent entity ${relationship.parentEntity} has no portal configuration`)
+        throw new Error(`Access denied: ${relationship.parentEntity} is not available in the portal`)
+    }
+    await verifyRecordAccess(accessToken, parentConfig, userContact, relationship.parentId, viewMode)
+}
+
 /**
  * Handle list request - get entities with view metadata
+ * 
+ * Pages come from Dataverse server-side paging (odata.maxpagesize + @odata.nextLink with its
+ * paging cookie). The next link is returned as an encrypted continuation token bound to this
+ * entity, user and query - the browser never sees the Dataverse URL.
  */
 async function handleListRequest(accessToken, entityConfig, userContact, viewMode = 'personal', origin = null, event = null) {
     // Using process.env.DATAVERSE_URL directly to avoid initialization issues
@@ -452,106 +629,85 @@ async function handleListRequest(accessToken, entityConfig, userContact, viewMod
     const MAX_RECORDS = 100  // Hard limit - never exceed this
     const DEFAULT_PAGE_SIZE = 20  // Default records per page
     
-    // Get pagination parameters from query string
-    let requestedTop = DEFAULT_PAGE_SIZE
-    let skip = 0
+    const queryParams = event?.queryStringParameters || {}
     
-    if (event && event.queryStringParameters) {
-        // Validate and sanitize $top parameter
-        if (event.queryStringParameters.$top || event.queryStringParameters.top) {
-            const topParam = event.queryStringParameters.$top || event.queryStringParameters.top
-            const parsedTop = parseInt(topParam, 10)
-            
-            if (!isNaN(parsedTop) && parsedTop > 0) {
-                // Enforce maximum limit
-                requestedTop = Math.min(parsedTop, MAX_RECORDS)
-                logDebug(`📊 PAGINATION: Requested ${parsedTop}, enforcing ${requestedTop} (max ${MAX_RECORDS})`)
-            }
-        }
+    // Validate and sanitize the page size
+    let pageSize = DEFAULT_PAGE_SIZE
+    const topParam = queryParams.$top || queryParams.top
+    if (topParam) {
+        const parsedTop = parseInt(topParam, 10)
         
-        // Validate and sanitize $skip parameter for pagination
-        if (event.queryStringParameters.$skip || event.queryStringParameters.skip) {
-            const skipParam = event.queryStringParameters.$skip || event.queryStringParameters.skip
-            const parsedSkip = parseInt(skipParam, 10)
-            
-            if (!isNaN(parsedSkip) && parsedSkip >= 0) {
-                skip = parsedSkip
-                logDebug(`📊 PAGINATION: Skip ${skip} records`)
-            }
+        if (!isNaN(parsedTop) && parsedTop > 0) {
+            // Enforce maximum limit
+            pageSize = Math.min(parsedTop, MAX_RECORDS)
+            logDebug(`📊 PAGINATION: Requested ${parsedTop}, enforcing ${pageSize} (max ${MAX_RECORDS})`)
         }
     }
     
-    // Get view metadata if available
-    let viewMetadata = null
-    if (entityConfig.viewMainGuid) {
-        viewMetadata = await getViewMetadata(accessToken, entityConfig.viewMainGuid, entityConfig)
-    }
-    
-    // Build security filter
-    const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, viewMode)
-    
-    // Build query based on view or default fields
-    const viewFieldInfo = viewMetadata ? await getFieldsFromViewMetadata(viewMetadata, entityConfig) : null
-    const select = viewFieldInfo?.select || getDefaultEntityFields(entityConfig.entityLogicalName)
-    const expand = viewFieldInfo?.expand
-    
-    // Safety check: if select is empty, use default fields
-    const finalSelect = select && select.trim() ? select : getDefaultEntityFields(entityConfig.entityLogicalName)
+    const { viewMetadata, securityFilter, listQuery, combinedFilter, select: finalSelect, expand } =
+        await buildListQuery(accessToken, entityConfig, userContact, viewMode, queryParams)
 
-    // Build the URL using unified pattern for all entities with pagination
-    let url = `${process.env.DATAVERSE_URL}/api/data/v9.0/${getEntitySetName(entityConfig.entityLogicalName)}?$filter=${encodeURIComponent(securityFilter)}&$orderby=createdon desc&$top=${requestedTop}`
-    
-    // Add skip if pagination is used
-    if (skip > 0) {
-        url += `&$skip=${skip}`
-    }
-    
-    // Add select fields if available
-    if (finalSelect) {
-        url += `&$select=${finalSelect}`
-    }
-    
-    // Add expand if available
-    if (expand) {
-        url += `&$expand=${expand}`
+    // 🔒 SECURITY: Tokens only continue the exact query they were issued for - a changed
+    // security filter (e.g. lost admin rights) or query invalidates them
+    const tokenSecret = getContinuationTokenSecret()
+    const tokenScope = buildTokenScope([entityConfig.entityLogicalName, userContact.contactid, combinedFilter, listQuery.orderBy, finalSelect, expand || null, pageSize])
+    
+    let path
+    let queryOptions = {}
+    let page = 1
+    let knownCount = null
+    let knownCountLimitExceeded = false
+    
+    if (queryParams.cursor) {
+        const continuation = readContinuationToken(queryParams.cursor, tokenSecret, tokenScope)
+        // The next link already carries every query option
+        path = `${process.env.DATAVERSE_URL.replace(/\/+$/, '')}/api/data/${continuation.link}`
+        page = continuation.page
+        knownCount = continuation.count
+        knownCountLimitExceeded = continuation.countLimitExceeded === true
+    } else {
+        // Same query pattern for all entities - count supports pagination metadata
+        path = await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)
+        queryOptions = {
+            filter: combinedFilter,
+            orderBy: listQuery.orderBy,
+            select: finalSelect,
+            expand: expand,
+            count: true
+        }
     }
-    
-    // Add count to support pagination metadata
-    url += `&$count=true`
 
     // DEBUG: Log the complete OData query
     logDebug(`🔍 LIST REQUEST DEBUG:`)
     logDebug(`🔍 Entity: ${entityConfig.entityLogicalName}`)
-    logDebug(`🔍 Entity Set: ${getEntitySetName(entityConfig.entityLogicalName)}`)
     logDebug(`🔍 Security Filter: ${securityFilter}`)
-    logDebug(`🔍 Pagination: top=${requestedTop}, skip=${skip}`)
+    logDebug(`🔍 View Filter: ${viewMetadata?.filter || '(none)'}`)
+    logDebug(`🔍 Query Filter: ${listQuery.filter || '(none)'}`)
+    logDebug(`🔍 Order By: ${listQuery.orderBy}`)
+    logDebug(`🔍 Pagination: page=${page}, pageSize=${pageSize}${queryParams.cursor ? ' (continuation)' : ''}`)
     logDebug(`🔍 Select: ${finalSelect}`)
     logDebug(`🔍 Expand: ${expand}`)
-    logDebug(`🔍 Complete URL: ${url}`)
+    logDebug(`🔍 Path: ${path}`)
 
-    const response = await fetchWithTimeout(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-            'Prefer': 'odata.include-annotations="*"'  // Include count
-        },
-    }, 30000)  // 30s timeout for Dataverse API calls
-
-    if (!response.ok) {
-        const errorText = await response.text()
-        console.error('Dataverse API Error:', response.status, errorText)
-        throw new Error(`Failed to fetch entities: ${response.status}`)
-    }
-
-    const data = await response.json()
-    const entities = data.value || []
-    const totalCount = data['@odata.count'] !== undefined ? data['@odata.count'] : entities.length
+    // Include count and formatted values; Dataverse pages with a paging cookie in @odata.nextLink
+    const data = await createDataverseClient(accessToken).list(path, { ...queryOptions, annotations: true, maxPageSize: pageSize })
+    const entities = data.value
+    // Dataverse counts at most 5000 records - later pages reuse the count from the first one
+    const totalCount = data['@odata.count'] !== undefined ? data['@odata.count'] : (knownCount ?? entities.length)
+    const countLimitExceeded = data['@Microsoft.Dynamics.CRM.totalrecordcountlimitexceeded'] === true || knownCountLimitExceeded
     const nextLink = data['@odata.nextLink']
+    
+    const continuationToken = nextLink
+        ? createContinuationToken({
+            scope: tokenScope,
+            link: toRelativeNextLink(nextLink, process.env.DATAVERSE_URL),
+            page: page + 1,
+            count: totalCount,
+            countLimitExceeded: countLimitExceeded
+        }, tokenSecret)
+        : null
 
-    logDebug(`✅ Successfully retrieved ${entities.length} entities (total available: ${totalCount})`)
+    logDebug(`✅ Successfully retrieved ${entities.length} entities on page ${page} (total available: ${totalCount}${countLimitExceeded ? '+' : ''})`)
     logDebug(`🔍 SAMPLE ENTITY DATA:`, entities[0])
     logDebug(`🔍 ENTITY KEYS:`, entities.length > 0 ? Object.keys(entities[0]) : 'No entities')
     
@@ -568,18 +724,329 @@ async function handleListRequest(accessToken, entityConfig, userContact, viewMod
         entityConfig: entityConfig,
         viewMetadata: viewMetadata,
         pagination: {
-            pageSize: requestedTop,
-            skip: skip,
+            pageSize: pageSize,
+            page: page,
             returned: entities.length,
             totalCount: totalCount,
-            hasMore: !!nextLink,
-            nextLink: nextLink
+            countLimitExceeded: countLimitExceeded,
+            hasMore: !!continuationToken,
+            continuationToken: continuationToken
         },
+        query: listQuery.applied,
         mode: 'list',
         userIsAdmin: !!userContact?.cp_portaladmin
     }, 200, origin)
 }
 
+/**
+ * Build the security-filtered list query shared by list and export
+ * Combines the security filter, the view's filter and the user's search/filters/sort
+ */
+async function buildListQuery(accessToken, entityConfig, userContact, viewMode, queryParams) {
+    // Get view metadata if available
+    let viewMetadata = null
+    if (entityConfig.viewMainGuid) {
+        viewMetadata = await getViewMetadata(accessToken, entityConfig.viewMainGuid, entityConfig)
+    }
+    
+    // Build security filter
+    const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, viewMode)
+    
+    // Build query based on view or default fields
+    const viewFieldInfo = viewMetadata ? await getFieldsFromViewMetadata(viewMetadata, entityConfig) : null
+    const select = viewFieldInfo?.select || getDefaultEntityFields(entityConfig.entityLogicalName)
+    const expand = viewFieldInfo?.expand
+    
+    // Safety check: if select is empty, use default fields
+    let finalSelect = select && select.trim() ? select : getDefaultEntityFields(entityConfig.entityLogicalName)
+    
+    // Always return the owner lookup so the UI can tell which rows the user may delete
+    if (entityConfig.contactRelationField) {
+        const ownerField = `_${entityConfig.contactRelationField}_value`
+        if (!finalSelect.split(',').map(field => field.trim()).includes(ownerField)) {
+            finalSelect += `,${ownerField}`
+        }
+    }
+
+    // 🔒 SECURITY: Search, filters and sort are validated against the view's columns
+    const listQuery = buildListQueryOptions(queryParams, viewMetadata, entityConfig)
+    
+    // Security filter first, then the view's own FetchXML filter, then user search/filters
+    const combinedFilter = [securityFilter, applyViewFilterParameters(viewMetadata?.filter, userContact), listQuery.filter]
+        .filter(Boolean)
+        .map(clause => `(${clause})`)
+        .join(' and ')
+
+    return { viewMetadata, securityFilter, listQuery, combinedFilter, select: finalSelect, expand }
+}
+
+// 🔒 SECURITY: Export limits - exports page through every record, so cap the total
+const MAX_EXPORT_RECORDS = 5000
+const EXPORT_PAGE_SIZE = 500
+
+/**
+ * Handle export request - every record matching the list query as CSV or XLSX
+ * 
+ * Uses the same security filter, search, filters and sort as mode=list, but follows
+ * @odata.nextLink through all pages instead of returning one page of MAX_RECORDS.
+ */
+async function handleExportRequest(accessToken, entityConfig, userContact, viewMode = 'personal', origin = null, event = null) {
+    const format = event?.queryStringParameters?.format || 'csv'
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Export validation failed: format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+    }
+    
+    const { viewMetadata, combinedFilter, listQuery, select, expand } =
+        await buildListQuery(accessToken, entityConfig, userContact, viewMode, event?.queryStringParameters || {})
+    
+    if (!viewMetadata?.columns?.length) {
+        throw new Error(`Export validation failed: no view columns configured for ${entityConfig.entityLogicalName}`)
+    }
+    
+    const dataverse = createDataverseClient(accessToken)
+    // Next links already carry the query options
+    let path = await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)
+    let queryOptions = { filter: combinedFilter, orderBy: listQuery.orderBy, select: select, expand: expand, count: true }
+    
+    logDebug(`📤 EXPORT: ${entityConfig.entityLogicalName} as ${format} (view: ${viewMetadata.name})`)
+    
+    const records = []
+    while (path) {
+        // Formatted values for labels
+        const data = await dataverse.list(path, { ...queryOptions, annotations: true, maxPageSize: EXPORT_PAGE_SIZE })
+        
+        // Only the first page carries the count - refuse before paging through a huge result
+        if (records.length === 0 && data['@odata.count'] > MAX_EXPORT_RECORDS) {
+            throw new Error(`Export validation failed: ${data['@odata.count']} records match, the limit is ${MAX_EXPORT_RECORDS} - narrow the search or filters`)
+        }
+        
+        records.push(...data.value)
+        if (records.length > MAX_EXPORT_RECORDS) {
+            throw new Error(`Export validation failed: more than ${MAX_EXPORT_RECORDS} records match - narrow the search or filters`)
+        }
+        
+        path = data['@odata.nextLink'] || null
+        queryOptions = {}
+    }
+    
+    const entityName = entityConfig.name || entityConfig.entityLogicalName
+    const file = buildExportFile(format, viewMetadata.columns, records, entityName)
+    const fileName = `${entityName.replace(/[^A-Za-z0-9_-]+/g, '-')}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`
+    
+    logDebug(`✅ EXPORT: ${records.length} records, ${file.length} bytes (${fileName})`)
+    
+    return {
+        statusCode: 200,
+        headers: {
+            ...getSecureCorsHeaders(origin),
+            'Content-Type': EXPORT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'Cache-Control': 'no-store'
+        },
+        body: file.toString('base64'),
+        isBase64Encoded: true
+    }
+}
+
+// Operators allowed per column type for list filters
+const LIST_FILTER_OPERATORS = {
+    text: ['eq', 'contains'],
+    email: ['eq', 'contains'],
+    phone: ['eq', 'contains'],
+    datetime: ['eq', 'gt', 'lt', 'between'],
+    number: ['eq', 'gt', 'lt', 'between'],
+    decimal: ['eq', 'gt', 'lt', 'between'],
+    money: ['eq', 'gt', 'lt', 'between'],
+    boolean: ['eq'],
+    optionset: ['eq'],
+    lookup: ['eq']
+}
+
+// Column types included in free-text search
+const SEARCHABLE_COLUMN_TYPES = ['text', 'email', 'phone']
+
+const MAX_SEARCH_LENGTH = 100
+const MAX_LIST_FILTERS = 10
+const DEFAULT_LIST_ORDER_BY = 'createdon desc'
+
+/**
+ * Resolve the OData field name used to filter/sort a view column
+ * Lookup columns are queried through their _field_value property
+ */
+function getQueryFieldForColumn(column) {
+    if (column.type === 'lookup' && !column.name.endsWith('_value')) {
+        return `_${column.name}_value`
+    }
+    return column.name
+}
+
+/**
+ * Convert a raw filter value into the typed value expected by buildSafeODataFilter
+ */
+function parseListFilterValue(rawValue, column) {
+    if (rawValue === undefined || rawValue === null || rawValue === '') {
+        throw new Error(`Filter validation failed: value required for ${column.name}`)
+    }
+    
+    switch (column.type) {
+        case 'datetime': {
+            const date = new Date(rawValue)
+            if (isNaN(date.getTime())) {
+                throw new Error(`Filter validation failed: invalid date for ${column.name}`)
+            }
+            return date
+        }
+        case 'number':
+        case 'decimal':
+        case 'money': {
+            const number = typeof rawValue === 'number' ? rawValue : parseFloat(rawValue)
+            if (!Number.isFinite(number)) {
+                throw new Error(`Filter validation failed: invalid number for ${column.name}`)
+            }
+            return number
+        }
+        case 'boolean':
+            if (rawValue === true || rawValue === 'true') return true
+            if (rawValue === false || rawValue === 'false') return false
+            throw new Error(`Filter validation failed: invalid boolean for ${column.name}`)
+        case 'optionset': {
+            const option = parseInt(rawValue, 10)
+            if (isNaN(option)) {
+                throw new Error(`Filter validation failed: invalid option value for ${column.name}`)
+            }
+            return option
+        }
+        case 'lookup':
+            // Lookup values are GUIDs and are compared unquoted
+            return validateGuid(String(rawValue))
+        default:
+            return String(rawValue).slice(0, MAX_SEARCH_LENGTH)
+    }
+}
+
+/**
+ * 🔒 SECURITY: Build search, filter and sort options for list mode
+ * Only columns present in the configured view can be searched, filtered or sorted on.
+ * All clauses are built with buildSafeODataFilter.
+ * 
+ * Query parameters:
+ * - search: free text matched with contains() against text columns
+ * - filters: JSON array of { field, operator: eq|contains|gt|lt|between, value, value2 }
+ * - sortBy / sortDir: view column and asc|desc
+ * 
+ * @param {Object} params - Query string parameters
+ * @param {Object} viewMetadata - Parsed view metadata with columns
+ * @param {Object} entityConfig - Entity configuration
+ * @returns {Object} { filter: string|null, orderBy: string, applied: Object }
+ */
+function buildListQueryOptions(params, viewMetadata, entityConfig) {
+    const columns = viewMetadata?.columns || []
+    const columnsByName = new Map(columns.map(col => [col.name, col]))
+    const clauses = []
+    const applied = { search: null, filters: [], sortBy: null, sortDir: null }
+    
+    // Free-text search across text columns
+    const search = typeof params.search === 'string' ? params.search.trim() : ''
+    if (search) {
+        if (search.length > MAX_SEARCH_LENGTH) {
+            throw new Error(`Search validation failed: maximum ${MAX_SEARCH_LENGTH} characters`)
+        }
+        
+        const searchClauses = columns
+            .filter(col => SEARCHABLE_COLUMN_TYPES.includes(col.type))
+            .map(col => buildSafeODataFilter(getQueryFieldForColumn(col), 'contains', search))
+        
+        if (searchClauses.length > 0) {
+            clauses.push(`(${searchClauses.join(' or ')})`)
+            applied.search = search
+        } else {
+            logWarn(`⚠️ Search ignored: no searchable columns in view for ${entityConfig.entityLogicalName}`)
+        }
+    }
+    
+    // Per-column filters
+    if (params.filters) {
+        let filters
+        try {
+            filters = JSON.parse(params.filters)
+        } catch (error) {
+            throw new Error('Filter validation failed: filters must be valid JSON')
+        }
+        
+        if (!Array.isArray(filters)) {
+            throw new Error('Filter validation failed: filters must be an array')
+        }
+        if (filters.length > MAX_LIST_FILTERS) {
+            throw new Error(`Filter validation failed: maximum ${MAX_LIST_FILTERS} filters`)
+        }
+        
+        filters.forEach(filter => {
+            const column = columnsByName.get(filter?.field)
+            if (!column) {
+                logWarn(`🔒 SECURITY: Filter on column outside view rejected: ${filter?.field}`)
+                throw new Error(`Filter validation failed: ${filter?.field} is not a column in this view`)
+            }
+            
+            const allowedOperators = LIST_FILTER_OPERATORS[column.type] || LIST_FILTER_OPERATORS.text
+            if (!allowedOperators.includes(filter.operator)) {
+                throw new Error(`Filter validation failed: operator ${filter.operator} not allowed for ${column.name}`)
+            }
+            
+            const queryField = getQueryFieldForColumn(column)
+            const value = parseListFilterValue(filter.value, column)
+            
+            if (filter.operator === 'between') {
+                const value2 = parseListFilterValue(filter.value2, column)
+                clauses.push(`(${buildSafeODataFilter(queryField, 'ge', value)} and ${buildSafeODataFilter(queryField, 'le', value2)})`)
+            } else if (column.type === 'datetime' && filter.operator === 'eq') {
+                // Date equality matches the whole day
+                const nextDay = new Date(value.getTime() + 24 * 60 * 60 * 1000)
+                clauses.push(`(${buildSafeODataFilter(queryField, 'ge', value)} and ${buildSafeODataFilter(queryField, 'lt', nextDay)})`)
+            } else if (column.type === 'lookup') {
+                // GUID literals must not be quoted - field comes from view metadata and value passed validateGuid
+                clauses.push(`${queryField} eq ${value}`)
+            } else {
+                clauses.push(buildSafeODataFilter(queryField, filter.operator, value))
+            }
+            
+            applied.filters.push({
+                field: column.name,
+                operator: filter.operator,
+                value: filter.value,
+                ...(filter.operator === 'between' ? { value2: filter.value2 } : {})
+            })
+        })
+    }
+    
+    // Sorting - explicit sort wins, then the view's <order>, then newest first
+    let orderBy = viewMetadata?.orderBy || DEFAULT_LIST_ORDER_BY
+    if (params.sortBy) {
+        const column = columnsByName.get(params.sortBy)
+        if (!column) {
+            logWarn(`🔒 SECURITY: Sort on column outside view rejected: ${params.sortBy}`)
+            throw new Error(`Sort validation failed: ${params.sortBy} is not a column in this view`)
+        }
+        if (column.sortable === false) {
+            throw new Error(`Sort validation failed: sorting is disabled for ${column.name}`)
+        }
+        
+        const sortDir = (params.sortDir || 'asc').toLowerCase()
+        if (sortDir !== 'asc' && sortDir !== 'desc') {
+            throw new Error('Sort validation failed: sortDir must be asc or desc')
+        }
+        
+        orderBy = `${getQueryFieldForColumn(column)} ${sortDir}`
+        applied.sortBy = column.name
+        applied.sortDir = sortDir
+    }
+    
+    return {
+        filter: clauses.length > 0 ? clauses.join(' and ') : null,
+        orderBy: orderBy,
+        applied: applied
+    }
+}
+
 /**
  * Handle form metadata request
  */
@@ -599,43 +1066,54 @@ async function handleFormMetadataRequest(accessToken, entityConfig, userContact,
     }, 200, origin)
 }
 
+// 🔒 SECURITY: Subgrid paging limits
+const MAX_SUBGRID_PAGE_SIZE = 50
+const DEFAULT_SUBGRID_PAGE_SIZE = 10
+
 /**
  * Handle subgrid request - get related records for a parent entity
+ * 
+ * 🔒 SECURITY: The relationship is resolved from Dataverse metadata, the user must be able to
+ * read the parent record, and the related records are scoped with buildEntitySecurityFilter
+ * (contact, organization view or account patterns). Targets without a portal configuration
+ * never get here - the handler rejects entities with no cp_entityconfig record.
+ * 
+ * Query parameters (besides the relationship):
+ * - top / skip: page size (max 50) and offset
+ * - sortBy / sortDir: view column and asc|desc (validated like list sorting)
  */
-async function handleSubgridRequest(accessToken, entityConfig, userContact, event, origin = null) {
+async function handleSubgridRequest(accessToken, entityConfig, userContact, event, viewMode = 'personal', origin = null) {
     const params = event.queryStringParameters
-    const parentId = params.parentId
-    const relationshipField = params.relationshipField
     const viewId = params.viewId  // NEW: Get view ID for subgrid
     
     logDebug(`📋 Fetching subgrid for ${entityConfig.entityLogicalName}...`)
-    logDebug(`📋 Parent ID: ${parentId}`)
-    logDebug(`📋 Relationship field: ${relationshipField}`)
+    logDebug(`📋 Parent: ${params.parentEntity} ${params.parentId}`)
+    logDebug(`📋 Relationship: ${params.relationshipName}`)
     logDebug(`📋 View ID: ${viewId}`)
     
-    if (!parentId || !relationshipField) {
-        throw new Error('parentId and relationshipField are required for subgrid mode')
+    if (!params.parentId || !params.parentEntity || !params.relationshipName) {
+        throw new Error('parentId, parentEntity and relationshipName are required for subgrid mode')
     }
     
-    // 🔒 SECURITY: Validate GUID format to prevent injection
-    if (!isValidGuid(parentId)) {
-        throw new Error('Invalid parent ID format')
-    }
+    // N:N records are read through the parent's navigation property, 1:N records by their lookup field
+    const isManyToMany = params.relationshipType === 'ManyToMany'
+    const relationship = isManyToMany
+        ? await resolveManyToManyRelationship(accessToken, entityConfig, params)
+        : await resolveOneToManyRelationship(accessToken, entityConfig, params)
     
-    // Build OData filter for relationship
-    let filter = `${relationshipField} eq '${parentId}'`
+    await verifyParentRecordAccess(accessToken, userContact, relationship, viewMode)
     
-    // 🔒 SECURITY: Apply contact-based filtering if entity has contact relation
-    const contactRelationField = entityConfig.contactRelationField || entityConfig.cp_contactrelationfield
-    if (contactRelationField && userContact && userContact.contactid) {
-        const contactFilter = `_${contactRelationField}_value eq '${userContact.contactid}'`
-        filter = `${filter} and ${contactFilter}`
-        logDebug(`🔒 SECURITY: Applied contact filter for subgrid: ${contactFilter}`)
-    }
+    // 🔒 SECURITY: Same scoping as list mode, for the view mode the parent was opened in
+    const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, viewMode)
+    const filterParts = isManyToMany ? [securityFilter] : [securityFilter, `${relationship.lookupField} eq '${relationship.parentId}'`]
+    const filter = filterParts.map(part => `(${part})`).join(' and ')
+    logDebug(`🔒 SECURITY: Subgrid filter: ${filter}`)
     
-    //🔒 SECURITY: Pagination limits
-    const MAX_SUBGRID_RECORDS = 50  // Limit subgrid records
-    const top = Math.min(parseInt(params.$top || MAX_SUBGRID_RECORDS, 10), MAX_SUBGRID_RECORDS)
+    // 🔒 SECURITY: Pagination limits - invalid values fall back to the first page
+    const parsedTop = parseInt(params.$top || params.top, 10)
+    const top = !isNaN(parsedTop) && parsedTop > 0 ? Math.min(parsedTop, MAX_SUBGRID_PAGE_SIZE) : DEFAULT_SUBGRID_PAGE_SIZE
+    const parsedSkip = parseInt(params.$skip || params.skip, 10)
+    const skip = !isNaN(parsedSkip) && parsedSkip > 0 ? parsedSkip : 0
     
     // REQUIRED: Get view metadata to determine exact columns for subgrid
     if (!viewId) {
@@ -652,6 +1130,9 @@ async function handleSubgridRequest(accessToken, entityConfig, userContact, even
     logDebug(`📋 Got view metadata with ${viewMetadata.columns.length} columns`)
     const queryResult = await buildSmartQueryFromMetadata(viewMetadata, entityConfig)
     
+    // 🔒 SECURITY: Only sorting is taken from the request - the columns must be in the subgrid view
+    const subgridQuery = buildListQueryOptions({ sortBy: params.sortBy, sortDir: params.sortDir }, viewMetadata, entityConfig)
+    
     if (!queryResult.select) {
         throw new Error('Failed to build column selection from view metadata - cannot proceed without defined columns')
     }
@@ -661,46 +1142,220 @@ async function handleSubgridRequest(accessToken, entityConfig, userContact, even
     logDebug(`📋 Subgrid query from view - select: ${select}, expand: ${expand}`)
     
     // Build OData query with view-specific fields
-    const selectParam = `$select=${select}`
-    const expandParam = expand ? `&$expand=${expand}` : ''
-    const odataParams = `$filter=${encodeURIComponent(filter)}&${selectParam}${expandParam}&$top=${top}`
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/${entityConfig.entityLogicalName}s?${odataParams}`
-    
-    logDebug(`📋 Subgrid OData URL: ${url}`)
-    
-    const response = await fetchWithTimeout(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-            'Prefer': 'odata.include-annotations="*"'
-        },
-    }, 30000)
-
-    if (!response.ok) {
-        const errorText = await response.text()
-        logError('Failed to fetch subgrid data:', response.status, errorText)
-        throw new Error(`Failed to fetch subgrid data: ${response.status}`)
-    }
-
-    const data = await response.json()
+    const collectionPath = isManyToMany ? relationship.parentPath : await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)
+    
+    logDebug(`📋 Subgrid OData path: ${collectionPath} - filter: ${filter}`)
+    
+    const data = await createDataverseClient(accessToken).list(collectionPath, {
+        filter: filter,
+        select: select,
+        expand: expand,
+        orderBy: subgridQuery.orderBy,
+        top: top,
+        skip: skip,
+        count: true,
+        annotations: true
+    })
+    const entities = data.value
+    const totalCount = data['@odata.count'] !== undefined ? data['@odata.count'] : skip + entities.length
     
-    logDebug(`✅ Fetched ${data.value?.length || 0} subgrid records`)
+    logDebug(`✅ Fetched ${entities.length} subgrid records (total available: ${totalCount})`)
     
     return createSuccessResponse({
-        entities: data.value || [],
-        count: data.value?.length || 0,
-        mode: 'subgrid',
+        entities: entities,
+        count: entities.length,
+        pagination: {
+            pageSize: top,
+            skip: skip,
+            returned: entities.length,
+            totalCount: totalCount,
+            hasMore: skip + entities.length < totalCount
+        },
+        query: { sortBy: subgridQuery.applied.sortBy, sortDir: subgridQuery.applied.sortDir },
+        mode: 'subgrid',
         viewMetadata: viewMetadata || null  // Include view metadata for frontend
     }, 200, origin)
 }
 
+// Lookup search limits
+const MAX_LOOKUP_RESULTS = 25
+const DEFAULT_LOOKUP_RESULTS = 10
+
+/**
+ * Handle lookup request - search records a lookup field can point to
+ * 
+ * Query parameters:
+ * - field: lookup field on the form of this entity (cp_project or _cp_project_value)
+ * - target: target entity for polymorphic lookups (must be one of the lookup targets)
+ * - search: text matched with contains() against the target's primary name
+ * - top: number of results (max 25)
+ * 
+ * 🔒 SECURITY: Only editable lookups on the configured form can be searched, and results
+ * are scoped with buildEntitySecurityFilter using the target entity's configuration.
+ */
+async function handleLookupRequest(accessToken, entityConfig, userContact, event, viewMode = 'personal', origin = null) {
+    const params = event.queryStringParameters || {}
+    const fieldName = typeof params.field === 'string' ? params.field.replace(/^_(.+)_value$/, '$1') : ''
+    
+    if (!fieldName) {
+        throw new Error('Lookup validation failed: field is required')
+    }
+    
+    // Contact and account relations are always set by the server
+    if (fieldName === entityConfig.contactRelationField || fieldName === entityConfig.accountRelationField) {
+        throw new Error(`Lookup validation failed: ${fieldName} is set automatically`)
+    }
+    
+    // 🔒 SECURITY: The lookup must be an editable control on the configured form
+    if (!entityConfig.formGuid) {
+        throw new Error(`Form GUID is required for entity ${entityConfig.entityLogicalName} - no fallback processing allowed`)
+    }
+    
+    const formMetadata = await getFormMetadata(accessToken, entityConfig.formGuid, entityConfig.entityLogicalName)
+    const formField = getPortalFormControls(formMetadata).find(control => control.datafieldname === fieldName)
+    
+    if (!formField || formField.controlType !== 'lookup' || formField.disabled) {
+        logWarn(`⚠️ SECURITY: Lookup search rejected for ${entityConfig.entityLogicalName}.${fieldName} (not an editable lookup on the form)`)
+        throw new Error(`Access denied: ${fieldName} is not an editable lookup on this form`)
+    }
+    
+    // Resolve the target entity from attribute metadata
+    const catalog = await getAttributeCatalog(accessToken, entityConfig.entityLogicalName)
+    const targets = getCatalogAttribute(catalog, fieldName)?.targets || []
+    
+    if (targets.length === 0) {
+        throw new Error(`Dataverse metadata missing lookup targets for ${fieldName}`)
+    }
+    
+    const targetEntity = params.target || targets[0]
+    if (!targets.includes(targetEntity)) {
+        throw new Error(`Lookup validation failed: ${targetEntity} is not a target of ${fieldName}`)
+    }
+    
+    // 🔒 SECURITY: Scope results with the target entity's own security rules
+    const targetConfig = await getEntityConfiguration(accessToken, targetEntity)
+    if (!targetConfig) {
+        logWarn(`⚠️ SECURITY: Lookup target ${targetEntity} has no portal configuration`)
+        throw new Error(`Access denied: ${targetEntity} is not available in the portal`)
+    }
+    if (targetConfig.requiresAdmin && !userContact.cp_portaladmin) {
+        throw new Error('Access denied: Admin access required for this lookup')
+    }
+    
+    logDebug(`🔎 Lookup search ${entityConfig.entityLogicalName}.${fieldName} -> ${targetEntity}`)
+    const results = await searchRecordsByPrimaryName(accessToken, targetConfig, userContact, viewMode, params)
+    
+    return createSuccessResponse({
+        results: results,
+        field: fieldName,
+        targetEntity: targetEntity,
+        targets: targets,
+        mode: 'lookup'
+    }, 200, origin)
+}
+
+/**
+ * Handle search request - records of this entity matching a primary name search
+ * Used by the "Add existing" picker of N:N subgrids
+ */
+async function handleSearchRequest(accessToken, entityConfig, userContact, event, viewMode = 'personal', origin = null) {
+    const results = await searchRecordsByPrimaryName(accessToken, entityConfig, userContact, viewMode, event.queryStringParameters || {})
+    
+    return createSuccessResponse({
+        results: results,
+        mode: 'search'
+    }, 200, origin)
+}
+
+/**
+ * Search an entity by primary name, scoped with buildEntitySecurityFilter
+ * Returns [{ id, name }] ordered by name
+ */
+async function searchRecordsByPrimaryName(accessToken, targetConfig, userContact, viewMode, params) {
+    const targetEntity = targetConfig.entityLogicalName
+    const securityFilter = await buildEntitySecurityFilter(accessToken, targetConfig, userContact, viewMode)
+    
+    const targetCatalog = await getAttributeCatalog(accessToken, targetEntity)
+    const idField = targetCatalog?.primaryIdAttribute || getEntityIdField(targetEntity)
+    const nameField = targetCatalog?.primaryNameAttribute
+    
+    if (!nameField) {
+        throw new Error(`Dataverse metadata missing primary name for ${targetEntity}`)
+    }
+    
+    const filterParts = [securityFilter]
+    const search = typeof params.search === 'string' ? params.search.trim() : ''
+    if (search) {
+        if (search.length > MAX_SEARCH_LENGTH) {
+            throw new Error(`Search validation failed: maximum ${MAX_SEARCH_LENGTH} characters`)
+        }
+        filterParts.push(buildSafeODataFilter(nameField, 'contains', search))
+    }
+    
+    const requestedTop = parseInt(params.top || DEFAULT_LOOKUP_RESULTS, 10)
+    const top = Math.min(Math.max(isNaN(requestedTop) ? DEFAULT_LOOKUP_RESULTS : requestedTop, 1), MAX_LOOKUP_RESULTS)
+    
+    const filter = filterParts.map(part => `(${part})`).join(' and ')
+    const entitySetName = targetCatalog?.entitySetName || getEntitySetName(targetEntity)
+    logDebug(`🔎 Searching ${targetEntity}: "${search}"`)
+    
+    const data = await createDataverseClient(accessToken).list(entitySetName, {
+        filter: filter,
+        select: `${idField},${nameField}`,
+        orderBy: `${nameField} asc`,
+        top: top
+    })
+    const results = data.value.map(record => ({
+        id: record[idField],
+        name: record[nameField] || ''
+    }))
+    
+    logDebug(`✅ Search returned ${results.length} ${targetEntity} records`)
+    return results
+}
+
+/**
+ * Collect the portal form controls from parsed form metadata
+ */
+function getPortalFormControls(formMetadata) {
+    const controls = []
+    
+    ;(formMetadata?.structure?.tabs || []).forEach(tab => {
+        (tab.sections || []).forEach(section => {
+            (section.rows || []).forEach(row => {
+                (row.cells || []).forEach(cell => {
+                    (cell.controls || []).forEach(control => {
+                        if (control.type === 'control' && control.datafieldname) {
+                            controls.push(control)
+                        }
+                    })
+                })
+            })
+        })
+    })
+    
+    return controls
+}
+
 /**
  * Handle single entity request - ENHANCED USER SCOPING
+ * viewMode 'organization' lets portal admins open colleagues' records; updates stay owner-only
+ */
+async function handleSingleEntityRequest(accessToken, entityConfig, userContact, entityId, viewMode = 'personal', origin = null) {
+    const entity = await fetchSingleEntity(accessToken, entityConfig, userContact, entityId, viewMode)
+
+    return createSuccessResponse({
+        entity: entity,
+        entityConfig: entityConfig,
+        mode: 'single'
+    }, 200, origin)
+}
+
+/**
+ * Fetch a single user-scoped record with all fields, lookup expansions and annotations
+ * Shared by the single entity GET and the update conflict response so both return the same shape
  */
-async function handleSingleEntityRequest(accessToken, entityConfig, userContact, entityId, origin = null) {
+async function fetchSingleEntity(accessToken, entityConfig, userContact, entityId, viewMode = 'personal') {
     // 🔒 SECURITY: Validate entity ID before using in query
     const safeEntityId = validateGuid(entityId)
     
@@ -709,7 +1364,7 @@ async function handleSingleEntityRequest(accessToken, entityConfig, userContact,
     // Using process.env.DATAVERSE_URL directly to avoid initialization issues
     
     // SECURITY ENHANCEMENT: Build mandatory user-scoped security filter
-    const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, 'personal')
+    const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, viewMode)
     const idField = getEntityIdField(entityConfig.entityLogicalName)
     const filter = `${idField} eq '${safeEntityId}' and (${securityFilter})`
     
@@ -807,33 +1462,16 @@ async function handleSingleEntityRequest(accessToken, entityConfig, userContact,
     logDebug(`🎯 SINGLE ENTITY: Final select with ALL fields: ${select}`)
     logDebug(`🎯 SINGLE ENTITY: Final expand: ${expand}`)
     
-    let url = `${process.env.DATAVERSE_URL}/api/data/v9.2/${getEntitySetName(entityConfig.entityLogicalName)}?$filter=${encodeURIComponent(filter)}&$select=${select}`
-    if (expand) {
-        url += `&$expand=${encodeURIComponent(expand)}`
-    }
-    
-    logDebug(`🔍 SINGLE ENTITY: Complete URL: ${url}`)
+    logDebug(`🔍 SINGLE ENTITY: Filter: ${filter}`)
     
-    const response = await fetchWithTimeout(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-            'Prefer': 'odata.include-annotations="*"'  // Include OData annotations (formatted values, lookup types, etc.)
-        },
-    }, 30000)  // 30s timeout
-
-    if (!response.ok) {
-        const errorText = await response.text()
-        console.error(`❌ Failed to fetch entity (${response.status}):`, errorText)
-        console.error(`❌ Request URL was: ${url}`)
-        throw new Error(`Failed to fetch entity: ${response.status} - ${errorText}`)
-    }
-
-    const data = await response.json()
-    const entity = data.value && data.value.length > 0 ? data.value[0] : null
+    // Include OData annotations (formatted values, lookup types, etc.)
+    const data = await createDataverseClient(accessToken).list(await resolveEntitySetName(accessToken, entityConfig.entityLogicalName), {
+        filter: filter,
+        select: select,
+        expand: expand,
+        annotations: true
+    })
+    const entity = data.value.length > 0 ? data.value[0] : null
 
     if (!entity) {
         throw new Error('Entity not found or access denied')
@@ -854,24 +1492,21 @@ async function handleSingleEntityRequest(accessToken, entityConfig, userContact,
         }
     }
 
-    return createSuccessResponse({
-        entity: entity,
-        entityConfig: entityConfig,
-        mode: 'single'
-    }, 200, origin)
+    return entity
 }
 
 /**
  * Handle create request
  */
-async function handleCreateRequest(accessToken, entityConfig, userContact, requestBody, origin = null) {
+async function handleCreateRequest(accessToken, entityConfig, userContact, requestBody, viewMode = 'personal', origin = null) {
     logDebug(`📝 Creating new ${entityConfig.entityLogicalName}...`)
     
     if (!requestBody) {
         throw new Error('Request body is required for create operation')
     }
 
-    const data = JSON.parse(requestBody)
+    // parentBinding comes from a subgrid "New" button: { parentEntity, parentId, relationshipName }
+    const { parentBinding, ...data } = JSON.parse(requestBody)
     
     // Get form metadata to determine which fields are editable - REQUIRED
     if (!entityConfig.formGuid) {
@@ -887,6 +1522,60 @@ async function handleCreateRequest(accessToken, entityConfig, userContact, reque
     
     logDebug(`✅ Form metadata loaded for CREATE: ${formMetadata.name}`)
     
+    const sanitizedData = await prepareCreateData(accessToken, entityConfig, userContact, data, formMetadata)
+    
+    if (parentBinding) {
+        const binding = await resolveParentBinding(accessToken, entityConfig, userContact, parentBinding, viewMode)
+        // The relationship lookup always points at the verified parent, whatever the form sent for it
+        delete sanitizedData[`${getNavigationPropertyForLookupField(`_${binding.lookupField}_value`, entityConfig)}@odata.bind`]
+        sanitizedData[binding.bindField] = binding.bindValue
+    }
+
+    const entitySetName = await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)
+    
+    logDebug(`🧹 Sanitized data for create:`, sanitizedData)
+    logDebug(`📡 Sending POST to Dataverse:`, entitySetName)
+    logDebug(`📦 Request body:`, JSON.stringify(sanitizedData, null, 2))
+    
+    // The created entity ID comes from the OData-EntityId header
+    const { id: entityId } = await createDataverseClient(accessToken).create(entitySetName, sanitizedData)
+
+    logDebug(`✅ Created ${entityConfig.entityLogicalName}: ${entityId}`)
+
+    return createSuccessResponse({
+        entityId: entityId,
+        entityConfig: entityConfig,
+        mode: 'create'
+    }, 200, origin)
+}
+
+/**
+ * 🔒 SECURITY: Resolve the lookup that links a new child record to its subgrid parent
+ * The lookup comes from the 1:N relationship metadata (never from the request), and the user
+ * must be able to read the parent record before it is bound
+ */
+async function resolveParentBinding(accessToken, entityConfig, userContact, parentBinding, viewMode) {
+    const relationship = await resolveOneToManyRelationship(accessToken, entityConfig, parentBinding)
+    
+    // Contact and account relations are always set by the server
+    if (relationship.referencingAttribute === entityConfig.contactRelationField || relationship.referencingAttribute === entityConfig.accountRelationField) {
+        throw new Error(`Relationship validation failed: ${relationship.referencingAttribute} is set automatically`)
+    }
+    
+    await verifyParentRecordAccess(accessToken, userContact, relationship, viewMode)
+    
+    const bindField = `${relationship.navigationProperty}@odata.bind`
+    const bindValue = `/${await resolveEntitySetName(accessToken, relationship.parentEntity)}(${relationship.parentId})`
+    logDebug(`🔗 PARENT BINDING: ${bindField} = ${bindValue}`)
+    
+    return { lookupField: relationship.referencingAttribute, bindField, bindValue }
+}
+
+/**
+ * Validate and sanitize create data, then set contact/account ownership
+ * Shared by single creates and batch creates so both apply the same security rules
+ */
+async function prepareCreateData(accessToken, entityConfig, userContact, data, formMetadata) {
     // 🔒 SECURITY: Validate field security before processing
     const fieldValidation = validateFieldSecurity(data, formMetadata, entityConfig.entityLogicalName)
     if (!fieldValidation.valid) {
@@ -894,6 +1583,9 @@ async function handleCreateRequest(accessToken, entityConfig, userContact, reque
         throw new Error(fieldValidation.message)
     }
     
+    // Validate types, lengths and required fields against attribute metadata
+    await validateFieldValues(accessToken, data, formMetadata, entityConfig, 'create')
+    
     // Sanitize rich text fields for Dataverse compatibility with form metadata
     const sanitizedData = sanitizeDataForDataverse(data, entityConfig, formMetadata)
     
@@ -935,43 +1627,8 @@ async function handleCreateRequest(accessToken, entityConfig, userContact, reque
         sanitizedData[accountBindField] = `/accounts(${userContact._parentcustomerid_value})`
         console.log(`🏢 ACCOUNT: Set account ownership - ${accountBindField} = /accounts(${userContact._parentcustomerid_value})`)
     }
-
-    // Using process.env.DATAVERSE_URL directly to avoid initialization issues
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/${getEntitySetName(entityConfig.entityLogicalName)}`
     
-    logDebug(`🧹 Sanitized data for create:`, sanitizedData)
-    logDebug(`📡 Sending POST to Dataverse:`, url)
-    logDebug(`📦 Request body:`, JSON.stringify(sanitizedData, null, 2))
-    
-    const response = await fetchWithTimeout(url, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-        body: JSON.stringify(sanitizedData)
-    }, 30000)  // 30s timeout
-
-    if (!response.ok) {
-        const errorText = await response.text()
-        console.error('Failed to create entity:', response.status, errorText)
-        throw new Error(`Failed to create entity: ${response.status}`)
-    }
-
-    // Get the created entity ID from response headers
-    const entityUrl = response.headers.get('OData-EntityId')
-    const entityId = entityUrl ? entityUrl.split('(')[1].split(')')[0] : null
-
-    logDebug(`✅ Created ${entityConfig.entityLogicalName}: ${entityId}`)
-
-    return createSuccessResponse({
-        entityId: entityId,
-        entityConfig: entityConfig,
-        mode: 'create'
-    }, 200, origin)
+    return sanitizedData
 }
 
 /**
@@ -1101,6 +1758,8 @@ function sanitizeDataForDataverse(data, entityConfig, formMetadata = null) {
                 editableData[fieldName] = data[fieldName]
                 if (field.controlType === 'richtext' && typeof editableData[fieldName] === 'string') {
                     editableData[fieldName] = sanitizeRichTextForDataverse(editableData[fieldName])
+                } else if (field.controlType === 'optionset' || field.controlType === 'multiselectoptionset') {
+                    editableData[fieldName] = normalizeChoiceValue(editableData[fieldName], field.controlType === 'multiselectoptionset')
                 }
             }
         })
@@ -1111,6 +1770,24 @@ function sanitizeDataForDataverse(data, entityConfig, formMetadata = null) {
     return editableData
 }
 
+/**
+ * Convert a choice value to the format Dataverse expects
+ * Single choices are integers, multi-select choices a comma separated string; empty clears the field
+ */
+function normalizeChoiceValue(value, multiSelect) {
+    if (value === null || value === undefined || value === '') {
+        return null
+    }
+    
+    if (multiSelect) {
+        const values = Array.isArray(value) ? value : String(value).split(',')
+        const options = values.map(option => parseInt(option, 10)).filter(option => !isNaN(option))
+        return options.length > 0 ? options.join(',') : null
+    }
+    
+    return parseInt(value, 10)
+}
+
 /**
  * Sanitize rich text content for Dataverse
  */
@@ -1161,39 +1838,15 @@ async function handleUpdateRequest(accessToken, entityConfig, userContact, entit
     const data = JSON.parse(requestBody)
     logDebug(`📊 Parsed data keys:`, Object.keys(data))
     
-    // SECURITY ENHANCEMENT: Verify user owns the record before update (when contact available)
-    if (entityConfig.contactRelationField && userContact && userContact.contactid) {
-        const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, 'personal')
-        const idField = getEntityIdField(entityConfig.entityLogicalName)
-        const verifyFilter = `${idField} eq '${entityId}' and (${securityFilter})`
-        
-        logDebug(`🛡️ SECURITY: Verifying user ownership before update - ${verifyFilter}`)
-        
-        const verifyUrl = `${process.env.DATAVERSE_URL}/api/data/v9.2/${getEntitySetName(entityConfig.entityLogicalName)}?$filter=${encodeURIComponent(verifyFilter)}&$select=${idField}`
-        const verifyResponse = await fetchWithTimeout(verifyUrl, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'OData-MaxVersion': '4.0',
-                'OData-Version': '4.0',
-                'Accept': 'application/json',
-            },
-        })
-        
-        if (!verifyResponse.ok) {
-            throw new Error(`Failed to verify record ownership: ${verifyResponse.status}`)
-        }
-        
-        const verifyData = await verifyResponse.json()
-        if (!verifyData.value || verifyData.value.length === 0) {
-            console.error(`🛡️ SECURITY: User ${userContact.contactid} attempted to update record ${entityId} they don't own`)
-            throw new Error('Access denied: You can only update records you own')
-        }
-        
-        logDebug(`✅ SECURITY: User ownership verified for update operation`)
-    } else {
-        logWarn(`🛡️ SECURITY: Updating ${entityConfig.entityLogicalName} without ownership verification (no contact or no contact relation field)`)
+    // The client sends only changed fields - reject no-op updates before any Dataverse call
+    const changedFields = getRequestFieldNames(data)
+    if (changedFields.length === 0) {
+        throw new Error('Update validation failed: no changed fields were supplied')
     }
+    logDebug(`📝 UPDATE: Changed fields for ${entityConfig.entityLogicalName} ${entityId}: ${changedFields.join(', ')}`)
+    
+    // 🔒 SECURITY: The record must be in the user's personal scope - own, own account's, or admin for unscoped entities
+    await verifyRecordOwnership(accessToken, entityConfig, userContact, entityId, 'update')
     
     // Get form metadata to determine which fields are editable - REQUIRED
     if (!entityConfig.formGuid) {
@@ -1209,6 +1862,68 @@ async function handleUpdateRequest(accessToken, entityConfig, userContact, entit
     
     logDebug(`✅ Form metadata loaded: ${formMetadata.name}`)
     
+    const sanitizedData = await prepareUpdateData(accessToken, entityConfig, data, formMetadata)
+    
+    // Optimistic concurrency: only update the version the user loaded.
+    // Without an ETag still send If-Match * so a deleted record is never re-created by upsert.
+    const etag = getRequestEtag(data)
+    if (!etag) {
+        logWarn(`⚠️ CONCURRENCY: No ETag supplied for ${entityConfig.entityLogicalName}: ${entityId} - last write wins`)
+    }
+    
+    try {
+        await createDataverseClient(accessToken).update(`${await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)}(${entityId})`, sanitizedData, { ifMatch: etag || '*' })
+    } catch (error) {
+        if (error.status !== 412 || !etag) {
+            console.error('Request data:', sanitizedData)
+            throw error
+        }
+        return createConflictResponse(accessToken, entityConfig, userContact, entityId, etag, 'generic-entity-update', origin)
+    }
+
+    logDebug(`✅ Updated ${entityConfig.entityLogicalName}: ${entityId}`)
+
+    return createSuccessResponse({
+        entityId: entityId,
+        entityConfig: entityConfig,
+        mode: 'update'
+    }, 200, origin)
+}
+
+/**
+ * ETag the client loaded the record with (@odata.etag in the request body), or null
+ */
+function getRequestEtag(data) {
+    const etag = data?.['@odata.etag']
+    return typeof etag === 'string' && etag ? etag : null
+}
+
+/**
+ * 412 response for a write whose ETag no longer matches
+ * Carries the current server version so the client can show what changed and merge
+ */
+async function createConflictResponse(accessToken, entityConfig, userContact, entityId, etag, context, origin) {
+    logWarn(`⚠️ CONCURRENCY: ${entityConfig.entityLogicalName}: ${entityId} changed since ETag ${etag} was loaded`)
+    
+    const currentRecord = await fetchSingleEntity(accessToken, entityConfig, userContact, entityId)
+    return createSafeErrorResponse(
+        new Error(`Update conflict: ${entityConfig.entityLogicalName} ${entityId} was modified by another user`),
+        context,
+        origin,
+        {
+            conflict: {
+                currentRecord: currentRecord,
+                etag: currentRecord['@odata.etag'] || null
+            }
+        }
+    )
+}
+
+/**
+ * Validate and sanitize update data against the form and attribute metadata
+ * Shared by single updates and batch updates so both apply the same security rules
+ */
+async function prepareUpdateData(accessToken, entityConfig, data, formMetadata) {
     // 🔒 SECURITY: Validate field security before processing
     const fieldValidation = validateFieldSecurity(data, formMetadata, entityConfig.entityLogicalName)
     if (!fieldValidation.valid) {
@@ -1216,99 +1931,73 @@ async function handleUpdateRequest(accessToken, entityConfig, userContact, entit
         throw new Error(fieldValidation.message)
     }
     
+    // Validate types and lengths against attribute metadata
+    await validateFieldValues(accessToken, data, formMetadata, entityConfig, 'update')
+    
     // Sanitize data based on form metadata
     const sanitizedData = sanitizeDataForDataverse(data, entityConfig, formMetadata)
     
-    // Using process.env.DATAVERSE_URL directly to avoid initialization issues
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/${getEntitySetName(entityConfig.entityLogicalName)}(${entityId})`
-    
     logDebug(`🧹 Sanitized data for update:`, sanitizedData)
     
-    const response = await fetchWithTimeout(url, {
-        method: 'PATCH',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-        body: JSON.stringify(sanitizedData)
-    }, 30000)  // 30s timeout for Dataverse API calls
-
-    if (!response.ok) {
-        const errorText = await response.text()
-        console.error('Failed to update entity:', response.status, errorText)
-        console.error('Request data:', sanitizedData)
-        throw new Error(`Failed to update entity: ${response.status}`)
+    if (Object.keys(sanitizedData).length === 0) {
+        throw new Error('Update validation failed: none of the changed fields can be updated')
     }
-
-    logDebug(`✅ Updated ${entityConfig.entityLogicalName}: ${entityId}`)
-
-    return createSuccessResponse({
-        entityId: entityId,
-        entityConfig: entityConfig,
-        mode: 'update'
-    }, 200, origin)
+    
+    return sanitizedData
 }
 
 /**
  * Handle delete request - ENHANCED USER SCOPING
+ * An @odata.etag in the body makes the delete (or deactivation) conditional, like updates
  */
-async function handleDeleteRequest(accessToken, entityConfig, userContact, entityId, origin = null) {
+async function handleDeleteRequest(accessToken, entityConfig, userContact, entityId, requestBody = null, origin = null) {
     logDebug(`🗑️ Deleting ${entityConfig.entityLogicalName}: ${entityId} for user: ${userContact.contactid}`)
     
+    // 🔒 SECURITY: Delete must be enabled on the entity configuration (cp_allowdelete)
+    if (!entityConfig.allowDelete) {
+        logWarn(`🛡️ SECURITY: Delete refused - not enabled for ${entityConfig.entityLogicalName}`)
+        throw new Error(`Delete permission denied: delete is not enabled for ${entityConfig.entityLogicalName}`)
+    }
+    
     // Using process.env.DATAVERSE_URL directly to avoid initialization issues
     
-    // SECURITY ENHANCEMENT: Verify user owns the record before delete (when contact available)
-    if (entityConfig.contactRelationField && userContact && userContact.contactid) {
-        const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, 'personal')
-        const idField = getEntityIdField(entityConfig.entityLogicalName)
-        const verifyFilter = `${idField} eq '${entityId}' and (${securityFilter})`
-        
-        logDebug(`🛡️ SECURITY: Verifying user ownership before delete - ${verifyFilter}`)
-        
-        const verifyUrl = `${process.env.DATAVERSE_URL}/api/data/v9.2/${getEntitySetName(entityConfig.entityLogicalName)}?$filter=${encodeURIComponent(verifyFilter)}&$select=${idField}`
-        const verifyResponse = await fetchWithTimeout(verifyUrl, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'OData-MaxVersion': '4.0',
-                'OData-Version': '4.0',
-                'Accept': 'application/json',
-            },
-        })
-        
-        if (!verifyResponse.ok) {
-            throw new Error(`Failed to verify record ownership: ${verifyResponse.status}`)
+    // 🔒 SECURITY: The record must be in the user's personal scope - own, own account's, or admin for unscoped entities
+    await verifyRecordOwnership(accessToken, entityConfig, userContact, entityId, 'delete')
+    
+    let data = {}
+    if (requestBody) {
+        try {
+            data = JSON.parse(requestBody)
+        } catch (error) {
+            throw new Error('Delete validation failed: body must be valid JSON')
         }
-        
-        const verifyData = await verifyResponse.json()
-        if (!verifyData.value || verifyData.value.length === 0) {
-            console.error(`🛡️ SECURITY: User ${userContact.contactid} attempted to delete record ${entityId} they don't own`)
-            throw new Error('Access denied: You can only delete records you own')
+    }
+    const etag = getRequestEtag(data)
+    
+    // Soft delete entities are deactivated so the owner can restore them within the retention window
+    if (entityConfig.deleteBehavior === 'deactivate') {
+        try {
+            await setRecordState(accessToken, entityConfig, entityId, INACTIVE_STATE, etag || '*')
+        } catch (error) {
+            if (error.status !== 412 || !etag) throw error
+            return createConflictResponse(accessToken, entityConfig, userContact, entityId, etag, 'generic-entity-delete', origin)
         }
         
-        logDebug(`✅ SECURITY: User ownership verified for delete operation`)
-    } else {
-        logWarn(`🛡️ SECURITY: Deleting ${entityConfig.entityLogicalName} without ownership verification (no contact or no contact relation field)`)
+        logDebug(`✅ Deactivated ${entityConfig.entityLogicalName}: ${entityId}`)
+        
+        return createSuccessResponse({
+            entityId: entityId,
+            entityConfig: entityConfig,
+            mode: 'deactivate',
+            restoreWindowDays: entityConfig.restoreWindowDays
+        }, 200, origin)
     }
     
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/${getEntitySetName(entityConfig.entityLogicalName)}(${entityId})`
-    
-    const response = await fetchWithTimeout(url, {
-        method: 'DELETE',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-        },
-    }, 30000)  // 30s timeout
-
-    if (!response.ok) {
-        const errorText = await response.text()
-        console.error('Failed to delete entity:', response.status, errorText)
-        throw new Error(`Failed to delete entity: ${response.status}`)
+    try {
+        await createDataverseClient(accessToken).delete(`${await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)}(${entityId})`, { ifMatch: etag })
+    } catch (error) {
+        if (error.status !== 412 || !etag) throw error
+        return createConflictResponse(accessToken, entityConfig, userContact, entityId, etag, 'generic-entity-delete', origin)
     }
 
     logDebug(`✅ Deleted ${entityConfig.entityLogicalName}: ${entityId}`)
@@ -1320,80 +2009,857 @@ async function handleDeleteRequest(accessToken, entityConfig, userContact, entit
     }, 200, origin)
 }
 
+// Soft delete state changes - statecode only, Dataverse applies the table's default status reason for the state
+const ACTIVE_STATE = { statecode: 0 }
+const INACTIVE_STATE = { statecode: 1 }
+const MAX_REMOVED_RESULTS = 100
+
 /**
- * Get all contact IDs for the user's account (for organization view)
- * @param {string} accessToken - Dataverse access token
- * @param {string} accountGuid - Account GUID
- * @returns {Promise<string[]>} Array of contact GUIDs
+ * Earliest modifiedon a deactivated record may have and still be restored
+ * Edits outside the portal after deactivation restart the window (see README, Entity Configuration Columns)
  */
-async function getAccountContactIds(accessToken, accountGuid) {
-    // Using process.env.DATAVERSE_URL directly to avoid initialization issues
-    
-    const filter = `_parentcustomerid_value eq '${accountGuid}' and statecode eq 0`
-    const select = 'contactid'
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/contacts?$filter=${encodeURIComponent(filter)}&$select=${select}`
-    
-    try {
-        const response = await fetchWithTimeout(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'OData-MaxVersion': '4.0',
-                'OData-Version': '4.0',
-                'Accept': 'application/json',
-            },
-        })
-        
-        if (!response.ok) {
-            console.error(`Failed to fetch account contacts: ${response.status}`)
-            return []
-        }
-        
-        const data = await response.json()
-        const contactIds = data.value.map(contact => contact.contactid)
-        logDebug(`🏢 ACCOUNT CONTACTS: Found ${contactIds.length} contacts in account ${accountGuid}`)
-        return contactIds
-        
-    } catch (error) {
-        console.error('Error fetching account contacts:', error)
-        return []
-    }
+function getRestoreCutoff(entityConfig) {
+    const cutoff = new Date(Date.now() - entityConfig.restoreWindowDays * 24 * 60 * 60 * 1000)
+    return cutoff.toISOString()
 }
 
 /**
- * Build security filter for entity access - SECURE CONTACT-BASED FILTERING
- * NO FALLBACKS - FAILS SECURELY
+ * Set statecode on a record
+ * If-Match * keeps the PATCH from re-creating a record that was deleted in the meantime;
+ * an ETag also fails it with 412 when the record changed
  */
-async function buildEntitySecurityFilter(accessToken, entityConfig, userContact, viewMode = 'personal') {
-    // SECURITY: Contact GUID is REQUIRED - no exceptions, no fallbacks
-    if (!userContact || !userContact.contactid) {
-        throw new Error('🛡️ SECURITY: Contact GUID required for all data access')
-    }
+async function setRecordState(accessToken, entityConfig, entityId, state, ifMatch = '*') {
+    await createDataverseClient(accessToken).update(`${await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)}(${entityId})`, state, { ifMatch })
+}
 
-    let filter = 'statecode eq 0' // Only active records
+/**
+ * Handle recently removed request - deactivated records the user can still restore
+ * Scoped like the personal list, but to inactive records modified within the restore window
+ */
+async function handleRemovedListRequest(accessToken, entityConfig, userContact, origin = null) {
+    if (entityConfig.deleteBehavior !== 'deactivate') {
+        throw new Error(`Removed records validation failed: ${entityConfig.entityLogicalName} does not use soft delete`)
+    }
     
-    // SECURITY: Apply user scoping based on entity configuration
-    if (entityConfig.contactRelationField) {
-        // PATTERN 1: Contact-owned entities (Ideas, Projects, Cases)
-        const contactField = `_${entityConfig.contactRelationField}_value`
-        
-        if (viewMode === 'organization' && userContact.cp_portaladmin && userContact._parentcustomerid_value) {
-            // ADMIN ORGANIZATION VIEW: Show all records from contacts in the same account
-            logDebug(`🏢 SECURITY: Admin organization view requested for account: ${userContact._parentcustomerid_value}`)
-            
-            // Get all contact IDs in the same account
-            const accountContactIds = await getAccountContactIds(accessToken, userContact._parentcustomerid_value)
-            
-            if (accountContactIds.length > 0) {
-                // Build filter for multiple contacts: field eq 'id1' or field eq 'id2' or...
-                const contactFilters = accountContactIds.map(contactId => `${contactField} eq '${contactId}'`).join(' or ')
-                filter += ` and (${contactFilters})`
-                logDebug(`🏢 SECURITY: Organization view - filtering by ${accountContactIds.length} account contacts`)
-            } else {
-                // No contacts found, fall back to personal view
-                logWarn('⚠️  ORGANIZATION VIEW: No account contacts found, falling back to personal view')
-                filter += ` and ${contactField} eq '${userContact.contactid}'`
+    const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, 'personal', INACTIVE_STATE.statecode)
+    const filter = `${securityFilter} and modifiedon ge ${getRestoreCutoff(entityConfig)}`
+    
+    const idField = getEntityIdField(entityConfig.entityLogicalName)
+    const catalog = await getAttributeCatalog(accessToken, entityConfig.entityLogicalName)
+    const nameField = catalog?.primaryNameAttribute || null
+    const select = [idField, nameField, 'modifiedon'].filter(Boolean).join(',')
+    
+    logDebug(`🗑️ REMOVED: Listing deactivated ${entityConfig.entityLogicalName} - ${filter}`)
+    
+    const data = await createDataverseClient(accessToken).list(await resolveEntitySetName(accessToken, entityConfig.entityLogicalName), {
+        filter: filter,
+        select: select,
+        orderBy: 'modifiedon desc',
+        top: MAX_REMOVED_RESULTS
+    })
+    const records = data.value.map(record => ({
+        id: record[idField],
+        name: nameField ? record[nameField] || null : null,
+        removedOn: record.modifiedon
+    }))
+    
+    logDebug(`✅ REMOVED: Found ${records.length} restorable ${entityConfig.entityLogicalName} records`)
+    
+    return createSuccessResponse({
+        entities: records,
+        count: records.length,
+        restoreWindowDays: entityConfig.restoreWindowDays,
+        mode: 'removed'
+    }, 200, origin)
+}
+
+/**
+ * Handle restore request - reactivate a soft deleted record
+ * 🔒 SECURITY: The record must be the user's own, inactive and still inside the restore window
+ */
+async function handleRestoreRequest(accessToken, entityConfig, userContact, entityId, origin = null) {
+    if (entityConfig.deleteBehavior !== 'deactivate') {
+        throw new Error(`Restore validation failed: ${entityConfig.entityLogicalName} does not use soft delete`)
+    }
+    
+    const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, 'personal', INACTIVE_STATE.statecode)
+    const idField = getEntityIdField(entityConfig.entityLogicalName)
+    const verifyFilter = `${idField} eq '${entityId}' and (${securityFilter}) and modifiedon ge ${getRestoreCutoff(entityConfig)}`
+    
+    logDebug(`🛡️ SECURITY: Verifying restorable record - ${verifyFilter}`)
+    
+    const verifyData = await createDataverseClient(accessToken).list(await resolveEntitySetName(accessToken, entityConfig.entityLogicalName), {
+        filter: verifyFilter,
+        select: idField
+    })
+    if (verifyData.value.length === 0) {
+        logWarn(`🛡️ SECURITY: Restore of ${entityConfig.entityLogicalName} ${entityId} refused for user ${userContact.contactid}`)
+        throw new Error('Record not found or the restore window has expired')
+    }
+    
+    await setRecordState(accessToken, entityConfig, entityId, ACTIVE_STATE)
+    
+    logDebug(`✅ Restored ${entityConfig.entityLogicalName}: ${entityId}`)
+    
+    return createSuccessResponse({
+        entityId: entityId,
+        entityConfig: entityConfig,
+        mode: 'restore'
+    }, 200, origin)
+}
+
+// Bulk operation limits - one batch counts as a single request against the rate limit
+const MAX_BATCH_OPERATIONS = 100
+const BATCH_OPERATIONS = ['create', 'update', 'delete']
+
+/**
+ * Handle batch request - many creates, updates and deletes for one entity in one $batch changeset
+ * 
+ * Body: { contactGuid, operations: [{ operation: 'create' | 'update' | 'delete', id, data }] }
+ * 
+ * 🔒 SECURITY: Every operation passes the same field security, attribute validation, sanitizing
+ * and ownership checks as the single-record handlers. If any operation is rejected nothing is
+ * sent; if Dataverse rejects one, the whole changeset rolls back. Results are reported per item.
+ */
+async function handleBatchRequest(accessToken, entityConfig, userContact, requestBody, origin = null) {
+    if (!requestBody) {
+        throw new Error('Request body is required for batch operation')
+    }
+    
+    const { operations } = JSON.parse(requestBody)
+    
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw new Error('Batch validation failed: operations must be a non-empty array')
+    }
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+        throw new Error(`Batch validation failed: at most ${MAX_BATCH_OPERATIONS} operations are allowed`)
+    }
+    
+    logDebug(`📦 BATCH: ${operations.length} operations on ${entityConfig.entityLogicalName} for user: ${userContact.contactid}`)
+    
+    // Form metadata is only needed when data is written
+    let formMetadata = null
+    if (operations.some(operation => operation?.operation !== 'delete')) {
+        if (!entityConfig.formGuid) {
+            throw new Error(`Form GUID is required for entity ${entityConfig.entityLogicalName} - no fallback processing allowed`)
+        }
+        
+        formMetadata = await getFormMetadata(accessToken, entityConfig.formGuid, entityConfig.entityLogicalName)
+        if (!formMetadata) {
+            throw new Error(`Form metadata not found for GUID: ${entityConfig.formGuid}`)
+        }
+    }
+    
+    // 🔒 SECURITY: Verify ownership of every existing record with one query
+    const existingIds = operations
+        .filter(operation => operation?.operation === 'update' || operation?.operation === 'delete')
+        .map(operation => operation.id)
+        .filter(id => isValidGuid(id))
+    const ownedIds = await getOwnedRecordIds(accessToken, entityConfig, userContact, existingIds)
+    
+    const results = []
+    const requests = []
+    
+    for (const [index, operation] of operations.entries()) {
+        const result = { index, operation: operation?.operation || null, id: operation?.id || null, success: false }
+        results.push(result)
+        
+        try {
+            requests.push(await prepareBatchOperation(accessToken, entityConfig, userContact, operation, formMetadata, ownedIds))
+        } catch (error) {
+            Object.assign(result, describeBatchError(error))
+        }
+    }
+    
+    const rejected = results.filter(result => result.error)
+    if (rejected.length > 0) {
+        logWarn(`📦 BATCH: ${rejected.length} of ${operations.length} operations rejected - nothing sent to Dataverse`)
+        markNotApplied(results, 'Not applied because other operations in the batch were rejected')
+        return createSafeErrorResponse(
+            new Error(`Batch validation failed: ${rejected.length} of ${operations.length} operations were rejected`),
+            'generic-entity-batch',
+            origin,
+            { results, mode: 'batch' }
+        )
+    }
+    
+    // Content-IDs are 1-based request indexes, and every operation produced exactly one request
+    const responses = await createDataverseClient(accessToken).batch(requests)
+    const failed = responses.find(response => response.status >= 400)
+    
+    if (failed) {
+        const failedResult = failed.contentId ? results[failed.contentId - 1] : null
+        const message = failed.status === 412
+            ? `Update conflict: ${entityConfig.entityLogicalName} ${failedResult?.id} was modified by another user`
+            : `Dataverse rejected batch operation ${failed.contentId || '?'}: ${failed.status} - ${failed.body?.error?.message || 'unknown error'}`
+        
+        if (failedResult) {
+            Object.assign(failedResult, { status: failed.status }, describeBatchError(new Error(message)))
+        }
+        markNotApplied(results, 'Not applied because the batch was rolled back')
+        
+        return createSafeErrorResponse(new Error(message), 'generic-entity-batch', origin, { results, mode: 'batch' })
+    }
+    
+    responses.forEach(response => {
+        const result = results[response.contentId - 1]
+        if (result) {
+            result.success = true
+            result.status = response.status
+            if (result.operation === 'create') {
+                result.id = getEntityIdFromHeader(response.headers['odata-entityid'])
             }
+        }
+    })
+    
+    logDebug(`✅ BATCH: Applied ${results.length} operations on ${entityConfig.entityLogicalName}`)
+    
+    return createSuccessResponse({
+        results: results,
+        succeeded: results.length,
+        mode: 'batch'
+    }, 200, origin)
+}
+
+/**
+ * Turn one batch operation into a $batch request after the single-record security checks
+ */
+async function prepareBatchOperation(accessToken, entityConfig, userContact, operation, formMetadata, ownedIds) {
+    if (!operation || typeof operation !== 'object' || !BATCH_OPERATIONS.includes(operation.operation)) {
+        throw new Error(`Batch validation failed: operation must be one of ${BATCH_OPERATIONS.join(', ')}`)
+    }
+    
+    const entitySetName = await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)
+    const hasData = operation.data && typeof operation.data === 'object' && !Array.isArray(operation.data)
+    
+    if (operation.operation === 'create') {
+        if (!hasData) {
+            throw new Error('Batch validation failed: create requires data')
+        }
+        const sanitizedData = await prepareCreateData(accessToken, entityConfig, userContact, operation.data, formMetadata)
+        return { method: 'POST', url: entitySetName, body: sanitizedData }
+    }
+    
+    if (!isValidGuid(operation.id)) {
+        throw new Error(`Batch validation failed: ${operation.operation} requires a valid record id`)
+    }
+    
+    const entityId = operation.id.toLowerCase()
+    if (!ownedIds.has(entityId)) {
+        throw new Error('Record ownership verification failed: You can only change records you own')
+    }
+    
+    if (operation.operation === 'update') {
+        if (!hasData || getRequestFieldNames(operation.data).length === 0) {
+            throw new Error('Update validation failed: no changed fields were supplied')
+        }
+        const sanitizedData = await prepareUpdateData(accessToken, entityConfig, operation.data, formMetadata)
+        const etag = getRequestEtag(operation.data) || '*'
+        return { method: 'PATCH', url: `${entitySetName}(${entityId})`, headers: { 'If-Match': etag }, body: sanitizedData }
+    }
+    
+    // Delete follows the entity's delete configuration, like handleDeleteRequest
+    if (!entityConfig.allowDelete) {
+        throw new Error(`Delete permission denied: delete is not enabled for ${entityConfig.entityLogicalName}`)
+    }
+    const etag = hasData ? getRequestEtag(operation.data) : null
+    if (entityConfig.deleteBehavior === 'deactivate') {
+        return { method: 'PATCH', url: `${entitySetName}(${entityId})`, headers: { 'If-Match': etag || '*' }, body: INACTIVE_STATE }
+    }
+    return { method: 'DELETE', url: `${entitySetName}(${entityId})`, ...(etag ? { headers: { 'If-Match': etag } } : {}) }
+}
+
+// Attachments are notes (annotation records) with a file, bound to the record through objectid
+const ATTACHMENT_SELECT = 'annotationid,subject,filename,mimetype,filesize,createdon,_objectid_value'
+const MAX_ATTACHMENTS = 50
+
+/**
+ * 🔒 SECURITY: Verify the user owns a record before touching its attachments
+ * Personal security filter for every ownership pattern - contact-owned records must be the
+ * user's, account-owned records must belong to the user's account, anything else needs an admin
+ */
+async function verifyRecordOwnership(accessToken, entityConfig, userContact, entityId, action) {
+    const ownedIds = await getOwnedRecordIds(accessToken, entityConfig, userContact, [entityId])
+    if (!ownedIds.has(entityId.toLowerCase())) {
+        console.error(`🛡️ SECURITY: User ${userContact.contactid} attempted to ${action} on record ${entityId} they don't own`)
+        throw new Error(`Record ownership verification failed: You can only ${action} on records you own`)
+    }
+    
+    logDebug(`✅ SECURITY: User ownership verified for ${action}`)
+}
+
+/**
+ * Fetch one attachment and make sure it belongs to the record
+ */
+async function fetchRecordAttachment(accessToken, entityId, attachmentId, select) {
+    let annotation
+    try {
+        annotation = await createDataverseClient(accessToken).get(`annotations(${attachmentId})`, { select })
+    } catch (error) {
+        throw error.status === 404 ? new Error('Attachment not found') : error
+    }
+    
+    // 🔒 SECURITY: An attachment ID from another record is treated as missing
+    if (annotation._objectid_value?.toLowerCase() !== entityId.toLowerCase()) {
+        logWarn(`🛡️ SECURITY: Attachment ${attachmentId} does not belong to record ${entityId}`)
+        throw new Error('Attachment not found')
+    }
+    
+    return annotation
+}
+
+/**
+ * Map an annotation to the attachment shape returned to the client
+ */
+function toAttachment(annotation) {
+    return {
+        id: annotation.annotationid,
+        fileName: annotation.filename,
+        mimeType: annotation.mimetype,
+        size: annotation.filesize,
+        createdOn: annotation.createdon,
+        previewable: isInlineMimeType(annotation.mimetype)
+    }
+}
+
+/**
+ * Handle attachment list request - files attached to a record, newest first
+ */
+async function handleAttachmentListRequest(accessToken, entityConfig, userContact, entityId, origin = null) {
+    await verifyRecordOwnership(accessToken, entityConfig, userContact, entityId, 'view attachments')
+    
+    const filter = `_objectid_value eq '${entityId}' and isdocument eq true`
+    const data = await createDataverseClient(accessToken).list('annotations', {
+        filter: filter,
+        select: ATTACHMENT_SELECT,
+        orderBy: 'createdon desc',
+        top: MAX_ATTACHMENTS
+    })
+    const attachments = data.value.map(toAttachment)
+    
+    logDebug(`📎 ATTACHMENTS: ${attachments.length} files on ${entityConfig.entityLogicalName} ${entityId}`)
+    
+    return createSuccessResponse({
+        attachments: attachments,
+        count: attachments.length,
+        mode: 'attachments'
+    }, 200, origin)
+}
+
+/**
+ * Handle attachment download request - returns the file itself
+ * Images and PDFs are sent inline so the client can preview them
+ */
+async function handleAttachmentDownloadRequest(accessToken, entityConfig, userContact, entityId, attachmentId, origin = null) {
+    await verifyRecordOwnership(accessToken, entityConfig, userContact, entityId, 'view attachments')
+    
+    const annotation = await fetchRecordAttachment(accessToken, entityId, attachmentId, `${ATTACHMENT_SELECT},documentbody`)
+    const disposition = isInlineMimeType(annotation.mimetype) ? 'inline' : 'attachment'
+    const fileName = (annotation.filename || 'attachment').replace(/"/g, '')
+    
+    logDebug(`📎 ATTACHMENT: Download ${fileName} (${annotation.filesize} bytes) from ${entityConfig.entityLogicalName} ${entityId}`)
+    
+    return {
+        statusCode: 200,
+        headers: {
+            ...getSecureCorsHeaders(origin),
+            // Unknown types are never sniffed or rendered by the browser
+            'Content-Type': isInlineMimeType(annotation.mimetype) ? annotation.mimetype : 'application/octet-stream',
+            'Content-Disposition': `${disposition}; filename="${fileName}"`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'no-store'
+        },
+        body: annotation.documentbody || '',
+        isBase64Encoded: true
+    }
+}
+
+/**
+ * Handle attachment upload request - stores the file as a note on the record
+ * 
+ * Body: { contactGuid, fileName, mimeType, content } - content is base64 encoded
+ */
+async function handleAttachmentUploadRequest(accessToken, entityConfig, userContact, entityId, requestBody, origin = null) {
+    if (!requestBody) {
+        throw new Error('Request body is required for attachment upload')
+    }
+    
+    const { fileName, mimeType, content } = JSON.parse(requestBody)
+    
+    // 🔒 SECURITY: MIME allow-list, extension match, size limit and file signature
+    const attachment = validateAttachment({ fileName, mimeType, content })
+    if (!attachment.valid) {
+        logWarn(`🔒 SECURITY: Attachment rejected for ${entityConfig.entityLogicalName} ${entityId}: ${attachment.message}`)
+        throw new Error(attachment.message)
+    }
+    
+    await verifyRecordOwnership(accessToken, entityConfig, userContact, entityId, 'add attachments')
+    
+    const entitySetName = await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)
+    const annotation = {
+        subject: attachment.fileName,
+        filename: attachment.fileName,
+        mimetype: attachment.mimeType,
+        documentbody: attachment.content,
+        isdocument: true,
+        [`objectid_${entityConfig.entityLogicalName}@odata.bind`]: `/${entitySetName}(${entityId})`
+    }
+    
+    const { record: created } = await createDataverseClient(accessToken).create('annotations', annotation, {
+        returnRepresentation: true,
+        timeoutMs: 60000  // 60s timeout - uploads can be several MB
+    })
+    logDebug(`📎 ATTACHMENT: Uploaded ${attachment.fileName} (${attachment.size} bytes) to ${entityConfig.entityLogicalName} ${entityId}`)
+    
+    return createSuccessResponse({
+        attachment: toAttachment(created),
+        mode: 'attachment'
+    }, 201, origin)
+}
+
+/**
+ * Handle attachment delete request
+ */
+async function handleAttachmentDeleteRequest(accessToken, entityConfig, userContact, entityId, attachmentId, origin = null) {
+    await verifyRecordOwnership(accessToken, entityConfig, userContact, entityId, 'delete attachments')
+    await fetchRecordAttachment(accessToken, entityId, attachmentId, ATTACHMENT_SELECT)
+    
+    await createDataverseClient(accessToken).delete(`annotations(${attachmentId})`)
+    
+    logDebug(`📎 ATTACHMENT: Deleted ${attachmentId} from ${entityConfig.entityLogicalName} ${entityId}`)
+    
+    return createSuccessResponse({
+        success: true,
+        id: attachmentId,
+        mode: 'attachment'
+    }, 200, origin)
+}
+
+// N:N links changed per associate/disassociate request
+const MAX_ASSOCIATION_RECORDS = 50
+
+/**
+ * Handle associate/disassociate request - link or unlink records of this entity and a parent record
+ * through an N:N relationship ($ref), all in one changeset
+ * 
+ * Body: { contactGuid, parentEntity, parentId, relationshipName, ids: [recordId] }
+ * 
+ * 🔒 SECURITY: The user must own the parent record; linked records must be visible to them
+ */
+async function handleAssociationRequest(accessToken, entityConfig, userContact, action, requestBody, origin = null) {
+    if (!requestBody) {
+        throw new Error(`Request body is required for ${action}`)
+    }
+    
+    const body = JSON.parse(requestBody)
+    const ids = Array.isArray(body.ids) ? [...new Set(body.ids.map(id => String(id).toLowerCase()))] : []
+    
+    if (ids.length === 0) {
+        throw new Error('Association validation failed: ids must be a non-empty array')
+    }
+    if (ids.length > MAX_ASSOCIATION_RECORDS) {
+        throw new Error(`Association validation failed: at most ${MAX_ASSOCIATION_RECORDS} records are allowed`)
+    }
+    if (!ids.every(id => isValidGuid(id))) {
+        throw new Error('Association validation failed: invalid format for record ID')
+    }
+    
+    const relationship = await resolveManyToManyRelationship(accessToken, entityConfig, body)
+    
+    const parentConfig = await getEntityConfiguration(accessToken, relationship.parentEntity)
+    if (!parentConfig) {
+        logWarn(`⚠️ SECURITY: Association parent ${relationship.parentEntity} has no portal configuration`)
+        throw new Error(`Access denied: ${relationship.parentEntity} is not available in the portal`)
+    }
+    await verifyRecordOwnership(accessToken, parentConfig, userContact, relationship.parentId, 'change related records')
+    
+    if (action === 'associate') {
+        if (entityConfig.requiresAdmin && !userContact.cp_portaladmin) {
+            throw new Error('Access denied: Admin access required to link these records')
+        }
+        const visibleIds = await getOwnedRecordIds(accessToken, entityConfig, userContact, ids)
+        const hidden = ids.filter(id => !visibleIds.has(id))
+        if (hidden.length > 0) {
+            logWarn(`🛡️ SECURITY: User ${userContact.contactid} attempted to link ${hidden.length} ${entityConfig.entityLogicalName} records they cannot see`)
+            throw new Error(`Record ownership verification failed: ${hidden.length} of ${ids.length} records are not available to you`)
+        }
+    }
+    
+    const dataverse = createDataverseClient(accessToken)
+    const targetSetName = await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)
+    const requests = ids.map(id => action === 'associate'
+        ? {
+            method: 'POST',
+            url: `${relationship.parentPath}/$ref`,
+            body: { '@odata.id': dataverse.getUrl(`${targetSetName}(${id})`) }
+        }
+        : {
+            method: 'DELETE',
+            url: `${relationship.parentPath}(${id})/$ref`
+        })
+    
+    const responses = await dataverse.batch(requests)
+    const failed = responses.find(response => response.status >= 400)
+    
+    if (failed) {
+        throw new Error(`Dataverse rejected ${action} of record ${failed.contentId || '?'}: ${failed.status} - ${failed.body?.error?.message || 'unknown error'}`)
+    }
+    
+    logDebug(`🔗 ${action.toUpperCase()}: ${ids.length} ${entityConfig.entityLogicalName} records ${action === 'associate' ? 'linked to' : 'unlinked from'} ${relationship.parentEntity} ${relationship.parentId}`)
+    
+    return createSuccessResponse({
+        success: true,
+        ids: ids,
+        relationshipName: relationship.schemaName,
+        mode: action
+    }, 200, origin)
+}
+
+// Timeline comments - newest first
+const MAX_COMMENTS = 100
+
+/**
+ * 🔒 SECURITY: Verify the user can read a record (before using its comments or linking a child to it)
+ * Record owners always pass; with viewMode 'organization' portal admins also see colleagues' records
+ */
+async function verifyRecordAccess(accessToken, entityConfig, userContact, entityId, viewMode) {
+    const visibleIds = await getOwnedRecordIds(accessToken, entityConfig, userContact, [entityId], viewMode)
+    if (!visibleIds.has(entityId.toLowerCase())) {
+        logWarn(`🛡️ SECURITY: User ${userContact.contactid} attempted to use ${entityConfig.entityLogicalName} ${entityId} outside their ${viewMode} scope`)
+        throw new Error('Entity not found or access denied')
+    }
+}
+
+/**
+ * Helper to validate configured comment entity names before they go into a query
+ */
+function getCommentEntitySettings(entityConfig) {
+    const commentEntity = entityConfig.commentEntity
+    if (!commentEntity) {
+        return null
+    }
+    
+    return {
+        entityLogicalName: validateEntityName(commentEntity.entityLogicalName),
+        parentField: validateEntityName(commentEntity.parentField),
+        bodyField: validateEntityName(commentEntity.bodyField),
+        authorField: commentEntity.authorField ? validateEntityName(commentEntity.authorField) : null
+    }
+}
+
+/**
+ * Handle comment list request - notes on the record, or rows of the configured comment entity
+ */
+async function handleCommentListRequest(accessToken, entityConfig, userContact, entityId, viewMode = 'personal', origin = null) {
+    await verifyRecordAccess(accessToken, entityConfig, userContact, entityId, viewMode)
+    
+    const commentEntity = getCommentEntitySettings(entityConfig)
+    let path
+    let queryOptions
+    
+    if (commentEntity) {
+        const idField = getEntityIdField(commentEntity.entityLogicalName)
+        const authorValueField = commentEntity.authorField ? `_${commentEntity.authorField}_value` : null
+        path = await resolveEntitySetName(accessToken, commentEntity.entityLogicalName)
+        queryOptions = {
+            filter: `_${commentEntity.parentField}_value eq '${entityId}' and statecode eq 0`,
+            select: [idField, commentEntity.bodyField, 'createdon', authorValueField].filter(Boolean).join(',')
+        }
+    } else {
+        path = 'annotations'
+        queryOptions = {
+            filter: `_objectid_value eq '${entityId}' and isdocument eq false`,
+            select: 'annotationid,subject,notetext,createdon'
+        }
+    }
+    
+    const data = await createDataverseClient(accessToken).list(path, {
+        ...queryOptions,
+        orderBy: 'createdon desc',
+        top: MAX_COMMENTS,
+        annotations: 'OData.Community.Display.V1.FormattedValue'
+    })
+    const comments = data.value.map(record => commentEntity
+        ? toCommentFromEntity(record, commentEntity)
+        : toCommentFromNote(record))
+    
+    logDebug(`💬 COMMENTS: ${comments.length} comments on ${entityConfig.entityLogicalName} ${entityId}`)
+    
+    return createSuccessResponse({
+        comments: comments,
+        count: comments.length,
+        mode: 'comments'
+    }, 200, origin)
+}
+
+/**
+ * Map a note to the comment shape returned to the client
+ * Bodies are cleaned again on the way out - notes can also be written in Dynamics
+ */
+function toCommentFromNote(annotation) {
+    return {
+        id: annotation.annotationid,
+        author: getCommentAuthorFromSubject(annotation.subject),
+        body: sanitizeCommentHtml(annotation.notetext),
+        createdOn: annotation.createdon
+    }
+}
+
+/**
+ * Map a comment entity row to the comment shape returned to the client
+ */
+function toCommentFromEntity(record, commentEntity) {
+    const authorValueField = commentEntity.authorField ? `_${commentEntity.authorField}_value` : null
+    return {
+        id: record[getEntityIdField(commentEntity.entityLogicalName)],
+        author: authorValueField ? record[`${authorValueField}@OData.Community.Display.V1.FormattedValue`] || null : null,
+        body: sanitizeCommentHtml(record[commentEntity.bodyField]),
+        createdOn: record.createdon
+    }
+}
+
+/**
+ * Handle comment create request
+ * 
+ * Body: { contactGuid, text, format: 'plain' | 'html' }
+ */
+async function handleCommentCreateRequest(accessToken, entityConfig, userContact, entityId, viewMode = 'personal', requestBody, origin = null) {
+    if (!requestBody) {
+        throw new Error('Request body is required for comments')
+    }
+    
+    const { text, format } = JSON.parse(requestBody)
+    
+    // 🔒 SECURITY: Same tag allow-list as the rich text editor
+    const comment = prepareCommentBody({ text, format })
+    if (!comment.valid) {
+        throw new Error(comment.message)
+    }
+    
+    await verifyRecordAccess(accessToken, entityConfig, userContact, entityId, viewMode)
+    
+    const commentEntity = getCommentEntitySettings(entityConfig)
+    const parentBind = `/${await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)}(${entityId})`
+    const authorName = userContact.fullname || 'Portal user'
+    let path
+    let record
+    
+    if (commentEntity) {
+        path = await resolveEntitySetName(accessToken, commentEntity.entityLogicalName)
+        // The lookups are on the comment entity, so their navigation properties come from its metadata
+        const parentNavigationProperty = await resolveLookupNavigationProperty(accessToken, commentEntity.entityLogicalName, commentEntity.parentField)
+        record = {
+            [commentEntity.bodyField]: comment.html,
+            [`${parentNavigationProperty}@odata.bind`]: parentBind
+        }
+        if (commentEntity.authorField) {
+            const authorNavigationProperty = await resolveLookupNavigationProperty(accessToken, commentEntity.entityLogicalName, commentEntity.authorField)
+            record[`${authorNavigationProperty}@odata.bind`] = `/contacts(${userContact.contactid})`
+        }
+    } else {
+        path = 'annotations'
+        record = {
+            subject: `${COMMENT_SUBJECT_PREFIX}${authorName}`,
+            notetext: comment.html,
+            isdocument: false,
+            [`objectid_${entityConfig.entityLogicalName}@odata.bind`]: parentBind
+        }
+    }
+    
+    const { record: created } = await createDataverseClient(accessToken).create(path, record, { returnRepresentation: true })
+    logDebug(`💬 COMMENT: ${userContact.contactid} commented on ${entityConfig.entityLogicalName} ${entityId}`)
+    
+    const createdComment = commentEntity ? toCommentFromEntity(created, commentEntity) : toCommentFromNote(created)
+    
+    return createSuccessResponse({
+        // The representation has no formatted lookup values, so fill in the poster's name
+        comment: { ...createdComment, author: createdComment.author || authorName },
+        mode: 'comment'
+    }, 201, origin)
+}
+
+// Import rows are created independently - a failed row does not roll back the others
+const MAX_IMPORT_ROWS = 200
+
+/**
+ * Handle import request - create one record per imported row
+ * 
+ * Body: { contactGuid, rows: [{ field: value }], dryRun }
+ * 
+ * 🔒 SECURITY: Each row goes through prepareCreateData, exactly like a single create
+ * (field security, attribute validation, sanitizing, contact/account ownership).
+ * With dryRun nothing is written; the report says which rows would be rejected.
+ */
+async function handleImportRequest(accessToken, entityConfig, userContact, requestBody, origin = null) {
+    if (!requestBody) {
+        throw new Error('Request body is required for import operation')
+    }
+    
+    const { rows, dryRun = false } = JSON.parse(requestBody)
+    
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error('Import validation failed: rows must be a non-empty array')
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Import validation failed: at most ${MAX_IMPORT_ROWS} rows can be imported at once`)
+    }
+    
+    if (!entityConfig.formGuid) {
+        throw new Error(`Form GUID is required for entity ${entityConfig.entityLogicalName} - no fallback processing allowed`)
+    }
+    
+    const formMetadata = await getFormMetadata(accessToken, entityConfig.formGuid, entityConfig.entityLogicalName)
+    if (!formMetadata) {
+        throw new Error(`Form metadata not found for GUID: ${entityConfig.formGuid}`)
+    }
+    
+    logDebug(`📥 IMPORT: ${rows.length} rows for ${entityConfig.entityLogicalName} (dryRun: ${!!dryRun}) by user: ${userContact.contactid}`)
+    
+    const entitySetName = await resolveEntitySetName(accessToken, entityConfig.entityLogicalName)
+    const results = []
+    const requests = []
+    
+    for (const [index, row] of rows.entries()) {
+        const result = { row: index + 1, valid: false, success: false }
+        results.push(result)
+        
+        try {
+            if (!row || typeof row !== 'object' || Array.isArray(row) || getRequestFieldNames(row).length === 0) {
+                throw new Error('Import validation failed: row has no field values')
+            }
+            const sanitizedData = await prepareCreateData(accessToken, entityConfig, userContact, row, formMetadata)
+            result.valid = true
+            requests.push({ result, request: { method: 'POST', url: entitySetName, body: sanitizedData } })
+        } catch (error) {
+            Object.assign(result, describeBatchError(error))
+        }
+    }
+    
+    const validCount = requests.length
+    
+    if (dryRun) {
+        return createSuccessResponse({
+            results: results,
+            valid: validCount,
+            invalid: rows.length - validCount,
+            dryRun: true,
+            mode: 'import'
+        }, 200, origin)
+    }
+    
+    if (validCount === 0) {
+        return createSafeErrorResponse(
+            new Error(`Import validation failed: none of the ${rows.length} rows can be imported`),
+            'generic-entity-import',
+            origin,
+            { results, mode: 'import' }
+        )
+    }
+    
+    // Non-atomic batches answer in request order
+    const responses = await createDataverseClient(accessToken).batch(requests.map(entry => entry.request), { atomic: false })
+    
+    requests.forEach(({ result }, position) => {
+        const response = responses[position]
+        
+        if (!response) {
+            Object.assign(result, { errorType: 'NOT_APPLIED', error: 'Not imported because Dataverse stopped processing the batch' })
+        } else if (response.status >= 400) {
+            Object.assign(result, { status: response.status }, describeBatchError(
+                new Error(`Dataverse rejected import row ${result.row}: ${response.status} - ${response.body?.error?.message || 'unknown error'}`)
+            ))
+        } else {
+            result.success = true
+            result.status = response.status
+            result.id = getEntityIdFromHeader(response.headers['odata-entityid'])
+        }
+    })
+    
+    const created = results.filter(result => result.success).length
+    logDebug(`✅ IMPORT: Created ${created} of ${rows.length} ${entityConfig.entityLogicalName} rows`)
+    
+    return createSuccessResponse({
+        results: results,
+        created: created,
+        failed: rows.length - created,
+        dryRun: false,
+        mode: 'import'
+    }, 200, origin)
+}
+
+/**
+ * Return the subset of record IDs the user may change (same scoping as the single handlers)
+ */
+async function getOwnedRecordIds(accessToken, entityConfig, userContact, entityIds, viewMode = 'personal') {
+    if (entityIds.length === 0) {
+        return new Set()
+    }
+    
+    const idField = getEntityIdField(entityConfig.entityLogicalName)
+    const securityFilter = await buildEntitySecurityFilter(accessToken, entityConfig, userContact, viewMode)
+    const idFilter = entityIds.map(id => `${idField} eq '${id.toLowerCase()}'`).join(' or ')
+    const filter = `(${idFilter}) and (${securityFilter})`
+    
+    const data = await createDataverseClient(accessToken).list(await resolveEntitySetName(accessToken, entityConfig.entityLogicalName), {
+        filter: filter,
+        select: idField,
+        top: entityIds.length
+    })
+    const ownedIds = new Set(data.value.map(record => record[idField].toLowerCase()))
+    
+    logDebug(`🛡️ SECURITY: Batch ownership verified for ${ownedIds.size} of ${entityIds.length} records`)
+    return ownedIds
+}
+
+/**
+ * Safe per-item error details for batch results (full message only in development)
+ */
+function describeBatchError(error) {
+    const sanitized = sanitizeError(error, 'generic-entity-batch')
+    return {
+        errorType: sanitized.errorType,
+        error: sanitized.clientMessage,
+        ...(process.env.NODE_ENV !== 'production' && { details: sanitized.serverMessage })
+    }
+}
+
+/**
+ * Mark every operation without a result as not applied
+ */
+function markNotApplied(results, message) {
+    results.forEach(result => {
+        if (!result.error) {
+            result.errorType = 'NOT_APPLIED'
+            result.error = message
+        }
+    })
+}
+
+/**
+ * Build security filter for entity access - SECURE CONTACT-BASED FILTERING
+ * NO FALLBACKS - FAILS SECURELY
+ */
+async function buildEntitySecurityFilter(accessToken, entityConfig, userContact, viewMode = 'personal', stateCode = 0) {
+    // SECURITY: Contact GUID is REQUIRED - no exceptions, no fallbacks
+    if (!userContact || !userContact.contactid) {
+        throw new Error('🛡️ SECURITY: Contact GUID required for all data access')
+    }
+
+    let filter = `statecode eq ${stateCode === 1 ? 1 : 0}` // Active records unless soft deleted ones are requested
+    
+    // SECURITY: Apply user scoping based on entity configuration
+    if (entityConfig.contactRelationField) {
+        // PATTERN 1: Contact-owned entities (Ideas, Projects, Cases)
+        const contactField = `_${entityConfig.contactRelationField}_value`
+        
+        if (viewMode === 'organization' && userContact.cp_portaladmin && userContact._parentcustomerid_value) {
+            // ADMIN ORGANIZATION VIEW: Show all records from active contacts in the same account
+            // Filtered through the owning contact, so this is one clause for any account size
+            logDebug(`🏢 SECURITY: Admin organization view requested for account: ${userContact._parentcustomerid_value}`)
+            
+            const contactNavProperty = await resolveContactNavigationProperty(accessToken, entityConfig)
+            filter += ` and ${buildOrganizationScopeFilter(contactNavProperty, userContact._parentcustomerid_value)}`
+            logDebug(`🏢 SECURITY: Organization view - filtering through ${contactNavProperty}/_parentcustomerid_value`)
         } else {
             // PERSONAL VIEW: Show only user's own records
             filter += ` and ${contactField} eq '${userContact.contactid}'`
@@ -1429,28 +2895,25 @@ async function buildEntitySecurityFilter(accessToken, entityConfig, userContact,
 
 /**
  * Get entity configuration (reuse from entity-config function)
+ * Calls getEntityConfig directly - going through the handler would count every lookup
+ * against one rate limit bucket for the service principal, shared by all portal users.
+ * Admin-only configurations are not returned, as before.
  */
 async function getEntityConfiguration(accessToken, entityName) {
-    const { handler: configHandler } = await import('./entity-config.js')
-    
-    const configEvent = {
-        httpMethod: 'GET',
-        queryStringParameters: { entity: entityName },
-        headers: { authorization: `Bearer ${accessToken}` }
-    }
-    
-    const result = await configHandler(configEvent, {})
-    
-    if (result.statusCode === 200) {
-        const data = JSON.parse(result.body)
-        return data.config
+    try {
+        return await getEntityConfig(accessToken, entityName, false)
+    } catch (error) {
+        if (error.status === 429) {
+            throw error
+        }
+        logWarn(`Failed to load entity configuration for ${entityName}:`, error.status || error.message)
+        return null
     }
-    
-    return null
 }
 
 /**
  * Utility functions for entity metadata
+ * Naming convention guess only - Dataverse paths go through resolveEntitySetName
  */
 function getEntitySetName(entityLogicalName) {
     // Map common entity names to their set names
@@ -1470,6 +2933,15 @@ function getEntitySetName(entityLogicalName) {
     return entitySetMap[entityLogicalName] || `${entityLogicalName}s`
 }
 
+/**
+ * Entity set name from Dataverse metadata (e.g. cp_opportunity -> cp_opportunities),
+ * falling back to the naming convention when metadata is unavailable
+ */
+async function resolveEntitySetName(accessToken, entityLogicalName) {
+    const catalog = await getAttributeCatalog(accessToken, entityLogicalName)
+    return catalog?.entitySetName || getEntitySetName(entityLogicalName)
+}
+
 function getEntityIdField(entityLogicalName) {
     return `${entityLogicalName}id`
 }
@@ -1651,8 +3123,8 @@ async function buildSmartQueryFromMetadata(viewMetadata, entityConfig) {
                 logDebug(`🔍 Added expand for ${fieldName}: ${navigationProperty}($select=${displayField})`)
             }
         } else if (fieldName.startsWith('cp_')) {
-            // Check if this is a lookup field using inferFieldType
-            const fieldType = inferFieldType(fieldName, entityConfig)
+            // Column type comes from the attribute catalog; fall back to inferFieldType
+            const fieldType = col.type === 'lookup' ? 'lookup' : inferFieldType(fieldName, entityConfig)
             logDebug(`🔍 CP FIELD CHECK: ${fieldName} -> type: ${fieldType}`)
             logDebug(`🔍 *** NEW BUILD CODE LOADED *** - TESTING contactRelationField`)
             logDebug(`🔍 CP FIELD: entityConfig.contactRelationField = ${entityConfig?.contactRelationField}`)
@@ -1741,148 +3213,431 @@ async function buildSmartQueryFromMetadata(viewMetadata, entityConfig) {
 }
 
 /**
- * Get view metadata (reuse from organization function)
+ * Current versionnumber of a form (systemforms) or view (savedqueries)
+ * Checked at most once per METADATA_VERSION_TTL - a customization is picked up after that
  */
-async function getViewMetadata(accessToken, viewGuid, entityConfig = null) {
-    // Using process.env.DATAVERSE_URL directly to avoid initialization issues
-    
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/savedqueries(${viewGuid})?$select=name,description,layoutxml,fetchxml`
-    
-    const response = await fetchWithTimeout(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-    }, 30000)  // 30s timeout
+async function getMetadataVersion(accessToken, entitySetName, guid) {
+    return metadataCache.getOrSet(`version:${entitySetName}:${guid}`, async () => {
+        const data = await createDataverseClient(accessToken).get(`${entitySetName}(${guid})`, { select: 'versionnumber' })
+        return String(data.versionnumber)
+    }, { ttlMs: METADATA_VERSION_TTL })
+}
+
+const getMetadataCacheTags = (entityLogicalName) => entityLogicalName
+    ? [METADATA_CACHE_TAG, getEntityMetadataCacheTag(entityLogicalName)]
+    : [METADATA_CACHE_TAG]
 
-    if (!response.ok) {
-        logWarn('Failed to fetch view metadata:', response.status)
+/**
+ * Get view metadata, parsed once per view GUID and version
+ */
+async function getViewMetadata(accessToken, viewGuid, entityConfig = null) {
+    const entityLogicalName = entityConfig?.entityLogicalName
+    let version
+    try {
+        version = await getMetadataVersion(accessToken, 'savedqueries', viewGuid)
+    } catch (error) {
+        logWarn('Failed to fetch view metadata:', error.status || error.message)
         return null
     }
 
-    const data = await response.json()
-    return parseViewMetadata(data, entityConfig)
-}
+    const catalog = entityLogicalName ? await getAttributeCatalog(accessToken, entityLogicalName) : null
+    const load = async () => {
+        let data
+        try {
+            data = await createDataverseClient(accessToken).get(`savedqueries(${viewGuid})`, { select: 'name,description,layoutxml,fetchxml' })
+        } catch (error) {
+            logWarn('Failed to fetch view metadata:', error.status || error.message)
+            return null
+        }
+        return parseViewMetadata(data, entityConfig, catalog)
+    }
 
-/**
- * Get form metadata (reuse from organization function)
- */
-async function getFormMetadata(accessToken, formGuid, entityLogicalName = null) {
-    // Using process.env.DATAVERSE_URL directly to avoid initialization issues
-    
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/systemforms(${formGuid})?$select=name,description,formxml`
-    
-    const response = await fetchWithTimeout(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-    }, 30000)  // 30s timeout
+    // Without the catalog column types are only inferred - parse again next time
+    if (entityLogicalName && !catalog) {
+        return load()
+    }
+    // Column types also depend on the entity configuration (contact/account relation fields)
+    return metadataCache.getOrSet(`view:${viewGuid}:${version}:${hashKey(entityConfig)}`, load, {
+        ttlMs: METADATA_CACHE_TTL,
+        tags: getMetadataCacheTags(entityLogicalName)
+    })
+}
 
-    if (!response.ok) {
-        logWarn('Failed to fetch form metadata:', response.status)
+/**
+ * Get form metadata, parsed once per form GUID and version
+ */
+async function getFormMetadata(accessToken, formGuid, entityLogicalName = null) {
+    let version
+    try {
+        version = await getMetadataVersion(accessToken, 'systemforms', formGuid)
+    } catch (error) {
+        logWarn('Failed to fetch form metadata:', error.status || error.message)
         return null
     }
 
-    const data = await response.json()
-    return await parseFormMetadata(data, accessToken, entityLogicalName)
+    const catalog = entityLogicalName ? await getAttributeCatalog(accessToken, entityLogicalName) : null
+    const load = async () => {
+        let data
+        try {
+            data = await createDataverseClient(accessToken).get(`systemforms(${formGuid})`, { select: 'name,description,formxml' })
+        } catch (error) {
+            logWarn('Failed to fetch form metadata:', error.status || error.message)
+            return null
+        }
+        return await parseFormMetadata(data, accessToken, entityLogicalName, catalog)
+    }
+
+    // Without the catalog control types are only inferred - parse again next time
+    if (entityLogicalName && !catalog) {
+        return load()
+    }
+    return metadataCache.getOrSet(`form:${formGuid}:${version}:${entityLogicalName || ''}`, load, {
+        ttlMs: METADATA_CACHE_TTL,
+        tags: getMetadataCacheTags(entityLogicalName)
+    })
 }
 
 // Import parsing functions from organization.js
-function parseViewMetadata(viewData, entityConfig = null) {
+function parseViewMetadata(viewData, entityConfig = null, catalog = null) {
     logDebug('🔍 Parsing view metadata for:', viewData.name)
+
+    // Translate the view's FetchXML <filter>/<order> so the portal list matches the view
+    // Outside the try below - a view whose filter cannot be translated is rejected, never widened
+    const viewQuery = translateFetchXmlToOData(viewData.fetchxml, catalog, entityConfig)
     
     if (!viewData.layoutxml) {
         logWarn('⚠️ No layoutxml found in view data')
         return {
             name: viewData.name,
-            columns: []
+            columns: [],
+            filter: viewQuery.filter,
+            orderBy: viewQuery.orderBy
         }
     }
 
     try {
         // Parse the layoutxml to extract column information
-        const layoutxml = viewData.layoutxml
-        logDebug('📋 Layout XML length:', layoutxml.length)
-        
-        // DEBUG: Log a sample of the XML to understand structure
-        const xmlSample = layoutxml.substring(0, 500)
-        logDebug('📋 XML Sample:', xmlSample)
+        const layout = parseLayoutXml(viewData.layoutxml)
+        logDebug('📋 Layout XML length:', viewData.layoutxml.length)
         
-        // Also check FetchXML for additional metadata
-        if (viewData.fetchxml) {
-            logDebug('📋 FetchXML length:', viewData.fetchxml.length)
-            const fetchSample = viewData.fetchxml.substring(0, 300)
-            logDebug('📋 FetchXML Sample:', fetchSample)
-        }
-        
-        // Extract column names from layoutxml using regex
-        // This matches: <cell name="fieldname" ...>
-        const columnMatches = layoutxml.match(/<cell[^>]+name="([^"]+)"/g)
-        
-        if (!columnMatches) {
+        if (layout.columns.length === 0) {
             logWarn('⚠️ No columns found in layoutxml')
             return {
                 name: viewData.name,
-                columns: []
+                columns: [],
+                filter: viewQuery.filter,
+                orderBy: viewQuery.orderBy
             }
         }
 
-        const columns = columnMatches.map(match => {
-            const nameMatch = match.match(/name="([^"]+)"/)
-            const fieldName = nameMatch ? nameMatch[1] : null
-            
-            if (fieldName) {
-                // Try to extract actual display name from the cell XML
-                let displayName = formatDisplayName(fieldName) // fallback
-                
-                // Look for display name in various possible attributes
-                const displayNameMatch = match.match(/displayname="([^"]+)"/) || 
-                                       match.match(/Display[Nn]ame="([^"]+)"/) ||
-                                       match.match(/label="([^"]+)"/) ||
-                                       match.match(/Label="([^"]+)"/);
-                
-                if (displayNameMatch) {
-                    displayName = displayNameMatch[1]
-                    logDebug(`📋 FOUND DISPLAY NAME: ${fieldName} -> "${displayName}"`)
-                } else {
-                    logDebug(`📋 NO DISPLAY NAME FOUND FOR: ${fieldName}, using fallback: "${displayName}"`)
-                }
+        const columns = layout.columns
+            .filter(cell => !cell.isHidden)
+            .map(cell => {
+                const fieldName = cell.name
+                const attribute = getCatalogAttribute(catalog, fieldName)
+                const displayName = cell.label || attribute?.displayName || formatDisplayName(fieldName)
                 
-                // Try to get width from the XML
-                const widthMatch = match.match(/width="([^"]+)"/)
-                const width = widthMatch ? widthMatch[1] : '120px'
+                // layoutxml widths are pixel numbers without unit
+                const width = cell.width ? (/^\d+$/.test(cell.width) ? `${cell.width}px` : cell.width) : '120px'
                 
                 logDebug(`🔍 COLUMN PARSED: ${fieldName} -> "${displayName}" (width: ${width})`)
                 
                 return {
                     name: fieldName,
                     displayName: displayName,
-                    type: inferFieldType(fieldName, entityConfig),
-                    width: width
+                    type: getColumnTypeForAttribute(attribute) || inferFieldType(fieldName, entityConfig),
+                    format: attribute?.format || null,
+                    precision: attribute?.precision ?? null,
+                    options: attribute?.options || null,
+                    width: width,
+                    sortable: !cell.disableSorting
                 }
-            }
-            return null
-        }).filter(col => col !== null)
+            })
 
         return {
             name: viewData.name,
             description: viewData.description,
-            columns: columns
+            columns: columns,
+            filter: viewQuery.filter,
+            orderBy: viewQuery.orderBy
         }
     } catch (error) {
         console.error('❌ Error parsing view metadata:', error.message)
         return {
             name: viewData.name,
-            columns: []
+            columns: [],
+            filter: viewQuery.filter,
+            orderBy: viewQuery.orderBy
+        }
+    }
+}
+
+// FetchXML condition operators that map to Dataverse OData query functions
+const FETCHXML_QUERY_FUNCTIONS = {
+    'on': 'On',
+    'on-or-after': 'OnOrAfter',
+    'on-or-before': 'OnOrBefore',
+    'today': 'Today',
+    'yesterday': 'Yesterday',
+    'tomorrow': 'Tomorrow',
+    'this-week': 'ThisWeek',
+    'last-week': 'LastWeek',
+    'next-week': 'NextWeek',
+    'this-month': 'ThisMonth',
+    'last-month': 'LastMonth',
+    'next-month': 'NextMonth',
+    'this-year': 'ThisYear',
+    'last-year': 'LastYear',
+    'next-year': 'NextYear',
+    'last-seven-days': 'Last7Days',
+    'next-seven-days': 'Next7Days',
+    'last-x-hours': 'LastXHours',
+    'next-x-hours': 'NextXHours',
+    'last-x-days': 'LastXDays',
+    'next-x-days': 'NextXDays',
+    'last-x-weeks': 'LastXWeeks',
+    'next-x-weeks': 'NextXWeeks',
+    'last-x-months': 'LastXMonths',
+    'next-x-months': 'NextXMonths',
+    'last-x-years': 'LastXYears',
+    'next-x-years': 'NextXYears',
+    'olderthan-x-days': 'OlderThanXDays',
+    'olderthan-x-months': 'OlderThanXMonths',
+    'olderthan-x-years': 'OlderThanXYears'
+}
+
+// FetchXML comparison operators that map directly to OData operators
+const FETCHXML_COMPARISON_OPERATORS = {
+    'gt': 'gt',
+    'ge': 'ge',
+    'lt': 'lt',
+    'le': 'le'
+}
+
+/**
+ * Format a FetchXML condition value as an OData literal
+ * FetchXML values are untyped strings - numbers, booleans, GUIDs and dates are emitted unquoted
+ */
+function formatFetchXmlValue(value) {
+    if (/^-?\d+(\.\d+)?$/.test(value)) return value
+    if (value === 'true' || value === 'false') return value
+    if (isValidGuid(value)) return value.replace(/[{}]/g, '')
+    if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(value)) return value
+    return `'${escapeODataValue(value)}'`
+}
+
+/**
+ * OData property for a FetchXML attribute - lookups are filtered and sorted through _name_value
+ */
+function getFetchXmlQueryField(attribute, catalog) {
+    const type = getColumnTypeForAttribute(getCatalogAttribute(catalog, attribute))
+    return getQueryFieldForColumn({ name: attribute, type })
+}
+
+/**
+ * Error for a view FetchXML the portal cannot apply faithfully
+ * sanitizeError reports it as VIEW_NOT_SUPPORTED (422) - the view has to be changed in Dataverse.
+ */
+function createUnsupportedViewError(detail) {
+    return new Error(`View configuration not supported: ${detail}`)
+}
+
+// Stands in for the signed-in user's contact GUID in translated view filters ("My ..." views)
+// Views are parsed once for every user, so the GUID is filled in per request by applyViewFilterParameters
+const VIEW_CURRENT_CONTACT = '@currentcontact'
+
+/**
+ * Fill in the signed-in user's contact GUID in a translated view filter
+ * Only outside string literals, so a view value that happens to contain the placeholder is left alone.
+ */
+function applyViewFilterParameters(filter, userContact) {
+    if (!filter) return filter
+    return filter
+        .split(/('(?:[^']|'')*')/)
+        .map((part, index) => index % 2 === 1 ? part : part.split(VIEW_CURRENT_CONTACT).join(`'${sanitizeGuid(userContact.contactid)}'`))
+        .join('')
+}
+
+/**
+ * Translate a single FetchXML <condition> into an OData filter expression
+ * Returns null for conditions that cannot be expressed safely (link-entity aliases, user context operators)
+ * Query functions take the logical name in PropertyName; everything else uses the OData property.
+ * eq-userid on the contact relation field becomes the personal scope: the lookup equals the user's contact.
+ */
+function translateFetchXmlCondition(condition, catalog = null, entityConfig = null) {
+    const attribute = condition.attributes.attribute
+    const operator = (condition.attributes.operator || '').toLowerCase()
+    const rawValue = condition.attributes.value
+    const values = getChildren(condition, 'value').map(child => child.text.trim())
+
+    // Conditions on linked entities (entityname="alias") are not supported
+    if (!attribute || condition.attributes.entityname || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(attribute)) {
+        return null
+    }
+
+    if (operator === 'eq-userid' && entityConfig?.contactRelationField && attribute === entityConfig.contactRelationField) {
+        return `_${attribute}_value eq ${VIEW_CURRENT_CONTACT}`
+    }
+
+    const field = getFetchXmlQueryField(attribute, catalog)
+    const quotedValues = (rawValue !== undefined ? [rawValue] : values)
+        .map(value => `'${escapeODataValue(value)}'`)
+
+    switch (operator) {
+        case 'eq':
+        case 'in':
+            // Query functions accept string values for any attribute type, including lookups
+            return quotedValues.length > 0
+                ? `Microsoft.Dynamics.CRM.In(PropertyName='${attribute}',PropertyValues=[${quotedValues.join(',')}])`
+                : null
+        case 'ne':
+        case 'neq':
+        case 'not-in':
+            return quotedValues.length > 0
+                ? `Microsoft.Dynamics.CRM.NotIn(PropertyName='${attribute}',PropertyValues=[${quotedValues.join(',')}])`
+                : null
+        case 'null':
+            return `${field} eq null`
+        case 'not-null':
+            return `${field} ne null`
+        case 'like':
+        case 'not-like': {
+            if (rawValue === undefined) return null
+            const likeValue = rawValue.replace(/^%/, '').replace(/%$/, '')
+            if (likeValue.includes('%') || likeValue.includes('_')) return null
+            let expression
+            if (rawValue.startsWith('%') && rawValue.endsWith('%')) {
+                expression = `contains(${field},'${escapeODataValue(likeValue)}')`
+            } else if (rawValue.endsWith('%')) {
+                expression = `startswith(${field},'${escapeODataValue(likeValue)}')`
+            } else if (rawValue.startsWith('%')) {
+                expression = `endswith(${field},'${escapeODataValue(likeValue)}')`
+            } else {
+                expression = `${field} eq '${escapeODataValue(likeValue)}'`
+            }
+            return operator === 'not-like' ? `not ${expression}` : expression
         }
+        case 'begins-with':
+        case 'not-begin-with': {
+            if (rawValue === undefined) return null
+            const expression = `startswith(${field},'${escapeODataValue(rawValue)}')`
+            return operator === 'not-begin-with' ? `not ${expression}` : expression
+        }
+        case 'ends-with':
+        case 'not-end-with': {
+            if (rawValue === undefined) return null
+            const expression = `endswith(${field},'${escapeODataValue(rawValue)}')`
+            return operator === 'not-end-with' ? `not ${expression}` : expression
+        }
+        case 'between':
+        case 'not-between':
+            if (values.length !== 2) return null
+            return `Microsoft.Dynamics.CRM.${operator === 'between' ? 'Between' : 'NotBetween'}(PropertyName='${attribute}',PropertyValues=[${quotedValues.join(',')}])`
+        default:
+            break
+    }
+
+    if (FETCHXML_COMPARISON_OPERATORS[operator]) {
+        if (rawValue === undefined) return null
+        return `${field} ${FETCHXML_COMPARISON_OPERATORS[operator]} ${formatFetchXmlValue(rawValue)}`
+    }
+
+    const queryFunction = FETCHXML_QUERY_FUNCTIONS[operator]
+    if (queryFunction) {
+        if (rawValue === undefined) {
+            return `Microsoft.Dynamics.CRM.${queryFunction}(PropertyName='${attribute}')`
+        }
+        // X-period functions take an integer, date functions take a string
+        const propertyValue = /^\d+$/.test(rawValue) ? rawValue : `'${escapeODataValue(rawValue)}'`
+        return `Microsoft.Dynamics.CRM.${queryFunction}(PropertyName='${attribute}',PropertyValue=${propertyValue})`
+    }
+
+    return null
+}
+
+/**
+ * Translate a FetchXML <filter> element (recursively) into an OData filter expression
+ * Throws on an unsupported condition - dropping it would show records the view excludes.
+ * An empty nested filter matches everything. The security filter is always applied separately.
+ */
+function translateFetchXmlFilter(filterElement, catalog = null, entityConfig = null) {
+    const filterType = (filterElement.attributes.type || 'and').toLowerCase() === 'or' ? 'or' : 'and'
+    const expressions = []
+
+    for (const child of filterElement.children) {
+        let expression = null
+        const childName = child.name.toLowerCase()
+        if (childName === 'condition') {
+            expression = translateFetchXmlCondition(child, catalog, entityConfig)
+            if (!expression) {
+                const { entityname, attribute, operator } = child.attributes
+                throw createUnsupportedViewError(`condition ${entityname ? `${entityname}.` : ''}${attribute} ${operator} has no portal equivalent - remove it from the view or choose another view`)
+            }
+        } else if (childName === 'filter') {
+            expression = translateFetchXmlFilter(child, catalog, entityConfig)
+        } else {
+            continue
+        }
+
+        if (!expression) {
+            if (filterType === 'or') {
+                return null
+            }
+            continue
+        }
+        expressions.push(expression)
+    }
+
+    if (expressions.length === 0) return null
+    if (expressions.length === 1) return expressions[0]
+    return `(${expressions.join(` ${filterType} `)})`
+}
+
+/**
+ * Translate the view FetchXML's root-entity <filter> and <order> elements to OData
+ * Filters and orders inside <link-entity> are ignored. Lookup attributes are mapped to
+ * _name_value through the attribute catalog.
+ * 
+ * @param {string} fetchxml - FetchXML from savedqueries.fetchxml
+ * @param {Object} catalog - Attribute catalog of the view's entity, if loaded
+ * @param {Object} entityConfig - Entity configuration, for eq-userid on the contact relation field
+ * @returns {Object} { filter: string|null, orderBy: string|null }
+ * @throws {Error} When the FetchXML cannot be parsed or has a condition without an OData equivalent
+ */
+function translateFetchXmlToOData(fetchxml, catalog = null, entityConfig = null) {
+    if (!fetchxml) {
+        return { filter: null, orderBy: null }
+    }
+
+    let document
+    try {
+        document = parseXml(fetchxml)
+    } catch (error) {
+        logWarn('⚠️ Failed to parse view FetchXML:', error.message)
+        throw createUnsupportedViewError('FetchXML could not be parsed')
+    }
+
+    const entityElement = getPath(document, ['fetch', 'entity'])[0]
+    if (!entityElement) {
+        logWarn('⚠️ No <entity> element found in view FetchXML')
+        return { filter: null, orderBy: null }
+    }
+
+    const filterExpressions = getChildren(entityElement, 'filter')
+        .map(filter => translateFetchXmlFilter(filter, catalog, entityConfig))
+        .filter(Boolean)
+
+    const orders = getChildren(entityElement, 'order')
+        .filter(order => /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(order.attributes.attribute || ''))
+        .map(order => `${getFetchXmlQueryField(order.attributes.attribute, catalog)} ${order.attributes.descending === 'true' ? 'desc' : 'asc'}`)
+
+    const result = {
+        filter: filterExpressions.length > 0 ? filterExpressions.join(' and ') : null,
+        orderBy: orders.length > 0 ? orders.join(',') : null
     }
+
+    logDebug('📋 View FetchXML translated to OData:', result)
+    return result
 }
 
 function formatDisplayName(fieldName) {
@@ -1945,7 +3700,7 @@ function inferFieldType(fieldName, entityConfig = null) {
     return 'text'
 }
 
-async function parseFormMetadata(formData, accessToken, entityLogicalName) {
+async function parseFormMetadata(formData, accessToken, entityLogicalName, catalog = null) {
     logDebug('🔍 Parsing form metadata for:', formData.name)
     
     if (!formData.formxml) {
@@ -1961,7 +3716,7 @@ async function parseFormMetadata(formData, accessToken, entityLogicalName) {
         logDebug('📋 Form XML length:', formxml.length)
         
         // Parse tabs and subgrids from formxml
-        const parseResult = parseTabsFromFormXml(formxml)
+        const parseResult = parseTabsFromFormXml(formxml, catalog)
         const formTabs = parseResult.formTabs || []
         const subgrids = parseResult.subgrids || []
         
@@ -1981,7 +3736,23 @@ async function parseFormMetadata(formData, accessToken, entityLogicalName) {
                         subgrid.relationshipName
                     )
                     
-                    if (relationshipMeta) {
+                    if (relationshipMeta?.relationshipType === 'ManyToMany') {
+                        // N:N subgrids are read through the parent's navigation property - no lookup field
+                        const subgridTab = {
+                            type: 'subgrid',
+                            name: subgrid.id,
+                            displayName: subgrid.displayName,
+                            targetEntity: subgrid.targetEntity || relationshipMeta.targetEntity,
+                            relationshipName: subgrid.relationshipName,
+                            relationshipType: 'ManyToMany',
+                            parentEntity: entityLogicalName,
+                            viewId: subgrid.viewId,
+                            sections: []
+                        }
+                        
+                        enrichedSubgrids.push(subgridTab)
+                        logDebug(`✅ Enriched N:N subgrid: ${subgridTab.displayName} -> ${relationshipMeta.navigationProperty}`)
+                    } else if (relationshipMeta) {
                         // Create subgrid tab with complete metadata
                         const subgridTab = {
                             type: 'subgrid',
@@ -1989,6 +3760,8 @@ async function parseFormMetadata(formData, accessToken, entityLogicalName) {
                             displayName: subgrid.displayName,
                             targetEntity: subgrid.targetEntity,
                             relationshipName: subgrid.relationshipName,
+                            relationshipType: 'OneToMany',
+                            parentEntity: entityLogicalName,
                             relationshipField: `_${relationshipMeta.referencingAttribute}_value`,  // Exact lookup field
                             viewId: subgrid.viewId,
                             sections: []  // Subgrids don't have sections
@@ -2013,7 +3786,9 @@ async function parseFormMetadata(formData, accessToken, entityLogicalName) {
         return {
             name: formData.name,
             description: formData.description,
-            structure: { tabs: allTabs }
+            structure: { tabs: allTabs },
+            // Picklist, status and state options with localized labels (keyed by attribute)
+            optionSets: getCatalogOptionSets(catalog)
         }
     } catch (error) {
         console.error('❌ Error parsing form metadata:', error.message)
@@ -2026,67 +3801,31 @@ async function parseFormMetadata(formData, accessToken, entityLogicalName) {
 
 /**
  * Parse tabs and fields from Dataverse form XML
+ * Uses the typed model from form-xml-parser.js and maps it to the portal tab format
+ * When an attribute catalog is available it decides control types and field limits
  */
-function parseTabsFromFormXml(formxml) {
-    const tabs = []
+function parseTabsFromFormXml(formxml, catalog = null) {
     const subgrids = []  // Collect subgrids found in the form
     
     try {
-        // Extract tab elements using regex (basic XML parsing)
-        const tabMatches = formxml.match(/<tab[^>]*>.*?<\/tab>/gs)
+        const formModel = parseFormXml(formxml)
         
-        if (!tabMatches) {
+        if (formModel.tabs.length === 0) {
             logWarn('⚠️ No tabs found in form XML')
-            return []
+            return { formTabs: [], subgrids: [] }
         }
 
-        tabMatches.forEach((tabXml, tabIndex) => {
-            // Extract tab attributes
-            const nameMatch = tabXml.match(/name="([^"]*)"/)
-            const labelMatch = tabXml.match(/label="([^"]*)"/)
-            
-            // Extract visibility attributes for tabs
-            const visibleMatch = tabXml.match(/visible="([^"]*)"/)
-            const showLabelMatch = tabXml.match(/showlabel="([^"]*)"/)
-            const hiddenMatch = tabXml.match(/hidden="([^"]*)"/)
-            const hideLabelMatch = tabXml.match(/hidelabel="([^"]*)"/)
-            
-            const tabName = nameMatch ? nameMatch[1] : `Tab${tabIndex + 1}`
-            const tabLabel = labelMatch ? labelMatch[1] : tabName
-            
-            // Parse boolean values from XML attributes
-            const visible = visibleMatch ? visibleMatch[1].toLowerCase() === 'true' : true
-            const showLabel = showLabelMatch ? showLabelMatch[1].toLowerCase() === 'true' : true
-            const hidden = hiddenMatch ? hiddenMatch[1].toLowerCase() === 'true' : false
-            const hideLabel = hideLabelMatch ? hideLabelMatch[1].toLowerCase() === 'true' : false
-            
-            // Extract sections within this tab
-            const sections = parseSectionsFromTabXml(tabXml)
-            
-            // Collect any subgrids found in sections
-            sections.forEach(section => {
-                section.rows?.forEach(row => {
-                    row.cells?.forEach(cell => {
-                        cell.controls?.forEach(control => {
-                            if (control.type === 'subgrid') {
-                                subgrids.push(control)
-                            }
-                        })
-                    })
-                })
-            })
-            
-            tabs.push({
-                type: 'form',
-                name: tabName,
-                displayName: tabLabel,
-                visible: visible,
-                showLabel: showLabel,
-                hidden: hidden,
-                hideLabel: hideLabel,
-                sections: sections
-            })
-        })
+        const tabs = formModel.tabs.map(tab => ({
+            type: 'form',
+            name: tab.name,
+            displayName: tab.label,
+            labels: tab.labels,
+            visible: tab.visible,
+            showLabel: tab.showLabel,
+            hidden: !tab.visible,
+            hideLabel: !tab.showLabel,
+            sections: tab.sections.map(section => buildPortalSection(section, subgrids, catalog))
+        }))
         
         logDebug(`✅ Parsed ${tabs.length} form tabs from form XML`)
         logDebug(`📋 Found ${subgrids.length} subgrids in form`)
@@ -2101,248 +3840,125 @@ function parseTabsFromFormXml(formxml) {
 }
 
 /**
- * Parse sections and fields from tab XML
+ * Map a typed form section to the portal section format (rows -> cells -> controls)
+ * Subgrid controls are also collected into the subgrids array for relationship enrichment
  */
-function parseSectionsFromTabXml(tabXml) {
-    const sections = []
-    
-    try {
-        // Extract section elements
-        const sectionMatches = tabXml.match(/<section[^>]*>.*?<\/section>/gs)
-        
-        if (!sectionMatches) {
-            logWarn('⚠️ No sections found in tab XML')
-            return []
-        }
-
-        sectionMatches.forEach((sectionXml, sectionIndex) => {
-            // Extract section attributes
-            const nameMatch = sectionXml.match(/name="([^"]*)"/)
-            const labelMatch = sectionXml.match(/label="([^"]*)"/)
-            
-            // Extract visibility attributes
-            const visibleMatch = sectionXml.match(/visible="([^"]*)"/)
-            const showLabelMatch = sectionXml.match(/showlabel="([^"]*)"/)
-            const hiddenMatch = sectionXml.match(/hidden="([^"]*)"/)
-            const hideLabelMatch = sectionXml.match(/hidelabel="([^"]*)"/)
-            
-            const sectionName = nameMatch ? nameMatch[1] : `Section${sectionIndex + 1}`
-            const sectionLabel = labelMatch ? labelMatch[1] : sectionName
-            
-            // Parse boolean values from XML attributes
-            const visible = visibleMatch ? visibleMatch[1].toLowerCase() === 'true' : true
-            const showLabel = showLabelMatch ? showLabelMatch[1].toLowerCase() === 'true' : true
-            const hidden = hiddenMatch ? hiddenMatch[1].toLowerCase() === 'true' : false
-            const hideLabel = hideLabelMatch ? hideLabelMatch[1].toLowerCase() === 'true' : false
-            
-            // Extract rows (controls) within this section
-            const rows = parseRowsFromSectionXml(sectionXml)
-            
-            sections.push({
-                name: sectionName,
-                displayName: sectionLabel,
-                visible: visible,
-                showLabel: showLabel,
-                hidden: hidden,
-                hideLabel: hideLabel,
-                rows: rows
-            })
-        })
-        
-        return sections
-        
-    } catch (error) {
-        console.error('❌ Error parsing sections from tab XML:', error.message)
-        return []
+function buildPortalSection(section, subgrids, catalog = null) {
+    const rows = section.rows.map(row => ({
+        cells: row.cells.map(cell => ({
+            colspan: cell.colspan,
+            controls: cell.controls
+                .map(control => {
+                    if (control.kind === 'subgrid') {
+                        const subgrid = buildPortalSubgrid(control, cell)
+                        if (subgrid) subgrids.push(subgrid)
+                        return subgrid
+                    }
+                    return buildPortalControl(control, cell, catalog)
+                })
+                .filter(Boolean)
+        })).filter(cell => cell.controls.length > 0)
+    })).filter(row => row.cells.length > 0)
+    
+    return {
+        name: section.name,
+        displayName: section.label,
+        labels: section.labels,
+        visible: section.visible,
+        showLabel: section.showLabel,
+        hidden: !section.visible,
+        hideLabel: !section.showLabel,
+        rows: rows
     }
 }
 
 /**
- * Parse rows and controls from section XML
+ * Map a typed form control to the portal control format
+ * Controls without a datafieldname (spacers, web resources, timeline) are skipped
+ * Type, limits and required level come from the attribute catalog when available
  */
-function parseRowsFromSectionXml(sectionXml) {
-    const rows = []
+function buildPortalControl(control, cell, catalog = null) {
+    if (!control.datafieldname) {
+        logDebug(`⚠️ Skipped control ${control.id || 'unknown'} (no datafieldname)`)
+        return null
+    }
     
-    try {
-        // First try to extract row elements (proper Dataverse structure)
-        const rowMatches = sectionXml.match(/<row[^>]*>.*?<\/row>/gs)
-        
-        if (rowMatches && rowMatches.length > 0) {
-            logDebug(`🔍 Found ${rowMatches.length} row elements in section`)
-            
-            // Parse each row
-            rowMatches.forEach((rowXml, rowIndex) => {
-                // Extract cells from this row
-                const cellMatches = rowXml.match(/<cell[^>]*>.*?<\/cell>/gs)
-                
-                if (cellMatches && cellMatches.length > 0) {
-                    logDebug(`🔍 Row ${rowIndex}: Found ${cellMatches.length} cell elements`)
-                    
-                    const rowCells = []
-                    cellMatches.forEach((cellXml, cellIndex) => {
-                        // Extract controls from this cell
-                        const controlMatches = cellXml.match(/<control[^>]*(?:\/>|>.*?<\/control>)/gs)
-                        
-                        if (controlMatches && controlMatches.length > 0) {
-                            const cellControls = []
-                            controlMatches.forEach((controlXml) => {
-                                const idMatch = controlXml.match(/id="([^"]*)"/)
-                                const datafieldMatch = controlXml.match(/datafieldname="([^"]*)"/)
-                                logDebug(`🔍 Row ${rowIndex}, Cell ${cellIndex}: id="${idMatch?.[1] || 'none'}", datafieldname="${datafieldMatch?.[1] || 'none'}"`)
-                                
-                                // Check for subgrid
-                                const hasSubgridParameters = controlXml.includes('<parameters>') && 
-                                                            (controlXml.includes('<TargetEntityType>') || 
-                                                             controlXml.includes('<RelationshipName>'))
-                                
-                                if (hasSubgridParameters) {
-                                    const subgrid = parseSubgridFromXml(controlXml)
-                                    if (subgrid) {
-                                        cellControls.push(subgrid)
-                                    }
-                                } else {
-                                    const control = parseControlFromXml(controlXml)
-                                    if (control) {
-                                        logDebug(`✅ Parsed control: ${control.datafieldname} (${control.controlType}), label: "${control.displayName}"`)
-                                        cellControls.push(control)
-                                    } else {
-                                        logDebug(`⚠️ Skipped control (no datafieldname or parse failed)`)
-                                    }
-                                }
-                            })
-                            
-                            if (cellControls.length > 0) {
-                                rowCells.push({ controls: cellControls })
-                            }
-                        }
-                    })
-                    
-                    if (rowCells.length > 0) {
-                        rows.push({ cells: rowCells })
-                    }
-                }
-            })
-            
-            return rows
-        }
-        
-        // Fallback: If no row elements found, try old method (extract controls directly)
-        logDebug(`⚠️ No row elements found, falling back to direct control extraction`)
-        const controlMatches = sectionXml.match(/<control[^>]*(?:\/>|>.*?<\/control>)/gs)
-        
-        if (!controlMatches) {
-            logWarn('⚠️ No controls found in section XML')
-            return []
-        }
-
-        logDebug(`🔍 Found ${controlMatches.length} control elements in section`)
-
-        // Group controls into rows (for simplicity, each control is its own row)
-        controlMatches.forEach((controlXml, controlIndex) => {
-            // Log ALL control IDs for debugging
-            const idMatch = controlXml.match(/id="([^"]*)"/)
-            const datafieldMatch = controlXml.match(/datafieldname="([^"]*)"/)
-            logDebug(`🔍 Control ${controlIndex}: id="${idMatch?.[1] || 'none'}", datafieldname="${datafieldMatch?.[1] || 'none'}"`)
-            
-            // DYNAMIC SubGrid detection: Check if control has SubGrid parameters structure
-            // Instead of hardcoded classid, look for the actual SubGrid metadata
-            const hasSubgridParameters = controlXml.includes('<parameters>') && 
-                                        (controlXml.includes('<TargetEntityType>') || 
-                                         controlXml.includes('<RelationshipName>'))
-            
-            if (hasSubgridParameters) {
-                logDebug(`📋 Found SubGrid control at index ${controlIndex} (detected by parameters structure)`)
-                // Parse subgrid metadata
-                const subgrid = parseSubgridFromXml(controlXml)
-                if (subgrid) {
-                    logDebug(`✅ Successfully parsed subgrid: ${subgrid.displayName}`)
-                    rows.push({
-                        cells: [{
-                            controls: [subgrid]
-                        }]
-                    })
-                } else {
-                    logWarn(`⚠️ Failed to parse subgrid at index ${controlIndex}`)
-                }
-            } else {
-                // Parse regular control
-                const control = parseControlFromXml(controlXml)
-                
-                if (control) {
-                    logDebug(`✅ Parsed control: ${control.datafieldname} (${control.controlType}), label: "${control.displayName}"`)
-                    rows.push({
-                        cells: [{
-                            controls: [control]
-                        }]
-                    })
-                } else {
-                    logDebug(`⚠️ Skipped control at index ${controlIndex} (no datafieldname or parse failed)`)
-                }
-            }
-        })
-        
-        return rows
-        
-    } catch (error) {
-        console.error('❌ Error parsing rows from section XML:', error.message)
-        return []
+    const fieldName = control.datafieldname
+    const attribute = getCatalogAttribute(catalog, fieldName)
+    const isRichText = isRichTextField(control, fieldName, attribute)
+    const controlType = isRichText ? 'richtext' : (getControlTypeForAttribute(attribute) || inferControlType(fieldName, control))
+    
+    logDebug(`✅ Parsed control: ${fieldName} (${controlType}${attribute ? ', from catalog' : ''}), label: "${cell.label}"`)
+    
+    return {
+        type: 'control',
+        datafieldname: fieldName,
+        displayName: cell.label || attribute?.displayName || formatDisplayName(fieldName),
+        labels: cell.labels,
+        controlType: controlType,
+        disabled: control.disabled,
+        visible: cell.visible,
+        showLabel: cell.showLabel,
+        isRichText: isRichText,
+        classType: control.customControl || control.kind,
+        classId: control.classId,
+        required: attribute?.requiredLevel === 'ApplicationRequired',
+        maxLength: attribute?.maxLength ?? null,
+        precision: attribute?.type === 'integer' ? 0 : (attribute?.precision ?? null),
+        minValue: attribute?.minValue ?? null,
+        maxValue: attribute?.maxValue ?? null,
+        validForCreate: attribute ? attribute.isValidForCreate : true,
+        validForUpdate: attribute ? attribute.isValidForUpdate : true,
+        options: attribute?.options || null,
+        targets: attribute?.targets || null
     }
 }
 
 /**
- * Parse individual control from XML
+ * Map a typed subgrid control to the portal subgrid format
+ * Extracts relationship name, target entity and view ID from the control parameters
  */
-function parseControlFromXml(controlXml) {
-    try {
-        // Extract control attributes
-        const datafieldnameMatch = controlXml.match(/datafieldname="([^"]*)"/)
-        const labelMatch = controlXml.match(/label="([^"]*)"/)
-        const disabledMatch = controlXml.match(/disabled="([^"]*)"/)
-        const classtypeMatch = controlXml.match(/classtype="([^"]*)"/)
-        
-        if (!datafieldnameMatch) {
-            // Skip controls without datafieldname (e.g., spacers, labels)
-            return null
-        }
-        
-        const fieldName = datafieldnameMatch[1]
-        const fieldLabel = labelMatch ? labelMatch[1] : formatDisplayName(fieldName)
-        const isDisabled = disabledMatch ? disabledMatch[1] === 'true' : false
-        const classType = classtypeMatch ? classtypeMatch[1] : null
-        
-        // Detect rich text fields
-        const isRichText = isRichTextField(controlXml, fieldName, classType)
-        
-        // Infer control type from field name and XML attributes
-        const controlType = isRichText ? 'richtext' : inferControlType(fieldName, classType)
-        
-        return {
-            type: 'control',
-            datafieldname: fieldName,
-            displayName: fieldLabel,
-            controlType: controlType,
-            disabled: isDisabled,
-            isRichText: isRichText,
-            classType: classType
-        }
-        
-    } catch (error) {
-        console.error('❌ Error parsing control from XML:', error.message)
+function buildPortalSubgrid(control, cell) {
+    const subgridId = control.id || 'subgrid'
+    const { targetEntityType, relationshipName, viewId, recordsPerPage } = control.subgrid || {}
+    
+    if (!targetEntityType || !relationshipName) {
+        logWarn(`⚠️ Subgrid missing required metadata: ${subgridId}`)
         return null
     }
+    
+    logDebug(`📋 Parsed subgrid: ${subgridId} -> ${targetEntityType} (${relationshipName})`)
+    
+    return {
+        type: 'subgrid',
+        id: subgridId,
+        displayName: cell.label || subgridId,
+        targetEntity: targetEntityType,
+        relationshipName: relationshipName,
+        viewId: viewId,
+        recordsPerPage: recordsPerPage
+    }
 }
 
 /**
  * Detect if a field is a rich text field
  */
-function isRichTextField(controlXml, fieldName, classType) {
-    // Check for rich text indicators in the XML
-    if (controlXml.includes('RichTextControl') || 
-        controlXml.includes('richtext') || 
-        classType === 'RichTextControl') {
+function isRichTextField(control, fieldName, attribute = null) {
+    // Rich text editor is configured as a custom control on a multiline text field
+    if (control.customControl && control.customControl.includes('RichText')) {
         return true
     }
     
+    // Catalog knows the attribute format - no name guessing needed
+    if (attribute) {
+        return attribute.type === 'richtext'
+    }
+    
+    // Only multiline text can hold rich text
+    if (control.kind !== 'multitext' && control.kind !== 'field') {
+        return false
+    }
+    
     // Check for common rich text field naming patterns
     const richTextPatterns = [
         'description',
@@ -2359,16 +3975,26 @@ function isRichTextField(controlXml, fieldName, classType) {
 }
 
 /**
- * Infer control type from field name and class type
+ * Infer control type from the control class and field name
  */
-function inferControlType(fieldName, classType) {
-    // First check class type for specific control types
-    if (classType) {
-        if (classType.includes('RichText')) return 'richtext'
-        if (classType.includes('DateTime')) return 'datetime'
-        if (classType.includes('Lookup')) return 'lookup'
-        if (classType.includes('OptionSet')) return 'optionset'
-        if (classType.includes('Boolean')) return 'boolean'
+function inferControlType(fieldName, control = {}) {
+    // First check the control class for specific control types
+    switch (control.kind) {
+        case 'datetime':
+        case 'lookup':
+        case 'optionset':
+        case 'boolean':
+        case 'email':
+        case 'phone':
+        case 'multitext':
+            return control.kind
+        case 'decimal':
+        case 'money':
+            return 'decimal'
+        case 'integer':
+            return 'decimal'
+        default:
+            break
     }
     
     // Check for standard Dataverse lookup fields (Customer, Owner, etc.)
@@ -2400,79 +4026,6 @@ function inferControlType(fieldName, classType) {
     return 'text'
 }
 
-/**
- * Parse subgrid control from XML
- * Extracts subgrid metadata including relationship name, target entity, and view ID
- */
-function parseSubgridFromXml(controlXml) {
-    try {
-        // DEBUG: Log the raw XML to see what we're parsing
-        console.log('🔍 SUBGRID XML:', controlXml)
-        
-        // Extract control ID - CRITICAL: Use word boundary to avoid matching "indicationOfSubgrid"
-        // Match: id="..." but NOT indicationOfSubgrid="..."
-        const idMatch = controlXml.match(/\sid="([^"]*)"/)  // \s ensures we match " id=" not "...id="
-        const nameMatch = controlXml.match(/\sname="([^"]*)"/)  // Added \s to avoid matching classname
-        const labelMatch = controlXml.match(/label="([^"]*)"/)
-        const classIdMatch = controlXml.match(/classid="\{?([^}"]+)\}?"/)
-        
-        console.log('🔍 SUBGRID MATCHES:', { 
-            id: idMatch?.[1], 
-            name: nameMatch?.[1], 
-            label: labelMatch?.[1], 
-            classid: classIdMatch?.[1] 
-        })
-        
-        // Use id attribute from control element (this is the actual subgrid name in Dataverse)
-        let subgridId = idMatch ? idMatch[1] : 'subgrid'
-        const subgridLabel = labelMatch ? labelMatch[1] : 'Related Records'
-        
-        console.log('🔍 FINAL SUBGRID ID:', subgridId, '| LABEL:', subgridLabel)
-        
-        // Extract parameters section
-        const parametersMatch = controlXml.match(/<parameters>(.*?)<\/parameters>/s)
-        
-        if (!parametersMatch) {
-            logWarn(`⚠️ No parameters found for subgrid: ${subgridId}`)
-            return null
-        }
-        
-        const parametersXml = parametersMatch[1]
-        
-        // Extract key metadata from parameters
-        const targetEntityMatch = parametersXml.match(/<TargetEntityType>([^<]+)<\/TargetEntityType>/)
-        const viewIdMatch = parametersXml.match(/<ViewId>\{?([^}<]+)\}?<\/ViewId>/)
-        const relationshipMatch = parametersXml.match(/<RelationshipName>([^<]+)<\/RelationshipName>/)
-        
-        const targetEntity = targetEntityMatch ? targetEntityMatch[1] : null
-        const viewId = viewIdMatch ? viewIdMatch[1] : null
-        const relationshipName = relationshipMatch ? relationshipMatch[1] : null
-        
-        if (!targetEntity || !relationshipName) {
-            logWarn(`⚠️ Subgrid missing required metadata: ${subgridId}`)
-            return null
-        }
-        
-        logDebug(`📋 Parsed subgrid: ${subgridId} -> ${targetEntity} (${relationshipName})`)
-        
-        // Use subgridId (control id) as the display name if label is generic
-        const displayName = (subgridLabel === 'Related Records' || !subgridLabel) ? subgridId : subgridLabel
-        
-        return {
-            type: 'subgrid',
-            id: subgridId,
-            displayName: displayName,  // Use meaningful name, not "Related Records"
-            targetEntity: targetEntity,
-            relationshipName: relationshipName,
-            viewId: viewId
-        }
-        
-    } catch (error) {
-        console.error('❌ Error parsing subgrid from XML:', error.message)
-        return null
-    }
-}
-
 /**
  * Get user contact information by GUID - SECURE DIRECT LOOKUP
  */
@@ -2480,30 +4033,19 @@ async function getUserContactByGuid(accessToken, contactGuid) {
     // Using process.env.DATAVERSE_URL directly to avoid initialization issues
     
     // Direct GUID lookup - most secure approach
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/contacts(${contactGuid})?$select=contactid,cp_portaladmin,_parentcustomerid_value`
-
     logDebug(`🔍 SECURITY: Looking up contact by GUID: ${contactGuid}`)
     
-    const response = await fetchWithTimeout(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-    }, 30000)  // 30s timeout
-
-    if (!response.ok) {
-        if (response.status === 404) {
+    let contact
+    try {
+        contact = await createDataverseClient(accessToken).get(`contacts(${contactGuid})`, { select: 'contactid,cp_portaladmin,_parentcustomerid_value' })
+    } catch (error) {
+        if (error.status === 404) {
             console.error(`🛡️ SECURITY: Contact GUID ${contactGuid} not found`)
         } else {
-            console.error(`🛡️ SECURITY: Failed to fetch contact by GUID: ${response.status}`)
+            console.error(`🛡️ SECURITY: Failed to fetch contact by GUID: ${error.status || error.message}`)
         }
         return null
     }
-
-    const contact = await response.json()
     logDebug(`✅ SECURITY: Contact verified - ${contactGuid}`)
     return contact
 }
@@ -2516,25 +4058,16 @@ async function getUserContact(accessToken, userEmail) {
     
     const filter = buildSecureEmailFilter(userEmail)
     const select = 'contactid,cp_portaladmin,_parentcustomerid_value'
-    const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/contacts?$filter=${encodeURIComponent(filter)}&$select=${select}`
-
-    const response = await fetchWithTimeout(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'OData-MaxVersion': '4.0',
-            'OData-Version': '4.0',
-            'Accept': 'application/json',
-        },
-    }, 30000)  // 30s timeout
 
-    if (!response.ok) {
+    let data
+    try {
+        data = await createDataverseClient(accessToken).list('contacts', { filter, select })
+    } catch (error) {
         console.error('Failed to fetch user contact')
         return null
     }
 
-    const data = await response.json()
-    return data.value && data.value.length > 0 ? data.value[0] : null
+    return data.value.length > 0 ? data.value[0] : null
 }
 
 /**
@@ -2569,27 +4102,17 @@ async function resolveEntityName(urlPathOrName, accessToken) {
         // Directly query Dataverse for entity configurations (bypass handler auth requirements)
         const filter = 'statecode eq 0'  // Only active configurations
         const select = 'cp_entityconfigid,cp_name,cp_entitylogicalname'
-        const url = `${process.env.DATAVERSE_URL}/api/data/v9.0/cp_entityconfigs?$filter=${encodeURIComponent(filter)}&$select=${select}`
-        
         logDebug('🔍 RESOLVE ENTITY NAME: Querying Dataverse for configs...')
         
-        const response = await fetchWithTimeout(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'OData-MaxVersion': '4.0',
-                'OData-Version': '4.0',
-                'Accept': 'application/json',
-            },
-        })
-        
-        if (!response.ok) {
-            logWarn('Failed to fetch entity configurations for resolution:', response.status)
+        let data
+        try {
+            data = await createDataverseClient(accessToken).list('cp_entityconfigs', { filter, select })
+        } catch (error) {
+            logWarn('Failed to fetch entity configurations for resolution:', error.status || error.message)
             return null
         }
         
-        const data = await response.json()
-        const configs = data.value || []
+        const configs = data.value
         
         logDebug(`🔍 RESOLVE ENTITY NAME: Found ${configs.length} configurations`)
         logDebug(`🔍 RESOLVE ENTITY NAME: Looking for: "${urlPathOrName}"`)
@@ -2645,6 +4168,24 @@ function getContactNavigationProperty(contactRelationField) {
     return contactRelationField.replace(/^cp_([a-z])/, (match, letter) => `cp_${letter.toUpperCase()}`)
 }
 
+/**
+ * Navigation property of the contact relation from Dataverse metadata,
+ * falling back to the naming convention when metadata is unavailable
+ */
+async function resolveContactNavigationProperty(accessToken, entityConfig) {
+    const catalog = await getAttributeCatalog(accessToken, entityConfig.entityLogicalName)
+    return catalog?.navigationProperties?.[entityConfig.contactRelationField] || getContactNavigationProperty(entityConfig.contactRelationField)
+}
+
+/**
+ * Navigation property of a lookup on any entity (e.g. the comment entity) from Dataverse metadata,
+ * falling back to the naming convention when metadata is unavailable
+ */
+async function resolveLookupNavigationProperty(accessToken, entityLogicalName, lookupField) {
+    const catalog = await getAttributeCatalog(accessToken, entityLogicalName)
+    return catalog?.navigationProperties?.[lookupField] || getNavigationPropertyForLookupField(`_${lookupField}_value`)
+}
+
 /**
  * Get dynamic field to navigation property mappings based on entity configuration
  */
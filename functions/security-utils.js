@@ -207,11 +207,17 @@ export function validateInteger(value, options = {}) {
 
 /**
  * Build safe OData filter with proper escaping
+ * String functions (contains, startswith, endswith) are emitted in OData function syntax,
+ * Date values are emitted as unquoted ISO 8601 literals.
  * 
  * @param {string} fieldName - The field name (will be validated)
  * @param {string} operator - The OData operator (eq, ne, gt, lt, etc.)
  * @param {any} value - The value to filter by
  * @returns {string} - Safe OData filter string
+ * 
+ * @example
+ * buildSafeODataFilter('cp_name', 'contains', "O'Brien") => "contains(cp_name,'O''Brien')"
+ * buildSafeODataFilter('createdon', 'gt', new Date('2024-01-01')) => "createdon gt 2024-01-01T00:00:00.000Z"
  */
 export function buildSafeODataFilter(fieldName, operator, value) {
     // Validate field name
@@ -224,18 +230,59 @@ export function buildSafeODataFilter(fieldName, operator, value) {
         throw new Error(`Invalid OData operator: ${operator}`)
     }
     
+    // String functions only make sense with string values
+    const stringFunctions = ['contains', 'startswith', 'endswith']
+    if (stringFunctions.includes(operator)) {
+        if (typeof value !== 'string') {
+            throw new Error(`Operator ${operator} requires a string value`)
+        }
+        return `${operator}(${safeFieldName},'${escapeODataValue(value)}')`
+    }
+    
     // Handle different value types
     if (typeof value === 'string') {
         // Escape string values
         const escapedValue = escapeODataValue(value)
         return `${safeFieldName} ${operator} '${escapedValue}'`
     } else if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new Error('Unsupported value type for OData filter')
+        }
         return `${safeFieldName} ${operator} ${value}`
     } else if (typeof value === 'boolean') {
         return `${safeFieldName} ${operator} ${value}`
+    } else if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+            throw new Error('Invalid date value for OData filter')
+        }
+        return `${safeFieldName} ${operator} ${value.toISOString()}`
     } else if (value === null) {
         return `${safeFieldName} eq null`
     } else {
         throw new Error('Unsupported value type for OData filter')
     }
 }
+
+/**
+ * Build the organization-view filter for contact-owned records
+ * Filters through the owning contact's account instead of listing every contact in the
+ * account, so the filter has the same size for an account of any size
+ * 
+ * @param {string} contactNavigationProperty - Navigation property of the contact lookup (e.g. 'cp_Contact')
+ * @param {string} accountGuid - The user's account GUID
+ * @returns {string} - OData filter clause (records of active contacts in the account)
+ * @throws {Error} - If the navigation property or GUID is invalid
+ * 
+ * @example
+ * buildOrganizationScopeFilter('cp_Contact', 'c6821110-9b99-f011-b4cc-6045bd975a7a')
+ * => "(cp_Contact/_parentcustomerid_value eq 'c6821110-9b99-f011-b4cc-6045bd975a7a' and cp_Contact/statecode eq 0)"
+ */
+export function buildOrganizationScopeFilter(contactNavigationProperty, accountGuid) {
+    if (!contactNavigationProperty || typeof contactNavigationProperty !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(contactNavigationProperty)) {
+        logWarn(`🔒 SECURITY: Invalid navigation property rejected: ${contactNavigationProperty}`)
+        throw new Error('Invalid navigation property')
+    }
+    
+    const safeAccountGuid = validateGuid(accountGuid)
+    return `(${contactNavigationProperty}/_parentcustomerid_value eq '${safeAccountGuid}' and ${contactNavigationProperty}/statecode eq 0)`
+}
@@ -0,0 +1,288 @@
+/**
+ * Spreadsheet export utilities
+ *
+ * Turns list records into CSV or XLSX files using the view's columns.
+ * Lookup, option set and boolean cells use their display labels; numbers stay numeric.
+ * XLSX files are written directly (Office Open XML in a zip) - no spreadsheet library needed.
+ */
+
+import { deflateRawSync } from 'node:zlib'
+
+const FORMATTED_VALUE_SUFFIX = '@OData.Community.Display.V1.FormattedValue'
+const NUMERIC_COLUMN_TYPES = ['number', 'decimal', 'money']
+const LABEL_COLUMN_TYPES = ['lookup', 'optionset', 'multiselectoptionset', 'boolean', 'datetime']
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+}
+
+/**
+ * Helper to get the record key a view column is stored under (lookups use _field_value)
+ */
+export function getColumnDataKey(column) {
+    if (column.type === 'lookup' && !column.name.startsWith('_')) {
+        return `_${column.name}_value`
+    }
+    return column.name
+}
+
+/**
+ * Get the exported value of one cell - a number for numeric columns, otherwise display text
+ */
+export function getExportValue(record, column) {
+    const key = getColumnDataKey(column)
+    const value = record[key]
+
+    if (value === null || value === undefined || value === '') {
+        return ''
+    }
+
+    if (NUMERIC_COLUMN_TYPES.includes(column.type) && typeof value === 'number') {
+        return value
+    }
+
+    const formattedValue = record[`${key}${FORMATTED_VALUE_SUFFIX}`]
+    if (formattedValue && LABEL_COLUMN_TYPES.includes(column.type)) {
+        return formattedValue
+    }
+
+    switch (column.type) {
+        case 'boolean':
+            return value === true ? 'Yes' : 'No'
+        case 'optionset':
+        case 'multiselectoptionset': {
+            const labels = String(value).split(',').map(optionValue =>
+                column.options?.find(option => String(option.value) === optionValue.trim())?.label || optionValue.trim()
+            )
+            return labels.join('; ')
+        }
+        default:
+            // Rich text columns are exported as plain text
+            if (column.format === 'RichText') {
+                return String(value).replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim()
+            }
+            return String(value)
+    }
+}
+
+/**
+ * 🔒 SECURITY: Stop spreadsheet apps from evaluating exported text as a formula
+ */
+function neutralizeFormula(text) {
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text
+}
+
+/**
+ * Build a CSV file (UTF-8 with BOM so Excel detects the encoding)
+ */
+export function buildCsv(columns, records) {
+    const escapeCell = (value) => {
+        const text = typeof value === 'number' ? String(value) : neutralizeFormula(String(value))
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+
+    const lines = [
+        columns.map(column => escapeCell(column.displayName || column.name)).join(','),
+        ...records.map(record => columns.map(column => escapeCell(getExportValue(record, column))).join(','))
+    ]
+
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8')
+}
+
+// Characters that are not allowed in XML 1.0 documents
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g
+
+function escapeXml(text) {
+    return String(text)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+/**
+ * Helper to convert a zero-based column index to a spreadsheet column name (0 -> A, 26 -> AA)
+ */
+function getColumnName(index) {
+    let name = ''
+    for (let remaining = index + 1; remaining > 0; remaining = Math.floor((remaining - 1) / 26)) {
+        name = String.fromCharCode(65 + ((remaining - 1) % 26)) + name
+    }
+    return name
+}
+
+function buildCell(value, reference, style = 0) {
+    const styleAttribute = style ? ` s="${style}"` : ''
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`
+    }
+    if (value === '') {
+        return ''
+    }
+    return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+}
+
+function buildWorksheet(columns, records) {
+    const rows = [
+        columns.map(column => column.displayName || column.name),
+        ...records.map(record => columns.map(column => getExportValue(record, column)))
+    ]
+
+    const rowXml = rows.map((cells, rowIndex) => {
+        const cellXml = cells
+            .map((value, columnIndex) => buildCell(value, `${getColumnName(columnIndex)}${rowIndex + 1}`, rowIndex === 0 ? 1 : 0))
+            .join('')
+        return `<row r="${rowIndex + 1}">${cellXml}</row>`
+    }).join('')
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${rowXml}</sheetData>` +
+        '</worksheet>'
+}
+
+/**
+ * Build an XLSX workbook with one sheet (bold, frozen header row)
+ */
+export function buildXlsx(columns, records, sheetName = 'Export') {
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const safeSheetName = String(sheetName).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Export'
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${escapeXml(safeSheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: buildWorksheet(columns, records)
+        }
+    ])
+}
+
+/**
+ * Build an export file in the requested format
+ */
+export function buildExportFile(format, columns, records, sheetName) {
+    if (format === 'xlsx') {
+        return buildXlsx(columns, records, sheetName)
+    }
+    return buildCsv(columns, records)
+}
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1
+    }
+    return crc >>> 0
+})
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF
+    for (const byte of buffer) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * Write deflated entries into a zip archive
+ */
+function createZip(entries) {
+    const localParts = []
+    const centralParts = []
+    let offset = 0
+
+    entries.forEach(entry => {
+        const name = Buffer.from(entry.name, 'utf8')
+        const data = Buffer.from(entry.content, 'utf8')
+        const compressed = deflateRawSync(data)
+        const checksum = crc32(data)
+
+        const localHeader = Buffer.alloc(30)
+        localHeader.writeUInt32LE(0x04034b50, 0)   // Local file header signature
+        localHeader.writeUInt16LE(20, 4)           // Version needed to extract
+        localHeader.writeUInt16LE(0x0800, 6)       // UTF-8 file names
+        localHeader.writeUInt16LE(8, 8)            // Deflate
+        localHeader.writeUInt16LE(0, 10)           // Modification time
+        localHeader.writeUInt16LE(0x21, 12)        // Modification date (1980-01-01)
+        localHeader.writeUInt32LE(checksum, 14)
+        localHeader.writeUInt32LE(compressed.length, 18)
+        localHeader.writeUInt32LE(data.length, 22)
+        localHeader.writeUInt16LE(name.length, 26)
+        localHeader.writeUInt16LE(0, 28)
+
+        const centralHeader = Buffer.alloc(46)
+        centralHeader.writeUInt32LE(0x02014b50, 0) // Central directory signature
+        centralHeader.writeUInt16LE(20, 4)         // Version made by
+        centralHeader.writeUInt16LE(20, 6)
+        centralHeader.writeUInt16LE(0x0800, 8)
+        centralHeader.writeUInt16LE(8, 10)
+        centralHeader.writeUInt16LE(0, 12)
+        centralHeader.writeUInt16LE(0x21, 14)
+        centralHeader.writeUInt32LE(checksum, 16)
+        centralHeader.writeUInt32LE(compressed.length, 20)
+        centralHeader.writeUInt32LE(data.length, 24)
+        centralHeader.writeUInt16LE(name.length, 28)
+        centralHeader.writeUInt32LE(offset, 42)    // Local header offset (other fields stay 0)
+
+        localParts.push(localHeader, name, compressed)
+        centralParts.push(centralHeader, name)
+        offset += localHeader.length + name.length + compressed.length
+    })
+
+    const centralDirectory = Buffer.concat(centralParts)
+    const end = Buffer.alloc(22)
+    end.writeUInt32LE(0x06054b50, 0)               // End of central directory signature
+    end.writeUInt16LE(entries.length, 8)
+    end.writeUInt16LE(entries.length, 10)
+    end.writeUInt32LE(centralDirectory.length, 12)
+    end.writeUInt32LE(offset, 16)
+
+    return Buffer.concat([...localParts, centralDirectory, end])
+}
@@ -0,0 +1,753 @@
+#!/usr/bin/env node
+/**
+ * Mock Dataverse server for offline development and tests
+ *
+ * Serves the Web API subset the functions use from JSON fixtures, plus an Azure AD style
+ * token endpoint for auth.js:
+ * - GET collections and records with $filter/$select/$expand/$orderby/$top/$skip/$count,
+ *   odata.maxpagesize paging (@odata.nextLink) and lookup FormattedValue annotations
+ * - Alternate keys and metadata paths, e.g. EntityDefinitions(LogicalName='contact')/Attributes/Microsoft.Dynamics.CRM.PicklistAttributeMetadata
+ * - POST (with @odata.bind lookups and return=representation), PATCH (If-Match / upsert), DELETE
+ * - $batch with atomic changesets
+ * - POST /{tenant}/oauth2/v2.0/token (client credentials)
+ *
+ * Fixtures: one JSON file per entity set in the fixtures directory, named after the set
+ * (contacts.json, savedqueries.json, EntityDefinitions.json, ...), shaped { key, records }.
+ * EntityDefinitions drive entity set names, navigation properties (ManyToOneRelationships)
+ * and which columns can be written. Changes live in memory until the server restarts.
+ *
+ * Anything outside the subset answers 501 so a missing feature is obvious instead of silently wrong.
+ *
+ * Usage:
+ *   node mock/dataverse-server.js      - port MOCK_DATAVERSE_PORT (default 7071), fixtures MOCK_DATAVERSE_FIXTURES (default mock/fixtures)
+ *   npm run dev -- --mock              - dev-server.js starts the mock and points the functions at it
+ *
+ * The functions use the mock when DATAVERSE_URL and AZURE_AUTHORITY_HOST are set to its URL.
+ */
+
+import { createServer, STATUS_CODES } from 'node:http'
+import { randomUUID } from 'node:crypto'
+import { readdir, readFile } from 'node:fs/promises'
+import { join, basename, dirname } from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { parseQueryOptions, evaluateFilter, sortRecords, applySelect, createQueryError } from './odata.js'
+
+export const DEFAULT_FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures')
+export const DEFAULT_PORT = 7071
+
+// Access tokens are unsigned JWTs with the claims of an Azure AD app token - only the mock accepts them
+const TOKEN_ISSUER = 'https://mock-dataverse.local/'
+const TOKEN_LIFETIME_SECONDS = 3600
+const WEB_API_PATH = /^\/api\/data\/(v\d+\.\d+)\/(.*)$/
+const TOKEN_PATH = /^\/[^/]+\/oauth2\/v2\.0\/token$/
+const GUID_PATTERN = /^\{?([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\}?$/i
+const FORMATTED_VALUE = 'OData.Community.Display.V1.FormattedValue'
+const LOOKUP_LOGICAL_NAME = 'Microsoft.Dynamics.CRM.lookuplogicalname'
+const LOOKUP_ATTRIBUTE_TYPES = ['Lookup', 'Customer', 'Owner']
+
+// Dataverse error codes for the errors the mock returns
+const ERROR_CODES = {
+    400: '0x80060888',
+    401: '0x80072560',
+    404: '0x80040217',
+    412: '0x80060882',
+    501: '0x8006088a'
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value))
+
+/**
+ * Load every <entity set>.json file of a fixtures directory
+ *
+ * @param {string} directory - Fixtures directory
+ * @returns {Promise<Object>} - { tables: { [entitySet]: { key, records } } }
+ */
+export async function loadFixtures(directory = DEFAULT_FIXTURES_DIR) {
+    const tables = {}
+    const files = (await readdir(directory)).filter(name => name.endsWith('.json')).sort()
+    for (const file of files) {
+        const table = JSON.parse(await readFile(join(directory, file), 'utf8'))
+        if (!table.key || !Array.isArray(table.records)) {
+            throw new Error(`Invalid mock fixture ${file}: expected { key, records }`)
+        }
+        tables[basename(file, '.json')] = table
+    }
+    return { tables }
+}
+
+/**
+ * Read the options of a Prefer header
+ */
+function parsePrefer(header = '') {
+    const maxPageSize = /odata\.maxpagesize=(\d+)/.exec(header)
+    return {
+        annotations: /odata\.include-annotations/.test(header),
+        maxPageSize: maxPageSize ? parseInt(maxPageSize[1], 10) : null,
+        returnRepresentation: /return=representation/.test(header),
+        continueOnError: /odata\.continue-on-error/.test(header)
+    }
+}
+
+/**
+ * Split a MIME entity into its header block and the remaining content
+ */
+function splitEntity(text) {
+    const match = /\r?\n\r?\n/.exec(text)
+    return match ? [text.slice(0, match.index), text.slice(match.index + match[0].length)] : [text, '']
+}
+
+/**
+ * Split a block of "Name: value" lines into a header map with lowercase names
+ */
+function parseHeaders(lines) {
+    const headers = {}
+    lines.split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':')
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
+        }
+    })
+    return headers
+}
+
+/**
+ * Parts of a multipart body (without the closing delimiter)
+ */
+function splitMultipart(text, contentType) {
+    const boundary = /boundary=("?)([^";]+)\1/i.exec(contentType || '')?.[2]
+    if (!boundary) {
+        throw createQueryError('Invalid $batch request: missing multipart boundary')
+    }
+    return text.split(`--${boundary}`)
+        .slice(1)
+        .filter(part => !part.startsWith('--'))
+        .map(part => part.replace(/^\r?\n/, ''))
+}
+
+/**
+ * Create an in-memory Dataverse over fixtures
+ *
+ * @param {Object} fixtures - Result of loadFixtures()
+ * @param {Object} options - { now } - clock for timestamps and token expiry (for tests)
+ * @returns {Object} - { handle(request), getRecords(entitySet), reset() }
+ */
+export function createMockDataverse(fixtures = { tables: {} }, { now = () => new Date() } = {}) {
+    let tables
+    let version
+
+    const reset = () => {
+        tables = clone(fixtures.tables)
+        version = 1000
+        Object.values(tables).forEach(table => table.records.forEach(record => {
+            if (record.versionnumber === undefined && table.key !== 'MetadataId') {
+                record.versionnumber = String(++version)
+            }
+        }))
+    }
+    reset()
+
+    // --- Metadata -----------------------------------------------------------
+
+    const definitions = () => tables.EntityDefinitions?.records || []
+    const getDefinition = (entitySet) => definitions().find(definition => definition.EntitySetName === entitySet) || null
+    const getEntitySet = (logicalName) => definitions().find(definition => definition.LogicalName === logicalName)?.EntitySetName || null
+    const getLogicalName = (entitySet) => getDefinition(entitySet)?.LogicalName || entitySet
+
+    /**
+     * Single-valued navigation property -> lookup attribute and target entity set
+     */
+    const getNavigation = (entitySet, name) => {
+        const relationship = (getDefinition(entitySet)?.ManyToOneRelationships || [])
+            .find(candidate => candidate.ReferencingEntityNavigationPropertyName === name)
+        return relationship
+            ? { attribute: relationship.ReferencingAttribute, targetSet: getEntitySet(relationship.ReferencedEntity) }
+            : null
+    }
+
+    // --- Records ------------------------------------------------------------
+
+    const normalizeId = (value) => String(value).replace(/[{}]/g, '').toLowerCase()
+
+    const findRecord = (entitySet, id) => {
+        const table = tables[entitySet]
+        return table?.records.find(record => record[table.key] && normalizeId(record[table.key]) === normalizeId(id)) || null
+    }
+
+    /**
+     * Find a record by key segment content - a GUID or alternate keys (Name='value',Other='value')
+     */
+    const findByKey = (entitySet, key) => {
+        const guid = GUID_PATTERN.exec(key)
+        if (guid) {
+            return findRecord(entitySet, guid[1])
+        }
+        const alternateKeys = [...key.matchAll(/(\w+)='((?:[^']|'')*)'/g)]
+        if (alternateKeys.length === 0) {
+            throw createQueryError(`Invalid key segment: (${key})`)
+        }
+        return tables[entitySet].records.find(record => alternateKeys.every(([, name, value]) =>
+            String(record[name]).toLowerCase() === value.replace(/''/g, "'").toLowerCase()
+        )) || null
+    }
+
+    const notFound = (entitySet, id) => createQueryError(`${getLogicalName(entitySet)} With Id = ${id} Does Not Exist`, 404)
+
+    const resolveNavigation = (entitySet, record, name) => {
+        const navigation = entitySet ? getNavigation(entitySet, name) : null
+        if (!navigation) {
+            throw createQueryError(`Could not find a property named '${name}' on type 'Microsoft.Dynamics.CRM.${getLogicalName(entitySet)}'.`)
+        }
+        const id = record[`_${navigation.attribute}_value`]
+        const related = id && navigation.targetSet ? findRecord(navigation.targetSet, id) : null
+        return related ? { entitySet: navigation.targetSet, record: related } : null
+    }
+
+    /**
+     * Value reader for $filter and $orderby paths, following navigation properties
+     */
+    const createValueReader = (entitySet) => (record, path) => {
+        const [first, ...rest] = path.split('/')
+        if (rest.length === 0) {
+            return record[first]
+        }
+        const related = resolveNavigation(entitySet, record, first)
+        return related ? createValueReader(related.entitySet)(related.record, rest.join('/')) : null
+    }
+
+    /**
+     * FormattedValue and lookuplogicalname annotations for lookup columns
+     */
+    const addLookupAnnotations = (entitySet, output) => {
+        (getDefinition(entitySet)?.ManyToOneRelationships || []).forEach(relationship => {
+            const field = `_${relationship.ReferencingAttribute}_value`
+            const targetSet = getEntitySet(relationship.ReferencedEntity)
+            const target = output[field] && targetSet ? findRecord(targetSet, output[field]) : null
+            if (target) {
+                const nameAttribute = getDefinition(targetSet)?.PrimaryNameAttribute
+                output[`${field}@${FORMATTED_VALUE}`] = nameAttribute ? target[nameAttribute] ?? null : null
+                output[`${field}@${LOOKUP_LOGICAL_NAME}`] = relationship.ReferencedEntity
+            }
+        })
+    }
+
+    /**
+     * Shape a nested metadata item (no table of its own)
+     */
+    const shapeItem = (item, options) => {
+        const output = applySelect(item, options.select)
+        options.expand.forEach(expand => {
+            output[expand.name] = expandProperty(null, item, expand)
+        })
+        return output
+    }
+
+    /**
+     * Shape a table record for output - etag, annotations, $select and $expand
+     * Collection-valued properties (e.g. Attributes of EntityDefinitions) are only returned when expanded
+     */
+    const shapeRecord = (entitySet, record, options, annotations) => {
+        const table = tables[entitySet]
+        let output = Object.fromEntries(Object.entries(record).filter(([, value]) => !Array.isArray(value)))
+        if (record.versionnumber !== undefined) {
+            output['@odata.etag'] = `W/"${record.versionnumber}"`
+        }
+        if (annotations) {
+            addLookupAnnotations(entitySet, output)
+        }
+        output = applySelect(output, options.select, [table.key])
+        options.expand.forEach(expand => {
+            output[expand.name] = expandProperty(entitySet, record, expand)
+        })
+        return output
+    }
+
+    function expandProperty(entitySet, record, { name, options }) {
+        const value = record[name]
+        if (Array.isArray(value)) {
+            return queryCollection(null, value, options).value
+        }
+        if (value && typeof value === 'object') {
+            return shapeItem(value, options)
+        }
+        if (value !== undefined || !entitySet) {
+            return value ?? null
+        }
+        const related = resolveNavigation(entitySet, record, name)
+        return related ? shapeRecord(related.entitySet, related.record, options, false) : null
+    }
+
+    /**
+     * Filter, sort and page a collection
+     * @returns {Object} - { value, count, nextOffset } - nextOffset is set when odata.maxpagesize cut the page
+     */
+    function queryCollection(entitySet, records, options, { annotations = false, maxPageSize = null, offset = null } = {}) {
+        const getValue = entitySet ? createValueReader(entitySet) : (item, path) => item[path]
+        const matches = sortRecords(
+            options.filter ? records.filter(record => evaluateFilter(options.filter, record, getValue)) : records,
+            options.orderBy,
+            getValue
+        )
+
+        const start = offset ?? options.skip
+        const end = options.top !== null ? Math.min(matches.length, options.skip + options.top) : matches.length
+        let page = matches.slice(start, end)
+        let nextOffset = null
+        if (maxPageSize && page.length > maxPageSize) {
+            page = page.slice(0, maxPageSize)
+            nextOffset = start + maxPageSize
+        }
+
+        return {
+            value: page.map(record => entitySet ? shapeRecord(entitySet, record, options, annotations) : shapeItem(record, options)),
+            count: matches.length,
+            nextOffset: nextOffset
+        }
+    }
+
+    /**
+     * Copy writable columns into a record - lookups arrive as "nav@odata.bind": "/contacts(id)"
+     */
+    const applyChanges = (entitySet, record, changes) => {
+        const attributes = getDefinition(entitySet)?.Attributes
+
+        Object.entries(changes || {}).forEach(([name, value]) => {
+            if (name.endsWith('@odata.bind')) {
+                const navigationName = name.slice(0, -'@odata.bind'.length)
+                const navigation = getNavigation(entitySet, navigationName)
+                if (!navigation) {
+                    throw createQueryError(`An undeclared property '${navigationName}' which only has property annotations in the payload but no property value was found in the payload.`)
+                }
+                const match = /\(([^)]+)\)\s*$/.exec(value || '')
+                if (value && (!match || !navigation.targetSet || !findRecord(navigation.targetSet, match[1]))) {
+                    throw createQueryError(`Invalid lookup binding for '${navigationName}': ${value}`)
+                }
+                record[`_${navigation.attribute}_value`] = match ? normalizeId(match[1]) : null
+                return
+            }
+            if (name.includes('@')) {
+                return
+            }
+            if (value && typeof value === 'object') {
+                throw createQueryError(`Deep insert of '${name}' is not supported by the mock`, 501)
+            }
+            if (attributes) {
+                const attribute = attributes.find(candidate => candidate.LogicalName === name)
+                if (!attribute || LOOKUP_ATTRIBUTE_TYPES.includes(attribute.AttributeType)) {
+                    throw createQueryError(`Invalid property '${name}' was found in entity 'Microsoft.Dynamics.CRM.${getLogicalName(entitySet)}'.`)
+                }
+            }
+            record[name] = value
+        })
+    }
+
+    const hasAttribute = (entitySet, name) => (getDefinition(entitySet)?.Attributes || []).some(attribute => attribute.LogicalName === name)
+
+    const createRecord = (entitySet, changes, id = null) => {
+        const table = tables[entitySet]
+        const timestamp = now().toISOString()
+        const record = { [table.key]: normalizeId(id || changes?.[table.key] || randomUUID()) }
+        applyChanges(entitySet, record, changes)
+        record.createdon = record.createdon || timestamp
+        record.modifiedon = timestamp
+        if (hasAttribute(entitySet, 'statecode')) {
+            record.statecode = record.statecode ?? 0
+            record.statuscode = record.statuscode ?? 1
+        }
+        record.versionnumber = String(++version)
+        table.records.push(record)
+        return record
+    }
+
+    const etagOf = (record) => `W/"${record.versionnumber}"`
+
+    // --- Requests -----------------------------------------------------------
+
+    const jsonResponse = (status, body, headers = {}) => ({
+        status,
+        headers: { 'Content-Type': 'application/json; odata.metadata=minimal', 'OData-Version': '4.0', ...headers },
+        body: body === undefined ? '' : JSON.stringify(body)
+    })
+
+    const errorResponse = (error) => {
+        const status = error.status || 500
+        return jsonResponse(status, { error: { code: ERROR_CODES[status] || '0x80040216', message: error.message } })
+    }
+
+    /**
+     * Parse "set(key)/property/Microsoft.Dynamics.CRM.Type" into its parts
+     */
+    const parseResourcePath = (resourcePath) => {
+        const [first, ...rest] = resourcePath.split('/').map(decodeURIComponent)
+        const match = /^([A-Za-z_$][\w.]*)(?:\((.*)\))?$/.exec(first)
+        if (!match || !tables[match[1]]) {
+            throw createQueryError(`Resource not found for the segment '${first}'.`, 404)
+        }
+        return { entitySet: match[1], key: match[2], rest }
+    }
+
+    const rejectAssociations = (segments) => {
+        if (segments.includes('$ref')) {
+            throw createQueryError('Associations ($ref) are not supported by the mock', 501)
+        }
+    }
+
+    /**
+     * Walk property and type cast segments below a record (metadata paths)
+     */
+    const walkSegments = (entitySet, record, segments) => {
+        rejectAssociations(segments)
+        let current = record
+        for (const segment of segments) {
+            if (segment.startsWith('Microsoft.Dynamics.CRM.') && Array.isArray(current)) {
+                current = current.filter(item => item['@odata.type'] === `#${segment}`)
+                continue
+            }
+            if (current?.[segment] === undefined) {
+                throw createQueryError(`Navigation '${segment}' of ${getLogicalName(entitySet)} is not supported by the mock`, 501)
+            }
+            current = current[segment]
+        }
+        return current
+    }
+
+    const handleGet = (request, entitySet, key, rest, baseUrl, apiVersion) => {
+        const options = parseQueryOptions(Object.fromEntries(request.url.searchParams))
+        const prefer = parsePrefer(request.headers.prefer)
+        const context = `${baseUrl}/api/data/${apiVersion}/$metadata#${entitySet}`
+
+        let target = tables[entitySet].records
+        let isTableCollection = true
+        if (key !== undefined) {
+            const record = findByKey(entitySet, key)
+            if (!record) {
+                throw notFound(entitySet, key)
+            }
+            target = walkSegments(entitySet, record, rest)
+            isTableCollection = false
+            if (rest.length === 0) {
+                return jsonResponse(200, { '@odata.context': `${context}/$entity`, ...shapeRecord(entitySet, record, options, prefer.annotations) })
+            }
+        }
+
+        if (!Array.isArray(target)) {
+            return jsonResponse(200, { '@odata.context': context, ...(target && typeof target === 'object' ? shapeItem(target, options) : { value: target }) })
+        }
+
+        const skipToken = request.url.searchParams.get('$skiptoken')
+        const result = queryCollection(isTableCollection ? entitySet : null, target, options, {
+            annotations: prefer.annotations,
+            maxPageSize: prefer.maxPageSize,
+            offset: skipToken !== null ? parseInt(skipToken, 10) || 0 : null
+        })
+
+        const body = { '@odata.context': context }
+        if (options.count) {
+            body['@odata.count'] = result.count
+        }
+        body.value = result.value
+        if (result.nextOffset !== null) {
+            const next = new URL(request.url.href)
+            next.searchParams.set('$skiptoken', String(result.nextOffset))
+            body['@odata.nextLink'] = `${baseUrl}${next.pathname}${next.search}`
+        }
+        return jsonResponse(200, body)
+    }
+
+    const handlePost = (request, entitySet, key, rest, baseUrl, apiVersion) => {
+        if (key !== undefined) {
+            rejectAssociations(rest)
+            throw createQueryError(`POST to ${entitySet}(${key})/${rest.join('/')} is not supported by the mock`, 501)
+        }
+        const record = createRecord(entitySet, request.body ? JSON.parse(request.body) : {})
+        const id = record[tables[entitySet].key]
+        const headers = { 'OData-EntityId': `${baseUrl}/api/data/${apiVersion}/${entitySet}(${id})` }
+
+        if (parsePrefer(request.headers.prefer).returnRepresentation) {
+            const options = parseQueryOptions(Object.fromEntries(request.url.searchParams))
+            return jsonResponse(201, shapeRecord(entitySet, record, options, false), headers)
+        }
+        return jsonResponse(204, undefined, headers)
+    }
+
+    const checkEtag = (record, ifMatch) => {
+        if (ifMatch && ifMatch !== '*' && ifMatch !== etagOf(record)) {
+            throw createQueryError('The version of the existing record doesn\'t match the RowVersion property provided.', 412)
+        }
+    }
+
+    const handlePatch = (request, entitySet, key, rest, baseUrl, apiVersion) => {
+        const guid = key !== undefined && GUID_PATTERN.exec(key)
+        if (!guid || rest.length > 0) {
+            throw createQueryError('PATCH is only supported on records addressed by ID', 501)
+        }
+        const changes = request.body ? JSON.parse(request.body) : {}
+        const record = findRecord(entitySet, guid[1])
+        const ifMatch = request.headers['if-match']
+
+        if (!record) {
+            if (ifMatch) {
+                throw notFound(entitySet, guid[1])
+            }
+            // No If-Match - PATCH is an upsert
+            createRecord(entitySet, changes, guid[1])
+        } else {
+            if (request.headers['if-none-match'] === '*') {
+                throw createQueryError('A record with matching key values already exists.', 412)
+            }
+            checkEtag(record, ifMatch)
+            applyChanges(entitySet, record, changes)
+            // A state change without a status reason gets the default one (1 Active, 2 Inactive)
+            if (changes && 'statecode' in changes && !('statuscode' in changes)) {
+                record.statuscode = record.statecode + 1
+            }
+            record.modifiedon = now().toISOString()
+            record.versionnumber = String(++version)
+        }
+        return jsonResponse(204, undefined, { 'OData-EntityId': `${baseUrl}/api/data/${apiVersion}/${entitySet}(${normalizeId(guid[1])})` })
+    }
+
+    const handleDelete = (request, entitySet, key, rest) => {
+        const guid = key !== undefined && GUID_PATTERN.exec(key)
+        rejectAssociations(rest)
+        if (!guid || rest.length > 0) {
+            throw createQueryError('DELETE is only supported on records addressed by ID', 501)
+        }
+        const record = findRecord(entitySet, guid[1])
+        if (!record) {
+            throw notFound(entitySet, guid[1])
+        }
+        checkEtag(record, request.headers['if-match'])
+        tables[entitySet].records = tables[entitySet].records.filter(candidate => candidate !== record)
+        return jsonResponse(204)
+    }
+
+    /**
+     * Run one Web API request (also used for the parts of a $batch)
+     */
+    const handleWebApi = (request, baseUrl, apiVersion, resourcePath) => {
+        try {
+            if (resourcePath === '$batch' && request.method === 'POST') {
+                return handleBatch(request, baseUrl)
+            }
+            const { entitySet, key, rest } = parseResourcePath(resourcePath)
+            switch (request.method) {
+                case 'GET': return handleGet(request, entitySet, key, rest, baseUrl, apiVersion)
+                case 'POST': return handlePost(request, entitySet, key, rest, baseUrl, apiVersion)
+                case 'PATCH': return handlePatch(request, entitySet, key, rest, baseUrl, apiVersion)
+                case 'DELETE': return handleDelete(request, entitySet, key, rest)
+                default: throw createQueryError(`${request.method} is not supported by the mock`, 501)
+            }
+        } catch (error) {
+            return errorResponse(error instanceof SyntaxError ? createQueryError(`Invalid JSON payload: ${error.message}`) : error)
+        }
+    }
+
+    /**
+     * Run an application/http part of a $batch request
+     */
+    const runBatchPart = (content, baseUrl) => {
+        const [head, body] = splitEntity(content)
+        const [requestLine, ...headerLines] = head.split(/\r?\n/)
+        const [method, target] = requestLine.trim().split(/\s+/)
+        const url = new URL(target, baseUrl)
+        const match = WEB_API_PATH.exec(url.pathname)
+        if (!match) {
+            return errorResponse(createQueryError(`Invalid $batch request URL: ${target}`))
+        }
+        const request = { method, url, headers: parseHeaders(headerLines.join('\n')), body: body.trim() }
+        return handleWebApi(request, baseUrl, match[1], match[2])
+    }
+
+    const formatBatchPart = (response, contentId) => [
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        ...(contentId ? [`Content-ID: ${contentId}`] : []),
+        '',
+        `HTTP/1.1 ${response.status} ${STATUS_CODES[response.status] || ''}`.trim(),
+        ...Object.entries(response.headers).map(([name, value]) => `${name}: ${value}`),
+        '',
+        response.body
+    ].join('\r\n')
+
+    /**
+     * $batch - a changeset runs atomically: after a failed request every change in it is rolled back
+     * and only the failed response is returned, like Dataverse does
+     */
+    function handleBatch(request, baseUrl) {
+        const continueOnError = parsePrefer(request.headers.prefer).continueOnError
+        const batchBoundary = `batchresponse_${randomUUID()}`
+        const output = []
+
+        for (const part of splitMultipart(request.body, request.headers['content-type'])) {
+            const [head, content] = splitEntity(part)
+            const partHeaders = parseHeaders(head)
+            let failed = false
+
+            if ((partHeaders['content-type'] || '').startsWith('multipart/mixed')) {
+                const snapshot = JSON.stringify({ tables, version })
+                const results = []
+                for (const changePart of splitMultipart(content, partHeaders['content-type'])) {
+                    const [changeHead, changeContent] = splitEntity(changePart)
+                    const response = runBatchPart(changeContent, baseUrl)
+                    const contentId = parseHeaders(changeHead)['content-id']
+                    if (response.status >= 400) {
+                        ({ tables, version } = JSON.parse(snapshot))
+                        results.splice(0, results.length, { response, contentId })
+                        failed = true
+                        break
+                    }
+                    results.push({ response, contentId })
+                }
+                const changesetBoundary = `changesetresponse_${randomUUID()}`
+                output.push([
+                    `Content-Type: multipart/mixed; boundary=${changesetBoundary}`,
+                    '',
+                    ...results.map(({ response, contentId }) => `--${changesetBoundary}\r\n${formatBatchPart(response, contentId)}`),
+                    `--${changesetBoundary}--`
+                ].join('\r\n'))
+            } else {
+                const response = runBatchPart(content, baseUrl)
+                failed = response.status >= 400
+                output.push(formatBatchPart(response, null))
+            }
+
+            if (failed && !continueOnError) {
+                break
+            }
+        }
+
+        return {
+            status: 200,
+            headers: { 'Content-Type': `multipart/mixed; boundary=${batchBoundary}`, 'OData-Version': '4.0' },
+            body: [...output.map(part => `--${batchBoundary}\r\n${part}`), `--${batchBoundary}--`, ''].join('\r\n')
+        }
+    }
+
+    /**
+     * Azure AD client credentials token endpoint
+     */
+    const handleToken = (request) => {
+        const params = new URLSearchParams(request.body || '')
+        if (params.get('grant_type') !== 'client_credentials' || !params.get('client_id') || !params.get('client_secret')) {
+            return jsonResponse(400, { error: 'invalid_request', error_description: 'Expected a client_credentials grant with client_id and client_secret' })
+        }
+        if (!(params.get('scope') || '').endsWith('/.default')) {
+            return jsonResponse(400, { error: 'invalid_scope', error_description: 'The scope must end with /.default' })
+        }
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url')
+        const claims = {
+            aud: params.get('scope').slice(0, -'/.default'.length),
+            iss: TOKEN_ISSUER,
+            sub: params.get('client_id'),
+            appid: params.get('client_id'),
+            exp: Math.floor(now().getTime() / 1000) + TOKEN_LIFETIME_SECONDS
+        }
+        return jsonResponse(200, {
+            token_type: 'Bearer',
+            expires_in: TOKEN_LIFETIME_SECONDS,
+            ext_expires_in: TOKEN_LIFETIME_SECONDS,
+            access_token: `${encode({ alg: 'none', typ: 'JWT' })}.${encode(claims)}.mock`
+        })
+    }
+
+    const isValidToken = (authorization = '') => {
+        const [, payload] = authorization.replace(/^Bearer /, '').split('.')
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+            return claims.iss === TOKEN_ISSUER && claims.exp * 1000 > now().getTime()
+        } catch {
+            return false
+        }
+    }
+
+    return {
+        /**
+         * Handle a request
+         * @param {Object} request - { method, url (URL), headers (lowercase names), body (string) }
+         * @returns {Object} - { status, headers, body }
+         */
+        handle(request) {
+            const baseUrl = request.url.origin
+            if (request.method === 'POST' && TOKEN_PATH.test(request.url.pathname)) {
+                return handleToken(request)
+            }
+            const match = WEB_API_PATH.exec(request.url.pathname)
+            if (!match) {
+                return errorResponse(createQueryError(`No mock endpoint for ${request.url.pathname}`, 404))
+            }
+            if (!isValidToken(request.headers.authorization)) {
+                return errorResponse(createQueryError('Missing or expired access token', 401))
+            }
+            return handleWebApi(request, baseUrl, match[1], match[2])
+        },
+
+        /**
+         * Current records of an entity set (copies - for assertions in tests)
+         */
+        getRecords(entitySet) {
+            return clone(tables[entitySet]?.records || [])
+        },
+
+        /**
+         * Drop every change and start over from the fixtures
+         */
+        reset
+    }
+}
+
+/**
+ * Start the mock on a port (0 picks a free one)
+ *
+ * @param {Object} options - { port, host, fixtures, fixturesDir, log }
+ * @returns {Promise<Object>} - { url, mock, close() }
+ */
+export async function startMockDataverse({ port = DEFAULT_PORT, host = '127.0.0.1', fixtures = null, fixturesDir = DEFAULT_FIXTURES_DIR, log = null } = {}) {
+    const mock = createMockDataverse(fixtures || await loadFixtures(fixturesDir))
+
+    const server = createServer((req, res) => {
+        const chunks = []
+        req.on('data', chunk => chunks.push(chunk))
+        req.on('end', () => {
+            const request = {
+                method: req.method,
+                url: new URL(req.url, `http://${req.headers.host || `${host}:${port}`}`),
+                headers: req.headers,
+                body: Buffer.concat(chunks).toString('utf8')
+            }
+            const response = mock.handle(request)
+            if (log) {
+                log(`${req.method} ${decodeURIComponent(request.url.pathname)}${request.url.search ? ' ?…' : ''} → ${response.status}`)
+            }
+            res.writeHead(response.status, response.headers)
+            res.end(response.body)
+        })
+    })
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(port, host, resolve)
+    })
+
+    return {
+        url: `http://${host}:${server.address().port}`,
+        mock,
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    }
+}
+
+// Run standalone: node mock/dataverse-server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.env.MOCK_DATAVERSE_PORT || DEFAULT_PORT, 10)
+    const fixturesDir = process.env.MOCK_DATAVERSE_FIXTURES || DEFAULT_FIXTURES_DIR
+
+    startMockDataverse({ port, fixturesDir, log: message => console.log(`🧪 ${message}`) })
+        .then(({ url, close }) => {
+            console.log(`🧪 Mock Dataverse listening on ${url} (fixtures: ${fixturesDir})`)
+            console.log(`   Point the functions at it: DATAVERSE_URL=${url} AZURE_AUTHORITY_HOST=${url}`)
+            process.on('SIGINT', () => close().then(() => process.exit(0)))
+        })
+        .catch(error => {
+            console.error(`❌ Failed to start mock Dataverse: ${error.message}`)
+            process.exit(1)
+        })
+}
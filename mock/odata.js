@@ -0,0 +1,454 @@
+/**
+ * OData query support for the mock Dataverse server
+ *
+ * Implements the subset of OData v4 the portal sends:
+ * - $filter: eq/ne/gt/ge/lt/le, and/or/not, parentheses, contains/startswith/endswith and the
+ *   Microsoft.Dynamics.CRM In/NotIn/Between/NotBetween/Null/NotNull query functions
+ * - $select, $orderby, $top, $skip and $expand with nested options ($select;$filter;$orderby;$top;$expand)
+ *
+ * Like Dataverse, string comparisons ignore case. Property paths (e.g. "cp_Contact/_parentcustomerid_value")
+ * are resolved by the caller, so navigation properties follow the server's metadata.
+ * Anything outside the subset throws an error with status 501 instead of being silently ignored.
+ */
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/
+const COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le']
+const STRING_FUNCTIONS = ['contains', 'startswith', 'endswith']
+const QUERY_FUNCTION_PREFIX = 'Microsoft.Dynamics.CRM.'
+const QUERY_FUNCTIONS = ['In', 'NotIn', 'Between', 'NotBetween', 'Null', 'NotNull']
+
+/**
+ * Error for requests outside the supported subset (400) or not implemented by the mock (501)
+ */
+export function createQueryError(message, status = 400) {
+    const error = new Error(message)
+    error.status = status
+    return error
+}
+
+/**
+ * Split a $filter expression into tokens
+ */
+function tokenize(text) {
+    const tokens = []
+    let position = 0
+
+    while (position < text.length) {
+        const rest = text.slice(position)
+        const whitespace = /^\s+/.exec(rest)
+        if (whitespace) {
+            position += whitespace[0].length
+            continue
+        }
+
+        if ('(),[]='.includes(rest[0])) {
+            tokens.push({ type: 'symbol', value: rest[0] })
+            position++
+            continue
+        }
+
+        if (rest[0] === "'") {
+            let value = ''
+            let index = 1
+            for (;;) {
+                if (index >= rest.length) {
+                    throw createQueryError('Invalid $filter: unterminated string literal')
+                }
+                if (rest[index] === "'") {
+                    if (rest[index + 1] === "'") {
+                        value += "'"
+                        index += 2
+                        continue
+                    }
+                    break
+                }
+                value += rest[index++]
+            }
+            tokens.push({ type: 'literal', value })
+            position += index + 1
+            continue
+        }
+
+        // Unquoted GUIDs and dates are literals
+        const guid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?![\w-])/i.exec(rest)
+        if (guid) {
+            tokens.push({ type: 'literal', value: guid[0] })
+            position += guid[0].length
+            continue
+        }
+
+        const date = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?/.exec(rest)
+        if (date) {
+            tokens.push({ type: 'literal', value: date[0] })
+            position += date[0].length
+            continue
+        }
+
+        const number = /^-?\d+(\.\d+)?/.exec(rest)
+        if (number) {
+            tokens.push({ type: 'literal', value: Number(number[0]) })
+            position += number[0].length
+            continue
+        }
+
+        const word = /^[A-Za-z_][\w.@]*(\/[A-Za-z_][\w.@]*)*/.exec(rest)
+        if (word) {
+            const value = word[0]
+            if (value === 'null' || value === 'true' || value === 'false') {
+                tokens.push({ type: 'literal', value: value === 'null' ? null : value === 'true' })
+            } else {
+                tokens.push({ type: 'word', value })
+            }
+            position += value.length
+            continue
+        }
+
+        throw createQueryError(`Invalid $filter: unexpected "${rest[0]}" at position ${position}`)
+    }
+
+    return tokens
+}
+
+/**
+ * Parse a $filter expression into a syntax tree
+ *
+ * @example
+ * parseFilter("statecode eq 0 and contains(cp_name,'idea')")
+ * => { type: 'and', left: { type: 'compare', ... }, right: { type: 'call', name: 'contains', ... } }
+ */
+export function parseFilter(text) {
+    const tokens = tokenize(text)
+    let index = 0
+
+    const peek = () => tokens[index]
+    const next = () => tokens[index++]
+    const isWord = (value) => peek()?.type === 'word' && peek().value === value
+    const expect = (value) => {
+        const token = next()
+        if (!token || token.type !== 'symbol' || token.value !== value) {
+            throw createQueryError(`Invalid $filter: expected "${value}"`)
+        }
+    }
+
+    const parseOperand = () => {
+        const token = next()
+        if (!token) {
+            throw createQueryError('Invalid $filter: unexpected end of expression')
+        }
+        if (token.type === 'literal') {
+            return { type: 'literal', value: token.value }
+        }
+        if (token.type === 'word') {
+            return { type: 'path', path: token.value }
+        }
+        throw createQueryError(`Invalid $filter: unexpected "${token.value}"`)
+    }
+
+    const parseQueryFunction = (name) => {
+        const args = {}
+        expect('(')
+        while (peek() && !(peek().type === 'symbol' && peek().value === ')')) {
+            const argument = next()
+            expect('=')
+            if (peek()?.type === 'symbol' && peek().value === '[') {
+                next()
+                const values = []
+                while (!(peek()?.type === 'symbol' && peek().value === ']')) {
+                    values.push(parseOperand().value)
+                    if (peek()?.type === 'symbol' && peek().value === ',') next()
+                }
+                next()
+                args[argument.value] = values
+            } else {
+                args[argument.value] = parseOperand().value
+            }
+            if (peek()?.type === 'symbol' && peek().value === ',') next()
+        }
+        expect(')')
+        if (typeof args.PropertyName !== 'string') {
+            throw createQueryError(`Invalid $filter: ${QUERY_FUNCTION_PREFIX}${name} needs a PropertyName`)
+        }
+        return { type: 'query', name, property: args.PropertyName, values: args.PropertyValues || [] }
+    }
+
+    const parsePrimary = () => {
+        const token = peek()
+        if (token?.type === 'symbol' && token.value === '(') {
+            next()
+            const expression = parseOr()
+            expect(')')
+            return expression
+        }
+
+        if (token?.type === 'word' && tokens[index + 1]?.value === '(') {
+            next()
+            if (token.value.startsWith(QUERY_FUNCTION_PREFIX)) {
+                const name = token.value.slice(QUERY_FUNCTION_PREFIX.length)
+                if (!QUERY_FUNCTIONS.includes(name)) {
+                    throw createQueryError(`Query function ${token.value} is not supported by the mock`, 501)
+                }
+                return parseQueryFunction(name)
+            }
+            const name = token.value.toLowerCase()
+            if (!STRING_FUNCTIONS.includes(name)) {
+                throw createQueryError(`Function ${token.value} is not supported by the mock`, 501)
+            }
+            expect('(')
+            const target = parseOperand()
+            expect(',')
+            const argument = parseOperand()
+            expect(')')
+            return { type: 'call', name, target, argument }
+        }
+
+        const left = parseOperand()
+        const operator = next()
+        if (!operator || operator.type !== 'word' || !COMPARISON_OPERATORS.includes(operator.value)) {
+            throw createQueryError(`Invalid $filter: expected a comparison operator after "${left.path ?? left.value}"`)
+        }
+        return { type: 'compare', operator: operator.value, left, right: parseOperand() }
+    }
+
+    const parseNot = () => {
+        if (isWord('not')) {
+            next()
+            return { type: 'not', expression: parseNot() }
+        }
+        return parsePrimary()
+    }
+
+    const parseAnd = () => {
+        let left = parseNot()
+        while (isWord('and')) {
+            next()
+            left = { type: 'and', left, right: parseNot() }
+        }
+        return left
+    }
+
+    function parseOr() {
+        let left = parseAnd()
+        while (isWord('or')) {
+            next()
+            left = { type: 'or', left, right: parseAnd() }
+        }
+        return left
+    }
+
+    const tree = parseOr()
+    if (index < tokens.length) {
+        throw createQueryError(`Invalid $filter: unexpected "${tokens[index].value}"`)
+    }
+    return tree
+}
+
+/**
+ * Compare two values the way Dataverse does (case-insensitive strings, dates by time)
+ * Returns a negative number, 0 or a positive number - null sorts first
+ */
+export function compareValues(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        const aMissing = a === null || a === undefined
+        const bMissing = b === null || b === undefined
+        return aMissing === bMissing ? 0 : aMissing ? -1 : 1
+    }
+    if (typeof a === 'number' || typeof b === 'number') {
+        return Number(a) - Number(b)
+    }
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+        return Number(a === true || a === 'true') - Number(b === true || b === 'true')
+    }
+    if (ISO_DATE_PATTERN.test(a) && ISO_DATE_PATTERN.test(b)) {
+        return Date.parse(a) - Date.parse(b)
+    }
+    return String(a).toLowerCase().localeCompare(String(b).toLowerCase())
+}
+
+const isMissing = (value) => value === null || value === undefined
+
+function compare(operator, left, right) {
+    if (isMissing(left) || isMissing(right)) {
+        if (operator === 'eq') return isMissing(left) && isMissing(right)
+        if (operator === 'ne') return isMissing(left) !== isMissing(right)
+        return false
+    }
+    const result = compareValues(left, right)
+    switch (operator) {
+        case 'eq': return result === 0
+        case 'ne': return result !== 0
+        case 'gt': return result > 0
+        case 'ge': return result >= 0
+        case 'lt': return result < 0
+        case 'le': return result <= 0
+    }
+    return false
+}
+
+/**
+ * Evaluate a parsed $filter against a record
+ *
+ * @param {Object} tree - Result of parseFilter()
+ * @param {Object} record - Record to test
+ * @param {Function} getValue - (record, path) => value, resolves property and navigation paths
+ * @returns {boolean}
+ */
+export function evaluateFilter(tree, record, getValue = (item, path) => item[path]) {
+    const valueOf = (operand) => operand.type === 'path' ? getValue(record, operand.path) : operand.value
+
+    switch (tree.type) {
+        case 'and':
+            return evaluateFilter(tree.left, record, getValue) && evaluateFilter(tree.right, record, getValue)
+        case 'or':
+            return evaluateFilter(tree.left, record, getValue) || evaluateFilter(tree.right, record, getValue)
+        case 'not':
+            return !evaluateFilter(tree.expression, record, getValue)
+        case 'compare':
+            return compare(tree.operator, valueOf(tree.left), valueOf(tree.right))
+        case 'call': {
+            const target = valueOf(tree.target)
+            const argument = valueOf(tree.argument)
+            if (isMissing(target) || isMissing(argument)) return false
+            const text = String(target).toLowerCase()
+            const search = String(argument).toLowerCase()
+            if (tree.name === 'contains') return text.includes(search)
+            if (tree.name === 'startswith') return text.startsWith(search)
+            return text.endsWith(search)
+        }
+        case 'query': {
+            const value = getValue(record, tree.property)
+            switch (tree.name) {
+                case 'In': return tree.values.some(candidate => compare('eq', value, candidate))
+                case 'NotIn': return !tree.values.some(candidate => compare('eq', value, candidate))
+                case 'Between': return compare('ge', value, tree.values[0]) && compare('le', value, tree.values[1])
+                case 'NotBetween': return !(compare('ge', value, tree.values[0]) && compare('le', value, tree.values[1]))
+                case 'Null': return isMissing(value)
+                case 'NotNull': return !isMissing(value)
+            }
+        }
+    }
+    throw createQueryError(`Invalid $filter node: ${tree.type}`)
+}
+
+/**
+ * Split on a separator outside parentheses and quotes
+ */
+function splitTopLevel(text, separator) {
+    const parts = []
+    let depth = 0
+    let quoted = false
+    let current = ''
+    for (const character of text) {
+        if (character === "'") quoted = !quoted
+        if (!quoted && character === '(') depth++
+        if (!quoted && character === ')') depth--
+        if (!quoted && depth === 0 && character === separator) {
+            parts.push(current)
+            current = ''
+        } else {
+            current += character
+        }
+    }
+    parts.push(current)
+    return parts.map(part => part.trim()).filter(Boolean)
+}
+
+/**
+ * Parse a $select list
+ */
+export function parseSelect(text) {
+    return text ? splitTopLevel(text, ',') : null
+}
+
+/**
+ * Parse an $orderby list
+ *
+ * @example
+ * parseOrderBy('cp_menuorder,createdon desc') => [{ path: 'cp_menuorder', descending: false }, { path: 'createdon', descending: true }]
+ */
+export function parseOrderBy(text) {
+    if (!text) return []
+    return splitTopLevel(text, ',').map(part => {
+        const [path, direction = 'asc'] = part.split(/\s+/)
+        if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+            throw createQueryError(`Invalid $orderby direction: ${direction}`)
+        }
+        return { path, descending: direction.toLowerCase() === 'desc' }
+    })
+}
+
+/**
+ * Parse query options given as an object or as nested "$select=a,b;$filter=..." text
+ */
+export function parseQueryOptions(options) {
+    const raw = typeof options === 'string'
+        ? Object.fromEntries(splitTopLevel(options, ';').map(option => {
+            const separator = option.indexOf('=')
+            return [option.slice(0, separator).trim(), option.slice(separator + 1).trim()]
+        }))
+        : options
+
+    const top = raw.$top !== undefined ? parseInt(raw.$top, 10) : null
+    const skip = raw.$skip !== undefined ? parseInt(raw.$skip, 10) : 0
+    if ((top !== null && !(top >= 0)) || !(skip >= 0)) {
+        throw createQueryError('Invalid $top or $skip value')
+    }
+
+    return {
+        select: parseSelect(raw.$select),
+        filter: raw.$filter ? parseFilter(raw.$filter) : null,
+        orderBy: parseOrderBy(raw.$orderby),
+        expand: parseExpand(raw.$expand),
+        top: top,
+        skip: skip,
+        count: raw.$count === 'true'
+    }
+}
+
+/**
+ * Parse an $expand list with nested options
+ *
+ * @example
+ * parseExpand('cp_Contact($select=fullname),Attributes')
+ * => [{ name: 'cp_Contact', options: { select: ['fullname'], ... } }, { name: 'Attributes', options: { ... } }]
+ */
+export function parseExpand(text) {
+    if (!text) return []
+    return splitTopLevel(text, ',').map(item => {
+        const open = item.indexOf('(')
+        if (open === -1) {
+            return { name: item, options: parseQueryOptions({}) }
+        }
+        if (!item.endsWith(')')) {
+            throw createQueryError(`Invalid $expand: ${item}`)
+        }
+        return { name: item.slice(0, open).trim(), options: parseQueryOptions(item.slice(open + 1, -1)) }
+    })
+}
+
+/**
+ * Sort records by parsed $orderby clauses (stable)
+ */
+export function sortRecords(records, orderBy, getValue = (item, path) => item[path]) {
+    if (!orderBy.length) return records
+    return [...records].sort((a, b) => {
+        for (const { path, descending } of orderBy) {
+            const result = compareValues(getValue(a, path), getValue(b, path))
+            if (result !== 0) {
+                return descending ? -result : result
+            }
+        }
+        return 0
+    })
+}
+
+/**
+ * Keep the selected properties (plus annotations of those properties and the always-returned keys)
+ */
+export function applySelect(record, select, alwaysInclude = []) {
+    if (!select) return { ...record }
+    const keep = new Set([...select, ...alwaysInclude])
+    return Object.fromEntries(Object.entries(record).filter(([name]) => {
+        const property = name.split('@')[0]
+        return name.startsWith('@') || keep.has(property)
+    }))
+}
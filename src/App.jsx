@@ -7,6 +7,7 @@ import ContactEdit from './pages/contacts/ContactEdit'
 import Success from './pages/shared/Success'
 import EntityList from './pages/generic/EntityList'
 import EntityEdit from './pages/generic/EntityEdit'
+import EntityImport from './pages/generic/EntityImport'
 
 function App() {
     return (
@@ -60,6 +61,12 @@ function App() {
                     </SignedIn>
                 } />
 
+                <Route path="/entity/:entityName/import" element={
+                    <SignedIn>
+                        <EntityImport />
+                    </SignedIn>
+                } />
+
                 <Route path="/success" element={
                     <SignedIn>
                         <Success />
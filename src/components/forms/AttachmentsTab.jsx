@@ -0,0 +1,304 @@
+/**
+ * AttachmentsTab Component
+ *
+ * Lists the files attached to a record (stored as Dataverse notes) with
+ * drag-and-drop upload, image/PDF preview, download and delete.
+ *
+ * Props:
+ * - entityName: Entity logical name from the route
+ * - entityId: Record GUID
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { useContactContext } from '../../contexts/ContactContext'
+import ConfirmDialog from '../shared/ConfirmDialog'
+import {
+    ATTACHMENT_EXTENSION_TYPES,
+    MAX_ATTACHMENT_BYTES,
+    checkAttachmentFile,
+    formatFileSize,
+    listAttachments,
+    uploadAttachment,
+    fetchAttachmentBlob,
+    downloadAttachment,
+    deleteAttachment
+} from '../../utils/attachmentActions'
+
+const ACCEPT = Object.keys(ATTACHMENT_EXTENSION_TYPES).map(extension => `.${extension}`).join(',')
+
+function AttachmentsTab({ entityName, entityId }) {
+    const { getToken } = useAuth()
+    const { getContactGuid } = useContactContext()
+    const fileInputRef = useRef(null)
+
+    const [attachments, setAttachments] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+    const [uploading, setUploading] = useState(false)
+    const [uploadErrors, setUploadErrors] = useState([])
+    const [dragActive, setDragActive] = useState(false)
+    const [preview, setPreview] = useState(null)  // { attachment, url }
+    const [pendingDelete, setPendingDelete] = useState(null)
+    const [deleting, setDeleting] = useState(false)
+
+    useEffect(() => {
+        fetchAttachments()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [entityName, entityId])
+
+    // Release the preview blob when it is closed or replaced
+    useEffect(() => {
+        return () => {
+            if (preview?.url) {
+                URL.revokeObjectURL(preview.url)
+            }
+        }
+    }, [preview])
+
+    const getRequestOptions = async () => ({
+        token: await getToken(),
+        entityName,
+        entityId,
+        contactGuid: getContactGuid()
+    })
+
+    const fetchAttachments = async () => {
+        try {
+            setLoading(true)
+            setError(null)
+            setAttachments(await listAttachments(await getRequestOptions()))
+        } catch (err) {
+            console.error('Error loading attachments:', err)
+            setError(err.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const handleFiles = async (fileList) => {
+        const files = Array.from(fileList || [])
+        if (files.length === 0) return
+
+        const errors = []
+        const validFiles = files.filter(file => {
+            const message = checkAttachmentFile(file)
+            if (message) errors.push(message)
+            return !message
+        })
+
+        setUploadErrors(errors)
+        if (validFiles.length === 0) return
+
+        setUploading(true)
+        try {
+            const options = await getRequestOptions()
+            // One at a time keeps each request under the function body limit
+            for (const file of validFiles) {
+                try {
+                    const created = await uploadAttachment({ ...options, file })
+                    setAttachments(current => [created, ...current])
+                } catch (err) {
+                    console.error(`Error uploading ${file.name}:`, err)
+                    errors.push(`${file.name}: ${err.message}`)
+                }
+            }
+            setUploadErrors([...errors])
+        } finally {
+            setUploading(false)
+            if (fileInputRef.current) {
+                fileInputRef.current.value = ''
+            }
+        }
+    }
+
+    const handleDrop = (event) => {
+        event.preventDefault()
+        setDragActive(false)
+        if (!uploading) {
+            handleFiles(event.dataTransfer.files)
+        }
+    }
+
+    const handleDragOver = (event) => {
+        event.preventDefault()
+        setDragActive(true)
+    }
+
+    const handlePreview = async (attachment) => {
+        try {
+            setError(null)
+            const blob = await fetchAttachmentBlob({ ...await getRequestOptions(), attachmentId: attachment.id })
+            setPreview({ attachment, url: URL.createObjectURL(blob) })
+        } catch (err) {
+            console.error('Error loading preview:', err)
+            setError(err.message)
+        }
+    }
+
+    const handleDownload = async (attachment) => {
+        try {
+            setError(null)
+            await downloadAttachment({ ...await getRequestOptions(), attachment })
+        } catch (err) {
+            console.error('Error downloading attachment:', err)
+            setError(err.message)
+        }
+    }
+
+    const handleDeleteConfirmed = async () => {
+        const attachment = pendingDelete
+        setDeleting(true)
+        try {
+            await deleteAttachment({ ...await getRequestOptions(), attachmentId: attachment.id })
+            setAttachments(current => current.filter(item => item.id !== attachment.id))
+            if (preview?.attachment.id === attachment.id) {
+                setPreview(null)
+            }
+            setPendingDelete(null)
+        } catch (err) {
+            console.error('Error deleting attachment:', err)
+            setError(err.message)
+            setPendingDelete(null)
+        } finally {
+            setDeleting(false)
+        }
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Drop zone */}
+            <div
+                onDragOver={handleDragOver}
+                onDragLeave={() => setDragActive(false)}
+                onDrop={handleDrop}
+                className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors ${
+                    dragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50'
+                }`}
+            >
+                <svg className="mx-auto h-10 w-10 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                </svg>
+                <p className="mt-2 text-sm text-gray-600">
+                    {uploading ? 'Uploading...' : 'Drag files here or'}
+                    {!uploading && (
+                        <button
+                            type="button"
+                            onClick={() => fileInputRef.current?.click()}
+                            className="ml-1 text-blue-600 hover:text-blue-800 font-medium"
+                        >
+                            browse
+                        </button>
+                    )}
+                </p>
+                <p className="mt-1 text-xs text-gray-500">
+                    Images, PDF, text, CSV and Office documents up to {MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB
+                </p>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    accept={ACCEPT}
+                    className="hidden"
+                    onChange={(event) => handleFiles(event.target.files)}
+                />
+            </div>
+
+            {uploadErrors.length > 0 && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                    <p className="text-sm font-medium text-red-800">Some files were not uploaded</p>
+                    <ul className="mt-1 list-disc list-inside text-sm text-red-700">
+                        {uploadErrors.map(message => <li key={message}>{message}</li>)}
+                    </ul>
+                </div>
+            )}
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+                    {error}
+                </div>
+            )}
+
+            {/* Preview */}
+            {preview && (
+                <div className="border border-gray-200 rounded-lg overflow-hidden">
+                    <div className="flex items-center justify-between px-4 py-2 bg-gray-50 border-b border-gray-200">
+                        <span className="text-sm font-medium text-gray-700 truncate">{preview.attachment.fileName}</span>
+                        <button
+                            type="button"
+                            onClick={() => setPreview(null)}
+                            className="text-sm text-gray-500 hover:text-gray-700"
+                        >
+                            Close preview
+                        </button>
+                    </div>
+                    {preview.attachment.mimeType === 'application/pdf' ? (
+                        <iframe src={preview.url} title={preview.attachment.fileName} className="w-full h-[600px]" />
+                    ) : (
+                        <div className="p-4 flex justify-center bg-white">
+                            <img src={preview.url} alt={preview.attachment.fileName} className="max-h-[600px] max-w-full object-contain" />
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Attachment list */}
+            {loading ? (
+                <div className="text-center py-8 text-gray-500">Loading attachments...</div>
+            ) : attachments.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">No attachments yet</div>
+            ) : (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                    {attachments.map(attachment => (
+                        <li key={attachment.id} className="flex items-center justify-between px-4 py-3">
+                            <div className="min-w-0">
+                                <p className="text-sm font-medium text-gray-900 truncate">{attachment.fileName}</p>
+                                <p className="text-xs text-gray-500">
+                                    {formatFileSize(attachment.size)}
+                                    {attachment.createdOn && ` - ${new Date(attachment.createdOn).toLocaleString()}`}
+                                </p>
+                            </div>
+                            <div className="flex items-center gap-3 ml-4 flex-shrink-0">
+                                {attachment.previewable && (
+                                    <button
+                                        type="button"
+                                        onClick={() => handlePreview(attachment)}
+                                        className="text-sm text-blue-600 hover:text-blue-800"
+                                    >
+                                        Preview
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    onClick={() => handleDownload(attachment)}
+                                    className="text-sm text-blue-600 hover:text-blue-800"
+                                >
+                                    Download
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => setPendingDelete(attachment)}
+                                    className="text-sm text-red-600 hover:text-red-800"
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {pendingDelete && (
+                <ConfirmDialog
+                    title="Delete attachment?"
+                    message={`${pendingDelete.fileName} will be permanently removed from this record.`}
+                    onConfirm={handleDeleteConfirmed}
+                    onCancel={() => setPendingDelete(null)}
+                    busy={deleting}
+                />
+            )}
+        </div>
+    )
+}
+
+export default AttachmentsTab
@@ -0,0 +1,166 @@
+/**
+ * CommentTimeline Component
+ *
+ * Timeline panel under a record where the owner (and, in organization view,
+ * colleagues) post plain or rich text comments. Comments are stored as notes
+ * on the record or in the entity's configured comment entity.
+ *
+ * Props:
+ * - entityName: Entity logical name from the route
+ * - entityId: Record GUID
+ * - viewMode: 'personal' or 'organization' - scope the record was opened in
+ */
+
+import { useState, useEffect } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { useContactContext } from '../../contexts/ContactContext'
+import SimpleRichTextEditor from './SimpleRichTextEditor'
+import SimpleRichTextViewer from './SimpleRichTextViewer'
+import { listComments, postComment } from '../../utils/commentActions'
+
+function CommentTimeline({ entityName, entityId, viewMode = 'personal' }) {
+    const { getToken } = useAuth()
+    const { getContactGuid } = useContactContext()
+
+    const [comments, setComments] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+    const [format, setFormat] = useState('plain')
+    const [text, setText] = useState('')
+    const [posting, setPosting] = useState(false)
+
+    useEffect(() => {
+        fetchComments()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [entityName, entityId, viewMode])
+
+    const fetchComments = async () => {
+        try {
+            setLoading(true)
+            setError(null)
+            const token = await getToken()
+            setComments(await listComments({ token, entityName, entityId, contactGuid: getContactGuid(), viewMode }))
+        } catch (err) {
+            console.error('Error loading comments:', err)
+            setError(err.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const hasText = format === 'html'
+        ? text.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim() !== ''
+        : text.trim() !== ''
+
+    const handlePost = async (event) => {
+        event.preventDefault()
+        if (!hasText) return
+
+        try {
+            setPosting(true)
+            setError(null)
+            const token = await getToken()
+            const created = await postComment({ token, entityName, entityId, contactGuid: getContactGuid(), viewMode, text, format })
+            setComments(current => [created, ...current])
+            setText('')
+        } catch (err) {
+            console.error('Error posting comment:', err)
+            setError(err.message)
+        } finally {
+            setPosting(false)
+        }
+    }
+
+    const handleFormatChange = (nextFormat) => {
+        // Keep the draft when switching - rich text is reduced to its text, plain text is escaped
+        if (nextFormat === 'plain' && format === 'html') {
+            const temp = document.createElement('div')
+            temp.innerHTML = text
+            setText(temp.textContent || '')
+        } else if (nextFormat === 'html' && format === 'plain') {
+            const temp = document.createElement('div')
+            temp.textContent = text
+            setText(temp.innerHTML.replace(/\n/g, '<br>'))
+        }
+        setFormat(nextFormat)
+    }
+
+    return (
+        <div className="mt-6 bg-white rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">Timeline</h2>
+            </div>
+
+            <form onSubmit={handlePost} className="px-6 py-4 border-b border-gray-200 space-y-3">
+                <div className="flex items-center gap-2 text-sm">
+                    {[['plain', 'Plain text'], ['html', 'Rich text']].map(([value, label]) => (
+                        <button
+                            key={value}
+                            type="button"
+                            onClick={() => handleFormatChange(value)}
+                            className={`px-3 py-1 rounded-md ${format === value ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                {format === 'html' ? (
+                    <SimpleRichTextEditor
+                        value={text}
+                        onChange={setText}
+                        disabled={posting}
+                        placeholder="Write a comment..."
+                    />
+                ) : (
+                    <textarea
+                        value={text}
+                        onChange={(event) => setText(event.target.value)}
+                        disabled={posting}
+                        rows={3}
+                        placeholder="Write a comment..."
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        type="submit"
+                        disabled={posting || !hasText}
+                        className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {posting ? 'Posting...' : 'Post comment'}
+                    </button>
+                </div>
+            </form>
+
+            {error && (
+                <div className="mx-6 mt-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                    {error}
+                </div>
+            )}
+
+            <div className="px-6 py-4">
+                {loading ? (
+                    <div className="text-center py-6 text-gray-500">Loading comments...</div>
+                ) : comments.length === 0 ? (
+                    <div className="text-center py-6 text-gray-500">No comments yet</div>
+                ) : (
+                    <ol className="space-y-4">
+                        {comments.map(comment => (
+                            <li key={comment.id} className="border-l-2 border-blue-200 pl-4">
+                                <p className="text-xs text-gray-500">
+                                    <span className="font-medium text-gray-700">{comment.author || 'Unknown'}</span>
+                                    {comment.createdOn && ` - ${new Date(comment.createdOn).toLocaleString()}`}
+                                </p>
+                                <SimpleRichTextViewer content={comment.body} className="mt-1" />
+                            </li>
+                        ))}
+                    </ol>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default CommentTimeline
@@ -0,0 +1,127 @@
+/**
+ * ConflictDialog Component
+ *
+ * Shown by EntityEdit when a save is rejected because the record changed on the server (HTTP 412).
+ * Lists the fields someone else changed and lets the user pick, per field, which value to keep.
+ *
+ * Props:
+ * - conflictFields: From getConflictFields() [{ key, label, serverDisplay, yourDisplay, changedByYou }]
+ * - onMerge: Called with { [key]: 'server' | 'mine' } to save the merged record
+ * - onOverwrite: Called to save the user's values over the server changes
+ * - onCancel: Called to close the dialog and keep editing
+ * - saving: Disables the actions while a save is running
+ */
+
+import { useState } from 'react'
+
+// Take the server value unless the user edited the same field
+const getDefaultChoices = (conflictFields) => Object.fromEntries(
+    conflictFields.map(field => [field.key, field.changedByYou ? 'mine' : 'server'])
+)
+
+function ConflictDialog({ conflictFields, onMerge, onOverwrite, onCancel, saving = false }) {
+    const [choices, setChoices] = useState(() => getDefaultChoices(conflictFields))
+
+    const setChoice = (key, choice) => {
+        setChoices(prev => ({ ...prev, [key]: choice }))
+    }
+
+    const renderValue = (value) => value
+        ? <span className="break-words">{value}</span>
+        : <span className="italic text-gray-400">(empty)</span>
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4" role="dialog" aria-modal="true" aria-labelledby="conflict-dialog-title">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 id="conflict-dialog-title" className="text-lg font-semibold text-gray-900">
+                        This record was changed by someone else
+                    </h2>
+                    <p className="mt-1 text-sm text-gray-600">
+                        Choose which value to keep for each field changed since you opened the record, then save again.
+                    </p>
+                </div>
+
+                <div className="px-6 py-4 overflow-auto">
+                    {conflictFields.length === 0 ? (
+                        <p className="text-sm text-gray-600">
+                            None of the fields on this form were changed. Saving keeps all of your values.
+                        </p>
+                    ) : (
+                        <table className="min-w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    <th className="py-2 pr-4">Field</th>
+                                    <th className="py-2 pr-4">Their value</th>
+                                    <th className="py-2">Your value</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {conflictFields.map(field => (
+                                    <tr key={field.key} className="align-top">
+                                        <td className="py-3 pr-4 font-medium text-gray-900">
+                                            {field.label}
+                                            {field.changedByYou && (
+                                                <span className="block text-xs font-normal text-amber-600">Also changed by you</span>
+                                            )}
+                                        </td>
+                                        <td className="py-3 pr-4">
+                                            <label className="flex items-start gap-2 cursor-pointer">
+                                                <input
+                                                    type="radio"
+                                                    name={`conflict-${field.key}`}
+                                                    checked={choices[field.key] === 'server'}
+                                                    onChange={() => setChoice(field.key, 'server')}
+                                                    className="mt-0.5"
+                                                />
+                                                {renderValue(field.serverDisplay)}
+                                            </label>
+                                        </td>
+                                        <td className="py-3">
+                                            <label className="flex items-start gap-2 cursor-pointer">
+                                                <input
+                                                    type="radio"
+                                                    name={`conflict-${field.key}`}
+                                                    checked={choices[field.key] === 'mine'}
+                                                    onChange={() => setChoice(field.key, 'mine')}
+                                                    className="mt-0.5"
+                                                />
+                                                {renderValue(field.yourDisplay)}
+                                            </label>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+                    <button
+                        onClick={onCancel}
+                        disabled={saving}
+                        className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={onOverwrite}
+                        disabled={saving}
+                        className="px-4 py-2 border border-red-300 rounded-lg text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+                    >
+                        Overwrite with mine
+                    </button>
+                    <button
+                        onClick={() => onMerge(choices)}
+                        disabled={saving}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {saving ? 'Saving...' : 'Save merged'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default ConflictDialog
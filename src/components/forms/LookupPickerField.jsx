@@ -0,0 +1,170 @@
+/**
+ * LookupPickerField Component
+ *
+ * Typeahead picker for lookup fields. Searches the lookup target by primary name through
+ * generic-entity mode=lookup (scoped server-side by the target entity's security rules).
+ * The chosen record ID is written to the _field_value key and converted to @odata.bind on save.
+ *
+ * Props:
+ * - entityName: Entity being edited (slug or logical name)
+ * - fieldName: Lookup field on the form (e.g. cp_project)
+ * - valueFieldName: Form data key receiving the chosen ID (e.g. _cp_project_value)
+ * - value: Current record ID
+ * - displayValue: Current record name
+ * - onChange: (key, value) callback - receives the ID and its formatted-value annotation
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { useContactContext } from '../../contexts/ContactContext'
+import { baseInputClassName } from './shared/fieldStyles.jsx'
+
+const SEARCH_DEBOUNCE_MS = 300
+
+function LookupPickerField({
+    entityName,
+    fieldName,
+    valueFieldName,
+    value,
+    displayValue = '',
+    onChange,
+    disabled = false,
+    placeholder = ''
+}) {
+    const { getToken } = useAuth()
+    const { getContactGuid } = useContactContext()
+
+    const [query, setQuery] = useState('')
+    const [results, setResults] = useState([])
+    const [isOpen, setIsOpen] = useState(false)
+    const [searching, setSearching] = useState(false)
+    const [error, setError] = useState(null)
+    const [selectedName, setSelectedName] = useState(displayValue)
+    const requestIdRef = useRef(0)
+
+    useEffect(() => {
+        setSelectedName(displayValue)
+    }, [displayValue])
+
+    // Debounced search while the dropdown is open
+    useEffect(() => {
+        if (!isOpen) return undefined
+
+        const timer = setTimeout(() => {
+            searchRecords(query)
+        }, SEARCH_DEBOUNCE_MS)
+
+        return () => clearTimeout(timer)
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [query, isOpen])
+
+    const searchRecords = async (searchText) => {
+        // Ignore responses from searches that were superseded by newer input
+        const requestId = ++requestIdRef.current
+
+        try {
+            setSearching(true)
+            setError(null)
+
+            const token = await getToken()
+            const contactGuid = getContactGuid()
+
+            if (!contactGuid) {
+                throw new Error('Contact GUID required for data access')
+            }
+
+            const params = new URLSearchParams({
+                entity: entityName,
+                mode: 'lookup',
+                field: fieldName,
+                contactGuid: contactGuid
+            })
+            if (searchText.trim()) {
+                params.append('search', searchText.trim())
+            }
+
+            const response = await fetch(`/.netlify/functions/generic-entity?${params.toString()}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            })
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}))
+                throw new Error(errorData.error || `Search failed: ${response.status}`)
+            }
+
+            const data = await response.json()
+            if (requestId === requestIdRef.current) {
+                setResults(data.results || [])
+            }
+        } catch (err) {
+            console.error(`Error searching lookup ${fieldName}:`, err)
+            if (requestId === requestIdRef.current) {
+                setError(err.message)
+                setResults([])
+            }
+        } finally {
+            if (requestId === requestIdRef.current) {
+                setSearching(false)
+            }
+        }
+    }
+
+    const handleSelect = (record) => {
+        console.log(`🔗 Lookup selected: ${fieldName} = ${record.id} (${record.name})`)
+        setSelectedName(record.name)
+        setQuery('')
+        setIsOpen(false)
+        onChange(valueFieldName, record.id)
+        // Keep the display name in step with the new ID (annotation keys are never sent on save)
+        onChange(`${valueFieldName}@OData.Community.Display.V1.FormattedValue`, record.name)
+    }
+
+    return (
+        <div className="relative">
+            <input
+                type="text"
+                value={isOpen ? query : (selectedName || '')}
+                onChange={(e) => setQuery(e.target.value)}
+                onFocus={() => setIsOpen(true)}
+                onBlur={() => setIsOpen(false)}
+                disabled={disabled}
+                className={baseInputClassName}
+                placeholder={selectedName || (placeholder ? `Search ${placeholder.toLowerCase()}...` : 'Search...')}
+                aria-autocomplete="list"
+                aria-expanded={isOpen}
+            />
+
+            {isOpen && (
+                <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-auto" role="listbox">
+                    {searching && (
+                        <li className="px-3 py-2 text-sm text-gray-500">Searching...</li>
+                    )}
+                    {!searching && error && (
+                        <li className="px-3 py-2 text-sm text-red-600">{error}</li>
+                    )}
+                    {!searching && !error && results.length === 0 && (
+                        <li className="px-3 py-2 text-sm text-gray-500">No matching records</li>
+                    )}
+                    {!searching && !error && results.map(record => (
+                        <li
+                            key={record.id}
+                            role="option"
+                            aria-selected={record.id === value}
+                            // Keep input focus so the list does not close before the click registers
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => handleSelect(record)}
+                            className={`px-3 py-2 text-sm cursor-pointer hover:bg-blue-50 ${record.id === value ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-800'}`}
+                        >
+                            {record.name || record.id}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    )
+}
+
+export default LookupPickerField
@@ -10,6 +10,7 @@ import {
     getDisabledTextClass,
     LockIcon 
 } from './fieldStyles.jsx'
+import { parseMultiSelectValue } from '../../../utils/optionSetUtils'
 
 /**
  * Text input field (single line)
@@ -19,6 +20,7 @@ export const TextField = ({
     onChange, 
     disabled = false, 
     placeholder = '',
+    maxLength = null,
     fieldName 
 }) => {
     return (
@@ -29,6 +31,7 @@ export const TextField = ({
             disabled={disabled}
             className={baseInputClassName}
             placeholder={placeholder}
+            maxLength={maxLength || undefined}
         />
     )
 }
@@ -41,6 +44,7 @@ export const EmailField = ({
     onChange, 
     disabled = false, 
     placeholder = '',
+    maxLength = null,
     fieldName 
 }) => {
     return (
@@ -51,6 +55,7 @@ export const EmailField = ({
             disabled={disabled}
             className={baseInputClassName}
             placeholder={placeholder}
+            maxLength={maxLength || undefined}
         />
     )
 }
@@ -63,6 +68,7 @@ export const PhoneField = ({
     onChange, 
     disabled = false, 
     placeholder = '',
+    maxLength = null,
     fieldName 
 }) => {
     return (
@@ -73,6 +79,7 @@ export const PhoneField = ({
             disabled={disabled}
             className={baseInputClassName}
             placeholder={placeholder}
+            maxLength={maxLength || undefined}
         />
     )
 }
@@ -86,6 +93,7 @@ export const MultiTextField = ({
     disabled = false, 
     placeholder = '',
     rows = 3,
+    maxLength = null,
     fieldName 
 }) => {
     return (
@@ -96,6 +104,7 @@ export const MultiTextField = ({
             className={baseInputClassName}
             rows={rows}
             placeholder={placeholder}
+            maxLength={maxLength || undefined}
         />
     )
 }
@@ -152,19 +161,27 @@ export const BooleanField = ({
 }
 
 /**
- * Decimal/Money input
+ * Decimal/Money/Whole number input
+ * precision comes from attribute metadata (0 = whole number), defaulting to 2 decimals
  */
 export const DecimalField = ({ 
     value, 
     onChange, 
     disabled = false, 
     placeholder = '',
+    precision = null,
+    min = null,
+    max = null,
     fieldName 
 }) => {
+    const step = precision === null || precision === undefined ? '0.01' : (precision === 0 ? '1' : (1 / Math.pow(10, precision)).toFixed(precision))
+    
     return (
         <input
             type="number"
-            step="0.01"
+            step={step}
+            min={min ?? undefined}
+            max={max ?? undefined}
             value={value || ''}
             onChange={(e) => onChange(fieldName, parseFloat(e.target.value) || 0)}
             disabled={disabled}
@@ -174,6 +191,71 @@ export const DecimalField = ({
     )
 }
 
+/**
+ * Choice (option set) dropdown
+ * Options come from form metadata: [{ value, label }]
+ */
+export const OptionSetField = ({ 
+    value, 
+    onChange, 
+    disabled = false, 
+    placeholder = '',
+    options = [],
+    fieldName 
+}) => {
+    return (
+        <select
+            value={value === null || value === undefined ? '' : String(value)}
+            onChange={(e) => onChange(fieldName, e.target.value === '' ? null : parseInt(e.target.value, 10))}
+            disabled={disabled}
+            className={baseInputClassName}
+        >
+            <option value="">{placeholder ? `Select ${placeholder.toLowerCase()}...` : 'Select...'}</option>
+            {(options || []).map(option => (
+                <option key={option.value} value={String(option.value)}>{option.label}</option>
+            ))}
+        </select>
+    )
+}
+
+/**
+ * Multi-select choice checkbox group
+ * Value uses the Dataverse format: comma separated option values ("1,3")
+ */
+export const MultiSelectOptionSetField = ({ 
+    value, 
+    onChange, 
+    disabled = false,
+    options = [],
+    fieldName 
+}) => {
+    const selected = parseMultiSelectValue(value)
+    
+    const handleToggle = (optionValue, checked) => {
+        const next = checked 
+            ? [...selected, optionValue] 
+            : selected.filter(selectedValue => selectedValue !== optionValue)
+        onChange(fieldName, next.length > 0 ? next.join(',') : null)
+    }
+    
+    return (
+        <div className="mt-1 space-y-2">
+            {(options || []).map(option => (
+                <label key={option.value} className="flex items-center">
+                    <input
+                        type="checkbox"
+                        checked={selected.includes(option.value)}
+                        onChange={(e) => handleToggle(option.value, e.target.checked)}
+                        disabled={disabled}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">{option.label}</span>
+                </label>
+            ))}
+        </div>
+    )
+}
+
 /**
  * Rich text editor
  */
@@ -0,0 +1,44 @@
+/**
+ * ConfirmDialog Component
+ *
+ * Modal confirmation for destructive actions such as deleting a record.
+ *
+ * Props:
+ * - title: Dialog heading
+ * - message: Explanation shown under the heading
+ * - confirmLabel: Text on the confirm button (default "Delete")
+ * - onConfirm: Called when the user confirms
+ * - onCancel: Called when the dialog is dismissed
+ * - busy: Disables the buttons while the action runs
+ */
+
+function ConfirmDialog({ title, message, confirmLabel = 'Delete', onConfirm, onCancel, busy = false }) {
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4" role="dialog" aria-modal="true" aria-labelledby="confirm-dialog-title">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+                <div className="px-6 py-4">
+                    <h2 id="confirm-dialog-title" className="text-lg font-semibold text-gray-900">{title}</h2>
+                    {message && <p className="mt-2 text-sm text-gray-600">{message}</p>}
+                </div>
+                <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+                    <button
+                        onClick={onCancel}
+                        disabled={busy}
+                        className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={onConfirm}
+                        disabled={busy}
+                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                    >
+                        {busy ? 'Working...' : confirmLabel}
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default ConfirmDialog
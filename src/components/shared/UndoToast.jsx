@@ -0,0 +1,48 @@
+/**
+ * UndoToast Component
+ *
+ * Short-lived notice with an Undo button, used after a record is soft deleted.
+ * Dismisses itself after the duration unless an undo is running.
+ *
+ * Props:
+ * - message: Notice text
+ * - onUndo: Called when Undo is clicked
+ * - onDismiss: Called when the toast closes
+ * - undoing: Shows progress and keeps the toast open
+ * - duration: Milliseconds before the toast closes (default 8000)
+ */
+
+import { useEffect } from 'react'
+
+function UndoToast({ message, onUndo, onDismiss, undoing = false, duration = 8000 }) {
+    useEffect(() => {
+        if (undoing) return undefined
+
+        const timer = setTimeout(onDismiss, duration)
+        return () => clearTimeout(timer)
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [message, undoing, duration])
+
+    return (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-gray-900 text-white text-sm rounded-lg shadow-lg px-4 py-3" role="status">
+            <span>{message}</span>
+            <button
+                onClick={onUndo}
+                disabled={undoing}
+                className="font-medium text-blue-300 hover:text-blue-200 disabled:opacity-50"
+            >
+                {undoing ? 'Undoing...' : 'Undo'}
+            </button>
+            <button
+                onClick={onDismiss}
+                disabled={undoing}
+                className="text-gray-400 hover:text-gray-200 disabled:opacity-50"
+                aria-label="Dismiss"
+            >
+                ✕
+            </button>
+        </div>
+    )
+}
+
+export default UndoToast
@@ -0,0 +1,167 @@
+/**
+ * AddExistingPanel Component
+ *
+ * "Add existing" picker for N:N subgrids. Searches the target entity by primary name
+ * and links the selected records to the parent record.
+ *
+ * Props:
+ * - subgrid: N:N subgrid metadata (targetEntity, parentEntity, relationshipName, displayName)
+ * - parentEntityId: Parent record GUID
+ * - linkedIds: IDs already shown in the subgrid (lowercase)
+ * - onAdded: Called after records were linked
+ * - onClose: Called when the panel is dismissed
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { useContactContext } from '../../contexts/ContactContext'
+import { searchEntityRecords, associateRecords } from '../../utils/relationshipActions'
+
+const SEARCH_DEBOUNCE_MS = 300
+
+function AddExistingPanel({ subgrid, parentEntityId, linkedIds, onAdded, onClose }) {
+    const { getToken } = useAuth()
+    const { getContactGuid } = useContactContext()
+
+    const [query, setQuery] = useState('')
+    const [results, setResults] = useState([])
+    const [selected, setSelected] = useState({})  // id -> name
+    const [searching, setSearching] = useState(false)
+    const [saving, setSaving] = useState(false)
+    const [error, setError] = useState(null)
+    const requestIdRef = useRef(0)
+
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            runSearch(query)
+        }, SEARCH_DEBOUNCE_MS)
+
+        return () => clearTimeout(timer)
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [query])
+
+    const runSearch = async (searchText) => {
+        // Ignore responses from searches that were superseded by newer input
+        const requestId = ++requestIdRef.current
+
+        try {
+            setSearching(true)
+            setError(null)
+            const token = await getToken()
+            const records = await searchEntityRecords({ token, entityName: subgrid.targetEntity, contactGuid: getContactGuid(), search: searchText })
+            if (requestId === requestIdRef.current) {
+                setResults(records)
+            }
+        } catch (err) {
+            console.error(`Error searching ${subgrid.targetEntity}:`, err)
+            if (requestId === requestIdRef.current) {
+                setError(err.message)
+                setResults([])
+            }
+        } finally {
+            if (requestId === requestIdRef.current) {
+                setSearching(false)
+            }
+        }
+    }
+
+    const toggleSelected = (record) => {
+        setSelected(current => {
+            const next = { ...current }
+            if (next[record.id]) {
+                delete next[record.id]
+            } else {
+                next[record.id] = record.name || record.id
+            }
+            return next
+        })
+    }
+
+    const handleAdd = async () => {
+        const ids = Object.keys(selected)
+        if (ids.length === 0) return
+
+        try {
+            setSaving(true)
+            setError(null)
+            const token = await getToken()
+            await associateRecords({ token, contactGuid: getContactGuid(), subgrid, parentEntityId, ids })
+            console.log(`🔗 Linked ${ids.length} ${subgrid.targetEntity} records to ${parentEntityId}`)
+            onAdded()
+        } catch (err) {
+            console.error('Error linking records:', err)
+            setError(err.message)
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    const selectedCount = Object.keys(selected).length
+
+    return (
+        <div className="mb-4 border border-blue-200 bg-blue-50 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="text-sm font-medium text-gray-900">Add existing {subgrid.displayName.toLowerCase()}</h3>
+                <button
+                    type="button"
+                    onClick={onClose}
+                    disabled={saving}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                >
+                    Close
+                </button>
+            </div>
+
+            <input
+                type="text"
+                value={query}
+                onChange={(event) => setQuery(event.target.value)}
+                placeholder="Search by name..."
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                autoFocus
+            />
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <ul className="bg-white border border-gray-200 rounded-md max-h-60 overflow-auto divide-y divide-gray-100">
+                {searching && (
+                    <li className="px-3 py-2 text-sm text-gray-500">Searching...</li>
+                )}
+                {!searching && results.length === 0 && (
+                    <li className="px-3 py-2 text-sm text-gray-500">No matching records</li>
+                )}
+                {!searching && results.map(record => {
+                    const alreadyLinked = linkedIds.includes(String(record.id).toLowerCase())
+                    return (
+                        <li key={record.id} className="px-3 py-2">
+                            <label className={`flex items-center gap-2 text-sm ${alreadyLinked ? 'text-gray-400' : 'text-gray-800 cursor-pointer'}`}>
+                                <input
+                                    type="checkbox"
+                                    checked={alreadyLinked || Boolean(selected[record.id])}
+                                    disabled={alreadyLinked || saving}
+                                    onChange={() => toggleSelected(record)}
+                                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                />
+                                {record.name || record.id}
+                                {alreadyLinked && <span className="text-xs">(already added)</span>}
+                            </label>
+                        </li>
+                    )
+                })}
+            </ul>
+
+            <div className="flex justify-end">
+                <button
+                    type="button"
+                    onClick={handleAdd}
+                    disabled={saving || selectedCount === 0}
+                    className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {saving ? 'Adding...' : selectedCount > 0 ? `Add ${selectedCount} selected` : 'Add selected'}
+                </button>
+            </div>
+        </div>
+    )
+}
+
+export default AddExistingPanel
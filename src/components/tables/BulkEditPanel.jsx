@@ -0,0 +1,158 @@
+/**
+ * BulkEditPanel Component
+ *
+ * Sets one field to the same value on every selected record in EntityList.
+ * Only plain view columns are offered - lookups, the record owner and system columns are skipped.
+ * The backend still checks each record against the form's field security.
+ *
+ * Props:
+ * - columns: View columns from backend viewMetadata (name, displayName, type, options)
+ * - selectedCount: Number of selected records
+ * - contactField: Entity's contact relation field (never bulk edited)
+ * - onApply: Called with (fieldName, value) - value is already converted for the column type
+ * - onClose: Called when the panel is dismissed
+ * - applying: Disables the form while the batch runs
+ */
+
+import { useState } from 'react'
+
+const EDITABLE_TYPES = ['text', 'email', 'phone', 'number', 'decimal', 'money', 'boolean', 'optionset', 'datetime']
+const SYSTEM_COLUMNS = ['createdon', 'modifiedon', 'createdby', 'modifiedby', 'statecode', 'statuscode', 'ownerid']
+
+const getInputType = (type) => {
+    switch (type) {
+        case 'datetime':
+            return 'date'
+        case 'number':
+        case 'decimal':
+        case 'money':
+            return 'number'
+        case 'email':
+            return 'email'
+        case 'phone':
+            return 'tel'
+        default:
+            return 'text'
+    }
+}
+
+// An empty value clears the field
+const convertValue = (type, value) => {
+    if (value === '') return null
+
+    switch (type) {
+        case 'boolean':
+            return value === 'true'
+        case 'number':
+        case 'optionset':
+            return parseInt(value, 10)
+        case 'decimal':
+        case 'money':
+            return parseFloat(value)
+        default:
+            return value
+    }
+}
+
+const inputClassName = "text-sm border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+
+function BulkEditPanel({ columns, selectedCount, contactField, onApply, onClose, applying = false }) {
+    const editableColumns = columns.filter(column =>
+        EDITABLE_TYPES.includes(column.type) &&
+        !column.name.startsWith('_') &&
+        column.name !== contactField &&
+        !SYSTEM_COLUMNS.includes(column.name)
+    )
+
+    const [fieldName, setFieldName] = useState(editableColumns[0]?.name || '')
+    const [value, setValue] = useState('')
+
+    const column = editableColumns.find(col => col.name === fieldName)
+
+    const handleFieldChange = (name) => {
+        setFieldName(name)
+        setValue('')
+    }
+
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        if (!column) return
+        onApply(column.name, convertValue(column.type, value))
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-4 border border-gray-200">
+            <div className="flex justify-between items-center mb-3">
+                <h4 className="text-sm font-medium text-gray-900">
+                    Edit field on {selectedCount} selected {selectedCount === 1 ? 'record' : 'records'}
+                </h4>
+                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close bulk edit">
+                    <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+
+            {editableColumns.length === 0 ? (
+                <p className="text-sm text-gray-500">None of the columns in this view can be edited in bulk.</p>
+            ) : (
+                <div className="flex flex-wrap items-center gap-2">
+                    <select
+                        value={fieldName}
+                        onChange={(e) => handleFieldChange(e.target.value)}
+                        disabled={applying}
+                        className={inputClassName}
+                    >
+                        {editableColumns.map(col => (
+                            <option key={col.name} value={col.name}>{col.displayName || col.name}</option>
+                        ))}
+                    </select>
+
+                    {column?.type === 'boolean' ? (
+                        <select
+                            value={value}
+                            onChange={(e) => setValue(e.target.value)}
+                            disabled={applying}
+                            className={inputClassName}
+                        >
+                            <option value="">(empty)</option>
+                            <option value="true">Yes</option>
+                            <option value="false">No</option>
+                        </select>
+                    ) : column?.type === 'optionset' && column.options?.length > 0 ? (
+                        <select
+                            value={value}
+                            onChange={(e) => setValue(e.target.value)}
+                            disabled={applying}
+                            className={inputClassName}
+                        >
+                            <option value="">(empty)</option>
+                            {column.options.map(option => (
+                                <option key={option.value} value={String(option.value)}>{option.label}</option>
+                            ))}
+                        </select>
+                    ) : (
+                        <input
+                            type={getInputType(column?.type)}
+                            value={value}
+                            onChange={(e) => setValue(e.target.value)}
+                            disabled={applying}
+                            className={inputClassName}
+                            placeholder="New value (leave empty to clear)"
+                        />
+                    )}
+
+                    <button
+                        type="submit"
+                        disabled={applying || !column}
+                        className="px-4 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {applying ? 'Applying...' : 'Apply'}
+                    </button>
+                </div>
+            )}
+        </form>
+    )
+}
+
+export default BulkEditPanel
@@ -0,0 +1,224 @@
+/**
+ * ListFilterPanel Component
+ *
+ * Per-column filter builder for EntityList.
+ * Only view columns are offered - the backend rejects filters on anything else.
+ *
+ * Props:
+ * - columns: View columns from backend viewMetadata (name, displayName, type)
+ * - filters: Currently applied filters [{ field, operator, value, value2 }]
+ * - onApply: Called with the new filters array
+ * - onClose: Called when the panel is dismissed
+ */
+
+import { useState } from 'react'
+
+// Operators allowed per column type - mirrors LIST_FILTER_OPERATORS in generic-entity.js
+const OPERATORS_BY_TYPE = {
+    text: ['eq', 'contains'],
+    email: ['eq', 'contains'],
+    phone: ['eq', 'contains'],
+    datetime: ['eq', 'gt', 'lt', 'between'],
+    number: ['eq', 'gt', 'lt', 'between'],
+    decimal: ['eq', 'gt', 'lt', 'between'],
+    money: ['eq', 'gt', 'lt', 'between'],
+    boolean: ['eq'],
+    optionset: ['eq'],
+    lookup: ['eq']
+}
+
+const OPERATOR_LABELS = {
+    eq: 'Equals',
+    contains: 'Contains',
+    gt: 'After / greater than',
+    lt: 'Before / less than',
+    between: 'Between'
+}
+
+const getOperators = (type) => OPERATORS_BY_TYPE[type] || OPERATORS_BY_TYPE.text
+
+const getInputType = (type) => {
+    switch (type) {
+        case 'datetime':
+            return 'date'
+        case 'number':
+        case 'decimal':
+        case 'money':
+        case 'optionset':
+            return 'number'
+        default:
+            return 'text'
+    }
+}
+
+const inputClassName = "text-sm border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+
+function ListFilterPanel({ columns, filters, onApply, onClose }) {
+    const [rows, setRows] = useState(filters)
+
+    const columnByName = (name) => columns.find(col => col.name === name)
+
+    const handleAddRow = () => {
+        const firstColumn = columns[0]
+        if (!firstColumn) return
+        setRows([...rows, { field: firstColumn.name, operator: getOperators(firstColumn.type)[0], value: '', value2: '' }])
+    }
+
+    const handleRowChange = (index, changes) => {
+        setRows(rows.map((row, rowIndex) => {
+            if (rowIndex !== index) return row
+            const updated = { ...row, ...changes }
+
+            // Reset operator and values when the column changes type
+            if (changes.field) {
+                const column = columnByName(changes.field)
+                updated.operator = getOperators(column?.type)[0]
+                updated.value = ''
+                updated.value2 = ''
+            }
+            return updated
+        }))
+    }
+
+    const handleRemoveRow = (index) => {
+        setRows(rows.filter((row, rowIndex) => rowIndex !== index))
+    }
+
+    const handleApply = () => {
+        // Drop incomplete rows instead of sending them to the backend
+        const complete = rows.filter(row =>
+            row.value !== '' && (row.operator !== 'between' || row.value2 !== '')
+        )
+        onApply(complete)
+    }
+
+    const handleClear = () => {
+        setRows([])
+        onApply([])
+    }
+
+    return (
+        <div className="bg-white shadow rounded-lg p-4 mb-4 border border-gray-200">
+            <div className="flex justify-between items-center mb-3">
+                <h4 className="text-sm font-medium text-gray-900">Filters</h4>
+                <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close filters">
+                    <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+
+            {rows.length === 0 && (
+                <p className="text-sm text-gray-500 mb-3">No filters applied.</p>
+            )}
+
+            <div className="space-y-2">
+                {rows.map((row, index) => {
+                    const column = columnByName(row.field)
+                    const inputType = getInputType(column?.type)
+
+                    return (
+                        <div key={`filter-${index}`} className="flex flex-wrap items-center gap-2">
+                            <select
+                                value={row.field}
+                                onChange={(e) => handleRowChange(index, { field: e.target.value })}
+                                className={inputClassName}
+                            >
+                                {columns.map(col => (
+                                    <option key={col.name} value={col.name}>{col.displayName || col.name}</option>
+                                ))}
+                            </select>
+
+                            <select
+                                value={row.operator}
+                                onChange={(e) => handleRowChange(index, { operator: e.target.value })}
+                                className={inputClassName}
+                            >
+                                {getOperators(column?.type).map(op => (
+                                    <option key={op} value={op}>{OPERATOR_LABELS[op]}</option>
+                                ))}
+                            </select>
+
+                            {column?.type === 'boolean' ? (
+                                <select
+                                    value={row.value}
+                                    onChange={(e) => handleRowChange(index, { value: e.target.value })}
+                                    className={inputClassName}
+                                >
+                                    <option value="">Select...</option>
+                                    <option value="true">Yes</option>
+                                    <option value="false">No</option>
+                                </select>
+                            ) : column?.type === 'optionset' && column.options?.length > 0 ? (
+                                <select
+                                    value={row.value}
+                                    onChange={(e) => handleRowChange(index, { value: e.target.value })}
+                                    className={inputClassName}
+                                >
+                                    <option value="">Select...</option>
+                                    {column.options.map(option => (
+                                        <option key={option.value} value={String(option.value)}>{option.label}</option>
+                                    ))}
+                                </select>
+                            ) : (
+                                <input
+                                    type={inputType}
+                                    value={row.value}
+                                    onChange={(e) => handleRowChange(index, { value: e.target.value })}
+                                    className={inputClassName}
+                                    placeholder="Value"
+                                />
+                            )}
+
+                            {row.operator === 'between' && (
+                                <>
+                                    <span className="text-sm text-gray-500">and</span>
+                                    <input
+                                        type={inputType}
+                                        value={row.value2}
+                                        onChange={(e) => handleRowChange(index, { value2: e.target.value })}
+                                        className={inputClassName}
+                                        placeholder="Value"
+                                    />
+                                </>
+                            )}
+
+                            <button
+                                onClick={() => handleRemoveRow(index)}
+                                className="text-sm text-red-600 hover:text-red-800"
+                            >
+                                Remove
+                            </button>
+                        </div>
+                    )
+                })}
+            </div>
+
+            <div className="mt-4 flex items-center justify-between">
+                <button
+                    onClick={handleAddRow}
+                    disabled={columns.length === 0}
+                    className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                >
+                    + Add filter
+                </button>
+                <div className="flex items-center space-x-2">
+                    <button
+                        onClick={handleClear}
+                        className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                    >
+                        Clear
+                    </button>
+                    <button
+                        onClick={handleApply}
+                        className="px-3 py-1 text-sm rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                        Apply
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default ListFilterPanel
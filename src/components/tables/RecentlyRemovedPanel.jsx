@@ -0,0 +1,145 @@
+/**
+ * RecentlyRemovedPanel Component
+ *
+ * Lists the user's deactivated records for soft delete entities (cp_deletebehavior = Deactivate)
+ * and restores them while they are inside the entity's restore window.
+ *
+ * Props:
+ * - entityName: Entity slug or logical name
+ * - entityConfig: Entity configuration (restoreWindowDays, name)
+ * - onRestored: Called with the record ID after a successful restore
+ * - onClose: Called when the panel is dismissed
+ */
+
+import { useState, useEffect } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { useContactContext } from '../../contexts/ContactContext'
+import { restoreEntityRecord } from '../../utils/entityRecordActions'
+
+function RecentlyRemovedPanel({ entityName, entityConfig, onRestored, onClose }) {
+    const { getToken } = useAuth()
+    const { getContactGuid } = useContactContext()
+
+    const [records, setRecords] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+    const [restoringId, setRestoringId] = useState(null)
+
+    useEffect(() => {
+        fetchRemovedRecords()
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [entityName])
+
+    const fetchRemovedRecords = async () => {
+        try {
+            setLoading(true)
+            setError(null)
+
+            const token = await getToken()
+            const contactGuid = getContactGuid()
+
+            if (!contactGuid) {
+                throw new Error('Contact GUID required for data access')
+            }
+
+            const params = new URLSearchParams({
+                entity: entityName,
+                mode: 'removed',
+                contactGuid: contactGuid
+            })
+
+            const response = await fetch(`/.netlify/functions/generic-entity?${params.toString()}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            })
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}))
+                throw new Error(errorData.error || `Failed to load removed records: ${response.status}`)
+            }
+
+            const data = await response.json()
+            setRecords(data.entities || [])
+        } catch (err) {
+            console.error(`Error loading removed ${entityName} records:`, err)
+            setError(err.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const handleRestore = async (record) => {
+        try {
+            setRestoringId(record.id)
+            setError(null)
+
+            const token = await getToken()
+            await restoreEntityRecord({ token, entityName, entityId: record.id, contactGuid: getContactGuid() })
+
+            console.log(`♻️ Restored ${entityName}: ${record.id}`)
+            setRecords(prev => prev.filter(entry => entry.id !== record.id))
+            onRestored?.(record.id)
+        } catch (err) {
+            console.error(`Error restoring ${entityName} ${record.id}:`, err)
+            setError(err.message)
+        } finally {
+            setRestoringId(null)
+        }
+    }
+
+    const formatRemovedOn = (value) => {
+        const date = value ? new Date(value) : null
+        return date && !isNaN(date) ? date.toLocaleString() : ''
+    }
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-lg shadow-sm p-4">
+            <div className="flex items-center justify-between mb-3">
+                <div>
+                    <h3 className="text-sm font-medium text-gray-900">Recently removed</h3>
+                    <p className="text-xs text-gray-500">
+                        Removed records can be restored for {entityConfig?.restoreWindowDays || 30} days.
+                    </p>
+                </div>
+                <button
+                    onClick={onClose}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                >
+                    Close
+                </button>
+            </div>
+
+            {error && (
+                <div className="mb-3 text-sm text-red-600">{error}</div>
+            )}
+
+            {loading ? (
+                <div className="text-sm text-gray-500">Loading removed records...</div>
+            ) : records.length === 0 ? (
+                <div className="text-sm text-gray-500">No recently removed {entityConfig?.name || entityName} records.</div>
+            ) : (
+                <ul className="divide-y divide-gray-200">
+                    {records.map(record => (
+                        <li key={record.id} className="flex items-center justify-between py-2">
+                            <div>
+                                <div className="text-sm text-gray-900">{record.name || record.id}</div>
+                                <div className="text-xs text-gray-500">Removed {formatRemovedOn(record.removedOn)}</div>
+                            </div>
+                            <button
+                                onClick={() => handleRestore(record)}
+                                disabled={restoringId !== null}
+                                className="px-3 py-1 text-sm font-medium rounded-md text-blue-600 border border-blue-200 hover:bg-blue-50 disabled:opacity-50"
+                            >
+                                {restoringId === record.id ? 'Restoring...' : 'Restore'}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    )
+}
+
+export default RecentlyRemovedPanel
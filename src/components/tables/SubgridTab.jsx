@@ -2,20 +2,33 @@
  * SubgridTab Component
  * 
  * Renders a subgrid of related records in a tabbed interface.
- * Fetches related records using relationship fields and displays them in a table.
+ * Fetches related records using relationship fields and displays them in a table,
+ * one page at a time with sortable column headers.
+ * N:N subgrids are read through the relationship and support "Add existing" and Remove (unlink).
+ * 1:N subgrids have a "New" button that opens the target's create form bound to the parent.
  * 
  * Props:
- * - subgrid: Subgrid metadata from backend (targetEntity, relationshipField, viewId, displayName)
+ * - subgrid: Subgrid metadata from backend (targetEntity, parentEntity, relationshipName,
+ *   relationshipField or relationshipType 'ManyToMany', viewId, displayName)
  * - parentEntityId: Parent record GUID
+ * - parentLabel: Display name of the parent entity (shown on the child's create form)
+ * - viewMode: 'personal' or 'organization' - scope the parent record was opened in
  */
 
 import { useState, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '@clerk/clerk-react'
 import { useContactContext } from '../../contexts/ContactContext'
+import { formatOptionSetValue } from '../../utils/optionSetUtils'
+import { disassociateRecords } from '../../utils/relationshipActions'
+import AddExistingPanel from './AddExistingPanel'
+import ConfirmDialog from '../shared/ConfirmDialog'
 
-function SubgridTab({ subgrid, parentEntityId }) {
+const SUBGRID_PAGE_SIZE = 10
+
+function SubgridTab({ subgrid, parentEntityId, parentLabel, viewMode = 'personal' }) {
     const navigate = useNavigate()
+    const location = useLocation()
     const { getToken } = useAuth()
     const { getContactGuid } = useContactContext()
     
@@ -26,11 +39,26 @@ function SubgridTab({ subgrid, parentEntityId }) {
     const [entityConfigExists, setEntityConfigExists] = useState(false)
     const [targetEntityConfig, setTargetEntityConfig] = useState(null)
     const [checkingConfig, setCheckingConfig] = useState(true)
+    const [showAddExisting, setShowAddExisting] = useState(false)
+    const [pendingRemove, setPendingRemove] = useState(null)  // record to unlink
+    const [removing, setRemoving] = useState(false)
+    const [actionError, setActionError] = useState(null)
+    const [skip, setSkip] = useState(0)
+    const [totalCount, setTotalCount] = useState(0)
+    const [sortBy, setSortBy] = useState(null)
+    const [sortDir, setSortDir] = useState('asc')
+
+    const isManyToMany = subgrid.relationshipType === 'ManyToMany'
 
     useEffect(() => {
-        fetchSubgridRecords()
         checkEntityConfiguration()
-    }, [subgrid, parentEntityId])
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [subgrid])
+
+    useEffect(() => {
+        fetchSubgridRecords()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [subgrid, parentEntityId, viewMode, skip, sortBy, sortDir])
 
     /**
      * Check if the target entity has a configuration
@@ -88,11 +116,25 @@ function SubgridTab({ subgrid, parentEntityId }) {
             const params = new URLSearchParams({
                 entity: subgrid.targetEntity,
                 mode: 'subgrid',
+                parentEntity: subgrid.parentEntity,
                 parentId: parentEntityId,
-                relationshipField: subgrid.relationshipField,
-                contactGuid: contactGuid
+                relationshipName: subgrid.relationshipName,
+                contactGuid: contactGuid,
+                viewMode: viewMode,
+                top: String(SUBGRID_PAGE_SIZE),
+                skip: String(skip)
             })
 
+            if (sortBy) {
+                params.append('sortBy', sortBy)
+                params.append('sortDir', sortDir)
+            }
+
+            // The server resolves the lookup (1:N) or navigation property (N:N) from the relationship
+            if (isManyToMany) {
+                params.append('relationshipType', 'ManyToMany')
+            }
+
             // Add viewId if available
             if (subgrid.viewId) {
                 params.append('viewId', subgrid.viewId)
@@ -111,7 +153,16 @@ function SubgridTab({ subgrid, parentEntityId }) {
             }
 
             const data = await response.json()
-            setRecords(data.entities || [])
+            const entities = data.entities || []
+            
+            // The last record of a later page was removed - show the previous page instead
+            if (entities.length === 0 && skip > 0) {
+                setSkip(Math.max(0, skip - SUBGRID_PAGE_SIZE))
+                return
+            }
+            
+            setRecords(entities)
+            setTotalCount(data.pagination?.totalCount ?? entities.length)
             
             // Store view metadata from backend
             if (data.viewMetadata) {
@@ -126,6 +177,33 @@ function SubgridTab({ subgrid, parentEntityId }) {
         }
     }
 
+    /**
+     * Unlink a record from the parent (N:N only) - the record itself is kept
+     */
+    const handleRemoveConfirmed = async () => {
+        const recordId = pendingRemove[`${subgrid.targetEntity}id`]
+        try {
+            setRemoving(true)
+            setActionError(null)
+            const token = await getToken()
+            await disassociateRecords({ token, contactGuid: getContactGuid(), subgrid, parentEntityId, ids: [recordId] })
+            console.log(`🔗 Unlinked ${subgrid.targetEntity} ${recordId} from ${parentEntityId}`)
+            // Reload the page so the next record moves up and the count stays right
+            fetchSubgridRecords()
+        } catch (err) {
+            console.error('Error unlinking record:', err)
+            setActionError(err.message)
+        } finally {
+            setRemoving(false)
+            setPendingRemove(null)
+        }
+    }
+
+    const handleAdded = () => {
+        setShowAddExisting(false)
+        fetchSubgridRecords()
+    }
+
     /**
      * Handle view/edit button click
      * Navigate to the entity edit page
@@ -154,6 +232,42 @@ function SubgridTab({ subgrid, parentEntityId }) {
         navigate(`/entity/${routeName}/edit`)
     }
 
+    const handleSort = (columnName) => {
+        // Toggle direction when clicking the active column, otherwise start ascending
+        if (sortBy === columnName) {
+            setSortDir(sortDir === 'asc' ? 'desc' : 'asc')
+        } else {
+            setSortBy(columnName)
+            setSortDir('asc')
+        }
+        setSkip(0)
+    }
+
+    /**
+     * Handle "New" button click
+     * Opens the target entity's create form with the relationship lookup bound to this parent,
+     * and brings the user back to this tab after saving
+     */
+    const handleNewRecord = () => {
+        const routeName = targetEntityConfig?.cp_name || targetEntityConfig?.name || subgrid.targetEntity
+        
+        console.log(`🆕 Creating ${routeName} (${subgrid.targetEntity}) linked to ${subgrid.parentEntity}: ${parentEntityId}`)
+        
+        navigate(`/entity/${routeName}/create`, {
+            state: {
+                parentBinding: {
+                    parentEntity: subgrid.parentEntity,
+                    parentId: parentEntityId,
+                    relationshipName: subgrid.relationshipName,
+                    field: subgrid.relationshipField,
+                    parentLabel,
+                    viewMode
+                },
+                returnTo: { path: location.pathname, tab: subgrid.name }
+            }
+        })
+    }
+
     // Format cell values for display - ALIGNED WITH EntityList.jsx lookup handling
     const formatCellValue = (record, column) => {
         const columnName = column.name
@@ -229,6 +343,10 @@ function SubgridTab({ subgrid, parentEntityId }) {
                 
                 return <span className="text-gray-400 italic">-</span>
                 
+            case 'optionset':
+            case 'multiselectoptionset':
+                return record[`${columnName}@OData.Community.Display.V1.FormattedValue`] || formatOptionSetValue(value, column.options)
+                
             case 'number':
                 if (typeof value === 'number') {
                     return value.toLocaleString('nb-NO', {
@@ -257,11 +375,14 @@ function SubgridTab({ subgrid, parentEntityId }) {
             name: col.name,
             displayName: col.displayName || col.name.replace(/_/g, ' ').replace(/^cp /, '').replace(/\b\w/g, l => l.toUpperCase()),
             width: col.width || 100,
-            type: col.type  // CRITICAL: Must include type for formatCellValue
+            type: col.type,  // CRITICAL: Must include type for formatCellValue
+            options: col.options,
+            sortable: col.sortable
         }))
     }
 
-    if (loading) {
+    // Page and sort changes keep the table on screen while the next page loads
+    if (loading && !viewMetadata) {
         return (
             <div className="flex items-center justify-center py-12">
                 <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
@@ -312,28 +433,92 @@ function SubgridTab({ subgrid, parentEntityId }) {
         )
     }
 
-    if (records.length === 0) {
+    const linkedIds = records.map(record => String(record[`${subgrid.targetEntity}id`]).toLowerCase())
+
+    const relationshipControls = isManyToMany && (
+        <>
+            {showAddExisting && (
+                <AddExistingPanel
+                    subgrid={subgrid}
+                    parentEntityId={parentEntityId}
+                    linkedIds={linkedIds}
+                    onAdded={handleAdded}
+                    onClose={() => setShowAddExisting(false)}
+                />
+            )}
+            {actionError && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                    {actionError}
+                </div>
+            )}
+            {pendingRemove && (
+                <ConfirmDialog
+                    title={`Remove from ${subgrid.displayName}?`}
+                    message="The link to this record is removed. The record itself is not deleted."
+                    confirmLabel="Remove"
+                    onConfirm={handleRemoveConfirmed}
+                    onCancel={() => setPendingRemove(null)}
+                    busy={removing}
+                />
+            )}
+        </>
+    )
+
+    const addExistingButton = isManyToMany && !showAddExisting && (
+        <button
+            onClick={() => setShowAddExisting(true)}
+            className="text-sm px-3 py-1.5 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+        >
+            Add existing
+        </button>
+    )
+
+    // Needs the target's portal configuration for the create route
+    const newRecordButton = !isManyToMany && entityConfigExists && subgrid.parentEntity && (
+        <button
+            onClick={handleNewRecord}
+            className="text-sm px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+            New
+        </button>
+    )
+
+    if (records.length === 0 && skip === 0) {
         return (
-            <div className="text-center py-12 bg-gray-50 rounded-lg">
-                <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                </svg>
-                <h3 className="mt-2 text-sm font-medium text-gray-900">No {subgrid.displayName} found</h3>
-                <p className="mt-1 text-sm text-gray-500">
-                    No related records exist yet.
-                </p>
+            <div>
+                {relationshipControls}
+                <div className="text-center py-12 bg-gray-50 rounded-lg">
+                    <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                    </svg>
+                    <h3 className="mt-2 text-sm font-medium text-gray-900">No {subgrid.displayName} found</h3>
+                    <p className="mt-1 text-sm text-gray-500">
+                        No related records exist yet.
+                    </p>
+                    {(addExistingButton || newRecordButton) && (
+                        <div className="mt-4 flex justify-center gap-3">
+                            {newRecordButton}
+                            {addExistingButton}
+                        </div>
+                    )}
+                </div>
             </div>
         )
     }
 
     const columns = getColumns()
+    const firstShown = records.length > 0 ? skip + 1 : 0
+    const lastShown = skip + records.length
+    const pageCount = Math.max(1, Math.ceil(totalCount / SUBGRID_PAGE_SIZE))
+    const currentPage = Math.floor(skip / SUBGRID_PAGE_SIZE) + 1
 
     return (
         <div>
+            {relationshipControls}
             <div className="mb-4 flex justify-between items-center">
                 <div>
                     <p className="text-sm text-gray-600">
-                        Showing {records.length} {subgrid.displayName.toLowerCase()}
+                        Showing {firstShown}-{lastShown} of {totalCount} {subgrid.displayName.toLowerCase()}
                     </p>
                     {viewMetadata && (
                         <p className="text-xs text-gray-500 mt-1">
@@ -341,12 +526,16 @@ function SubgridTab({ subgrid, parentEntityId }) {
                         </p>
                     )}
                 </div>
-                <button
-                    onClick={fetchSubgridRecords}
-                    className="text-sm text-blue-600 hover:text-blue-800 transition-colors"
-                >
-                    🔄 Refresh
-                </button>
+                <div className="flex items-center gap-3">
+                    {newRecordButton}
+                    {addExistingButton}
+                    <button
+                        onClick={fetchSubgridRecords}
+                        className="text-sm text-blue-600 hover:text-blue-800 transition-colors"
+                    >
+                        🔄 Refresh
+                    </button>
+                </div>
             </div>
 
             <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
@@ -359,7 +548,21 @@ function SubgridTab({ subgrid, parentEntityId }) {
                                         key={`header-${column.name}-${index}`}
                                         className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
                                     >
-                                        {column.displayName}
+                                        {column.sortable !== false ? (
+                                            <button
+                                                onClick={() => handleSort(column.name)}
+                                                disabled={loading}
+                                                className="inline-flex items-center uppercase tracking-wider hover:text-gray-700"
+                                                title={`Sort by ${column.displayName}`}
+                                            >
+                                                {column.displayName}
+                                                {sortBy === column.name && (
+                                                    <span className="ml-1">{sortDir === 'asc' ? '▲' : '▼'}</span>
+                                                )}
+                                            </button>
+                                        ) : (
+                                            column.displayName
+                                        )}
                                     </th>
                                 ))}
                                 <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
@@ -367,7 +570,7 @@ function SubgridTab({ subgrid, parentEntityId }) {
                                 </th>
                             </tr>
                         </thead>
-                        <tbody className="bg-white divide-y divide-gray-200">
+                        <tbody className={`bg-white divide-y divide-gray-200 ${loading ? 'opacity-50' : ''}`}>
                             {records.map((record, rowIndex) => {
                                 const recordId = record[`${subgrid.targetEntity}id`]
                                 return (
@@ -397,6 +600,15 @@ function SubgridTab({ subgrid, parentEntityId }) {
                                                     View
                                                 </span>
                                             )}
+                                            {isManyToMany && (
+                                                <button
+                                                    onClick={() => setPendingRemove(record)}
+                                                    className="ml-4 text-red-600 hover:text-red-800 transition-colors"
+                                                    title={`Remove from ${subgrid.displayName}`}
+                                                >
+                                                    Remove
+                                                </button>
+                                            )}
                                         </td>
                                     </tr>
                                 )
@@ -405,6 +617,26 @@ function SubgridTab({ subgrid, parentEntityId }) {
                     </table>
                 </div>
             </div>
+
+            {totalCount > SUBGRID_PAGE_SIZE && (
+                <div className="mt-4 flex items-center justify-between text-sm">
+                    <button
+                        onClick={() => setSkip(Math.max(0, skip - SUBGRID_PAGE_SIZE))}
+                        disabled={loading || skip === 0}
+                        className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        Previous
+                    </button>
+                    <span className="text-gray-600">Page {currentPage} of {pageCount}</span>
+                    <button
+                        onClick={() => setSkip(skip + SUBGRID_PAGE_SIZE)}
+                        disabled={loading || lastShown >= totalCount}
+                        className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
         </div>
     )
 }
@@ -5,6 +5,11 @@ import { useContactContext } from '../../contexts/ContactContext.jsx'
 import DynamicSidebar from '../../components/shared/DynamicSidebar'
 import SimpleRichTextViewer from '../../components/forms/SimpleRichTextViewer'
 import SubgridTab from '../../components/tables/SubgridTab'
+import AttachmentsTab from '../../components/forms/AttachmentsTab'
+import CommentTimeline from '../../components/forms/CommentTimeline'
+import LookupPickerField from '../../components/forms/LookupPickerField'
+import ConflictDialog from '../../components/forms/ConflictDialog'
+import ConfirmDialog from '../../components/shared/ConfirmDialog'
 import { 
     TextField, 
     EmailField, 
@@ -14,10 +19,16 @@ import {
     BooleanField, 
     DecimalField, 
     RichTextField,
+    OptionSetField,
+    MultiSelectOptionSetField,
     DisabledFieldDisplay,
     LookupFieldDisplay,
     formatNorwegianDateTime
 } from '../../components/forms/shared/FieldRenderer'
+import { formatOptionSetValue } from '../../utils/optionSetUtils'
+import { getConflictFields, resolveConflict } from '../../utils/conflictUtils'
+import { getChangedFieldNames } from '../../utils/formDiffUtils'
+import { deleteEntityRecord, canDeleteRecord } from '../../utils/entityRecordActions'
 
 function EntityEdit() {
     // Get route parameters and location for mode detection
@@ -40,12 +51,19 @@ function EntityEdit() {
     const [dataInitialized, setDataInitialized] = useState(false)
     const [isEditing, setIsEditing] = useState(false)
     const [showSuccessMessage, setShowSuccessMessage] = useState(false)
+    const [conflict, setConflict] = useState(null)  // { fields, currentRecord } after a 412 on save
+    const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
+    const [deleting, setDeleting] = useState(false)
 
     // Determine mode based on sessionStorage and URL
     const [selectedEntity, setSelectedEntity] = useState(null)
     const [entityId, setEntityId] = useState(null)
+    const [viewMode, setViewMode] = useState('personal')  // 'organization' when opened from the organization list
     const [isCreateMode, setIsCreateMode] = useState(false)
     const [modeInitialized, setModeInitialized] = useState(false)
+    // Set when a subgrid "New" button opened the create form:
+    // { parentEntity, parentId, relationshipName, field, parentLabel, viewMode, returnTo: { path, tab } }
+    const [parentBinding, setParentBinding] = useState(null)
 
     // Tab navigation state
     const [activeTabIndex, setActiveTabIndex] = useState(0)
@@ -68,8 +86,12 @@ function EntityEdit() {
             setIsCreateMode(true)
             setEntityId(null)
             setSelectedEntity(null)
+            setViewMode('personal')
+            setParentBinding(location.state?.parentBinding ? { ...location.state.parentBinding, returnTo: location.state.returnTo } : null)
             console.log('🆕 Create mode - detected from URL path:', location.pathname)
         } else {
+            setParentBinding(null)
+            
             // Edit mode - check for selected entity in sessionStorage
             const storedSelection = sessionStorage.getItem(`selected_${entityName}`)
             
@@ -78,11 +100,13 @@ function EntityEdit() {
                 const selection = JSON.parse(storedSelection)
                 setSelectedEntity(selection.data)
                 setEntityId(selection.id)
+                setViewMode(selection.viewMode === 'organization' ? 'organization' : 'personal')
                 setIsCreateMode(false)
                 console.log('📝 Edit mode - using selected entity:', selection.data)
             } else if (urlEntityId) {
                 // URL-based entityId for direct links
                 setEntityId(urlEntityId)
+                setViewMode('personal')
                 setIsCreateMode(false)
                 console.log('📝 Edit mode - using URL entityId:', urlEntityId)
             } else {
@@ -93,6 +117,8 @@ function EntityEdit() {
         }
         
         setModeInitialized(true)
+    // location.state is read together with the path (it only carries the subgrid parent binding)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [entityName, urlEntityId, location.pathname])
 
     // Single useEffect to fetch data efficiently
@@ -199,7 +225,7 @@ function EntityEdit() {
                 throw new Error('Contact GUID required for secure data access')
             }
             
-            const response = await fetch(`/.netlify/functions/generic-entity?entity=${entityName}&id=${entityId}&contactGuid=${encodeURIComponent(contactGuid)}`, {
+            const response = await fetch(`/.netlify/functions/generic-entity?entity=${entityName}&id=${entityId}&contactGuid=${encodeURIComponent(contactGuid)}&viewMode=${viewMode}`, {
                 headers: {
                     'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json'
@@ -564,6 +590,9 @@ function EntityEdit() {
             case 'decimal':
             case 'money':
                 return 0
+            case 'optionset':
+            case 'multiselectoptionset':
+                return null
             default:
                 return ''
         }
@@ -577,20 +606,35 @@ function EntityEdit() {
         }))
     }
 
-    const handleSave = async () => {
+    const handleSave = async (dataToSave = formData, originalRecord = entity) => {
         try {
             setSaving(true)
             
             const token = await getToken()
             const method = isCreateMode ? 'POST' : 'PATCH'
             const url = isCreateMode 
-                ? `/.netlify/functions/generic-entity?entity=${entityName}`
+                ? `/.netlify/functions/generic-entity?entity=${entityName}${parentBinding ? `&viewMode=${parentBinding.viewMode || 'personal'}` : ''}`
                 : `/.netlify/functions/generic-entity?entity=${entityName}&id=${entityId}`
 
             // Prepare data for save - filter out system fields dynamically
-            console.log(`🔍 Full form data before filtering:`, formData)
+            console.log(`🔍 Full form data before filtering:`, dataToSave)
+            const formFields = formMetadata?.structure?.tabs ? extractFieldsFromStructure(formMetadata.structure.tabs) : []
+            const fieldsByName = new Map(formFields.map(field => [field.datafieldname, field]))
+            // Updates only send fields that differ from the loaded record (the ETag always goes along)
+            const changedKeys = isCreateMode ? null : new Set(getChangedFieldNames(originalRecord, dataToSave))
             const saveData = {}
-            Object.entries(formData).forEach(([key, value]) => {
+            Object.entries(dataToSave).forEach(([key, value]) => {
+                if (changedKeys && !changedKeys.has(key) && key !== '@odata.etag') {
+                    return
+                }
+                
+                // Skip fields the attribute metadata says cannot be written in this operation
+                const field = fieldsByName.get(key)
+                if (field && (isCreateMode ? field.validForCreate === false : field.validForUpdate === false)) {
+                    console.log(`⚠️ SKIPPING field not valid for ${isCreateMode ? 'create' : 'update'}: ${key}`)
+                    return
+                }
+                
                 // 🔒 SECURITY: Skip OData annotation fields (read-only metadata)
                 // These are returned by Dataverse for display purposes but cannot be updated
                 if (key.includes('@OData.') || key.includes('@Microsoft.Dynamics.CRM.')) {
@@ -661,7 +705,19 @@ function EntityEdit() {
                 }
             })
             
-            console.log(`📝 Filtered save data (removed ${Object.keys(formData).length - Object.keys(saveData).length} system fields):`, Object.keys(saveData))
+            // The server binds the relationship lookup to the subgrid parent after checking access to it
+            if (isCreateMode && parentBinding) {
+                delete saveData[parentBinding.field]
+                delete saveData[parentBinding.field.replace(/^_(.+)_value$/, '$1')]
+            }
+            
+            console.log(`📝 Filtered save data (removed ${Object.keys(dataToSave).length - Object.keys(saveData).length} unchanged or system fields):`, Object.keys(saveData))
+            
+            if (!isCreateMode && Object.keys(saveData).every(key => key === '@odata.etag')) {
+                console.log(`ℹ️ No changed fields - skipping update`)
+                setIsEditing(false)
+                return
+            }
 
             console.log(`💾 Saving ${entityName}:`, saveData)
             
@@ -698,6 +754,10 @@ function EntityEdit() {
                 ...saveData,
                 contactGuid: contactGuid
             }
+            if (isCreateMode && parentBinding) {
+                const { parentEntity, parentId, relationshipName } = parentBinding
+                secureData.parentBinding = { parentEntity, parentId, relationshipName }
+            }
 
             // Log the complete request details
             const requestBody = JSON.stringify(secureData)
@@ -736,13 +796,27 @@ function EntityEdit() {
                     errorData = { error: errorText || `HTTP ${response.status}` }
                 }
                 
+                // Someone else saved since this record was loaded - let the user review and merge
+                if (response.status === 412 && errorData.conflict?.currentRecord) {
+                    const currentRecord = errorData.conflict.currentRecord
+                    console.log(`⚠️ Save conflict - record changed on the server`, currentRecord['@odata.etag'])
+                    setConflict({
+                        fields: getConflictFields(formFields, originalRecord, currentRecord, dataToSave),
+                        currentRecord
+                    })
+                    return
+                }
+                
                 throw new Error(errorData.error || errorText || `Failed to save ${entityName}`)
             }
 
             const result = await response.json()
             console.log(`✅ ${entityName} saved successfully:`, result)
 
-            if (isCreateMode) {
+            if (isCreateMode && parentBinding?.returnTo) {
+                // Created from a subgrid - go back to the parent record's subgrid tab
+                navigate(parentBinding.returnTo.path, { state: { activeTab: parentBinding.returnTo.tab } })
+            } else if (isCreateMode) {
                 // Navigate back to list with success message for new records
                 navigate(`/entity/${entityName}?success=${encodeURIComponent(`${entityConfig?.name || entityName} created successfully`)}`)
             } else {
@@ -767,6 +841,17 @@ function EntityEdit() {
         }
     }
 
+    // Overwrite resolves with no choices, which keeps every local value
+    const handleConflictResolve = (choices) => {
+        const resolvedData = resolveConflict(formData, conflict.currentRecord, conflict.fields, choices)
+        
+        // The server version becomes the new baseline for any later conflict
+        setEntity(conflict.currentRecord)
+        setFormData(resolvedData)
+        setConflict(null)
+        handleSave(resolvedData, conflict.currentRecord)
+    }
+
     const handleToggleEdit = () => {
         if (error) setError(null)
         if (showSuccessMessage) setShowSuccessMessage(false)
@@ -774,9 +859,62 @@ function EntityEdit() {
     }
 
     const handleCancel = () => {
+        if (isCreateMode && parentBinding?.returnTo) {
+            navigate(parentBinding.returnTo.path, { state: { activeTab: parentBinding.returnTo.tab } })
+            return
+        }
         navigate(`/entity/${entityName}`)
     }
 
+    /**
+     * Tabs shown for the current mode
+     * Subgrids and attachments need a saved record, so they are hidden in create mode
+     */
+    const getVisibleTabs = () => {
+        const tabs = formMetadata.structure.tabs.filter(tab => !(isCreateMode && tab.type === 'subgrid'))
+        if (!isCreateMode && entityId) {
+            tabs.push({ type: 'attachments', name: 'attachments', displayName: 'Attachments' })
+        }
+        return tabs
+    }
+
+    // Reopen the subgrid tab a child record was created from
+    useEffect(() => {
+        const tabName = location.state?.activeTab
+        if (!tabName || !formMetadata?.structure?.tabs) return
+        
+        const index = getVisibleTabs().findIndex(tab => tab.name === tabName)
+        if (index >= 0) {
+            setActiveTabIndex(index)
+        }
+        // Only once - later reloads of the form keep the tab the user picked
+        navigate(location.pathname, { replace: true, state: null })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [formMetadata, location.state])
+
+    const handleDelete = async () => {
+        try {
+            setDeleting(true)
+            setError(null)
+            
+            const token = await getToken()
+            const result = await deleteEntityRecord({ token, entityName, entityId, contactGuid: getContactGuid(), etag: entity?.['@odata.etag'] })
+            console.log(`🗑️ ${result.mode === 'deactivate' ? 'Deactivated' : 'Deleted'} ${entityName}: ${entityId}`)
+            
+            // Soft deleted records get an Undo toast on the list page
+            const recordName = entityConfig?.name?.replace(/s$/, '') || 'Record'
+            navigate(`/entity/${entityName}`, {
+                state: result.mode === 'deactivate' ? { removedRecord: { id: entityId, name: recordName } } : null
+            })
+        } catch (err) {
+            console.error(`Error deleting ${entityName}:`, err)
+            setError(err.message)
+            setShowDeleteConfirm(false)
+        } finally {
+            setDeleting(false)
+        }
+    }
+
     // Helper function to get safe display name
     const getFieldDisplayName = (field) => {
         const result = typeof field.displayName === 'string' ? field.displayName : field.datafieldname || 'Field'
@@ -797,7 +935,9 @@ function EntityEdit() {
         // Determine if field should be disabled
         const isSystemFieldDisabled = isSystemField(fieldName)
         const isContactFieldReadOnly = isContactField(fieldName) && (isCreateMode || !isEditing)
-        const isDisabled = field.disabled || isSystemFieldDisabled || isContactFieldReadOnly
+        // Attribute metadata marks fields that can only be set on create (or never)
+        const isNotValidForOperation = isCreateMode ? field.validForCreate === false : field.validForUpdate === false
+        const isDisabled = field.disabled || isSystemFieldDisabled || isContactFieldReadOnly || isNotValidForOperation
         
         // In view mode, show read-only display
         if (!isEditing && !isCreateMode) {
@@ -813,6 +953,11 @@ function EntityEdit() {
                 displayValue = formatNorwegianDateTime(value)
             }
             
+            // Show choice labels instead of option values
+            if ((field.controlType === 'optionset' || field.controlType === 'multiselectoptionset') && value !== null && value !== undefined && value !== '') {
+                displayValue = formatOptionSetValue(value, field.options)
+            }
+            
             // Special handling for contact lookup fields in create mode
             if (isCreateMode && isContactField(fieldName) && userContact) {
                 displayValue = userContact.fullname || 
@@ -844,6 +989,7 @@ function EntityEdit() {
                         disabled={isDisabled}
                         placeholder={placeholder}
                         rows={3}
+                        maxLength={field.maxLength}
                         fieldName={fieldName}
                     />
                 )
@@ -876,6 +1022,7 @@ function EntityEdit() {
                         onChange={handleInputChange}
                         disabled={isDisabled}
                         placeholder={placeholder}
+                        maxLength={field.maxLength}
                         fieldName={fieldName}
                     />
                 )
@@ -887,6 +1034,7 @@ function EntityEdit() {
                         onChange={handleInputChange}
                         disabled={isDisabled}
                         placeholder={placeholder}
+                        maxLength={field.maxLength}
                         fieldName={fieldName}
                     />
                 )
@@ -899,6 +1047,9 @@ function EntityEdit() {
                         onChange={handleInputChange}
                         disabled={isDisabled}
                         placeholder={placeholder}
+                        precision={field.precision}
+                        min={field.minValue}
+                        max={field.maxValue}
                         fieldName={fieldName}
                     />
                 )
@@ -946,10 +1097,60 @@ function EntityEdit() {
                     isAutoPopulatedContact
                 })
                 
+                // Created from a subgrid - the server binds this lookup to the parent record
+                if (isCreateMode && parentBinding && [actualLookupFieldName, `_${field.datafieldname}_value`].includes(parentBinding.field)) {
+                    return (
+                        <LookupFieldDisplay
+                            displayValue={`Linked to the ${parentBinding.parentLabel || 'parent record'}`}
+                            isAutoPopulated={true}
+                        />
+                    )
+                }
+                
+                // Contact and account relations are set by the server - show them read-only
+                if (isContactField(actualLookupFieldName) || isAccountField(actualLookupFieldName) || isAccountField(field.datafieldname)) {
+                    return (
+                        <LookupFieldDisplay
+                            displayValue={lookupDisplayValue}
+                            isAutoPopulated={isAutoPopulatedContact}
+                        />
+                    )
+                }
+                
+                // Other lookups: pick a related record (saved via _field_value -> @odata.bind)
+                return (
+                    <LookupPickerField
+                        entityName={entityName}
+                        fieldName={field.datafieldname}
+                        valueFieldName={actualLookupFieldName.endsWith('_value') ? actualLookupFieldName : `_${field.datafieldname}_value`}
+                        value={actualLookupValue}
+                        displayValue={actualLookupValue ? lookupDisplayValue : ''}
+                        onChange={handleInputChange}
+                        disabled={isDisabled}
+                        placeholder={placeholder}
+                    />
+                )
+
+            case 'optionset':
+                return (
+                    <OptionSetField
+                        value={value}
+                        onChange={handleInputChange}
+                        disabled={isDisabled}
+                        placeholder={placeholder}
+                        options={field.options}
+                        fieldName={fieldName}
+                    />
+                )
+
+            case 'multiselectoptionset':
                 return (
-                    <LookupFieldDisplay
-                        displayValue={lookupDisplayValue}
-                        isAutoPopulated={isAutoPopulatedContact}
+                    <MultiSelectOptionSetField
+                        value={value}
+                        onChange={handleInputChange}
+                        disabled={isDisabled}
+                        options={field.options}
+                        fieldName={fieldName}
                     />
                 )
 
@@ -971,6 +1172,7 @@ function EntityEdit() {
                         onChange={handleInputChange}
                         disabled={isDisabled}
                         placeholder={placeholder}
+                        maxLength={field.maxLength}
                         fieldName={fieldName}
                     />
                 )
@@ -1041,6 +1243,10 @@ function EntityEdit() {
             case 'lookup':
                 displayValue = getLookupDisplayValue(actualFieldName, actualValue, formData)
                 break
+            case 'optionset':
+            case 'multiselectoptionset':
+                displayValue = formatOptionSetValue(actualValue, field.options)
+                break
             default:
                 displayValue = String(actualValue)
         }
@@ -1237,7 +1443,7 @@ function EntityEdit() {
                                  `${entityConfig?.name || entityName} Details`}
                             </h1>
                             <p className="text-sm text-gray-600 mt-1">
-                                {isCreateMode ? 'Create a new record' : 
+                                {isCreateMode ? (parentBinding ? `Create a new record linked to the ${parentBinding.parentLabel || 'parent record'}` : 'Create a new record') : 
                                  isEditing ? 'Modify the existing record' : 
                                  'View record details'}
                             </p>
@@ -1251,6 +1457,15 @@ function EntityEdit() {
                                     Edit {entityConfig?.name || entityName}
                                 </button>
                             )}
+                            {!isCreateMode && !isEditing && canDeleteRecord(entityConfig, entity, getContactGuid()) && (
+                                <button
+                                    onClick={() => setShowDeleteConfirm(true)}
+                                    disabled={deleting}
+                                    className="px-4 py-2 border border-red-300 rounded-lg text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+                                >
+                                    Delete
+                                </button>
+                            )}
                             {(isCreateMode || isEditing) && (
                                 <>
                                     {!isCreateMode && (
@@ -1263,7 +1478,7 @@ function EntityEdit() {
                                         </button>
                                     )}
                                     <button
-                                        onClick={handleSave}
+                                        onClick={() => handleSave()}
                                         disabled={saving}
                                         className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
                                     >
@@ -1276,7 +1491,7 @@ function EntityEdit() {
                                 disabled={saving}
                                 className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
                             >
-                                Back to List
+                                {isCreateMode && parentBinding?.returnTo ? 'Back' : 'Back to List'}
                             </button>
                         </div>
                     </div>
@@ -1338,14 +1553,7 @@ function EntityEdit() {
                                 {/* Horizontal Tab Navigation */}
                                 <div className="border-b border-gray-200">
                                     <nav className="flex -mb-px overflow-x-auto" aria-label="Tabs">
-                                        {formMetadata.structure.tabs
-                                            .filter(tab => {
-                                                // Filter out subgrid tabs in create mode
-                                                if (isCreateMode && tab.type === 'subgrid') {
-                                                    return false
-                                                }
-                                                return true
-                                            })
+                                        {getVisibleTabs()
                                             .map((tab, index) => {
                                                 const isActive = activeTabIndex === index
                                                 return (
@@ -1374,13 +1582,7 @@ function EntityEdit() {
                                 {/* Active Tab Content */}
                                 <div className="p-6">
                                     {(() => {
-                                        // Get visible tabs (filtered for create mode)
-                                        const visibleTabs = formMetadata.structure.tabs.filter(tab => {
-                                            if (isCreateMode && tab.type === 'subgrid') {
-                                                return false
-                                            }
-                                            return true
-                                        })
+                                        const visibleTabs = getVisibleTabs()
                                         
                                         const activeTab = visibleTabs[activeTabIndex]
                                         
@@ -1395,7 +1597,7 @@ function EntityEdit() {
                                                     const allFields = []
                                                     section.rows?.forEach(row => {
                                                         row.cells?.forEach(cell => {
-                                                            cell.controls?.filter(control => control.type === 'control' && control.datafieldname)
+                                                            cell.controls?.filter(control => control.type === 'control' && control.datafieldname && control.visible !== false)
                                                                 .forEach(field => {
                                                                     // Fix lookup field control types
                                                                     if (field.datafieldname && field.datafieldname.endsWith('_value')) {
@@ -1506,6 +1708,7 @@ function EntityEdit() {
                                                                                         <div key={field.datafieldname} className="space-y-2">
                                                                                             <label className="block text-sm font-medium text-gray-700">
                                                                                                 {getFieldDisplayName(field)}
+                                                                                                {field.required && (isEditing || isCreateMode) && <span className="text-red-500 ml-1">*</span>}
                                                                                                 {field.disabled && <span className="text-gray-400 ml-1">(read-only)</span>}
                                                                                             </label>
                                                                                             {renderField(field)}
@@ -1518,6 +1721,7 @@ function EntityEdit() {
                                                                                 <div key={`richtext-${group.field.datafieldname}`} className="space-y-2">
                                                                                     <label className="block text-sm font-medium text-gray-700">
                                                                                         {getFieldDisplayName(group.field)}
+                                                                                        {group.field.required && (isEditing || isCreateMode) && <span className="text-red-500 ml-1">*</span>}
                                                                                         {group.field.disabled && <span className="text-gray-400 ml-1">(read-only)</span>}
                                                                                     </label>
                                                                                     {renderField(group.field)}
@@ -1540,13 +1744,26 @@ function EntityEdit() {
                                             return (
                                                 <div>
                                                     <SubgridTab
+                                                        key={activeTab.name}
                                                         subgrid={activeTab}
                                                         parentEntityId={entityId}
+                                                        parentLabel={entityConfig?.name?.replace(/s$/, '') || entityName}
+                                                        viewMode={viewMode}
                                                     />
                                                 </div>
                                             )
                                         }
                                         
+                                        // Render attachments tab
+                                        if (activeTab.type === 'attachments') {
+                                            return (
+                                                <AttachmentsTab
+                                                    entityName={entityName}
+                                                    entityId={entityId}
+                                                />
+                                            )
+                                        }
+                                        
                                         return null
                                     })()}
                                 </div>
@@ -1592,6 +1809,14 @@ function EntityEdit() {
                             </div>
                         )}
 
+                        {!isCreateMode && entityId && (
+                            <CommentTimeline
+                                entityName={entityName}
+                                entityId={entityId}
+                                viewMode={viewMode}
+                            />
+                        )}
+
                         {/* Debug Info */}
                         {entityConfig && (
                             <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
@@ -1616,6 +1841,28 @@ function EntityEdit() {
                     </div>
                 </main>
             </div>
+
+            {conflict && (
+                <ConflictDialog
+                    conflictFields={conflict.fields}
+                    onMerge={handleConflictResolve}
+                    onOverwrite={() => handleConflictResolve({})}
+                    onCancel={() => setConflict(null)}
+                    saving={saving}
+                />
+            )}
+
+            {showDeleteConfirm && (
+                <ConfirmDialog
+                    title={`Delete this ${entityConfig?.name?.replace(/s$/, '') || 'record'}?`}
+                    message={entityConfig?.deleteBehavior === 'deactivate'
+                        ? `The record is moved to Recently removed and can be restored for ${entityConfig.restoreWindowDays} days.`
+                        : 'This permanently deletes the record. This cannot be undone.'}
+                    onConfirm={handleDelete}
+                    onCancel={() => setShowDeleteConfirm(false)}
+                    busy={deleting}
+                />
+            )}
         </div>
     )
 }
@@ -0,0 +1,444 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { useAuth } from '@clerk/clerk-react'
+import { useContactContext } from '../../contexts/ContactContext.jsx'
+import DynamicSidebar from '../../components/shared/DynamicSidebar'
+import { parseCsv, getImportableFields, guessMapping, buildImportRows } from '../../utils/csvImport'
+
+// Mirrors MAX_IMPORT_ROWS in generic-entity.js
+const MAX_IMPORT_ROWS = 200
+const MAX_FILE_SIZE = 1024 * 1024
+
+const STEPS = ['upload', 'map', 'preview', 'done']
+const STEP_LABELS = {
+    upload: 'Upload',
+    map: 'Map columns',
+    preview: 'Preview',
+    done: 'Results'
+}
+
+function EntityImport() {
+    const { entityName } = useParams()
+    const navigate = useNavigate()
+    const { getToken } = useAuth()
+    const { getContactGuid, loading: contactLoading, hasContact } = useContactContext()
+
+    const [entityConfig, setEntityConfig] = useState(null)
+    const [fields, setFields] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+
+    // Import flow state
+    const [step, setStep] = useState('upload')
+    const [fileName, setFileName] = useState('')
+    const [csv, setCsv] = useState({ headers: [], records: [] })
+    const [mapping, setMapping] = useState({})  // { csvColumnIndex: fieldName }
+    const [previewRows, setPreviewRows] = useState([])  // [{ row, data, errors, valid }]
+    const [report, setReport] = useState(null)  // { created, failed, rows: [{ row, success, id, error }] }
+    const [working, setWorking] = useState(false)
+
+    useEffect(() => {
+        // CRITICAL: Wait for contact to be loaded before fetching form metadata
+        if (entityName && !contactLoading && hasContact()) {
+            fetchFormMetadata()
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [entityName, contactLoading])
+
+    const fetchFormMetadata = async () => {
+        try {
+            setLoading(true)
+            setError(null)
+
+            const token = await getToken()
+            const contactGuid = getContactGuid()
+
+            if (!contactGuid) {
+                throw new Error('Contact GUID required for secure data access')
+            }
+
+            const params = new URLSearchParams({ entity: entityName, mode: 'form', contactGuid })
+            const response = await fetch(`/.netlify/functions/generic-entity?${params.toString()}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            })
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}))
+                throw new Error(errorData.error || `Failed to fetch form metadata for ${entityName}`)
+            }
+
+            const data = await response.json()
+            setEntityConfig(data.entityConfig)
+            setFields(getImportableFields(data.formMetadata, data.entityConfig))
+        } catch (err) {
+            console.error(`Error loading import metadata for ${entityName}:`, err)
+            setError(err.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const sendImport = async (rows, dryRun) => {
+        const token = await getToken()
+        const params = new URLSearchParams({ entity: entityName, action: 'import' })
+
+        const response = await fetch(`/.netlify/functions/generic-entity?${params.toString()}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ contactGuid: getContactGuid(), rows, dryRun })
+        })
+
+        const data = await response.json().catch(() => ({}))
+        if (!response.ok && !data.results) {
+            throw new Error(data.error || `Import failed: ${response.status}`)
+        }
+        return data
+    }
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0]
+        if (!file) return
+
+        setError(null)
+
+        if (file.size > MAX_FILE_SIZE) {
+            setError('The file is larger than 1 MB. Split it into smaller files.')
+            return
+        }
+
+        let parsed
+        try {
+            parsed = parseCsv(await file.text())
+        } catch (err) {
+            setError(err.message)
+            return
+        }
+
+        if (parsed.headers.length === 0 || parsed.records.length === 0) {
+            setError('The file has no data rows. The first row must hold the column names.')
+            return
+        }
+        if (parsed.records.length > MAX_IMPORT_ROWS) {
+            setError(`The file has ${parsed.records.length} rows. At most ${MAX_IMPORT_ROWS} rows can be imported at once.`)
+            return
+        }
+
+        console.log(`📥 Parsed ${file.name}: ${parsed.headers.length} columns, ${parsed.records.length} rows`)
+        setFileName(file.name)
+        setCsv(parsed)
+        setMapping(guessMapping(parsed.headers, fields))
+        setStep('map')
+    }
+
+    const handleMappingChange = (columnIndex, fieldName) => {
+        setMapping(prev => {
+            const next = { ...prev }
+            // A field can only be fed by one column
+            Object.keys(next).forEach(index => {
+                if (next[index] === fieldName) delete next[index]
+            })
+            if (fieldName) {
+                next[columnIndex] = fieldName
+            } else {
+                delete next[columnIndex]
+            }
+            return next
+        })
+    }
+
+    const handlePreview = async () => {
+        try {
+            setWorking(true)
+            setError(null)
+
+            const rows = buildImportRows(csv.records, mapping, fields)
+            const convertible = rows.filter(row => row.errors.length === 0)
+
+            // The server validates the rows that converted cleanly without writing anything
+            const result = convertible.length > 0 ? await sendImport(convertible.map(row => row.data), true) : { results: [] }
+            result.results.forEach((serverResult, position) => {
+                if (!serverResult.valid) {
+                    convertible[position].errors.push(serverResult.error)
+                }
+            })
+
+            setPreviewRows(rows.map(row => ({ ...row, valid: row.errors.length === 0 })))
+            setStep('preview')
+        } catch (err) {
+            console.error(`Error validating import for ${entityName}:`, err)
+            setError(err.message)
+        } finally {
+            setWorking(false)
+        }
+    }
+
+    const handleImport = async () => {
+        const validRows = previewRows.filter(row => row.valid)
+
+        try {
+            setWorking(true)
+            setError(null)
+
+            const result = await sendImport(validRows.map(row => row.data), false)
+            const rows = validRows.map((row, position) => ({
+                row: row.row,
+                success: !!result.results[position]?.success,
+                id: result.results[position]?.id || null,
+                error: result.results[position]?.error || null
+            }))
+
+            console.log(`📥 Imported ${result.created ?? 0} ${entityName} rows`)
+            setReport({
+                created: rows.filter(row => row.success).length,
+                failed: rows.filter(row => !row.success).length,
+                skipped: previewRows.length - validRows.length,
+                rows
+            })
+            setStep('done')
+        } catch (err) {
+            console.error(`Error importing ${entityName}:`, err)
+            setError(err.message)
+        } finally {
+            setWorking(false)
+        }
+    }
+
+    const handleStartOver = () => {
+        setStep('upload')
+        setFileName('')
+        setCsv({ headers: [], records: [] })
+        setMapping({})
+        setPreviewRows([])
+        setReport(null)
+        setError(null)
+    }
+
+    const mappedFieldNames = Object.values(mapping)
+    const missingRequired = fields.filter(field => field.required && !mappedFieldNames.includes(field.datafieldname))
+    const fieldLabel = (fieldName) => fields.find(field => field.datafieldname === fieldName)?.displayName || fieldName
+    const validCount = previewRows.filter(row => row.valid).length
+    const entityLabel = entityConfig?.name || entityName
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex">
+            <DynamicSidebar />
+            <div className="flex-1 flex flex-col">
+                {/* Header */}
+                <header className="bg-white shadow-sm border-b px-6 py-4">
+                    <div className="flex justify-between items-center">
+                        <div>
+                            <h1 className="text-2xl font-semibold text-gray-900">Import {entityLabel}</h1>
+                            <p className="text-sm text-gray-600 mt-1">
+                                Create records from a CSV file. New records are owned by you.
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => navigate(`/entity/${entityName}`)}
+                            className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg font-medium hover:bg-gray-200 transition-colors border border-gray-300"
+                        >
+                            Back to list
+                        </button>
+                    </div>
+                </header>
+
+                <main className="flex-1 p-6">
+                    <div className="max-w-5xl mx-auto space-y-4">
+                        {/* Step indicator */}
+                        <ol className="flex items-center gap-4 text-sm">
+                            {STEPS.map((stepName, index) => (
+                                <li
+                                    key={stepName}
+                                    className={stepName === step ? 'font-medium text-blue-700' : 'text-gray-500'}
+                                >
+                                    {index + 1}. {STEP_LABELS[stepName]}
+                                </li>
+                            ))}
+                        </ol>
+
+                        {error && (
+                            <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+                                {error}
+                            </div>
+                        )}
+
+                        {(loading || contactLoading) && (
+                            <div className="bg-white shadow rounded-lg p-6 text-gray-600">Loading form...</div>
+                        )}
+
+                        {/* Step 1: Upload */}
+                        {!loading && step === 'upload' && (
+                            <div className="bg-white shadow rounded-lg p-6">
+                                <h2 className="text-lg font-medium text-gray-900 mb-2">Choose a CSV file</h2>
+                                <p className="text-sm text-gray-600 mb-4">
+                                    The first row must hold column names. Up to {MAX_IMPORT_ROWS} rows per file.
+                                    Columns can be mapped to: {fields.map(field => field.displayName).join(', ') || 'no fields'}.
+                                </p>
+                                <input
+                                    type="file"
+                                    accept=".csv,text/csv"
+                                    onChange={handleFileChange}
+                                    disabled={fields.length === 0}
+                                    className="block text-sm text-gray-700"
+                                />
+                            </div>
+                        )}
+
+                        {/* Step 2: Map columns */}
+                        {step === 'map' && (
+                            <div className="bg-white shadow rounded-lg p-6">
+                                <h2 className="text-lg font-medium text-gray-900 mb-1">Map columns</h2>
+                                <p className="text-sm text-gray-600 mb-4">
+                                    {fileName}: {csv.records.length} rows. Pick the field each column goes into.
+                                </p>
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            <th className="py-2 pr-4">CSV column</th>
+                                            <th className="py-2 pr-4">Example</th>
+                                            <th className="py-2">Field</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {csv.headers.map((header, index) => (
+                                            <tr key={`column-${index}`}>
+                                                <td className="py-2 pr-4 font-medium text-gray-900">{header || `Column ${index + 1}`}</td>
+                                                <td className="py-2 pr-4 text-gray-600 truncate max-w-xs">{csv.records[0]?.[index]}</td>
+                                                <td className="py-2">
+                                                    <select
+                                                        value={mapping[index] || ''}
+                                                        onChange={(e) => handleMappingChange(index, e.target.value)}
+                                                        className="text-sm border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                    >
+                                                        <option value="">Do not import</option>
+                                                        {fields.map(field => (
+                                                            <option key={field.datafieldname} value={field.datafieldname}>
+                                                                {field.displayName}{field.required ? ' *' : ''}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+
+                                {missingRequired.length > 0 && (
+                                    <p className="mt-4 text-sm text-amber-700">
+                                        Required fields not mapped: {missingRequired.map(field => field.displayName).join(', ')}
+                                    </p>
+                                )}
+
+                                <div className="mt-6 flex justify-between">
+                                    <button onClick={handleStartOver} className="text-sm text-gray-600 hover:text-gray-800">
+                                        Choose another file
+                                    </button>
+                                    <button
+                                        onClick={handlePreview}
+                                        disabled={working || mappedFieldNames.length === 0}
+                                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                                    >
+                                        {working ? 'Validating...' : 'Preview'}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Step 3: Preview */}
+                        {step === 'preview' && (
+                            <div className="bg-white shadow rounded-lg p-6">
+                                <h2 className="text-lg font-medium text-gray-900 mb-1">Preview</h2>
+                                <p className="text-sm text-gray-600 mb-4">
+                                    {validCount} of {previewRows.length} rows are ready to import.
+                                    {validCount < previewRows.length && ' Rows with errors are skipped - fix them in the file and import them later.'}
+                                </p>
+                                <div className="overflow-x-auto max-h-[60vh]">
+                                    <table className="min-w-full text-sm">
+                                        <thead className="bg-gray-50 sticky top-0">
+                                            <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                <th className="py-2 px-3">Row</th>
+                                                <th className="py-2 px-3">Status</th>
+                                                {mappedFieldNames.map(fieldName => (
+                                                    <th key={fieldName} className="py-2 px-3 whitespace-nowrap">{fieldLabel(fieldName)}</th>
+                                                ))}
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-200">
+                                            {previewRows.map(row => (
+                                                <tr key={`preview-${row.row}`} className={row.valid ? '' : 'bg-red-50'}>
+                                                    <td className="py-2 px-3 text-gray-500">{row.row}</td>
+                                                    <td className="py-2 px-3">
+                                                        {row.valid ? (
+                                                            <span className="text-green-700">Ready</span>
+                                                        ) : (
+                                                            <span className="text-red-700">{row.errors.join('; ')}</span>
+                                                        )}
+                                                    </td>
+                                                    {mappedFieldNames.map(fieldName => (
+                                                        <td key={fieldName} className="py-2 px-3 text-gray-900 whitespace-nowrap">
+                                                            {row.data[fieldName] === undefined ? '' : String(row.data[fieldName])}
+                                                        </td>
+                                                    ))}
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+
+                                <div className="mt-6 flex justify-between">
+                                    <button onClick={() => setStep('map')} disabled={working} className="text-sm text-gray-600 hover:text-gray-800">
+                                        Back to mapping
+                                    </button>
+                                    <button
+                                        onClick={handleImport}
+                                        disabled={working || validCount === 0}
+                                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                                    >
+                                        {working ? 'Importing...' : `Import ${validCount} ${validCount === 1 ? 'row' : 'rows'}`}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Step 4: Results */}
+                        {step === 'done' && report && (
+                            <div className="bg-white shadow rounded-lg p-6">
+                                <h2 className="text-lg font-medium text-gray-900 mb-1">Import finished</h2>
+                                <p className="text-sm text-gray-600 mb-4">
+                                    Created {report.created} {report.created === 1 ? 'record' : 'records'}
+                                    {report.failed > 0 && `, ${report.failed} failed`}
+                                    {report.skipped > 0 && `, ${report.skipped} skipped in preview`}.
+                                </p>
+                                {report.failed > 0 && (
+                                    <ul className="mb-4 text-sm text-red-700 list-disc list-inside space-y-1">
+                                        {report.rows.filter(row => !row.success).map(row => (
+                                            <li key={`failed-${row.row}`}>Row {row.row}: {row.error}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                                <div className="flex justify-between">
+                                    <button onClick={handleStartOver} className="text-sm text-gray-600 hover:text-gray-800">
+                                        Import another file
+                                    </button>
+                                    <button
+                                        onClick={() => navigate(`/entity/${entityName}`)}
+                                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                                    >
+                                        View {entityLabel}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </main>
+            </div>
+        </div>
+    )
+}
+
+export default EntityImport
@@ -1,12 +1,22 @@
-import { useState, useEffect } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { useState, useEffect, useRef } from 'react'
+import { useParams, useNavigate, useLocation } from 'react-router-dom'
 import { useUser, useAuth } from '@clerk/clerk-react'
 import DynamicSidebar from '../../components/shared/DynamicSidebar'
+import ListFilterPanel from '../../components/tables/ListFilterPanel'
+import RecentlyRemovedPanel from '../../components/tables/RecentlyRemovedPanel'
+import BulkEditPanel from '../../components/tables/BulkEditPanel'
+import ConfirmDialog from '../../components/shared/ConfirmDialog'
+import UndoToast from '../../components/shared/UndoToast'
+import { deleteEntityRecord, restoreEntityRecord, runBatchOperations, canDeleteRecord } from '../../utils/entityRecordActions'
+import { isValueChanged } from '../../utils/formDiffUtils'
+import { downloadListExport, EXPORT_FORMAT_LABELS } from '../../utils/listExport'
+import { formatOptionSetValue } from '../../utils/optionSetUtils'
 import { useContactContext } from '../../contexts/ContactContext.jsx'
 
 function EntityList() {
     const { entityName } = useParams()
     const navigate = useNavigate()
+    const location = useLocation()
     const { user, isLoaded } = useUser()
     const { getToken } = useAuth()
     const { getContactGuid, loading: contactLoading, hasContact } = useContactContext()
@@ -18,25 +28,111 @@ function EntityList() {
     const [error, setError] = useState(null)
     const [viewMode, setViewMode] = useState('personal')
     const [userIsAdmin, setUserIsAdmin] = useState(false)
+    
+    // Server-side search, filter and sort state
+    const [searchInput, setSearchInput] = useState('')
+    const [search, setSearch] = useState('')
+    const [filters, setFilters] = useState([])
+    const [sortBy, setSortBy] = useState(null)
+    const [sortDir, setSortDir] = useState('asc')
+    const [showFilters, setShowFilters] = useState(false)
+    const [showRemoved, setShowRemoved] = useState(false)
+    const [showExportMenu, setShowExportMenu] = useState(false)
+    const [exporting, setExporting] = useState(false)
+    
+    // Delete state - rows are removed optimistically, soft deleted ones can be undone
+    const [openRowMenuId, setOpenRowMenuId] = useState(null)
+    const [pendingDelete, setPendingDelete] = useState(null)
+    const [removedRecord, setRemovedRecord] = useState(null)  // { id, name, entity, index }
+    const [undoing, setUndoing] = useState(false)
+    const [actionError, setActionError] = useState(null)
+    
+    // Multi-select state - bulk changes run as one all-or-nothing batch
+    const [selectedIds, setSelectedIds] = useState([])
+    const [showBulkEdit, setShowBulkEdit] = useState(false)
+    const [pendingBulkDelete, setPendingBulkDelete] = useState(false)
+    const [bulkRunning, setBulkRunning] = useState(false)
+    const [bulkResult, setBulkResult] = useState(null)  // { success, message, failures: [{ name, error }] }
+    
+    // Paging - the server hands out a signed token for the next page, so Previous reuses
+    // the token that opened each visited page (null for the first page)
+    const [pagination, setPagination] = useState(null)  // { pageSize, page, totalCount, countLimitExceeded, continuationToken }
+    const [pageTokens, setPageTokens] = useState([null])
+    const [pageIndex, setPageIndex] = useState(0)
+    const [infiniteScroll, setInfiniteScroll] = useState(false)
+    const [loadingMore, setLoadingMore] = useState(false)
+    const loadMoreRef = useRef(null)
+
+    useEffect(() => {
+        // Reset search/filter/sort when switching entity - columns differ per view
+        setSearchInput('')
+        setSearch('')
+        setFilters(prev => prev.length > 0 ? [] : prev)
+        setSortBy(null)
+        setSortDir('asc')
+        setShowFilters(false)
+        setShowRemoved(false)
+        setShowExportMenu(false)
+        setOpenRowMenuId(null)
+        setActionError(null)
+        setSelectedIds([])
+        setShowBulkEdit(false)
+        setBulkResult(null)
+    }, [entityName])
+
+    useEffect(() => {
+        // EntityEdit hands over a soft deleted record so the undo toast shows here
+        if (location.state?.removedRecord) {
+            setRemovedRecord({ ...location.state.removedRecord, entity: null, index: -1 })
+            navigate(location.pathname, { replace: true, state: null })
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [location.state])
 
     useEffect(() => {
         // CRITICAL: Wait for contact to be loaded before fetching entity data
         if (isLoaded && user && entityName && !contactLoading && hasContact()) {
             fetchEntityList()
         }
-    }, [isLoaded, user, entityName, viewMode, contactLoading, hasContact])
+    }, [isLoaded, user, entityName, viewMode, contactLoading, hasContact, search, filters, sortBy, sortDir])
 
-    const fetchEntityList = async () => {
+    // Infinite scroll - load the next page when the marker under the table comes into view
+    useEffect(() => {
+        if (!infiniteScroll || !pagination?.continuationToken || loadingMore || !loadMoreRef.current) {
+            return
+        }
+        
+        const observer = new IntersectionObserver(observed => {
+            if (observed[0].isIntersecting) {
+                handleLoadMore()
+            }
+        }, { rootMargin: '200px' })
+        observer.observe(loadMoreRef.current)
+        
+        return () => observer.disconnect()
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [infiniteScroll, pagination, loadingMore, loading])
+
+    /**
+     * Load a page of the list
+     * cursor: continuation token of the page (null for the first), targetPage: its index,
+     * append: add the rows below the current ones (infinite scroll)
+     */
+    const fetchEntityList = async ({ cursor = null, targetPage = 0, append = false } = {}) => {
         // Simple duplicate prevention - only if currently loading the same entity
-        if (loading && entities.length > 0) {
+        if (!cursor && loading && entities.length > 0) {
             return
         }
 
         console.log(`🔥 FRONTEND: Starting fetchEntityList for ${entityName}`)
 
         try {
-            setLoading(true)
-            setError(null)
+            if (append) {
+                setLoadingMore(true)
+            } else {
+                setLoading(true)
+                setError(null)
+            }
 
             const token = await getToken()
             console.log(`🔥 FRONTEND: Got token: ${token ? 'YES' : 'NO'}`)
@@ -49,7 +145,30 @@ function EntityList() {
                 throw new Error('Contact GUID required for secure data access. Please refresh the page.')
             }
             
-            const apiUrl = `/.netlify/functions/generic-entity?entity=${entityName}&mode=list&contactGuid=${encodeURIComponent(contactGuid)}&viewMode=${viewMode}`
+            const params = new URLSearchParams({
+                entity: entityName,
+                mode: 'list',
+                contactGuid: contactGuid,
+                viewMode: viewMode
+            })
+            
+            // Search, filters and sort are validated server-side against the view columns
+            if (search) {
+                params.append('search', search)
+            }
+            if (filters.length > 0) {
+                params.append('filters', JSON.stringify(filters))
+            }
+            if (sortBy) {
+                params.append('sortBy', sortBy)
+                params.append('sortDir', sortDir)
+            }
+            // Opaque token from the previous page - only valid for this exact query
+            if (cursor) {
+                params.append('cursor', cursor)
+            }
+            
+            const apiUrl = `/.netlify/functions/generic-entity?${params.toString()}`
             console.log(`🔥 FRONTEND: Making request to: ${apiUrl}`)
             
             const response = await fetch(apiUrl, {
@@ -76,7 +195,18 @@ function EntityList() {
             console.log(`🔥 FRONTEND: Entity Config:`, data.entityConfig)
             console.log(`🔥 FRONTEND: Contact Relation Field:`, data.entityConfig?.contactRelationField)
             
-            setEntities(data.entities || [])
+            if (append) {
+                setEntities(prev => [...prev, ...(data.entities || [])])
+            } else {
+                setEntities(data.entities || [])
+                // Selections only cover the page on screen
+                if (targetPage !== pageIndex) {
+                    setSelectedIds([])
+                }
+                setPageIndex(targetPage)
+                setPageTokens(prev => [...prev.slice(0, targetPage), cursor])
+            }
+            setPagination(data.pagination || null)
             setEntityConfig(data.entityConfig)
             setViewMetadata(data.viewMetadata)
             setUserIsAdmin(data.userIsAdmin || false)
@@ -85,34 +215,295 @@ function EntityList() {
 
         } catch (err) {
             console.error(`🔥 FRONTEND: Error fetching ${entityName} list:`, err)
-            setError(err.message)
+            if (append) {
+                // Keep the rows already loaded
+                setActionError(`Could not load more records: ${err.message}`)
+            } else {
+                setError(err.message)
+            }
         } finally {
             setLoading(false)
+            setLoadingMore(false)
         }
     }
 
+    // Reload the page on screen (infinite scroll starts over from the first page)
     const handleRefresh = () => {
+        if (infiniteScroll || pageIndex === 0) {
+            fetchEntityList()
+        } else {
+            fetchEntityList({ cursor: pageTokens[pageIndex], targetPage: pageIndex })
+        }
+    }
+
+    const handleNextPage = () => {
+        fetchEntityList({ cursor: pagination.continuationToken, targetPage: pageIndex + 1 })
+    }
+
+    const handlePreviousPage = () => {
+        fetchEntityList({ cursor: pageTokens[pageIndex - 1], targetPage: pageIndex - 1 })
+    }
+
+    const handleLoadMore = () => {
+        fetchEntityList({ cursor: pagination.continuationToken, append: true })
+    }
+
+    const handleToggleInfiniteScroll = () => {
+        setInfiniteScroll(!infiniteScroll)
         fetchEntityList()
     }
 
+    const handleSearchSubmit = (e) => {
+        e.preventDefault()
+        setSearch(searchInput.trim())
+    }
+
+    const handleClearSearch = () => {
+        setSearchInput('')
+        setSearch('')
+    }
+
+    const handleSort = (columnName) => {
+        // Toggle direction when clicking the active column, otherwise start ascending
+        if (sortBy === columnName) {
+            setSortDir(sortDir === 'asc' ? 'desc' : 'asc')
+        } else {
+            setSortBy(columnName)
+            setSortDir('asc')
+        }
+    }
+
+    const handleApplyFilters = (newFilters) => {
+        console.log(`🔍 FRONTEND: Applying filters:`, newFilters)
+        setFilters(newFilters)
+    }
+
+    const handleExport = async (format) => {
+        try {
+            setShowExportMenu(false)
+            setExporting(true)
+            setActionError(null)
+            
+            const token = await getToken()
+            await downloadListExport({
+                token,
+                entityName,
+                contactGuid: getContactGuid(),
+                format,
+                query: { viewMode, search, filters, sortBy, sortDir }
+            })
+            console.log(`📤 Exported ${entityName} as ${format}`)
+        } catch (err) {
+            console.error(`Error exporting ${entityName}:`, err)
+            setActionError(`Could not export ${entityConfig?.name || entityName}: ${err.message}`)
+        } finally {
+            setExporting(false)
+        }
+    }
+
     const handleEdit = (entity) => {
         const entityId = entity[getEntityIdField(entityName, entityConfig)]
         console.log(`✏️ Selecting entity for edit:`, entity)
         
         // Store selected entity in sessionStorage for clean URL navigation
+        // viewMode lets colleagues' records opened from the organization view load and take comments
         sessionStorage.setItem(`selected_${entityName}`, JSON.stringify({
             id: entityId,
-            data: entity
+            data: entity,
+            viewMode
         }))
         
         navigate(`/entity/${entityName}/edit`)
     }
 
+    const getRecordName = (entity) => {
+        const primaryColumn = viewMetadata?.columns?.[0]?.name
+        return (primaryColumn && entity[primaryColumn]) || `this ${entityConfig?.name?.replace(/s$/, '') || 'record'}`
+    }
+
+    const handleDeleteConfirmed = async () => {
+        const entity = pendingDelete
+        const idField = getEntityIdField(entityName, entityConfig)
+        const entityId = entity[idField]
+        const index = entities.findIndex(row => row[idField] === entityId)
+        const name = getRecordName(entity)
+        
+        // Optimistic update: drop the row now and put it back if the delete fails
+        setPendingDelete(null)
+        setActionError(null)
+        setEntities(prev => prev.filter(row => row[idField] !== entityId))
+        
+        try {
+            const token = await getToken()
+            const result = await deleteEntityRecord({ token, entityName, entityId, contactGuid: getContactGuid(), etag: entity['@odata.etag'] })
+            console.log(`🗑️ ${result.mode === 'deactivate' ? 'Deactivated' : 'Deleted'} ${entityName}: ${entityId}`)
+            
+            if (result.mode === 'deactivate') {
+                setRemovedRecord({ id: entityId, name, entity, index })
+            }
+        } catch (err) {
+            console.error(`Error deleting ${entityName} ${entityId}:`, err)
+            setEntities(prev => insertRow(prev, entity, index, idField))
+            setActionError(`Could not delete ${name}: ${err.message}`)
+        }
+    }
+
+    const handleUndoDelete = async () => {
+        const record = removedRecord
+        const idField = getEntityIdField(entityName, entityConfig)
+        
+        try {
+            setUndoing(true)
+            const token = await getToken()
+            await restoreEntityRecord({ token, entityName, entityId: record.id, contactGuid: getContactGuid() })
+            console.log(`♻️ Undo delete ${entityName}: ${record.id}`)
+            
+            if (record.entity) {
+                setEntities(prev => insertRow(prev, record.entity, record.index, idField))
+            } else {
+                handleRefresh()
+            }
+        } catch (err) {
+            console.error(`Error restoring ${entityName} ${record.id}:`, err)
+            setActionError(`Could not restore ${record.name}: ${err.message}`)
+        } finally {
+            setUndoing(false)
+            setRemovedRecord(null)
+        }
+    }
+
+    const toggleSelected = (entityId) => {
+        setSelectedIds(prev => prev.includes(entityId) ? prev.filter(id => id !== entityId) : [...prev, entityId])
+    }
+
+    const toggleSelectAll = (rows) => {
+        const idField = getEntityIdField(entityName, entityConfig)
+        const rowIds = rows.map(row => row[idField]).filter(Boolean)
+        const allSelected = rowIds.length > 0 && rowIds.every(id => selectedIds.includes(id))
+        setSelectedIds(allSelected ? [] : rowIds)
+    }
+
+    // Selected rows still in the list (deleted or filtered out rows drop out)
+    const getSelectedEntities = () => {
+        const idField = getEntityIdField(entityName, entityConfig)
+        return entities.filter(row => selectedIds.includes(row[idField]))
+    }
+
+    // Summarize per-item batch results - items only skipped because of another failure are not listed
+    const describeBatchFailure = (err, rows, action) => {
+        const failures = (err.results || [])
+            .filter(result => result.error && result.errorType !== 'NOT_APPLIED')
+            .map(result => ({
+                name: rows[result.index] ? getRecordName(rows[result.index]) : `Item ${result.index + 1}`,
+                error: result.error
+            }))
+
+        return {
+            success: false,
+            message: `Could not ${action} - no records were changed. ${err.message}`,
+            failures
+        }
+    }
+
+    const handleBulkEdit = async (fieldName, value) => {
+        const idField = getEntityIdField(entityName, entityConfig)
+        const rows = getSelectedEntities().filter(row => isValueChanged(row[fieldName], value))
+        const column = viewMetadata?.columns?.find(col => col.name === fieldName)
+        const label = column?.displayName || fieldName
+        
+        if (rows.length === 0) {
+            setBulkResult({ success: true, message: `${label} already has this value on every selected record.`, failures: [] })
+            setShowBulkEdit(false)
+            return
+        }
+        
+        try {
+            setBulkRunning(true)
+            setBulkResult(null)
+            
+            const token = await getToken()
+            const result = await runBatchOperations({
+                token,
+                entityName,
+                contactGuid: getContactGuid(),
+                operations: rows.map(row => ({
+                    operation: 'update',
+                    id: row[idField],
+                    data: { [fieldName]: value, '@odata.etag': row['@odata.etag'] }
+                }))
+            })
+            
+            console.log(`📦 Bulk updated ${fieldName} on ${result.succeeded} ${entityName} records`)
+            setBulkResult({ success: true, message: `Updated ${label} on ${result.succeeded} ${result.succeeded === 1 ? 'record' : 'records'}.`, failures: [] })
+            setShowBulkEdit(false)
+            
+            // Reload for new etags and formatted values
+            handleRefresh()
+        } catch (err) {
+            console.error(`Error bulk updating ${entityName}:`, err)
+            setBulkResult(describeBatchFailure(err, rows, `update ${label}`))
+        } finally {
+            setBulkRunning(false)
+        }
+    }
+
+    const handleBulkDeleteConfirmed = async () => {
+        const idField = getEntityIdField(entityName, entityConfig)
+        const rows = getSelectedEntities()
+        const positions = rows.map(row => ({ row, index: entities.indexOf(row) }))
+        const rowIds = rows.map(row => row[idField])
+        
+        // Optimistic update: drop the rows now and put them back if the batch fails
+        setPendingBulkDelete(false)
+        setBulkResult(null)
+        setEntities(prev => prev.filter(row => !rowIds.includes(row[idField])))
+        
+        try {
+            setBulkRunning(true)
+            
+            const token = await getToken()
+            const result = await runBatchOperations({
+                token,
+                entityName,
+                contactGuid: getContactGuid(),
+                operations: rowIds.map(id => ({ operation: 'delete', id }))
+            })
+            
+            console.log(`🗑️ Bulk deleted ${result.succeeded} ${entityName} records`)
+            setSelectedIds([])
+            setBulkResult({
+                success: true,
+                message: entityConfig?.deleteBehavior === 'deactivate'
+                    ? `Removed ${result.succeeded} records. They can be restored from Recently removed for ${entityConfig.restoreWindowDays} days.`
+                    : `Deleted ${result.succeeded} records.`,
+                failures: []
+            })
+        } catch (err) {
+            console.error(`Error bulk deleting ${entityName}:`, err)
+            setEntities(prev => positions.reduce((restored, { row, index }) => insertRow(restored, row, index, idField), prev))
+            setBulkResult(describeBatchFailure(err, rows, 'delete the selected records'))
+        } finally {
+            setBulkRunning(false)
+        }
+    }
+
+    // Put a row back at its old position (skipped if it is already there)
+    const insertRow = (rows, row, index, idField) => {
+        if (rows.some(existing => existing[idField] === row[idField])) return rows
+        const position = index >= 0 && index <= rows.length ? index : rows.length
+        return [...rows.slice(0, position), row, ...rows.slice(position)]
+    }
+
     const handleCreate = () => {
         console.log(`➕ Navigating to create new ${entityName}`)
         navigate(`/entity/${entityName}/create`)
     }
 
+    const handleImport = () => {
+        console.log(`📥 Navigating to import ${entityName}`)
+        navigate(`/entity/${entityName}/import`)
+    }
+
     const getEntityIdField = (entityName, entityConfig = null) => {
         // If we have entity config, use the logical name
         if (entityConfig?.entityLogicalName) {
@@ -155,7 +546,9 @@ function EntityList() {
                         </svg>
                         <h3 className="mt-2 text-sm font-medium text-gray-900">No {entityConfig?.name || entityName} found</h3>
                         <p className="mt-1 text-sm text-gray-500">
-                            Get started by creating a new record.
+                            {search || filters.length > 0
+                                ? 'No records match the current search or filters.'
+                                : 'Get started by creating a new record.'}
                         </p>
                         <div className="mt-6">
                             <button
@@ -187,6 +580,12 @@ function EntityList() {
             existsInData: data[0].hasOwnProperty(c.name),
             dataValue: data[0][c.name]
         })))
+        
+        // Sorting is only possible on view columns (validated server-side)
+        const canSort = !!viewMetadata?.columns?.length
+        
+        const idField = getEntityIdField(entityName, entityConfig)
+        const allRowsSelected = data.every(row => selectedIds.includes(row[idField]))
 
         return (
             <div className="bg-white shadow rounded-lg overflow-hidden">
@@ -241,6 +640,16 @@ function EntityList() {
                                 {loading ? 'Refreshing...' : 'Refresh'}
                             </button>
                             
+                            <button
+                                onClick={handleImport}
+                                className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                            >
+                                <svg className="-ml-1 mr-2 h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                                </svg>
+                                Import
+                            </button>
+                            
                             <button
                                 onClick={handleCreate}
                                 className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
@@ -261,7 +670,13 @@ function EntityList() {
                             <tr>
                                 {/* Selection Column */}
                                 <th className="sticky left-0 bg-gray-50 px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider z-10">
-                                    <input type="checkbox" className="rounded border-gray-300" />
+                                    <input
+                                        type="checkbox"
+                                        checked={allRowsSelected}
+                                        onChange={() => toggleSelectAll(data)}
+                                        className="rounded border-gray-300"
+                                        aria-label="Select all records"
+                                    />
                                 </th>
                                 
                                 {/* Dynamic Columns */}
@@ -275,7 +690,20 @@ function EntityList() {
                                         `}
                                         style={{ minWidth: column.width || '120px' }}
                                     >
-                                        {column.displayName || column.name}
+                                        {canSort && column.sortable !== false ? (
+                                            <button
+                                                onClick={() => handleSort(column.name)}
+                                                className="inline-flex items-center uppercase tracking-wider hover:text-gray-700"
+                                                title={`Sort by ${column.displayName || column.name}`}
+                                            >
+                                                {column.displayName || column.name}
+                                                {sortBy === column.name && (
+                                                    <span className="ml-1">{sortDir === 'asc' ? '▲' : '▼'}</span>
+                                                )}
+                                            </button>
+                                        ) : (
+                                            column.displayName || column.name
+                                        )}
                                     </th>
                                 ))}
 
@@ -298,7 +726,14 @@ function EntityList() {
                                     <tr key={entityId || `row-${rowIndex}`} className="hover:bg-gray-50">
                                         {/* Selection Cell */}
                                         <td className="sticky left-0 bg-white px-6 py-4 whitespace-nowrap z-10">
-                                            <input type="checkbox" className="rounded border-gray-300" />
+                                            <input
+                                                type="checkbox"
+                                                checked={!!entityId && selectedIds.includes(entityId)}
+                                                onChange={() => toggleSelected(entityId)}
+                                                disabled={!entityId}
+                                                className="rounded border-gray-300"
+                                                aria-label={`Select ${getRecordName(entity)}`}
+                                            />
                                         </td>
 
                                         {/* Dynamic Data Cells */}
@@ -338,7 +773,7 @@ function EntityList() {
                                                     }
                                                     
                                                     // Default cell formatting
-                                                    return formatCellValue(entity[column.name], column.type, entity, column.name)
+                                                    return formatCellValue(entity[column.name], column.type, entity, column.name, column)
                                                 })()}
                                             </td>
                                         ))}
@@ -351,11 +786,36 @@ function EntityList() {
                                             >
                                                 Edit
                                             </button>
-                                            <button className="text-gray-400 hover:text-gray-600">
-                                                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                                                    <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z" />
-                                                </svg>
-                                            </button>
+                                            <div className="relative inline-block">
+                                                <button
+                                                    onClick={() => setOpenRowMenuId(openRowMenuId === entityId ? null : entityId)}
+                                                    className="text-gray-400 hover:text-gray-600"
+                                                    aria-label="More actions"
+                                                    aria-expanded={openRowMenuId === entityId}
+                                                >
+                                                    <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                                                        <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z" />
+                                                    </svg>
+                                                </button>
+                                                {openRowMenuId === entityId && (
+                                                    <div className="absolute right-0 mt-2 w-36 bg-white border border-gray-200 rounded-md shadow-lg z-20 text-left">
+                                                        <button
+                                                            onClick={() => { setOpenRowMenuId(null); handleEdit(entity) }}
+                                                            className="block w-full px-4 py-2 text-sm text-left text-gray-700 hover:bg-gray-50"
+                                                        >
+                                                            Edit
+                                                        </button>
+                                                        {canDeleteRecord(entityConfig, entity, getContactGuid()) && (
+                                                            <button
+                                                                onClick={() => { setOpenRowMenuId(null); setPendingDelete(entity) }}
+                                                                className="block w-full px-4 py-2 text-sm text-left text-red-600 hover:bg-red-50"
+                                                            >
+                                                                Delete
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                )}
+                                            </div>
                                         </td>
                                     </tr>
                                 )
@@ -371,22 +831,40 @@ function EntityList() {
                         return (
                             <div key={entityId || `mobile-${mobileIndex}`} className="p-4 border-b border-gray-200">
                                 <div className="flex justify-between items-start">
+                                    <input
+                                        type="checkbox"
+                                        checked={!!entityId && selectedIds.includes(entityId)}
+                                        onChange={() => toggleSelected(entityId)}
+                                        disabled={!entityId}
+                                        className="mt-1 mr-3 rounded border-gray-300"
+                                        aria-label={`Select ${getRecordName(entity)}`}
+                                    />
                                     <div className="flex-1">
                                         {columns.slice(0, 3).map((column, index) => (
                                             <div key={`mobile-${entityId || mobileIndex}-${column.name}-${index}`} className="mb-2">
                                                 <span className="text-xs text-gray-500">{column.displayName || column.name}:</span>
                                                 <span className="ml-2 text-sm text-gray-900">
-                                                    {formatCellValue(entity[column.name], column.type, entity, column.name)}
+                                                    {formatCellValue(entity[column.name], column.type, entity, column.name, column)}
                                                 </span>
                                             </div>
                                         ))}
                                     </div>
-                                    <button 
-                                        onClick={() => handleEdit(entity)}
-                                        className="ml-4 text-blue-600 hover:text-blue-900 text-sm"
-                                    >
-                                        Edit
-                                    </button>
+                                    <div className="ml-4 flex flex-col items-end space-y-2">
+                                        <button 
+                                            onClick={() => handleEdit(entity)}
+                                            className="text-blue-600 hover:text-blue-900 text-sm"
+                                        >
+                                            Edit
+                                        </button>
+                                        {canDeleteRecord(entityConfig, entity, getContactGuid()) && (
+                                            <button
+                                                onClick={() => setPendingDelete(entity)}
+                                                className="text-red-600 hover:text-red-800 text-sm"
+                                            >
+                                                Delete
+                                            </button>
+                                        )}
+                                    </div>
                                 </div>
                             </div>
                         )
@@ -457,7 +935,7 @@ function EntityList() {
         return 'text'
     }
 
-    const formatCellValue = (value, type, entity, columnName) => {
+    const formatCellValue = (value, type, entity, columnName, column = null) => {
         // Debug lookup field handling
         if (columnName && columnName.includes('contact')) {
             console.log(`🔍 LOOKUP DEBUG: columnName=${columnName}, value=${value}, type=${type}`)
@@ -489,6 +967,20 @@ function EntityList() {
                 return new Date(value).toLocaleDateString()
             case 'boolean':
                 return value ? 'Yes' : 'No'
+            case 'number':
+                return Number(value).toLocaleString()
+            case 'optionset':
+            case 'multiselectoptionset':
+                // Prefer the Dataverse formatted label, then the option set from view metadata
+                return entity[`${columnName}@OData.Community.Display.V1.FormattedValue`] || formatOptionSetValue(value, column?.options)
+            case 'decimal':
+            case 'money': {
+                // Dataverse formatted value includes the currency symbol for money columns
+                const formattedValue = entity[`${columnName}@OData.Community.Display.V1.FormattedValue`]
+                if (formattedValue) return formattedValue
+                const digits = column?.precision ?? 2
+                return Number(value).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+            }
             case 'email':
                 return <a href={`mailto:${value}`} className="text-blue-600 hover:text-blue-800">{value}</a>
             case 'phone':
@@ -670,6 +1162,190 @@ function EntityList() {
 
 
 
+                        {/* Search & Filter Toolbar */}
+                        {!contactLoading && entityConfig && (
+                            <div className="mb-4">
+                                <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                                    <form onSubmit={handleSearchSubmit} className="flex-1 flex items-center gap-2">
+                                        <input
+                                            type="search"
+                                            value={searchInput}
+                                            onChange={(e) => setSearchInput(e.target.value)}
+                                            maxLength={100}
+                                            placeholder={`Search ${entityConfig?.name || entityName}...`}
+                                            className="flex-1 text-sm border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                        />
+                                        <button
+                                            type="submit"
+                                            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                                        >
+                                            Search
+                                        </button>
+                                        {search && (
+                                            <button
+                                                type="button"
+                                                onClick={handleClearSearch}
+                                                className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800"
+                                            >
+                                                Clear
+                                            </button>
+                                        )}
+                                    </form>
+                                    <button
+                                        onClick={() => setShowFilters(!showFilters)}
+                                        disabled={!viewMetadata?.columns?.length}
+                                        className="inline-flex items-center px-4 py-2 text-sm font-medium border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                    >
+                                        <svg className="-ml-1 mr-2 h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
+                                        </svg>
+                                        Filters{filters.length > 0 ? ` (${filters.length})` : ''}
+                                    </button>
+                                    
+                                    <div className="relative">
+                                        <button
+                                            onClick={() => setShowExportMenu(!showExportMenu)}
+                                            disabled={exporting || !viewMetadata?.columns?.length}
+                                            className="inline-flex items-center px-4 py-2 text-sm font-medium border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                            aria-expanded={showExportMenu}
+                                            title="Download every record matching the current search and filters"
+                                        >
+                                            <svg className="-ml-1 mr-2 h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                                            </svg>
+                                            {exporting ? 'Exporting...' : 'Export'}
+                                        </button>
+                                        {showExportMenu && (
+                                            <div className="absolute right-0 mt-2 w-40 bg-white border border-gray-200 rounded-md shadow-lg z-20">
+                                                {Object.entries(EXPORT_FORMAT_LABELS).map(([format, label]) => (
+                                                    <button
+                                                        key={format}
+                                                        onClick={() => handleExport(format)}
+                                                        className="block w-full px-4 py-2 text-sm text-left text-gray-700 hover:bg-gray-50"
+                                                    >
+                                                        {label}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                    {entityConfig.deleteBehavior === 'deactivate' && (
+                                        <button
+                                            onClick={() => setShowRemoved(!showRemoved)}
+                                            className="inline-flex items-center px-4 py-2 text-sm font-medium border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                                        >
+                                            Recently removed
+                                        </button>
+                                    )}
+                                </div>
+                                
+                                {showFilters && viewMetadata?.columns?.length > 0 && (
+                                    <div className="mt-3">
+                                        <ListFilterPanel
+                                            columns={viewMetadata.columns}
+                                            filters={filters}
+                                            onApply={handleApplyFilters}
+                                            onClose={() => setShowFilters(false)}
+                                        />
+                                    </div>
+                                )}
+                                
+                                {showRemoved && (
+                                    <div className="mt-3">
+                                        <RecentlyRemovedPanel
+                                            entityName={entityName}
+                                            entityConfig={entityConfig}
+                                            onRestored={handleRefresh}
+                                            onClose={() => setShowRemoved(false)}
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Bulk Actions Toolbar */}
+                        {!loading && !error && selectedIds.length > 0 && (() => {
+                            const selectedEntities = getSelectedEntities()
+                            const canBulkDelete = selectedEntities.length > 0 &&
+                                selectedEntities.every(row => canDeleteRecord(entityConfig, row, getContactGuid()))
+                            
+                            return (
+                                <div className="mb-4">
+                                    <div className="flex flex-wrap items-center gap-3 bg-blue-50 border border-blue-200 rounded-lg px-4 py-2">
+                                        <span className="text-sm font-medium text-blue-800">
+                                            {selectedEntities.length} selected
+                                        </span>
+                                        <button
+                                            onClick={() => setShowBulkEdit(!showBulkEdit)}
+                                            disabled={bulkRunning || !viewMetadata?.columns?.length}
+                                            className="px-3 py-1 text-sm font-medium rounded-md text-blue-700 border border-blue-300 bg-white hover:bg-blue-50 disabled:opacity-50"
+                                        >
+                                            Edit field
+                                        </button>
+                                        {canBulkDelete && (
+                                            <button
+                                                onClick={() => setPendingBulkDelete(true)}
+                                                disabled={bulkRunning}
+                                                className="px-3 py-1 text-sm font-medium rounded-md text-red-700 border border-red-300 bg-white hover:bg-red-50 disabled:opacity-50"
+                                            >
+                                                Delete
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={() => { setSelectedIds([]); setShowBulkEdit(false) }}
+                                            disabled={bulkRunning}
+                                            className="ml-auto text-sm text-blue-700 hover:text-blue-900"
+                                        >
+                                            Clear selection
+                                        </button>
+                                    </div>
+                                    {showBulkEdit && viewMetadata?.columns?.length > 0 && (
+                                        <div className="mt-3">
+                                            <BulkEditPanel
+                                                columns={viewMetadata.columns}
+                                                selectedCount={selectedEntities.length}
+                                                contactField={entityConfig?.contactRelationField}
+                                                onApply={handleBulkEdit}
+                                                onClose={() => setShowBulkEdit(false)}
+                                                applying={bulkRunning}
+                                            />
+                                        </div>
+                                    )}
+                                </div>
+                            )
+                        })()}
+                        
+                        {/* Bulk action results */}
+                        {bulkResult && (
+                            <div className={`mb-4 flex items-start justify-between rounded-lg p-4 text-sm border ${bulkResult.success ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-700'}`}>
+                                <div>
+                                    <p>{bulkResult.message}</p>
+                                    {bulkResult.failures.length > 0 && (
+                                        <ul className="mt-2 list-disc list-inside space-y-1">
+                                            {bulkResult.failures.map((failure, index) => (
+                                                <li key={`bulk-failure-${index}`}>
+                                                    <strong>{failure.name}:</strong> {failure.error}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
+                                <button onClick={() => setBulkResult(null)} className="ml-4 opacity-75 hover:opacity-100">
+                                    Dismiss
+                                </button>
+                            </div>
+                        )}
+                        
+                        {/* Delete/restore errors - the list itself is still valid */}
+                        {actionError && (
+                            <div className="mb-4 flex items-start justify-between bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+                                <span>{actionError}</span>
+                                <button onClick={() => setActionError(null)} className="ml-4 text-red-500 hover:text-red-700">
+                                    Dismiss
+                                </button>
+                            </div>
+                        )}
+
                         {/* Success State - Dynamic Table */}
                         {!loading && !error && (
                             <>
@@ -680,6 +1356,52 @@ function EntityList() {
                                     viewMetadata={viewMetadata} 
                                     data={entities} 
                                 />
+                                
+                                {/* Paging - Dataverse counts at most 5000 records */}
+                                {pagination && entities.length > 0 && (
+                                    <div className="mt-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 text-sm text-gray-600">
+                                        <span>
+                                            {infiniteScroll
+                                                ? `Showing ${entities.length} of ${pagination.totalCount}${pagination.countLimitExceeded ? '+' : ''}`
+                                                : `Showing ${pageIndex * pagination.pageSize + 1}-${pageIndex * pagination.pageSize + entities.length} of ${pagination.totalCount}${pagination.countLimitExceeded ? '+' : ''}`}
+                                        </span>
+                                        <div className="flex items-center gap-3">
+                                            <label className="inline-flex items-center gap-2">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={infiniteScroll}
+                                                    onChange={handleToggleInfiniteScroll}
+                                                    className="rounded border-gray-300"
+                                                />
+                                                Load more while scrolling
+                                            </label>
+                                            {!infiniteScroll && (
+                                                <>
+                                                    <button
+                                                        onClick={handlePreviousPage}
+                                                        disabled={pageIndex === 0}
+                                                        className="px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                                    >
+                                                        Previous
+                                                    </button>
+                                                    <span>Page {pageIndex + 1}</span>
+                                                    <button
+                                                        onClick={handleNextPage}
+                                                        disabled={!pagination.continuationToken}
+                                                        className="px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                                    >
+                                                        Next
+                                                    </button>
+                                                </>
+                                            )}
+                                        </div>
+                                    </div>
+                                )}
+                                {infiniteScroll && pagination?.continuationToken && (
+                                    <div ref={loadMoreRef} className="py-6 text-center text-sm text-gray-500">
+                                        {loadingMore ? 'Loading more...' : ''}
+                                    </div>
+                                )}
                             </>
                         )}
 
@@ -710,6 +1432,37 @@ function EntityList() {
                     </div>
                 </main>
             </div>
+
+            {pendingDelete && (
+                <ConfirmDialog
+                    title={`Delete ${getRecordName(pendingDelete)}?`}
+                    message={entityConfig?.deleteBehavior === 'deactivate'
+                        ? `The record is moved to Recently removed and can be restored for ${entityConfig.restoreWindowDays} days.`
+                        : 'This permanently deletes the record. This cannot be undone.'}
+                    onConfirm={handleDeleteConfirmed}
+                    onCancel={() => setPendingDelete(null)}
+                />
+            )}
+
+            {pendingBulkDelete && (
+                <ConfirmDialog
+                    title={`Delete ${getSelectedEntities().length} selected records?`}
+                    message={entityConfig?.deleteBehavior === 'deactivate'
+                        ? `The records are moved to Recently removed and can be restored for ${entityConfig.restoreWindowDays} days.`
+                        : 'This permanently deletes every selected record. This cannot be undone.'}
+                    confirmLabel="Delete all"
+                    onConfirm={handleBulkDeleteConfirmed}
+                    onCancel={() => setPendingBulkDelete(false)}
+                />
+            )}
+            {removedRecord && (
+                <UndoToast
+                    message={`${removedRecord.name} removed`}
+                    onUndo={handleUndoDelete}
+                    onDismiss={() => setRemovedRecord(null)}
+                    undoing={undoing}
+                />
+            )}
         </div>
     )
 }
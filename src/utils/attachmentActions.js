@@ -0,0 +1,172 @@
+/**
+ * Record attachment helpers for the Attachments tab
+ * Files are stored as notes on the record - the backend checks ownership, file type and size again
+ */
+
+// Keep in sync with functions/attachment-utils.js
+export const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024
+
+export const ATTACHMENT_EXTENSION_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    csv: 'text/csv',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+}
+
+const buildAttachmentUrl = (params) =>
+    `/.netlify/functions/generic-entity?${new URLSearchParams(params).toString()}`
+
+const readError = async (response, fallback) => {
+    const errorData = await response.json().catch(() => ({}))
+    return new Error(errorData.error || `${fallback}: ${response.status}`)
+}
+
+/**
+ * Helper to pick the MIME type from the file extension
+ * Browsers report an empty or OS-specific type for some files (e.g. CSV on Windows)
+ */
+export const getAttachmentMimeType = (fileName) => {
+    const extension = String(fileName || '').split('.').pop().toLowerCase()
+    return ATTACHMENT_EXTENSION_TYPES[extension] || null
+}
+
+/**
+ * Check a file before upload - returns an error message or null
+ */
+export const checkAttachmentFile = (file) => {
+    if (!getAttachmentMimeType(file.name)) {
+        return `${file.name}: file type is not allowed`
+    }
+    if (file.size === 0) {
+        return `${file.name}: file is empty`
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        return `${file.name}: file exceeds maximum size of ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`
+    }
+    return null
+}
+
+/**
+ * Format a byte count for display
+ */
+export const formatFileSize = (bytes) => {
+    if (!bytes && bytes !== 0) return ''
+    if (bytes < 1024) return `${bytes} B`
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    // Result is a data URL - keep only the base64 payload
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '')
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`))
+    reader.readAsDataURL(file)
+})
+
+/**
+ * List the files attached to a record, newest first
+ */
+export const listAttachments = async ({ token, entityName, entityId, contactGuid }) => {
+    const response = await fetch(buildAttachmentUrl({ entity: entityName, id: entityId, mode: 'attachments', contactGuid }), {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    })
+
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load attachments')
+    }
+
+    const data = await response.json()
+    return data.attachments || []
+}
+
+/**
+ * Upload one file to a record
+ * Resolves with the created attachment
+ */
+export const uploadAttachment = async ({ token, entityName, entityId, contactGuid, file }) => {
+    const content = await readFileAsBase64(file)
+
+    const response = await fetch(buildAttachmentUrl({ entity: entityName, id: entityId, action: 'attachment' }), {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            contactGuid,
+            fileName: file.name,
+            mimeType: getAttachmentMimeType(file.name),
+            content
+        })
+    })
+
+    if (!response.ok) {
+        throw await readError(response, 'Upload failed')
+    }
+
+    const data = await response.json()
+    return data.attachment
+}
+
+/**
+ * Fetch an attachment's file as a Blob (used for previews and downloads)
+ */
+export const fetchAttachmentBlob = async ({ token, entityName, entityId, contactGuid, attachmentId }) => {
+    const response = await fetch(buildAttachmentUrl({ entity: entityName, id: entityId, mode: 'attachment', attachmentId, contactGuid }), {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    })
+
+    if (!response.ok) {
+        throw await readError(response, 'Download failed')
+    }
+
+    return response.blob()
+}
+
+/**
+ * Save an attachment to the user's device
+ */
+export const downloadAttachment = async ({ attachment, ...options }) => {
+    const blob = await fetchAttachmentBlob({ ...options, attachmentId: attachment.id })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = attachment.fileName || 'attachment'
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    // Let the browser start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Delete an attachment from a record
+ */
+export const deleteAttachment = async ({ token, entityName, entityId, contactGuid, attachmentId }) => {
+    const response = await fetch(buildAttachmentUrl({ entity: entityName, id: entityId, attachmentId }), {
+        method: 'DELETE',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ contactGuid })
+    })
+
+    if (!response.ok) {
+        throw await readError(response, 'Delete failed')
+    }
+
+    return response.json()
+}
@@ -0,0 +1,49 @@
+/**
+ * Timeline comment helpers
+ * The backend scopes comments to records the user can see and cleans every body with the editor's allow-list
+ */
+
+const buildCommentUrl = (params) =>
+    `/.netlify/functions/generic-entity?${new URLSearchParams(params).toString()}`
+
+/**
+ * List the comments on a record, newest first
+ */
+export const listComments = async ({ token, entityName, entityId, contactGuid, viewMode = 'personal' }) => {
+    const response = await fetch(buildCommentUrl({ entity: entityName, id: entityId, mode: 'comments', contactGuid, viewMode }), {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    })
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Failed to load comments: ${response.status}`)
+    }
+
+    const data = await response.json()
+    return data.comments || []
+}
+
+/**
+ * Post a comment - format is 'plain' or 'html'
+ * Resolves with the created comment
+ */
+export const postComment = async ({ token, entityName, entityId, contactGuid, viewMode = 'personal', text, format }) => {
+    const response = await fetch(buildCommentUrl({ entity: entityName, id: entityId, action: 'comment', viewMode }), {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ contactGuid, text, format })
+    })
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Failed to post comment: ${response.status}`)
+    }
+
+    const data = await response.json()
+    return data.comment
+}
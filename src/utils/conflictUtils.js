@@ -0,0 +1,79 @@
+/**
+ * Update conflict helpers for the edit form
+ * Compare the record as it was loaded, the record now on the server and the user's edits
+ */
+
+import { formatOptionSetValue } from './optionSetUtils.js'
+import { isValueChanged } from './formDiffUtils.js'
+
+const FORMATTED_VALUE_SUFFIX = '@OData.Community.Display.V1.FormattedValue'
+
+/**
+ * Helper to get the data key a form field is stored under (lookups use _field_value)
+ */
+export const getFieldDataKey = (field) => {
+    const fieldName = field.datafieldname
+    if (field.controlType === 'lookup' && !fieldName.startsWith('_')) {
+        return `_${fieldName}_value`
+    }
+    return fieldName
+}
+
+/**
+ * Helper to format a record value for the conflict dialog
+ */
+export const formatConflictValue = (record, key, field) => {
+    const value = record?.[key]
+    if (value === null || value === undefined || value === '') return ''
+
+    const formattedValue = record[`${key}${FORMATTED_VALUE_SUFFIX}`]
+    if (formattedValue && field.controlType !== 'multitext') return formattedValue
+
+    switch (field.controlType) {
+        case 'boolean':
+            return value === true || value === 'true' ? 'Yes' : 'No'
+        case 'optionset':
+        case 'multiselectoptionset':
+            return formatOptionSetValue(value, field.options)
+        default:
+            // Rich text is compared as HTML but shown as plain text
+            return String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+    }
+}
+
+/**
+ * List the form fields that changed on the server since the record was loaded
+ * Each entry says whether the user also changed the field locally
+ */
+export const getConflictFields = (fields, loadedRecord, serverRecord, currentData) => {
+    return fields
+        .filter(field => field.datafieldname)
+        .map(field => ({ field, key: getFieldDataKey(field) }))
+        .filter(({ key }) => isValueChanged(loadedRecord?.[key], serverRecord?.[key]))
+        .map(({ field, key }) => ({
+            key,
+            label: typeof field.displayName === 'string' ? field.displayName : field.datafieldname,
+            serverDisplay: formatConflictValue(serverRecord, key, field),
+            yourDisplay: formatConflictValue(currentData, key, field),
+            changedByYou: isValueChanged(loadedRecord?.[key], currentData?.[key])
+        }))
+}
+
+/**
+ * Build the data to save after a conflict
+ * choices maps field keys to 'server' or 'mine' - fields without a choice keep the user's value
+ */
+export const resolveConflict = (currentData, serverRecord, conflictFields, choices = {}) => {
+    const resolved = { ...currentData }
+
+    conflictFields.forEach(({ key }) => {
+        if (choices[key] !== 'server') return
+
+        resolved[key] = serverRecord[key] ?? null
+        resolved[`${key}${FORMATTED_VALUE_SUFFIX}`] = serverRecord[`${key}${FORMATTED_VALUE_SUFFIX}`]
+    })
+
+    // Save against the server version the user has now reviewed
+    resolved['@odata.etag'] = serverRecord['@odata.etag']
+    return resolved
+}
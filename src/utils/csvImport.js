@@ -0,0 +1,216 @@
+/**
+ * CSV import helpers for the import page
+ * Parse the file, map CSV columns to form fields and convert cell text to field values.
+ * The backend validates every row again (field security, attribute metadata) before creating it.
+ */
+
+// Form fields that are never imported - ownership is set by the backend
+const NON_IMPORTABLE_CONTROL_TYPES = ['lookup', 'subgrid']
+const SYSTEM_FIELDS = ['createdon', 'modifiedon', 'createdby', 'modifiedby', 'ownerid', 'statecode', 'statuscode', 'versionnumber']
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1']
+const FALSE_VALUES = ['false', 'no', 'n', '0']
+
+/**
+ * Parse CSV text into a header row and data rows (RFC 4180 quoting, comma or semicolon separated)
+ * Throws when a quoted field is never closed - the rest of the file would otherwise end up in one cell
+ */
+export const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '')
+    const firstLine = source.split(/\r?\n/, 1)[0] || ''
+    // Excel in many European locales saves CSV with semicolons
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+
+    const rows = []
+    let row = []
+    let cell = ''
+    let inQuotes = false
+    let line = 1
+    let quoteLine = 0
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index]
+
+        if (char === '\n') line++
+
+        if (inQuotes) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"'
+                index++
+            } else if (char === '"') {
+                inQuotes = false
+            } else {
+                cell += char
+            }
+        } else if (char === '"') {
+            inQuotes = true
+            quoteLine = line
+        } else if (char === separator) {
+            row.push(cell)
+            cell = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') index++
+            row.push(cell)
+            rows.push(row)
+            row = []
+            cell = ''
+        } else {
+            cell += char
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error(`Line ${quoteLine} has a quoted value that is never closed. Check the file for a missing quote (").`)
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell)
+        rows.push(row)
+    }
+
+    // Skip blank lines
+    const nonEmptyRows = rows.filter(cells => cells.some(value => value.trim() !== ''))
+    const [headers = [], ...records] = nonEmptyRows
+    return { headers: headers.map(header => header.trim()), records }
+}
+
+/**
+ * Helper to collect the field controls from form metadata tabs/sections/rows/cells
+ */
+const extractFormFields = (formMetadata) => {
+    const fields = []
+    formMetadata?.structure?.tabs?.forEach(tab => {
+        tab.sections?.forEach(section => {
+            section.rows?.forEach(row => {
+                row.cells?.forEach(cell => {
+                    cell.controls?.forEach(control => {
+                        if (control.type === 'control' && control.datafieldname) {
+                            fields.push(control)
+                        }
+                    })
+                })
+            })
+        })
+    })
+    return fields
+}
+
+/**
+ * List the form fields a CSV column can be mapped to
+ */
+export const getImportableFields = (formMetadata, entityConfig) => {
+    const ownershipFields = [entityConfig?.contactRelationField, entityConfig?.accountRelationField].filter(Boolean)
+
+    return extractFormFields(formMetadata).filter(field =>
+        !NON_IMPORTABLE_CONTROL_TYPES.includes(field.controlType) &&
+        !field.disabled &&
+        field.validForCreate !== false &&
+        !field.datafieldname.startsWith('_') &&
+        !SYSTEM_FIELDS.includes(field.datafieldname) &&
+        !ownershipFields.includes(field.datafieldname)
+    )
+}
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Suggest a mapping from CSV column index to field name by matching labels and logical names
+ */
+export const guessMapping = (headers, fields) => {
+    const mapping = {}
+    const used = new Set()
+
+    headers.forEach((header, index) => {
+        const normalized = normalizeName(header)
+        const match = fields.find(field =>
+            !used.has(field.datafieldname) &&
+            (normalizeName(field.displayName) === normalized ||
+                normalizeName(field.datafieldname) === normalized ||
+                normalizeName(field.datafieldname.replace(/^[a-z]+_/, '')) === normalized)
+        )
+        if (match) {
+            mapping[index] = match.datafieldname
+            used.add(match.datafieldname)
+        }
+    })
+
+    return mapping
+}
+
+const findOption = (field, text) => {
+    const normalized = text.trim().toLowerCase()
+    return field.options?.find(option =>
+        String(option.value) === normalized || String(option.label).toLowerCase() === normalized
+    )
+}
+
+/**
+ * Convert one CSV cell to a field value
+ * Returns { value } or { error } - empty cells become null
+ */
+export const convertImportValue = (field, raw) => {
+    const text = String(raw ?? '').trim()
+    if (text === '') return { value: null }
+
+    switch (field.controlType) {
+        case 'boolean': {
+            const normalized = text.toLowerCase()
+            if (TRUE_VALUES.includes(normalized)) return { value: true }
+            if (FALSE_VALUES.includes(normalized)) return { value: false }
+            return { error: `"${text}" is not Yes or No` }
+        }
+        case 'decimal':
+        case 'number':
+        case 'money': {
+            // Accept a decimal comma and thousands separators
+            const number = Number(text.replace(/\s/g, '').replace(/,(?=\d{1,2}$)/, '.').replace(/,/g, ''))
+            return Number.isFinite(number) ? { value: number } : { error: `"${text}" is not a number` }
+        }
+        case 'datetime':
+        case 'date': {
+            const date = new Date(text)
+            return isNaN(date.getTime()) ? { error: `"${text}" is not a valid date` } : { value: date.toISOString() }
+        }
+        case 'optionset': {
+            const option = findOption(field, text)
+            return option ? { value: option.value } : { error: `"${text}" is not a valid option` }
+        }
+        case 'multiselectoptionset': {
+            const parts = text.split(/[;,]/).map(part => part.trim()).filter(Boolean)
+            const options = parts.map(part => findOption(field, part))
+            if (options.some(option => !option)) {
+                return { error: `"${text}" contains an unknown option` }
+            }
+            return { value: options.map(option => option.value).join(',') }
+        }
+        default:
+            return { value: text }
+    }
+}
+
+/**
+ * Turn CSV records into import rows using a column index -> field name mapping
+ * Each row keeps its 1-based data row number and any conversion errors
+ */
+export const buildImportRows = (records, mapping, fields) => {
+    const fieldsByName = new Map(fields.map(field => [field.datafieldname, field]))
+    const mappedColumns = Object.entries(mapping)
+        .filter(([, fieldName]) => fieldsByName.has(fieldName))
+        .map(([index, fieldName]) => ({ index: Number(index), field: fieldsByName.get(fieldName) }))
+
+    return records.map((cells, recordIndex) => {
+        const data = {}
+        const errors = []
+
+        mappedColumns.forEach(({ index, field }) => {
+            const { value, error } = convertImportValue(field, cells[index])
+            if (error) {
+                errors.push(`${field.displayName || field.datafieldname}: ${error}`)
+            } else if (value !== null) {
+                data[field.datafieldname] = value
+            }
+        })
+
+        return { row: recordIndex + 1, data, errors }
+    })
+}
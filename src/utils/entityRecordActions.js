@@ -0,0 +1,81 @@
+/**
+ * Record actions shared by the list, the edit page and the recently removed panel
+ * All calls go through generic-entity, which verifies ownership and the entity configuration
+ */
+
+const sendRecordAction = async ({ token, entityName, entityId, contactGuid, etag, method, action }) => {
+    const params = new URLSearchParams({ entity: entityName, id: entityId })
+    if (action) {
+        params.append('action', action)
+    }
+
+    const response = await fetch(`/.netlify/functions/generic-entity?${params.toString()}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(etag ? { contactGuid, '@odata.etag': etag } : { contactGuid })
+    })
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Request failed: ${response.status}`)
+    }
+
+    return response.json()
+}
+
+/**
+ * Delete (or deactivate, for soft delete entities) a record
+ * Pass the record's etag to refuse the delete (412) when someone changed it since it was loaded
+ * Resolves with the backend result - mode is 'deactivate' when the record can be restored
+ */
+export const deleteEntityRecord = (options) => sendRecordAction({ ...options, method: 'DELETE' })
+
+/**
+ * Restore a deactivated record
+ */
+export const restoreEntityRecord = (options) => sendRecordAction({ ...options, method: 'POST', action: 'restore' })
+
+/**
+ * Run many creates, updates and deletes as one all-or-nothing batch
+ * operations: [{ operation: 'create' | 'update' | 'delete', id, data }]
+ * Resolves with { results, succeeded } - on failure the Error carries the per-item results
+ */
+export const runBatchOperations = async ({ token, entityName, contactGuid, operations }) => {
+    const params = new URLSearchParams({ entity: entityName, action: 'batch' })
+
+    const response = await fetch(`/.netlify/functions/generic-entity?${params.toString()}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ contactGuid, operations })
+    })
+
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+        const error = new Error(data.error || `Batch request failed: ${response.status}`)
+        error.results = data.results || []
+        throw error
+    }
+
+    return data
+}
+
+/**
+ * Helper to check whether the current user may delete a record
+ * Mirrors handleDeleteRequest: delete must be enabled and contact-owned records must be the user's own
+ */
+export const canDeleteRecord = (entityConfig, record, contactGuid) => {
+    if (!entityConfig?.allowDelete || !record) return false
+
+    const contactField = entityConfig.contactRelationField || entityConfig.cp_contactrelationfield
+    if (!contactField) return true
+
+    const ownerId = record[`_${contactField}_value`]
+    return !!ownerId && !!contactGuid && ownerId.toLowerCase() === contactGuid.toLowerCase()
+}
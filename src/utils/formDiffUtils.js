@@ -0,0 +1,38 @@
+/**
+ * Dirty-field helpers for the edit form
+ * Compare form values with the record as it was loaded so updates only send what changed
+ */
+
+const normalizeValue = (value) => {
+    if (Array.isArray(value)) {
+        // Multi-select choices - the order options were picked in is not a change
+        value = [...value].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true })).join(',')
+    }
+    if (value === null || value === undefined || value === '') return null
+    return value
+}
+
+/**
+ * Helper to check whether a form value differs from the loaded value
+ * Empty values (including an empty multi-select) are equal, numbers typed into inputs compare
+ * numerically ("1.50" vs 1.5) and multi-select arrays compare regardless of order
+ */
+export const isValueChanged = (originalValue, currentValue) => {
+    const original = normalizeValue(originalValue)
+    const current = normalizeValue(currentValue)
+
+    if (original === null || current === null) return original !== current
+
+    if (typeof original === 'number' || typeof current === 'number') {
+        return Number(original) !== Number(current)
+    }
+
+    return String(original) !== String(current)
+}
+
+/**
+ * Helper to list the keys whose values differ from the loaded record
+ */
+export const getChangedFieldNames = (originalRecord, currentData) => {
+    return Object.keys(currentData || {}).filter(key => isValueChanged(originalRecord?.[key], currentData[key]))
+}
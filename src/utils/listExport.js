@@ -0,0 +1,64 @@
+/**
+ * List export helpers
+ * The backend pages through every record matching the list query and returns a CSV or XLSX file
+ */
+
+export const EXPORT_FORMAT_LABELS = {
+    csv: 'CSV',
+    xlsx: 'Excel (.xlsx)'
+}
+
+/**
+ * Helper to read the file name from a Content-Disposition header
+ */
+const getDownloadFileName = (response, fallback) => {
+    const match = /filename="?([^";]+)"?/i.exec(response.headers.get('Content-Disposition') || '')
+    return match ? match[1] : fallback
+}
+
+/**
+ * Download the export for the current list query
+ * query holds the list's viewMode, search, filters, sortBy and sortDir
+ */
+export const downloadListExport = async ({ token, entityName, contactGuid, format, query = {} }) => {
+    const params = new URLSearchParams({
+        entity: entityName,
+        mode: 'export',
+        format,
+        contactGuid,
+        viewMode: query.viewMode || 'personal'
+    })
+
+    if (query.search) {
+        params.append('search', query.search)
+    }
+    if (query.filters?.length > 0) {
+        params.append('filters', JSON.stringify(query.filters))
+    }
+    if (query.sortBy) {
+        params.append('sortBy', query.sortBy)
+        params.append('sortDir', query.sortDir || 'asc')
+    }
+
+    const response = await fetch(`/.netlify/functions/generic-entity?${params.toString()}`, {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    })
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Export failed: ${response.status}`)
+    }
+
+    const blob = await response.blob()
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = getDownloadFileName(response, `${entityName}.${format}`)
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    // Let the browser start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,29 @@
+/**
+ * Choice (option set) helpers shared by forms, lists and subgrids
+ * Options come from form/view metadata: [{ value, label }]
+ */
+
+/**
+ * Helper to parse a multi-select choice value ("1,3" or [1, 3]) into option values
+ */
+export const parseMultiSelectValue = (value) => {
+    if (value === null || value === undefined || value === '') return []
+    const values = Array.isArray(value) ? value : String(value).split(',')
+    return values.map(option => parseInt(option, 10)).filter(option => !isNaN(option))
+}
+
+/**
+ * Helper to format a choice value as its label(s)
+ * Falls back to the raw value when the option is unknown
+ */
+export const formatOptionSetValue = (value, options = []) => {
+    if (value === null || value === undefined || value === '') return ''
+    
+    const labelFor = (optionValue) => {
+        const option = (options || []).find(entry => entry.value === optionValue)
+        return option ? option.label : String(optionValue)
+    }
+    
+    const values = parseMultiSelectValue(value)
+    return values.length > 0 ? values.map(labelFor).join(', ') : String(value)
+}
@@ -0,0 +1,66 @@
+/**
+ * N:N relationship helpers for subgrids
+ * The backend resolves the relationship from Dataverse metadata and checks the user owns the parent record
+ */
+
+const buildUrl = (params) =>
+    `/.netlify/functions/generic-entity?${new URLSearchParams(params).toString()}`
+
+/**
+ * Search records of an entity by primary name (scoped to what the user may see)
+ * Resolves with [{ id, name }]
+ */
+export const searchEntityRecords = async ({ token, entityName, contactGuid, search = '' }) => {
+    const params = { entity: entityName, mode: 'search', contactGuid, top: '25' }
+    if (search.trim()) {
+        params.search = search.trim()
+    }
+
+    const response = await fetch(buildUrl(params), {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    })
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Search failed: ${response.status}`)
+    }
+
+    const data = await response.json()
+    return data.results || []
+}
+
+const sendAssociation = async ({ token, contactGuid, subgrid, parentEntityId, ids, action }) => {
+    const response = await fetch(buildUrl({ entity: subgrid.targetEntity, action }), {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            contactGuid,
+            parentEntity: subgrid.parentEntity,
+            parentId: parentEntityId,
+            relationshipName: subgrid.relationshipName,
+            ids
+        })
+    })
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Request failed: ${response.status}`)
+    }
+
+    return response.json()
+}
+
+/**
+ * Link existing records to the parent record of an N:N subgrid
+ */
+export const associateRecords = (options) => sendAssociation({ ...options, action: 'associate' })
+
+/**
+ * Unlink records from the parent record of an N:N subgrid (the records themselves are kept)
+ */
+export const disassociateRecords = (options) => sendAssociation({ ...options, action: 'disassociate' })
@@ -0,0 +1,66 @@
+/**
+ * Tests for functions/attachment-utils.js
+ * Content is base64 encoded, the same way the Attachments tab uploads it
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateAttachment, sanitizeFileName, isInlineMimeType, MAX_ATTACHMENT_BYTES } from '../functions/attachment-utils.js'
+
+const PNG_CONTENT = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00]).toString('base64')
+const PDF_CONTENT = Buffer.from('%PDF-1.7\n%test').toString('base64')
+const TEXT_CONTENT = Buffer.from('Meeting notes').toString('base64')
+
+describe('sanitizeFileName', () => {
+    test('strips directories and unsafe characters', () => {
+        assert.equal(sanitizeFileName('C:\\Users\\jane\\report<1>.pdf'), 'report1.pdf')
+        assert.equal(sanitizeFileName('../../etc/passwd'), 'passwd')
+        assert.equal(sanitizeFileName('  quarterly   plan.docx '), 'quarterly plan.docx')
+    })
+})
+
+describe('validateAttachment', () => {
+    test('accepts allow-listed files whose content matches the type', () => {
+        const result = validateAttachment({ fileName: 'photo.PNG', mimeType: 'image/png', content: PNG_CONTENT })
+
+        assert.equal(result.valid, true)
+        assert.equal(result.fileName, 'photo.PNG')
+        assert.equal(result.size, 9)
+        assert.equal(validateAttachment({ fileName: 'notes.txt', mimeType: 'text/plain', content: TEXT_CONTENT }).valid, true)
+    })
+
+    test('rejects types outside the allow-list', () => {
+        const result = validateAttachment({ fileName: 'setup.exe', mimeType: 'application/x-msdownload', content: TEXT_CONTENT })
+
+        assert.equal(result.valid, false)
+        assert.match(result.message, /^Attachment validation failed: file type application\/x-msdownload is not allowed/)
+    })
+
+    test('rejects an extension that does not match the MIME type', () => {
+        const result = validateAttachment({ fileName: 'report.html', mimeType: 'application/pdf', content: PDF_CONTENT })
+        assert.equal(result.valid, false)
+        assert.match(result.message, /\.html does not match/)
+    })
+
+    test('rejects content that does not start with the file signature', () => {
+        const result = validateAttachment({ fileName: 'report.pdf', mimeType: 'application/pdf', content: TEXT_CONTENT })
+        assert.equal(result.valid, false)
+        assert.match(result.message, /not a valid pdf file/)
+    })
+
+    test('rejects empty, oversized and non-base64 content', () => {
+        const oversized = Buffer.alloc(MAX_ATTACHMENT_BYTES + 1, 0x61).toString('base64')
+
+        assert.match(validateAttachment({ fileName: 'a.txt', mimeType: 'text/plain', content: '' }).message, /base64/)
+        assert.match(validateAttachment({ fileName: 'a.txt', mimeType: 'text/plain', content: 'not base64!' }).message, /base64/)
+        assert.match(validateAttachment({ fileName: 'a.txt', mimeType: 'text/plain', content: oversized }).message, /exceeds maximum size/)
+    })
+})
+
+describe('isInlineMimeType', () => {
+    test('previews images and PDFs only', () => {
+        assert.equal(isInlineMimeType('image/webp'), true)
+        assert.equal(isInlineMimeType('application/pdf'), true)
+        assert.equal(isInlineMimeType('text/csv'), false)
+    })
+})
@@ -0,0 +1,244 @@
+/**
+ * Tests for functions/attribute-catalog.js
+ * Attribute definitions mirror the shape returned by EntityDefinitions?$expand=Attributes
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    buildAttributeCatalog,
+    buildOptionList,
+    getCatalogOptionSets,
+    getFieldTypeForAttribute,
+    getCatalogAttribute,
+    getControlTypeForAttribute,
+    getColumnTypeForAttribute,
+    validateDataAgainstCatalog
+} from '../functions/attribute-catalog.js'
+
+const label = (text) => ({ UserLocalizedLabel: { Label: text, LanguageCode: 1033 } })
+
+const ideaDefinition = {
+    LogicalName: 'cp_idea',
+    EntitySetName: 'cp_ideas',
+    PrimaryIdAttribute: 'cp_ideaid',
+    PrimaryNameAttribute: 'cp_name',
+    Attributes: [
+        { LogicalName: 'cp_ideaid', AttributeType: 'Uniqueidentifier', IsValidForCreate: true, IsValidForUpdate: false, RequiredLevel: { Value: 'SystemRequired' } },
+        { LogicalName: 'cp_name', AttributeType: 'String', FormatName: { Value: 'Text' }, MaxLength: 10, DisplayName: label('Title'), RequiredLevel: { Value: 'ApplicationRequired' }, IsPrimaryName: true },
+        { LogicalName: 'cp_description', AttributeType: 'Memo', Format: 'RichText', MaxLength: 2000, DisplayName: label('Description') },
+        { LogicalName: 'cp_email', AttributeType: 'String', FormatName: { Value: 'Email' }, MaxLength: 100 },
+        { LogicalName: 'cp_score', AttributeType: 'Integer', MinValue: 0, MaxValue: 100 },
+        { LogicalName: 'cp_budget', AttributeType: 'Money', Precision: 2, MinValue: 0, MaxValue: 1000000 },
+        { LogicalName: 'cp_category', AttributeType: 'Picklist', AttributeTypeName: { Value: 'PicklistType' } },
+        { LogicalName: 'cp_tags', AttributeType: 'Virtual', AttributeTypeName: { Value: 'MultiSelectPicklistType' } },
+        { LogicalName: 'cp_submittedon', AttributeType: 'DateTime', Format: 'DateOnly' },
+        { LogicalName: 'cp_approved', AttributeType: 'Boolean' },
+        { LogicalName: 'cp_contact', AttributeType: 'Lookup', Targets: ['contact'], RequiredLevel: { Value: 'ApplicationRequired' } },
+        { LogicalName: 'cp_contactname', AttributeType: 'String', AttributeOf: 'cp_contact' },
+        { LogicalName: 'cp_reference', AttributeType: 'String', MaxLength: 20, IsValidForUpdate: false }
+    ],
+    ManyToOneRelationships: [
+        { ReferencingAttribute: 'cp_contact', ReferencedEntity: 'contact', ReferencingEntityNavigationPropertyName: 'cp_Contact' }
+    ]
+}
+
+describe('buildAttributeCatalog', () => {
+    const catalog = buildAttributeCatalog(ideaDefinition)
+
+    test('reads entity level metadata', () => {
+        assert.equal(catalog.entityLogicalName, 'cp_idea')
+        assert.equal(catalog.entitySetName, 'cp_ideas')
+        assert.equal(catalog.primaryNameAttribute, 'cp_name')
+        assert.deepEqual(catalog.navigationProperties, { cp_contact: 'cp_Contact' })
+    })
+
+    test('normalizes attribute metadata', () => {
+        assert.deepEqual(
+            { ...catalog.attributes.cp_name },
+            {
+                logicalName: 'cp_name',
+                schemaName: null,
+                displayName: 'Title',
+                type: 'text',
+                attributeType: 'String',
+                format: 'Text',
+                maxLength: 10,
+                precision: null,
+                minValue: null,
+                maxValue: null,
+                requiredLevel: 'ApplicationRequired',
+                isValidForCreate: true,
+                isValidForUpdate: true,
+                isValidForRead: true,
+                targets: null,
+                isPrimaryName: true,
+                attributeOf: null,
+                options: null
+            }
+        )
+        assert.equal(catalog.attributes.cp_budget.precision, 2)
+        assert.equal(catalog.attributes.cp_reference.isValidForUpdate, false)
+    })
+
+    test('skips lookup name companions', () => {
+        assert.equal(catalog.attributes.cp_contactname, undefined)
+    })
+})
+
+describe('getFieldTypeForAttribute', () => {
+    test('maps attribute types and formats', () => {
+        const types = Object.fromEntries(
+            ideaDefinition.Attributes.map(attribute => [attribute.LogicalName, getFieldTypeForAttribute(attribute)])
+        )
+
+        assert.equal(types.cp_ideaid, 'uniqueidentifier')
+        assert.equal(types.cp_name, 'text')
+        assert.equal(types.cp_description, 'richtext')
+        assert.equal(types.cp_email, 'email')
+        assert.equal(types.cp_score, 'integer')
+        assert.equal(types.cp_budget, 'money')
+        assert.equal(types.cp_category, 'optionset')
+        assert.equal(types.cp_tags, 'multiselectoptionset')
+        assert.equal(types.cp_submittedon, 'date')
+        assert.equal(types.cp_approved, 'boolean')
+        assert.equal(types.cp_contact, 'lookup')
+    })
+
+    test('maps customer and owner lookups and unknown types', () => {
+        assert.equal(getFieldTypeForAttribute({ AttributeType: 'Customer' }), 'lookup')
+        assert.equal(getFieldTypeForAttribute({ AttributeType: 'Owner' }), 'lookup')
+        assert.equal(getFieldTypeForAttribute({ AttributeType: 'PartyList' }), 'unsupported')
+    })
+})
+
+describe('catalog lookups', () => {
+    const catalog = buildAttributeCatalog(ideaDefinition)
+
+    test('resolves _field_value and mixed case names', () => {
+        assert.equal(getCatalogAttribute(catalog, '_cp_contact_value').logicalName, 'cp_contact')
+        assert.equal(getCatalogAttribute(catalog, 'CP_Name').logicalName, 'cp_name')
+        assert.equal(getCatalogAttribute(catalog, 'cp_missing'), null)
+        assert.equal(getCatalogAttribute(null, 'cp_name'), null)
+    })
+
+    test('maps catalog types to control and column types', () => {
+        assert.equal(getControlTypeForAttribute(catalog.attributes.cp_score), 'decimal')
+        assert.equal(getControlTypeForAttribute(catalog.attributes.cp_submittedon), 'datetime')
+        assert.equal(getControlTypeForAttribute(catalog.attributes.cp_ideaid), null)
+        assert.equal(getColumnTypeForAttribute(catalog.attributes.cp_score), 'number')
+        assert.equal(getColumnTypeForAttribute(catalog.attributes.cp_description), 'text')
+        assert.equal(getColumnTypeForAttribute(null), null)
+    })
+})
+
+describe('buildOptionList', () => {
+    test('keeps option order, localized labels and status states', () => {
+        const options = buildOptionList({
+            Options: [
+                {
+                    Value: 1,
+                    State: 0,
+                    Color: '#0000ff',
+                    Label: {
+                        LocalizedLabels: [{ Label: 'Active', LanguageCode: 1033 }, { Label: 'Aktiv', LanguageCode: 1044 }],
+                        UserLocalizedLabel: { Label: 'Aktiv', LanguageCode: 1044 }
+                    }
+                },
+                { Value: 2, Label: { LocalizedLabels: [{ Label: 'Inactive', LanguageCode: 1033 }] } },
+                { Value: 3, Label: { LocalizedLabels: [] } }
+            ]
+        })
+
+        assert.deepEqual(options, [
+            { value: 1, label: 'Aktiv', labels: { 1033: 'Active', 1044: 'Aktiv' }, color: '#0000ff', state: 0 },
+            { value: 2, label: 'Inactive', labels: { 1033: 'Inactive' }, color: null },
+            { value: 3, label: '3', labels: {}, color: null }
+        ])
+        assert.deepEqual(buildOptionList(null), [])
+    })
+
+    test('collects option sets from the catalog', () => {
+        const catalog = buildAttributeCatalog(ideaDefinition)
+        catalog.attributes.cp_category.options = [{ value: 100000000, label: 'Product', labels: {}, color: null }]
+
+        assert.deepEqual(Object.keys(getCatalogOptionSets(catalog)), ['cp_category'])
+        assert.deepEqual(getCatalogOptionSets(null), {})
+    })
+})
+
+describe('validateDataAgainstCatalog', () => {
+    const catalog = buildAttributeCatalog(ideaDefinition)
+
+    test('accepts valid data and skips validation without a catalog', () => {
+        const data = {
+            cp_name: 'Idea',
+            cp_score: 42,
+            cp_budget: '1500.50',
+            cp_category: 100000001,
+            cp_tags: '100000000,100000002',
+            cp_submittedon: '2024-05-01',
+            cp_approved: false,
+            _cp_contact_value: '0b6f9a2e-1c3d-4e5f-8a7b-9c0d1e2f3a4b',
+            'cp_Contact@odata.bind': '/contacts(0b6f9a2e-1c3d-4e5f-8a7b-9c0d1e2f3a4b)',
+            contactGuid: '0b6f9a2e-1c3d-4e5f-8a7b-9c0d1e2f3a4b'
+        }
+
+        assert.deepEqual(validateDataAgainstCatalog(data, catalog, 'create'), { valid: true, errors: [] })
+        assert.deepEqual(validateDataAgainstCatalog({ cp_score: 'abc' }, null, 'create'), { valid: true, errors: [] })
+    })
+
+    test('rejects values that break attribute limits', () => {
+        const result = validateDataAgainstCatalog({
+            cp_name: 'A much too long title',
+            cp_score: 4.5,
+            cp_budget: -1,
+            cp_approved: 'yes',
+            cp_submittedon: 'not a date',
+            _cp_contact_value: 'not-a-guid'
+        }, catalog, 'update')
+
+        assert.equal(result.valid, false)
+        assert.deepEqual(result.errors, [
+            'cp_name exceeds maximum length of 10',
+            'cp_score must be a whole number',
+            'cp_budget must be at least 0',
+            'cp_approved must be true or false',
+            'cp_submittedon must be a valid date',
+            'cp_contact must be a valid record reference'
+        ])
+    })
+
+    test('checks choice values against known options', () => {
+        const withOptions = buildAttributeCatalog(ideaDefinition)
+        const options = [100000000, 100000001].map(value => ({ value, label: String(value), labels: {}, color: null }))
+        withOptions.attributes.cp_category.options = options
+        withOptions.attributes.cp_tags.options = options
+
+        assert.equal(validateDataAgainstCatalog({ cp_category: 100000001, cp_tags: '100000000,100000001' }, withOptions, 'update').valid, true)
+        assert.deepEqual(validateDataAgainstCatalog({ cp_category: 5, cp_tags: [100000000, 7] }, withOptions, 'update').errors, [
+            'cp_category must be a valid option value',
+            'cp_tags must be a list of valid option values'
+        ])
+    })
+
+    test('rejects fields that are not valid for the operation', () => {
+        assert.deepEqual(validateDataAgainstCatalog({ cp_reference: 'REF-1' }, catalog, 'create').valid, true)
+        assert.deepEqual(validateDataAgainstCatalog({ cp_reference: 'REF-1' }, catalog, 'update').errors, ['cp_reference cannot be updated'])
+    })
+
+    test('enforces required form fields on create only', () => {
+        const options = { requiredFields: ['cp_name', 'cp_score'] }
+
+        assert.deepEqual(validateDataAgainstCatalog({ cp_name: '' }, catalog, 'create', options).errors, ['Title is required'])
+        assert.equal(validateDataAgainstCatalog({ cp_name: 'Idea' }, catalog, 'create', options).valid, true)
+        assert.equal(validateDataAgainstCatalog({}, catalog, 'update', options).valid, true)
+    })
+
+    test('accepts required lookups sent as _field_value', () => {
+        const options = { requiredFields: ['cp_contact'] }
+
+        assert.equal(validateDataAgainstCatalog({ _cp_contact_value: '0b6f9a2e-1c3d-4e5f-8a7b-9c0d1e2f3a4b' }, catalog, 'create', options).valid, true)
+        assert.deepEqual(validateDataAgainstCatalog({}, catalog, 'create', options).errors, ['cp_contact is required'])
+    })
+})
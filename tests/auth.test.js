@@ -0,0 +1,91 @@
+/**
+ * Tests for the auth handler against the mock Dataverse token endpoint
+ */
+
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { startHandlerHarness, invoke } from './helpers/handler-harness.js'
+
+let harness
+let handler
+let cacheDir
+
+before(async () => {
+    harness = await startHandlerHarness()
+    // Shared caches on the file backend - the token cache must not use it
+    cacheDir = await mkdtemp(join(tmpdir(), 'auth-test-cache-'))
+    Object.assign(process.env, { CACHE_BACKEND: 'file', CACHE_DIR: cacheDir })
+    handler = (await import('../functions/auth.js')).handler
+})
+
+after(async () => {
+    await harness.close()
+    await rm(cacheDir, { recursive: true, force: true })
+})
+
+// Run with a temporary environment; a new CLIENT_ID keeps the token cache separate
+async function withEnv(env, callback) {
+    const previous = { ...process.env }
+    Object.assign(process.env, env)
+    try {
+        return await callback()
+    } finally {
+        for (const key of Object.keys(env)) {
+            if (previous[key] === undefined) {
+                delete process.env[key]
+            } else {
+                process.env[key] = previous[key]
+            }
+        }
+    }
+}
+
+describe('auth handler', () => {
+    test('only accepts POST', async () => {
+        assert.equal((await invoke(handler, { method: 'GET' })).statusCode, 405)
+    })
+
+    test('issues a token and serves it from the cache until it expires', async () => {
+        await withEnv({ CLIENT_ID: 'auth-test-cache' }, async () => {
+            const first = await invoke(handler, { method: 'POST' })
+            assert.equal(first.statusCode, 200)
+            assert.equal(first.body.cached, false)
+            assert.equal(first.body.token_type, 'Bearer')
+
+            const second = await invoke(handler, { method: 'POST' })
+            assert.equal(second.body.cached, true)
+            assert.equal(second.body.access_token, first.body.access_token)
+        })
+    })
+
+    test('keeps the access token out of the shared cache backend', async () => {
+        await withEnv({ CLIENT_ID: 'auth-test-file' }, async () => {
+            const response = await invoke(handler, { method: 'POST' })
+            assert.equal(response.statusCode, 200)
+
+            const files = await readdir(cacheDir).catch(() => [])
+            for (const file of files) {
+                assert.ok(!(await readFile(join(cacheDir, file), 'utf8')).includes(response.body.access_token), file)
+            }
+        })
+    })
+
+    test('reports missing configuration without calling the token endpoint', async () => {
+        await withEnv({ CLIENT_SECRET: '' }, async () => {
+            const response = await invoke(handler, { method: 'POST' })
+            assert.equal(response.statusCode, 500)
+            assert.equal(response.body.access_token, undefined)
+        })
+    })
+
+    test('returns 401 when the token endpoint rejects the request', async () => {
+        await withEnv({ CLIENT_ID: 'auth-test-rejected', AZURE_AUTHORITY_HOST: `${harness.url}/unknown` }, async () => {
+            const response = await invoke(handler, { method: 'POST' })
+            assert.equal(response.statusCode, 401)
+            assert.equal(response.body.access_token, undefined)
+        })
+    })
+})
@@ -0,0 +1,242 @@
+/**
+ * Tests for functions/cache.js
+ * Backends are created per test; time and sleep are injected where TTLs or lock waits matter
+ */
+
+import { test, describe, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+    createCache,
+    createMemoryBackend,
+    createFileBackend,
+    createRedisBackend,
+    createBackendFromEnv
+} from '../functions/cache.js'
+
+const noSleep = () => Promise.resolve()
+
+// Minimal Redis REST server: GET, SET [NX] [PX ms], DEL
+function createFakeRedisFetch(clock) {
+    const store = new Map()
+    const fetch = async (url, options) => {
+        const [command, key, value, ...flags] = JSON.parse(options.body)
+        const item = store.get(key)
+        const live = item && (item.expiresAt === null || item.expiresAt > clock.now)
+        let result = null
+        if (command === 'GET') {
+            result = live ? item.value : null
+        } else if (command === 'SET') {
+            const pxIndex = flags.indexOf('PX')
+            const expiresAt = pxIndex >= 0 ? clock.now + Number(flags[pxIndex + 1]) : null
+            if (!(flags.includes('NX') && live)) {
+                store.set(key, { value, expiresAt })
+                result = 'OK'
+            }
+        } else if (command === 'DEL') {
+            result = store.delete(key) ? 1 : 0
+        }
+        return new Response(JSON.stringify({ result }), { status: 200 })
+    }
+    return fetch
+}
+
+describe('createCache on the memory backend', () => {
+    test('returns stored values until their TTL passes', async () => {
+        const clock = { now: 1000 }
+        const cache = createCache('test', { backend: createMemoryBackend({ now: () => clock.now }) })
+
+        await cache.set('a', { name: 'form' }, { ttlMs: 500 })
+        assert.deepEqual(await cache.get('a'), { name: 'form' })
+
+        clock.now += 501
+        assert.equal(await cache.get('a'), undefined)
+    })
+
+    test('keeps namespaces apart on a shared backend', async () => {
+        const backend = createMemoryBackend()
+        await createCache('one', { backend }).set('key', 1)
+        assert.equal(await createCache('two', { backend }).get('key'), undefined)
+    })
+
+    test('invalidates every entry written with a tag', async () => {
+        const backend = createMemoryBackend()
+        const forms = createCache('forms', { backend })
+        const views = createCache('views', { backend })
+
+        await forms.set('a', 1, { tags: ['metadata:cp_idea'] })
+        await views.set('b', 2, { tags: ['metadata', 'metadata:cp_idea'] })
+        await views.set('c', 3, { tags: ['metadata:contact'] })
+
+        await forms.invalidateTag('metadata:cp_idea')
+        assert.equal(await forms.get('a'), undefined)
+        assert.equal(await views.get('b'), undefined)
+        assert.equal(await views.get('c'), 3)
+
+        // Entries written after the invalidation are valid again
+        await forms.set('a', 4, { tags: ['metadata:cp_idea'] })
+        assert.equal(await forms.get('a'), 4)
+    })
+})
+
+describe('getOrSet', () => {
+    test('runs the loader once for concurrent callers', async () => {
+        const cache = createCache('test', { backend: createMemoryBackend() })
+        let calls = 0
+        const loader = async () => {
+            calls++
+            await new Promise(resolve => setTimeout(resolve, 10))
+            return 'value'
+        }
+
+        const results = await Promise.all([cache.getOrSet('k', loader), cache.getOrSet('k', loader), cache.getOrSet('k', loader)])
+        assert.deepEqual(results, ['value', 'value', 'value'])
+        assert.equal(calls, 1)
+        assert.equal(await cache.getOrSet('k', loader), 'value')
+        assert.equal(calls, 1)
+    })
+
+    test('does not cache null results', async () => {
+        const cache = createCache('test', { backend: createMemoryBackend() })
+        let calls = 0
+        const loader = async () => {
+            calls++
+            return null
+        }
+
+        assert.equal(await cache.getOrSet('k', loader), null)
+        assert.equal(await cache.getOrSet('k', loader), null)
+        assert.equal(calls, 2)
+    })
+
+    test('waits for the instance holding the lock instead of loading again', async () => {
+        const backend = createMemoryBackend()
+        const loading = createCache('test', { backend })
+        let finishLoad
+        const firstLoad = loading.getOrSet('k', () => new Promise(resolve => {
+            finishLoad = resolve
+        }))
+
+        // A second instance shares the backend but not the in-process pending map
+        let polls = 0
+        const waiting = createCache('test', {
+            backend,
+            sleep: async () => {
+                polls++
+                if (polls === 3) {
+                    finishLoad('from first instance')
+                    await firstLoad
+                }
+            }
+        })
+        let calls = 0
+        const value = await waiting.getOrSet('k', async () => {
+            calls++
+            return 'from second instance'
+        })
+
+        assert.equal(value, 'from first instance')
+        assert.equal(calls, 0)
+    })
+
+    test('loads after giving up on a lock that is never released', async () => {
+        const backend = createMemoryBackend()
+        await backend.add('cp:test:k:lock', { value: 1 }, 60000)
+        const cache = createCache('test', { backend, sleep: noSleep })
+
+        assert.equal(await cache.getOrSet('k', async () => 'loaded'), 'loaded')
+    })
+})
+
+describe('backend failures', () => {
+    test('behave like an empty cache', async () => {
+        const failing = async () => {
+            throw new Error('connection refused')
+        }
+        const backend = { name: 'broken', get: failing, set: failing, add: failing, delete: failing }
+        const cache = createCache('test', { backend, sleep: noSleep })
+
+        await cache.set('k', 1)
+        assert.equal(await cache.get('k'), undefined)
+        assert.equal(await cache.getOrSet('k', async () => 'loaded'), 'loaded')
+        await cache.invalidateTag('metadata')
+    })
+})
+
+describe('createFileBackend', () => {
+    let directory
+    const getDirectory = async () => {
+        directory = directory || await mkdtemp(join(tmpdir(), 'cache-test-'))
+        return directory
+    }
+    after(async () => {
+        if (directory) {
+            await rm(directory, { recursive: true, force: true })
+        }
+    })
+
+    test('shares entries and tags between caches on the same directory', async () => {
+        const dir = await getDirectory()
+        await createCache('test', { backend: createFileBackend(dir) }).set('k', { columns: ['a'] }, { tags: ['metadata'] })
+
+        // A fresh backend on the same directory - like another function or a cold start
+        const other = createCache('test', { backend: createFileBackend(dir) })
+        assert.deepEqual(await other.get('k'), { columns: ['a'] })
+
+        await other.invalidateTag('metadata')
+        assert.equal(await createCache('test', { backend: createFileBackend(dir) }).get('k'), undefined)
+    })
+
+    test('expires entries and locks', async () => {
+        const clock = { now: 1000 }
+        const backend = createFileBackend(await getDirectory(), { now: () => clock.now })
+
+        await backend.set('ttl', { value: 1 }, 100)
+        assert.ok(await backend.add('lock', { value: 1 }, 100))
+        assert.equal(await backend.add('lock', { value: 1 }, 100), false)
+
+        clock.now += 101
+        assert.equal(await backend.get('ttl'), null)
+        assert.ok(await backend.add('lock', { value: 1 }, 100))
+    })
+})
+
+describe('createRedisBackend', () => {
+    test('stores entries with PX and locks with NX', async () => {
+        const clock = { now: 1000 }
+        const fetch = createFakeRedisFetch(clock)
+        const requests = []
+        const backend = createRedisBackend({
+            url: 'https://redis.test',
+            token: 'secret',
+            fetch: (url, options) => {
+                requests.push(options)
+                return fetch(url, options)
+            }
+        })
+        const cache = createCache('test', { backend })
+
+        await cache.set('k', { a: 1 }, { ttlMs: 100 })
+        assert.deepEqual(await cache.get('k'), { a: 1 })
+        assert.equal(requests[0].headers.Authorization, 'Bearer secret')
+
+        assert.ok(await backend.add('lock', { value: 1 }, 100))
+        assert.equal(await backend.add('lock', { value: 1 }, 100), false)
+
+        clock.now += 101
+        assert.equal(await cache.get('k'), undefined)
+        assert.ok(await backend.add('lock', { value: 1 }, 100))
+    })
+})
+
+describe('createBackendFromEnv', () => {
+    test('selects the backend and falls back to memory when misconfigured', () => {
+        assert.equal(createBackendFromEnv({}).name, 'memory')
+        assert.equal(createBackendFromEnv({ CACHE_BACKEND: 'file', CACHE_DIR: tmpdir() }).name, 'file')
+        assert.equal(createBackendFromEnv({ CACHE_BACKEND: 'redis', CACHE_REDIS_URL: 'https://redis.test', CACHE_REDIS_TOKEN: 't' }).name, 'redis')
+        assert.equal(createBackendFromEnv({ CACHE_BACKEND: 'redis' }).name, 'memory')
+        assert.equal(createBackendFromEnv({ CACHE_BACKEND: 'postgres' }).name, 'memory')
+    })
+})
@@ -0,0 +1,62 @@
+/**
+ * Tests for functions/comment-utils.js
+ * HTML inputs follow what SimpleRichTextEditor produces, plus common injection payloads
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { sanitizeCommentHtml, plainTextToHtml, prepareCommentBody, getCommentAuthorFromSubject, MAX_COMMENT_LENGTH } from '../functions/comment-utils.js'
+
+describe('sanitizeCommentHtml', () => {
+    test('keeps editor formatting and its style attribute', () => {
+        const html = '<p style="margin: 0;"><strong>Done</strong> and <em>shipped</em></p><ul><li>One<br/></li></ul>'
+        assert.equal(sanitizeCommentHtml(html), '<p style="margin: 0;"><strong>Done</strong> and <em>shipped</em></p><ul><li>One<br></li></ul>')
+    })
+
+    test('drops scripts, event handlers and tags outside the allow-list', () => {
+        const html = '<p onclick="steal()">Hi<script>alert(1)</script></p><img src=x onerror=alert(1)><a href="javascript:alert(1)">link</a>'
+        assert.equal(sanitizeCommentHtml(html), '<p>Hi</p>link')
+    })
+
+    test('drops style values that can load resources', () => {
+        assert.equal(sanitizeCommentHtml('<span style="background:url(https://evil.test/x)">a</span>'), '<span>a</span>')
+        assert.equal(sanitizeCommentHtml('<span style="background:u&#114;l(x)">a</span>'), '<span>a</span>')
+    })
+
+    test('escapes markup that is not a well-formed tag', () => {
+        assert.equal(sanitizeCommentHtml('<p>1 < 2</p>'), '<p>1 &lt; 2</p>')
+        assert.equal(sanitizeCommentHtml('<!-- hidden --><p>a</p><'), '<p>a</p>&lt;')
+    })
+})
+
+describe('plainTextToHtml', () => {
+    test('escapes text and keeps paragraphs and line breaks', () => {
+        assert.equal(plainTextToHtml('Hello <team>\nline two\n\nNext & last'), '<p>Hello &lt;team&gt;<br>line two</p><p>Next &amp; last</p>')
+    })
+})
+
+describe('prepareCommentBody', () => {
+    test('returns the HTML to store for plain and rich comments', () => {
+        assert.deepEqual(prepareCommentBody({ text: 'Looks good', format: 'plain' }), { valid: true, html: '<p>Looks good</p>' })
+        assert.deepEqual(prepareCommentBody({ text: '<p>Rich <u>text</u></p>', format: 'html' }), { valid: true, html: '<p>Rich <u>text</u></p>' })
+    })
+
+    test('rejects comments with no visible text after cleaning', () => {
+        const result = prepareCommentBody({ text: '<p><script>x</script>&nbsp;</p>', format: 'html' })
+        assert.equal(result.valid, false)
+        assert.match(result.message, /^Comment validation failed: comment text is required/)
+    })
+
+    test('rejects unknown formats and overlong comments', () => {
+        assert.match(prepareCommentBody({ text: 'a', format: 'markdown' }).message, /unknown format/)
+        assert.match(prepareCommentBody({ text: 'a'.repeat(MAX_COMMENT_LENGTH) }).message, /maximum length/)
+    })
+})
+
+describe('getCommentAuthorFromSubject', () => {
+    test('reads the author from portal comment subjects only', () => {
+        assert.equal(getCommentAuthorFromSubject('Comment from Jane Doe'), 'Jane Doe')
+        assert.equal(getCommentAuthorFromSubject('Call summary'), 'Call summary')
+        assert.equal(getCommentAuthorFromSubject(null), null)
+    })
+})
@@ -0,0 +1,118 @@
+/**
+ * Tests for src/utils/conflictUtils.js
+ * Records carry formatted values and an etag the way the generic-entity GET returns them
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { getFieldDataKey, getConflictFields, resolveConflict } from '../src/utils/conflictUtils.js'
+
+const FORMATTED = '@OData.Community.Display.V1.FormattedValue'
+const ROBIN = 'c0000000-0000-4000-8000-000000000001'
+const SAM = 'c0000000-0000-4000-8000-000000000002'
+
+const FIELDS = [
+    { datafieldname: 'cp_name', displayName: 'Title', controlType: 'text' },
+    { datafieldname: 'cp_score', displayName: 'Score', controlType: 'number' },
+    {
+        datafieldname: 'cp_category',
+        displayName: 'Category',
+        controlType: 'optionset',
+        options: [{ value: 100000000, label: 'Process' }, { value: 100000001, label: 'Product' }]
+    },
+    { datafieldname: 'cp_contact', displayName: 'Contact', controlType: 'lookup' },
+    { datafieldname: 'cp_description', displayName: 'Description', controlType: 'multitext' },
+    { type: 'spacer' }
+]
+
+const LOADED = {
+    cp_name: 'Faster builds',
+    cp_score: 3,
+    cp_category: 100000000,
+    _cp_contact_value: ROBIN,
+    [`_cp_contact_value${FORMATTED}`]: 'Robin Berg',
+    cp_description: '<p>Cache the dependencies</p>',
+    '@odata.etag': 'W/"1001"'
+}
+
+const SERVER = {
+    ...LOADED,
+    cp_name: 'Faster CI builds',
+    cp_category: 100000001,
+    _cp_contact_value: SAM,
+    [`_cp_contact_value${FORMATTED}`]: 'Sam Lee',
+    cp_description: '<p>Cache the <b>npm</b> dependencies</p>',
+    '@odata.etag': 'W/"1002"'
+}
+
+describe('getFieldDataKey', () => {
+    test('stores lookups under their _value property', () => {
+        assert.equal(getFieldDataKey(FIELDS[3]), '_cp_contact_value')
+        assert.equal(getFieldDataKey({ datafieldname: '_cp_contact_value', controlType: 'lookup' }), '_cp_contact_value')
+        assert.equal(getFieldDataKey(FIELDS[0]), 'cp_name')
+    })
+})
+
+describe('getConflictFields', () => {
+    test('lists the fields changed on the server and whether the user changed them too', () => {
+        const current = { ...LOADED, cp_name: 'Quicker builds', cp_score: '4' }
+        const conflicts = getConflictFields(FIELDS, LOADED, SERVER, current)
+
+        assert.deepEqual(conflicts.map(conflict => [conflict.key, conflict.changedByYou]), [
+            ['cp_name', true],
+            ['cp_category', false],
+            ['_cp_contact_value', false],
+            ['cp_description', false]
+        ])
+    })
+
+    test('shows formatted values, option labels and rich text as plain text', () => {
+        const conflicts = getConflictFields(FIELDS, LOADED, SERVER, LOADED)
+        const byKey = Object.fromEntries(conflicts.map(conflict => [conflict.key, conflict]))
+
+        assert.equal(byKey.cp_category.label, 'Category')
+        assert.equal(byKey.cp_category.serverDisplay, 'Product')
+        assert.equal(byKey.cp_category.yourDisplay, 'Process')
+        assert.equal(byKey._cp_contact_value.serverDisplay, 'Sam Lee')
+        assert.equal(byKey.cp_description.serverDisplay, 'Cache the npm dependencies')
+    })
+
+    test('ignores fields the user changed when the server did not', () => {
+        const conflicts = getConflictFields(FIELDS, LOADED, { ...LOADED, '@odata.etag': 'W/"1002"' }, { ...LOADED, cp_score: 9 })
+        assert.deepEqual(conflicts, [])
+    })
+
+    test('does not count empty values or numeric text as server changes', () => {
+        const loaded = { cp_name: '', cp_score: 3 }
+        const server = { cp_name: null, cp_score: '3.0' }
+        assert.deepEqual(getConflictFields(FIELDS, loaded, server, loaded), [])
+    })
+})
+
+describe('resolveConflict', () => {
+    const current = { ...LOADED, cp_name: 'Quicker builds', cp_score: 4 }
+    const conflicts = getConflictFields(FIELDS, LOADED, SERVER, current)
+
+    test('takes the server value, with its formatted value, only for fields set to server', () => {
+        const resolved = resolveConflict(current, SERVER, conflicts, { _cp_contact_value: 'server', cp_name: 'mine' })
+
+        assert.equal(resolved._cp_contact_value, SAM)
+        assert.equal(resolved[`_cp_contact_value${FORMATTED}`], 'Sam Lee')
+        assert.equal(resolved.cp_name, 'Quicker builds')
+        assert.equal(resolved.cp_category, 100000000)
+        assert.equal(resolved.cp_score, 4)
+    })
+
+    test('clears a field the server emptied', () => {
+        const server = { ...SERVER }
+        delete server.cp_name
+        const resolved = resolveConflict(current, server, conflicts, { cp_name: 'server' })
+        assert.equal(resolved.cp_name, null)
+    })
+
+    test('saves against the server etag and leaves the form data untouched', () => {
+        const resolved = resolveConflict(current, SERVER, conflicts)
+        assert.equal(resolved['@odata.etag'], 'W/"1002"')
+        assert.equal(current['@odata.etag'], 'W/"1001"')
+    })
+})
@@ -0,0 +1,92 @@
+/**
+ * Tests for the contact handler against the mock Dataverse server
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { startHandlerHarness, invoke, createClerkToken, CONTACTS } from './helpers/handler-harness.js'
+
+let harness
+let handler
+
+before(async () => {
+    harness = await startHandlerHarness()
+    handler = (await import('../functions/contact.js')).handler
+})
+
+after(async () => {
+    await harness.close()
+})
+
+beforeEach(() => {
+    harness.reset()
+})
+
+const getContact = id => harness.mock.getRecords('contacts').find(contact => contact.contactid === id)
+
+describe('authentication', () => {
+    test('rejects tokens that are not Clerk session tokens', async () => {
+        const tokens = [
+            createClerkToken({ iss: 'https://login.example.com' }),
+            createClerkToken({ sub: 'admin' }),
+            createClerkToken({ exp: Math.floor(Date.now() / 1000) - 3600 }),
+            'x.eyJzdWIiOiJ1c2VyXzEiLCJpc3MiOiJjbGVyayJ9.y'
+        ]
+        for (const token of tokens) {
+            const response = await invoke(handler, { token, query: { email: CONTACTS.sam.email } })
+            assert.equal(response.statusCode, 401)
+        }
+    })
+})
+
+describe('GET', () => {
+    test('finds the contact for the email', async () => {
+        const response = await invoke(handler, { token: createClerkToken(), query: { email: CONTACTS.sam.email } })
+        assert.equal(response.statusCode, 200)
+        assert.equal(response.body.contact.contactid, CONTACTS.sam.contactid)
+        assert.equal(response.body.isAdmin, false)
+    })
+
+    test('rejects emails carrying a filter expression', async () => {
+        const response = await invoke(handler, {
+            token: createClerkToken(),
+            query: { email: `${CONTACTS.sam.email}' or emailaddress1 ne '` }
+        })
+        assert.equal(response.statusCode, 401)
+        assert.equal(response.body.contact, undefined)
+    })
+})
+
+describe('POST', () => {
+    test('rejects script content', async () => {
+        const response = await invoke(handler, {
+            method: 'POST',
+            token: createClerkToken(),
+            body: { contactid: CONTACTS.sam.contactid, emailaddress1: CONTACTS.sam.email, firstname: '<script>alert(1)</script>' }
+        })
+        assert.equal(response.statusCode, 400)
+        assert.equal(getContact(CONTACTS.sam.contactid).firstname, 'Sam')
+    })
+
+    test('only writes the contact fields the portal manages', async () => {
+        const response = await invoke(handler, {
+            method: 'POST',
+            token: createClerkToken(),
+            body: { contactid: CONTACTS.sam.contactid, emailaddress1: CONTACTS.sam.email, firstname: 'Samuel', lastname: 'Lee', cp_portaladmin: true }
+        })
+        assert.equal(response.statusCode, 200)
+        assert.equal(getContact(CONTACTS.sam.contactid).firstname, 'Samuel')
+        assert.equal(getContact(CONTACTS.sam.contactid).cp_portaladmin, false)
+    })
+
+    test('creates a contact for a new email', async () => {
+        const response = await invoke(handler, {
+            method: 'POST',
+            token: createClerkToken(),
+            body: { emailaddress1: 'alex.new@contoso.example', firstname: 'Alex', lastname: 'New' }
+        })
+        assert.equal(response.statusCode, 200)
+        assert.equal(response.body.created, true)
+        assert.ok(harness.mock.getRecords('contacts').some(contact => contact.emailaddress1 === 'alex.new@contoso.example'))
+    })
+})
@@ -0,0 +1,110 @@
+/**
+ * Tests for functions/continuation-token.js
+ * Next links follow the @odata.nextLink format Dataverse returns with a paging cookie
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    createContinuationToken,
+    readContinuationToken,
+    getContinuationTokenSecret,
+    buildTokenScope,
+    toRelativeNextLink,
+    CONTINUATION_TOKEN_TTL_MS
+} from '../functions/continuation-token.js'
+import { sanitizeError } from '../functions/auth-utils.js'
+
+const BASE_URL = 'https://org.crm4.dynamics.com'
+const SECRET = 'test-secret'
+const NOW = Date.UTC(2024, 0, 1)
+const NEXT_LINK = `${BASE_URL}/api/data/v9.0/cp_ideas?$filter=statecode%20eq%200&$count=true&$skiptoken=%3Ccookie%20pagenumber=%222%22%20pagingcookie=%22%253ccookie%22%20/%3E`
+const SCOPE = buildTokenScope(['cp_idea', 'contact-1', 'statecode eq 0', 'createdon desc', 20])
+
+describe('toRelativeNextLink', () => {
+    test('keeps the path and paging cookie below the Web API root', () => {
+        assert.equal(toRelativeNextLink(NEXT_LINK, `${BASE_URL}/`), NEXT_LINK.slice(`${BASE_URL}/api/data/`.length))
+    })
+
+    test('rejects links to other hosts', () => {
+        assert.throws(() => toRelativeNextLink('https://evil.test/api/data/v9.0/cp_ideas', BASE_URL), /outside the Web API/)
+        assert.throws(() => toRelativeNextLink(`${BASE_URL}.evil.test/api/data/v9.0/cp_ideas`, BASE_URL), /outside the Web API/)
+    })
+})
+
+describe('continuation tokens', () => {
+    const token = createContinuationToken({ scope: SCOPE, link: toRelativeNextLink(NEXT_LINK, BASE_URL), page: 2, count: 5000, countLimitExceeded: true }, SECRET, NOW)
+
+    test('round-trip the next link without exposing the Dataverse host', () => {
+        const data = readContinuationToken(token, SECRET, SCOPE, NOW + 1000)
+        assert.equal(`${BASE_URL}/api/data/${data.link}`, NEXT_LINK)
+        assert.equal(data.page, 2)
+        assert.equal(data.count, 5000)
+        assert.equal(data.countLimitExceeded, true)
+        assert.doesNotMatch(token, /dynamics/)
+    })
+
+    test('do not reveal the next link, filter or scope', () => {
+        const decoded = token.split('.').map(part => Buffer.from(part, 'base64url').toString('latin1')).join('')
+        for (const secret of ['cp_ideas', 'skiptoken', 'statecode', 'cookie', SCOPE]) {
+            assert.ok(!decoded.includes(secret), secret)
+        }
+    })
+
+    test('reject edited tokens and other secrets', () => {
+        const [iv, ciphertext, tag] = token.split('.')
+        const edited = Buffer.from(ciphertext, 'base64url')
+        edited[0] ^= 1
+        const plain = Buffer.from(JSON.stringify({ scope: SCOPE, link: 'v9.0/contacts', page: 2, exp: NOW + 1000 })).toString('base64url')
+        assert.throws(() => readContinuationToken(`${iv}.${edited.toString('base64url')}.${tag}`, SECRET, SCOPE, NOW), /changed or issued with another secret/)
+        assert.throws(() => readContinuationToken(`${iv}.${plain}.${tag}`, SECRET, SCOPE, NOW), /changed or issued with another secret/)
+        assert.throws(() => readContinuationToken(token, 'other-secret', SCOPE, NOW), /changed or issued with another secret/)
+        assert.throws(() => readContinuationToken('not a token', SECRET, SCOPE, NOW), /malformed/)
+    })
+
+    test('fail on creation when they would be too long to read back', () => {
+        const link = `v9.0/cp_ideas?$skiptoken=${'%3Ccookie%20'.repeat(400)}`
+        assert.throws(() => createContinuationToken({ scope: SCOPE, link, page: 2 }, SECRET, NOW), /over the 6000 limit/)
+    })
+
+    test('differ for the same page', () => {
+        const data = { scope: SCOPE, link: toRelativeNextLink(NEXT_LINK, BASE_URL), page: 2 }
+        assert.notEqual(createContinuationToken(data, SECRET, NOW), createContinuationToken(data, SECRET, NOW))
+    })
+
+    test('reject tokens for another query or user', () => {
+        const otherScope = buildTokenScope(['cp_idea', 'contact-2', 'statecode eq 0', 'createdon desc', 20])
+        assert.throws(() => readContinuationToken(token, SECRET, otherScope, NOW), /another list query/)
+    })
+
+    test('expire', () => {
+        assert.throws(() => readContinuationToken(token, SECRET, SCOPE, NOW + CONTINUATION_TOKEN_TTL_MS + 1), /expired/)
+    })
+
+    test('fail as a validation error, not an authentication error', () => {
+        const attempts = [
+            () => readContinuationToken('not a token', SECRET, SCOPE, NOW),
+            () => readContinuationToken(`${token}x`, SECRET, SCOPE, NOW),
+            () => readContinuationToken(token, SECRET, buildTokenScope(['other']), NOW),
+            () => readContinuationToken(token, SECRET, SCOPE, NOW + CONTINUATION_TOKEN_TTL_MS + 1)
+        ]
+        for (const attempt of attempts) {
+            assert.throws(attempt, error => {
+                const sanitized = sanitizeError(error, 'test')
+                assert.equal(sanitized.statusCode, 400, error.message)
+                assert.equal(sanitized.errorType, 'VALIDATION_FAILED')
+                return true
+            })
+        }
+    })
+})
+
+describe('getContinuationTokenSecret', () => {
+    test('prefers the dedicated secret and falls back to a derived key', () => {
+        assert.equal(getContinuationTokenSecret({ CONTINUATION_TOKEN_SECRET: 'a', CLIENT_SECRET: 'b' }), 'a')
+        const derived = getContinuationTokenSecret({ CLIENT_SECRET: 'b' })
+        assert.ok(Buffer.isBuffer(derived))
+        assert.notEqual(derived.toString(), 'b')
+        assert.throws(() => getContinuationTokenSecret({}), /not configured/)
+    })
+})
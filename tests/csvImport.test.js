@@ -0,0 +1,113 @@
+/**
+ * Tests for src/utils/csvImport.js
+ * Inputs follow what Excel and Google Sheets save: CRLF line endings, a BOM, semicolons in European locales
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCsv, guessMapping, convertImportValue, buildImportRows } from '../src/utils/csvImport.js'
+
+const FIELDS = [
+    { datafieldname: 'cp_name', displayName: 'Title', controlType: 'text' },
+    { datafieldname: 'cp_score', displayName: 'Score', controlType: 'number' },
+    { datafieldname: 'cp_public', displayName: 'Public', controlType: 'boolean' },
+    {
+        datafieldname: 'cp_category',
+        displayName: 'Category',
+        controlType: 'optionset',
+        options: [{ value: 100000000, label: 'Process' }, { value: 100000001, label: 'Product' }]
+    }
+]
+
+describe('parseCsv', () => {
+    test('splits the header row from the data rows', () => {
+        assert.deepEqual(parseCsv('Title,Score\r\nFaster builds,3\r\nDark mode,5\r\n'), {
+            headers: ['Title', 'Score'],
+            records: [['Faster builds', '3'], ['Dark mode', '5']]
+        })
+    })
+
+    test('keeps separators inside quoted fields', () => {
+        const { records } = parseCsv('Title,Score\n"Builds, but faster",3\n')
+        assert.deepEqual(records, [['Builds, but faster', '3']])
+    })
+
+    test('unescapes doubled quotes', () => {
+        const { records } = parseCsv('Title,Score\n"The ""quick"" fix",1\n""""\n')
+        assert.deepEqual(records, [['The "quick" fix', '1'], ['"']])
+    })
+
+    test('keeps line breaks inside quoted fields', () => {
+        const { records } = parseCsv('Title,Score\n"First line\r\nsecond line",2\nNext,3\n')
+        assert.deepEqual(records, [['First line\r\nsecond line', '2'], ['Next', '3']])
+    })
+
+    test('strips a byte order mark', () => {
+        const { headers } = parseCsv('\uFEFFTitle,Score\nA,1\n')
+        assert.deepEqual(headers, ['Title', 'Score'])
+    })
+
+    test('detects semicolon separators from the header row', () => {
+        assert.deepEqual(parseCsv('Title;Score\nA, B;1,5\n'), { headers: ['Title', 'Score'], records: [['A, B', '1,5']] })
+        assert.deepEqual(parseCsv('"Title, full";Score;Public\nA;1;yes\n').headers, ['Title, full', 'Score', 'Public'])
+        assert.deepEqual(parseCsv('Title,Score\nA;B,1\n').records, [['A;B', '1']])
+    })
+
+    test('skips blank lines and keeps a last row without a line break', () => {
+        const { records } = parseCsv('Title,Score\n\nA,1\n , \nB,2')
+        assert.deepEqual(records, [['A', '1'], ['B', '2']])
+    })
+
+    test('returns no headers for an empty file', () => {
+        assert.deepEqual(parseCsv(''), { headers: [], records: [] })
+        assert.deepEqual(parseCsv('\uFEFF\r\n'), { headers: [], records: [] })
+    })
+
+    test('rejects a quoted field that is never closed', () => {
+        assert.throws(() => parseCsv('Title,Score\nA,1\n"Unclosed,2\nB,3\n'), /Line 3 has a quoted value that is never closed/)
+        assert.throws(() => parseCsv('"Title,Score\n'), /Line 1/)
+    })
+})
+
+describe('guessMapping', () => {
+    test('matches display names and logical names with or without the prefix', () => {
+        assert.deepEqual(guessMapping(['title', 'cp_score', 'Public', 'Category', 'Unknown'], FIELDS), {
+            0: 'cp_name',
+            1: 'cp_score',
+            2: 'cp_public',
+            3: 'cp_category'
+        })
+    })
+
+    test('maps a field to one column only', () => {
+        assert.deepEqual(guessMapping(['Title', 'Title'], FIELDS), { 0: 'cp_name' })
+    })
+})
+
+describe('convertImportValue', () => {
+    test('reads decimal commas and thousands separators', () => {
+        assert.deepEqual(convertImportValue(FIELDS[1], '1,5'), { value: 1.5 })
+        assert.deepEqual(convertImportValue(FIELDS[1], '1,234'), { value: 1234 })
+        assert.ok(convertImportValue(FIELDS[1], 'many').error)
+    })
+
+    test('matches options by label or value and reports unknown ones', () => {
+        assert.deepEqual(convertImportValue(FIELDS[3], 'product'), { value: 100000001 })
+        assert.deepEqual(convertImportValue(FIELDS[3], '100000000'), { value: 100000000 })
+        assert.match(convertImportValue(FIELDS[3], 'Service').error, /not a valid option/)
+    })
+
+    test('turns empty cells into null', () => {
+        assert.deepEqual(convertImportValue(FIELDS[2], '  '), { value: null })
+    })
+})
+
+describe('buildImportRows', () => {
+    test('numbers rows and collects conversion errors per row', () => {
+        const rows = buildImportRows([['Dark mode', '5', 'yes'], ['Faster builds', 'lots', 'maybe']], { 0: 'cp_name', 1: 'cp_score', 2: 'cp_public' }, FIELDS)
+        assert.deepEqual(rows[0], { row: 1, data: { cp_name: 'Dark mode', cp_score: 5, cp_public: true }, errors: [] })
+        assert.equal(rows[1].row, 2)
+        assert.deepEqual(rows[1].data, { cp_name: 'Faster builds' })
+        assert.equal(rows[1].errors.length, 2)
+    })
+})
@@ -0,0 +1,105 @@
+/**
+ * Tests for functions/dataverse-batch.js
+ * Responses follow the multipart/mixed format Dataverse returns for $batch changesets
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildBatchRequest, parseBatchResponse, getEntityIdFromHeader } from '../functions/dataverse-batch.js'
+
+const BASE_URL = 'https://org.crm4.dynamics.com'
+const RECORD_ID = '0b6f3c2e-1a2b-4c3d-8e9f-001122334455'
+
+const changesetResponse = (parts) => [
+    '--batchresponse_1',
+    'Content-Type: multipart/mixed; boundary=changesetresponse_1',
+    '',
+    ...parts.flatMap(part => [
+        '--changesetresponse_1',
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        `Content-ID: ${part.contentId}`,
+        '',
+        part.statusLine,
+        ...(part.headers || []),
+        '',
+        part.body || ''
+    ]),
+    '--changesetresponse_1--',
+    '--batchresponse_1--',
+    ''
+].join('\r\n')
+
+describe('buildBatchRequest', () => {
+    test('wraps every request in one changeset with 1-based Content-IDs', () => {
+        const { body, contentType } = buildBatchRequest([
+            { method: 'POST', url: 'cp_ideas', body: { cp_name: 'New idea' } },
+            { method: 'PATCH', url: `cp_ideas(${RECORD_ID})`, headers: { 'If-Match': '*' }, body: { cp_name: 'Renamed' } },
+            { method: 'DELETE', url: `cp_ideas(${RECORD_ID})` }
+        ], BASE_URL, { batchId: 'b1', changesetId: 'c1' })
+
+        assert.equal(contentType, 'multipart/mixed; boundary=batch_b1')
+        assert.ok(body.startsWith('--batch_b1\r\nContent-Type: multipart/mixed; boundary=changeset_c1\r\n'))
+        assert.ok(body.endsWith('--changeset_c1--\r\n--batch_b1--\r\n'))
+        assert.equal(body.match(/--changeset_c1\r\n/g).length, 3)
+        assert.ok(body.includes(`Content-ID: 1\r\n\r\nPOST ${BASE_URL}/api/data/v9.2/cp_ideas HTTP/1.1`))
+        assert.ok(body.includes(`Content-ID: 3\r\n\r\nDELETE ${BASE_URL}/api/data/v9.2/cp_ideas(${RECORD_ID}) HTTP/1.1`))
+        assert.ok(body.includes('If-Match: *\r\n\r\n{"cp_name":"Renamed"}'))
+    })
+
+    test('lists independent requests without a changeset when not atomic', () => {
+        const { body } = buildBatchRequest([
+            { method: 'POST', url: 'cp_ideas', body: { cp_name: 'One' } },
+            { method: 'POST', url: 'cp_ideas', body: { cp_name: 'Two' } }
+        ], BASE_URL, { batchId: 'b1', atomic: false })
+
+        assert.ok(!body.includes('changeset_'))
+        assert.ok(!body.includes('Content-ID'))
+        assert.equal(body.match(/--batch_b1\r\nContent-Type: application\/http/g).length, 2)
+        assert.ok(body.endsWith('{"cp_name":"Two"}\r\n--batch_b1--\r\n'))
+    })
+})
+
+describe('parseBatchResponse', () => {
+    test('flattens changeset responses into per-request results', () => {
+        const text = changesetResponse([
+            { contentId: 1, statusLine: 'HTTP/1.1 204 No Content', headers: [`OData-EntityId: ${BASE_URL}/api/data/v9.2/cp_ideas(${RECORD_ID})`] },
+            { contentId: 2, statusLine: 'HTTP/1.1 204 No Content' }
+        ])
+
+        const results = parseBatchResponse(text, 'multipart/mixed; boundary=batchresponse_1')
+
+        assert.equal(results.length, 2)
+        assert.deepEqual(results.map(result => [result.contentId, result.status]), [[1, 204], [2, 204]])
+        assert.equal(getEntityIdFromHeader(results[0].headers['odata-entityid']), RECORD_ID)
+        assert.equal(results[1].body, null)
+    })
+
+    test('returns the error body of a failed changeset request', () => {
+        const text = changesetResponse([
+            {
+                contentId: 2,
+                statusLine: 'HTTP/1.1 412 Precondition Failed',
+                headers: ['Content-Type: application/json; odata.metadata=minimal'],
+                body: '{"error":{"code":"0x80060882","message":"The version of the existing record does not match"}}'
+            }
+        ])
+
+        const [result] = parseBatchResponse(text, 'multipart/mixed; boundary="batchresponse_1"')
+
+        assert.equal(result.contentId, 2)
+        assert.equal(result.status, 412)
+        assert.equal(result.body.error.code, '0x80060882')
+    })
+
+    test('rejects responses without a multipart boundary', () => {
+        assert.throws(() => parseBatchResponse('{}', 'application/json'), /missing multipart boundary/)
+    })
+})
+
+describe('getEntityIdFromHeader', () => {
+    test('returns null when the header has no record ID', () => {
+        assert.equal(getEntityIdFromHeader(undefined), null)
+        assert.equal(getEntityIdFromHeader(`${BASE_URL}/api/data/v9.2/cp_ideas`), null)
+    })
+})
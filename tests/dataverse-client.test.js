@@ -0,0 +1,207 @@
+/**
+ * Tests for functions/dataverse-client.js
+ * Throttled responses follow Dataverse service protection limits (429 with Retry-After in seconds)
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    createDataverseClient,
+    parseRetryAfter,
+    getRetryDelay,
+    getApiVersion,
+    buildQueryString,
+    buildPreferHeader
+} from '../functions/dataverse-client.js'
+
+const RECORD_ID = '0b6f3c2e-1a2b-4c3d-8e9f-001122334455'
+
+const jsonResponse = (status, body, headers = {}) => new Response(body === null ? null : JSON.stringify(body), {
+    status: status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+})
+
+/**
+ * Client against a scripted fetch - every test uses its own environment URL so
+ * service protection pauses do not leak between tests
+ */
+function createTestClient(environment, responses) {
+    const calls = []
+    const waits = []
+    const dataverse = createDataverseClient('test-token', {
+        baseUrl: `https://${environment}.crm4.dynamics.com`,
+        apiVersion: 'v9.2',
+        fetch: async (url, init, timeoutMs) => {
+            calls.push({ url, init, timeoutMs })
+            const next = responses.shift()
+            if (next instanceof Error) {
+                throw next
+            }
+            return next
+        },
+        sleep: async (ms) => {
+            waits.push(ms)
+        }
+    })
+    return { dataverse, calls, waits }
+}
+
+describe('request building', () => {
+    test('builds query strings with encoded filter, expand and order', () => {
+        assert.equal(
+            buildQueryString({ filter: "name eq 'A&B'", select: 'contactid,fullname', expand: 'parentcustomerid_account($select=name)', orderBy: 'fullname asc', top: 5, count: true }),
+            "$filter=name%20eq%20'A%26B'&$select=contactid,fullname&$expand=parentcustomerid_account(%24select%3Dname)&$orderby=fullname%20asc&$top=5&$count=true"
+        )
+        assert.equal(buildQueryString({ skip: 0 }), '')
+    })
+
+    test('combines Prefer preferences', () => {
+        assert.equal(buildPreferHeader({ annotations: true, maxPageSize: 20 }), 'odata.include-annotations="*",odata.maxpagesize=20')
+        assert.equal(buildPreferHeader({ returnRepresentation: true }), 'return=representation')
+        assert.equal(buildPreferHeader({}), null)
+    })
+
+    test('reads the API version from the environment', () => {
+        assert.equal(getApiVersion({}), 'v9.2')
+        assert.equal(getApiVersion({ DATAVERSE_API_VERSION: 'v9.1' }), 'v9.1')
+        assert.throws(() => getApiVersion({ DATAVERSE_API_VERSION: '9.1/../x' }), /Invalid DATAVERSE_API_VERSION/)
+    })
+
+    test('sends OData headers to the versioned Web API root', async () => {
+        const { dataverse, calls } = createTestClient('headers', [jsonResponse(200, { value: [{ contactid: RECORD_ID }] })])
+        const data = await dataverse.list('contacts', { filter: 'statecode eq 0', select: 'contactid', annotations: true })
+
+        assert.equal(data.value.length, 1)
+        assert.equal(calls[0].url, 'https://headers.crm4.dynamics.com/api/data/v9.2/contacts?$filter=statecode%20eq%200&$select=contactid')
+        assert.equal(calls[0].init.headers['Authorization'], 'Bearer test-token')
+        assert.equal(calls[0].init.headers['OData-Version'], '4.0')
+        assert.equal(calls[0].init.headers['Prefer'], 'odata.include-annotations="*"')
+        assert.equal(calls[0].timeoutMs, 30000)
+    })
+
+    test('follows next links of the same environment only', async () => {
+        const nextLink = 'https://links.crm4.dynamics.com/api/data/v9.2/contacts?$skiptoken=abc'
+        const { dataverse, calls } = createTestClient('links', [jsonResponse(200, { value: [] })])
+
+        await dataverse.list(nextLink, { maxPageSize: 50 })
+        assert.equal(calls[0].url, nextLink)
+        await assert.rejects(() => dataverse.list('https://evil.test/api/data/v9.2/contacts'), /outside the Web API/)
+    })
+
+    test('builds absolute record URLs without doubling the slash', () => {
+        const dataverse = createDataverseClient('test-token', { baseUrl: 'https://slash.crm4.dynamics.com/', apiVersion: 'v9.2' })
+        assert.equal(dataverse.getUrl(`contacts(${RECORD_ID})`), `https://slash.crm4.dynamics.com/api/data/v9.2/contacts(${RECORD_ID})`)
+    })
+
+    test('reads the ID of created records from OData-EntityId', async () => {
+        const { dataverse, calls } = createTestClient('create', [
+            jsonResponse(204, null, { 'OData-EntityId': `https://create.crm4.dynamics.com/api/data/v9.2/contacts(${RECORD_ID})` })
+        ])
+        const created = await dataverse.create('contacts', { firstname: 'Ada' })
+
+        assert.deepEqual(created, { id: RECORD_ID, record: null })
+        assert.equal(calls[0].init.method, 'POST')
+        assert.equal(calls[0].init.body, '{"firstname":"Ada"}')
+    })
+
+    test('sends If-Match * on updates unless told otherwise', async () => {
+        const { dataverse, calls } = createTestClient('update', [jsonResponse(204, null), jsonResponse(204, null)])
+        await dataverse.update(`contacts(${RECORD_ID})`, { firstname: 'Ada' })
+        await dataverse.update(`contacts(${RECORD_ID})`, { firstname: 'Ada' }, { ifMatch: 'W/"123"' })
+
+        assert.equal(calls[0].init.headers['If-Match'], '*')
+        assert.equal(calls[1].init.headers['If-Match'], 'W/"123"')
+    })
+})
+
+describe('retries', () => {
+    test('parses Retry-After seconds and HTTP dates', () => {
+        const now = Date.UTC(2024, 0, 1)
+        assert.equal(parseRetryAfter('5'), 5000)
+        assert.equal(parseRetryAfter(new Date(now + 3000).toUTCString(), now), 3000)
+        assert.equal(parseRetryAfter('soon'), null)
+        assert.equal(parseRetryAfter(null), null)
+    })
+
+    test('backs off exponentially without Retry-After', () => {
+        assert.equal(getRetryDelay(0, null, () => 0), 500)
+        assert.equal(getRetryDelay(2, null, () => 0), 2000)
+        assert.equal(getRetryDelay(2, 7000), 7000)
+    })
+
+    test('waits for Retry-After on 429 and retries the request', async () => {
+        const { dataverse, calls, waits } = createTestClient('throttled', [
+            jsonResponse(429, { error: { code: '0x80072322', message: 'Number of requests exceeded the limit' } }, { 'Retry-After': '2' }),
+            jsonResponse(200, { contactid: RECORD_ID })
+        ])
+        const contact = await dataverse.get(`contacts(${RECORD_ID})`)
+
+        assert.equal(contact.contactid, RECORD_ID)
+        assert.equal(calls.length, 2)
+        assert.equal(waits.length, 1)
+        assert.ok(waits[0] > 1000 && waits[0] <= 2000)
+    })
+
+    test('retries writes on 503 but not after a timeout', async () => {
+        const { dataverse, calls } = createTestClient('busy', [
+            jsonResponse(503, null),
+            jsonResponse(204, null, { 'OData-EntityId': `https://busy.crm4.dynamics.com/api/data/v9.2/contacts(${RECORD_ID})` })
+        ])
+        const created = await dataverse.create('contacts', { firstname: 'Ada' })
+        assert.equal(created.id, RECORD_ID)
+        assert.equal(calls.length, 2)
+
+        const timeout = Object.assign(new Error('Request timed out after 30000ms'), { name: 'TimeoutError' })
+        const write = createTestClient('write-timeout', [timeout])
+        await assert.rejects(() => write.dataverse.create('contacts', {}), /timed out/)
+        assert.equal(write.calls.length, 1)
+
+        const read = createTestClient('read-timeout', [timeout, jsonResponse(200, { value: [] })])
+        await read.dataverse.list('contacts')
+        assert.equal(read.calls.length, 2)
+    })
+
+    test('fails fast when Dataverse asks to wait too long and holds back other requests', async () => {
+        const { dataverse, calls } = createTestClient('paused', [
+            jsonResponse(429, null, { 'Retry-After': '300' })
+        ])
+
+        await assert.rejects(() => dataverse.list('contacts'), error => {
+            assert.equal(error.name, 'DataverseError')
+            assert.equal(error.status, 429)
+            assert.equal(error.retryAfter, 300)
+            assert.match(error.message, /rate limit exceeded/)
+            return true
+        })
+        await assert.rejects(() => dataverse.get(`contacts(${RECORD_ID})`), /rate limit exceeded/)
+        assert.equal(calls.length, 1)
+    })
+
+    test('gives up after the configured retries', async () => {
+        const { dataverse, calls, waits } = createTestClient('retries', [
+            jsonResponse(503, null), jsonResponse(503, null), jsonResponse(503, null), jsonResponse(503, null)
+        ])
+
+        await assert.rejects(() => dataverse.list('contacts'), error => error.status === 503)
+        assert.equal(calls.length, 4)
+        assert.equal(waits.length, 3)
+    })
+})
+
+describe('errors', () => {
+    test('carry the status and Dataverse error code', async () => {
+        const { dataverse } = createTestClient('errors', [
+            jsonResponse(404, { error: { code: '0x80040217', message: `contact With Id = ${RECORD_ID} Does Not Exist` } })
+        ])
+
+        await assert.rejects(() => dataverse.get(`contacts(${RECORD_ID})?$select=contactid`), error => {
+            assert.equal(error.name, 'DataverseError')
+            assert.equal(error.status, 404)
+            assert.equal(error.code, '0x80040217')
+            assert.match(error.dataverseMessage, /Does Not Exist/)
+            // No record IDs or query options in the message
+            assert.equal(error.message, 'Dataverse request failed: GET contacts returned 404')
+            return true
+        })
+    })
+})
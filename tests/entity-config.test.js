@@ -0,0 +1,84 @@
+/**
+ * Tests for the entity-config handler against the mock Dataverse server
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { startHandlerHarness, invoke, createClerkToken, CONTACTS } from './helpers/handler-harness.js'
+
+const ADMIN_CONFIG = {
+    cp_entityconfigid: 'e0000000-0000-4000-8000-000000000002',
+    cp_name: 'Notes',
+    cp_entitylogicalname: 'annotation',
+    cp_showinmenu: true,
+    cp_menuorder: 2,
+    cp_requiresadmin: true,
+    statecode: 0,
+    statuscode: 1
+}
+
+let harness
+let handler
+
+before(async () => {
+    harness = await startHandlerHarness({ records: { cp_entityconfigs: [ADMIN_CONFIG] } })
+    handler = (await import('../functions/entity-config.js')).handler
+})
+
+after(async () => {
+    await harness.close()
+})
+
+beforeEach(() => {
+    harness.reset()
+})
+
+const names = response => response.body.configs.map(config => config.name)
+
+describe('entity-config handler', () => {
+    test('rejects unauthenticated and non-GET requests', async () => {
+        assert.equal((await invoke(handler, {})).statusCode, 401)
+        assert.equal((await invoke(handler, { method: 'POST', token: createClerkToken() })).statusCode, 405)
+    })
+
+    test('hides admin-only configurations from non-admins', async () => {
+        const token = createClerkToken({ email: CONTACTS.sam.email })
+
+        const list = await invoke(handler, { token })
+        assert.equal(list.statusCode, 200)
+        assert.equal(list.body.userIsAdmin, false)
+        assert.deepEqual(names(list), ['Ideas'])
+
+        const single = await invoke(handler, { token, query: { entity: 'annotation' } })
+        assert.equal(single.statusCode, 404)
+    })
+
+    test('shows admin-only configurations to portal admins', async () => {
+        const token = createClerkToken({ email: CONTACTS.robin.email })
+
+        const list = await invoke(handler, { token })
+        assert.equal(list.body.userIsAdmin, true)
+        assert.deepEqual(names(list), ['Ideas', 'Notes'])
+
+        const single = await invoke(handler, { token, query: { entity: 'annotation' } })
+        assert.equal(single.statusCode, 200)
+        assert.equal(single.body.config.requiresAdmin, true)
+    })
+
+    test('rejects entity names carrying a filter expression', async () => {
+        const response = await invoke(handler, {
+            token: createClerkToken({ email: CONTACTS.sam.email }),
+            query: { entity: "annotation' or cp_requiresadmin eq true or cp_name eq '" }
+        })
+        assert.notEqual(response.statusCode, 200)
+        assert.equal(response.body.config, undefined)
+    })
+
+    test('allows 30 requests per user per minute', async () => {
+        const token = createClerkToken()
+        for (let i = 0; i < 30; i++) {
+            assert.equal((await invoke(handler, { token })).statusCode, 200)
+        }
+        assert.equal((await invoke(handler, { token })).statusCode, 429)
+    })
+})
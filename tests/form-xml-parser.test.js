@@ -0,0 +1,218 @@
+/**
+ * Tests for functions/form-xml-parser.js
+ * Fixtures in tests/fixtures are Dataverse formxml/layoutxml exports
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import {
+    parseXml,
+    parseFormXml,
+    parseLayoutXml,
+    getFormControls,
+    pickLabel,
+    decodeXmlEntities
+} from '../functions/form-xml-parser.js'
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures')
+const loadFixture = (name) => readFileSync(join(fixturesDir, name), 'utf8')
+
+describe('parseXml', () => {
+    test('parses self-closing elements and attributes in any order', () => {
+        const document = parseXml(`<control datafieldname="cp_name" id='cp_name' disabled="true"/>`)
+        const control = document.children[0]
+
+        assert.equal(control.name, 'control')
+        assert.deepEqual(control.attributes, { datafieldname: 'cp_name', id: 'cp_name', disabled: 'true' })
+        assert.equal(control.children.length, 0)
+    })
+
+    test('does not confuse <tabs> with <tab>', () => {
+        const document = parseXml('<tabs><tab name="a"/><tab name="b"></tab></tabs>')
+
+        assert.equal(document.children.length, 1)
+        assert.equal(document.children[0].name, 'tabs')
+        assert.deepEqual(document.children[0].children.map(tab => tab.attributes.name), ['a', 'b'])
+    })
+
+    test('keeps nested elements with the same name in the right parent', () => {
+        const document = parseXml('<filter type="and"><filter type="or"><condition attribute="a"/></filter><condition attribute="b"/></filter>')
+        const outer = document.children[0]
+
+        assert.equal(outer.children.length, 2)
+        assert.equal(outer.children[0].attributes.type, 'or')
+        assert.equal(outer.children[0].children[0].attributes.attribute, 'a')
+        assert.equal(outer.children[1].attributes.attribute, 'b')
+    })
+
+    test('skips comments and declarations, keeps CDATA text', () => {
+        const document = parseXml('<?xml version="1.0"?><!-- note --><data><![CDATA[a < b]]></data>')
+
+        assert.equal(document.children.length, 1)
+        assert.equal(document.children[0].text, 'a < b')
+    })
+
+    test('allows > inside quoted attribute values', () => {
+        const document = parseXml('<condition attribute="cp_score" value="a>b" />')
+        assert.equal(document.children[0].attributes.value, 'a>b')
+    })
+
+    test('throws on malformed XML', () => {
+        assert.throws(() => parseXml('<tab><section></tab>'), /XML validation failed/)
+        assert.throws(() => parseXml('<tab>'), /unclosed element/)
+        assert.throws(() => parseXml(null), /must be a string/)
+    })
+})
+
+describe('decodeXmlEntities', () => {
+    test('decodes named and numeric entities', () => {
+        assert.equal(decodeXmlEntities('Tom &amp; Jerry&#39;s &lt;b&gt; &#x41;'), "Tom & Jerry's <b> A")
+    })
+})
+
+describe('parseFormXml - idea main form', () => {
+    const form = parseFormXml(loadFixture('idea-main-form.xml'))
+
+    test('parses every tab with labels and visibility', () => {
+        assert.deepEqual(form.tabs.map(tab => tab.name), ['tab_general', 'tab_related', 'tab_admin'])
+        assert.equal(form.tabs[0].label, 'General')
+        assert.deepEqual(form.tabs[0].labels, { 1033: 'General', 1044: 'Generelt' })
+        assert.equal(form.tabs[0].visible, true)
+        assert.equal(form.tabs[2].visible, false)
+        assert.equal(form.tabs[2].expanded, false)
+    })
+
+    test('keeps tab columns and flattens their sections in order', () => {
+        const general = form.tabs[0]
+
+        assert.equal(general.columns.length, 2)
+        assert.equal(general.columns[0].width, '50%')
+        assert.deepEqual(general.sections.map(section => section.name), ['section_details', 'section_status'])
+        assert.equal(general.sections[1].showLabel, false)
+        assert.equal(general.sections[1].columns, 11)
+    })
+
+    test('parses rows, cells and controls with cell labels', () => {
+        const details = form.tabs[0].sections[0]
+        const [titleRow, descriptionRow, contactRow, scoreRow] = details.rows
+
+        assert.equal(details.rows.length, 4)
+        assert.equal(titleRow.cells[0].label, 'Title')
+        assert.equal(titleRow.cells[0].controls[0].datafieldname, 'cp_name')
+        assert.equal(titleRow.cells[0].controls[0].kind, 'text')
+        assert.equal(descriptionRow.cells[0].rowspan, 4)
+        assert.equal(contactRow.cells[0].controls[0].kind, 'lookup')
+        assert.equal(contactRow.cells[0].controls[0].disabled, true)
+
+        // Attribute order differs on this control and the cell is hidden
+        assert.equal(scoreRow.cells[0].visible, false)
+        assert.equal(scoreRow.cells[0].showLabel, false)
+        assert.equal(scoreRow.cells[0].controls[0].kind, 'integer')
+
+        // Empty spacer cell has no controls
+        assert.equal(scoreRow.cells[1].controls.length, 0)
+    })
+
+    test('resolves the custom control configured in controlDescriptions', () => {
+        const description = form.tabs[0].sections[0].rows[1].cells[0].controls[0]
+
+        assert.equal(description.kind, 'multitext')
+        assert.equal(description.customControl, 'MscrmControls.RichTextEditor.RichTextEditorControl')
+    })
+
+    test('parses subgrid parameters', () => {
+        const subgrid = form.tabs[1].sections[0].rows[0].cells[0].controls[0]
+
+        assert.equal(subgrid.kind, 'subgrid')
+        assert.equal(subgrid.id, 'Subgrid_comments')
+        assert.deepEqual(subgrid.subgrid, {
+            targetEntityType: 'cp_comment',
+            relationshipName: 'cp_idea_cp_comment_Idea',
+            viewId: 'b6c5d2e1-7a3f-4e2b-9c1d-0f8e7a6b5c44',
+            isUserView: false,
+            recordsPerPage: 4,
+            enableQuickFind: false,
+            enableViewPicker: false
+        })
+        assert.equal(subgrid.parameters.ChartGridMode, 'Grid')
+    })
+
+    test('ignores header controls', () => {
+        const fields = getFormControls(form).map(({ control }) => control.datafieldname)
+
+        assert.ok(!fields.includes('statuscode'))
+        assert.deepEqual(fields, ['cp_name', 'cp_description', 'cp_contact', 'cp_score', 'cp_category', 'cp_submittedon', null, 'ownerid'])
+    })
+
+    test('picks labels for the requested language', () => {
+        const norwegian = parseFormXml(loadFixture('idea-main-form.xml'), { languageCode: 1044 })
+
+        assert.equal(norwegian.tabs[0].label, 'Generelt')
+        assert.equal(norwegian.tabs[0].sections[0].rows[0].cells[0].label, 'Tittel')
+        // Falls back to 1033 when no translation exists
+        assert.equal(norwegian.tabs[1].label, 'Related')
+    })
+})
+
+describe('parseFormXml - contact portal form', () => {
+    const form = parseFormXml(loadFixture('contact-portal-form.xml'))
+
+    test('parses minified XML with declaration and comment', () => {
+        assert.equal(form.tabs.length, 1)
+        assert.equal(form.tabs[0].name, 'SUMMARY_TAB')
+        assert.equal(form.tabs[0].showLabel, false)
+        assert.equal(form.tabs[0].sections[0].label, 'CONTACT INFORMATION')
+    })
+
+    test('resolves control kinds from class IDs', () => {
+        const kinds = Object.fromEntries(
+            getFormControls(form).map(({ control }) => [control.datafieldname, control.kind])
+        )
+
+        assert.deepEqual(kinds, {
+            firstname: 'text',
+            emailaddress1: 'email',
+            mobilephone: 'phone',
+            parentcustomerid: 'lookup',
+            cp_portaladmin: 'boolean'
+        })
+    })
+
+    test('decodes entities in labels', () => {
+        const companyCell = form.tabs[0].sections[0].rows[3].cells[0]
+        assert.equal(companyCell.label, 'Company Name & Branch')
+    })
+
+    test('rejects XML without a form root', () => {
+        assert.throws(() => parseFormXml('<grid/>'), /missing <form> root/)
+    })
+})
+
+describe('parseLayoutXml', () => {
+    const layout = parseLayoutXml(loadFixture('idea-active-view.layout.xml'))
+
+    test('parses grid attributes and columns in order', () => {
+        assert.equal(layout.jump, 'cp_name')
+        assert.equal(layout.primaryKey, 'cp_ideaid')
+        assert.deepEqual(layout.columns.map(col => col.name), ['cp_name', 'cp_contact', 'createdon', 'cp_category', 'cp_ideaid'])
+        assert.equal(layout.columns[2].width, '125')
+    })
+
+    test('reads sorting and hidden flags', () => {
+        assert.equal(layout.columns[3].disableSorting, true)
+        assert.equal(layout.columns[0].disableSorting, false)
+        assert.equal(layout.columns[4].isHidden, true)
+    })
+})
+
+describe('pickLabel', () => {
+    test('falls back to 1033 and then to the first label', () => {
+        assert.equal(pickLabel({ 1033: 'Name', 1044: 'Navn' }, 1044), 'Navn')
+        assert.equal(pickLabel({ 1033: 'Name' }, 1044), 'Name')
+        assert.equal(pickLabel({ 1053: 'Namn' }, 1044), 'Namn')
+        assert.equal(pickLabel({}, 1033), null)
+    })
+})
@@ -0,0 +1,79 @@
+/**
+ * Tests for src/utils/formDiffUtils.js
+ * Loaded values are shaped like Dataverse returns them; current values like the edit form holds them
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { isValueChanged, getChangedFieldNames } from '../src/utils/formDiffUtils.js'
+
+const CONTACT_ID = 'c0000000-0000-4000-8000-000000000002'
+
+describe('isValueChanged', () => {
+    test('compares numbers with the text typed into number inputs', () => {
+        assert.equal(isValueChanged(1.5, '1.50'), false)
+        assert.equal(isValueChanged('3', 3), false)
+        assert.equal(isValueChanged(3, '4'), true)
+        assert.equal(isValueChanged(0, '0'), false)
+        assert.equal(isValueChanged(3, 'three'), true)
+    })
+
+    test('treats empty string, null and undefined as the same empty value', () => {
+        for (const [original, current] of [['', null], [null, undefined], [undefined, ''], [null, []]]) {
+            assert.equal(isValueChanged(original, current), false, `${original} -> ${current}`)
+        }
+    })
+
+    test('does not treat zero or false as empty', () => {
+        assert.equal(isValueChanged(null, 0), true)
+        assert.equal(isValueChanged(0, ''), true)
+        assert.equal(isValueChanged(null, false), true)
+        assert.equal(isValueChanged(true, false), true)
+    })
+
+    test('compares multi-select arrays with the stored comma-separated value regardless of order', () => {
+        assert.equal(isValueChanged('100000000,100000002', [100000000, 100000002]), false)
+        assert.equal(isValueChanged('100000000,100000002', [100000002, 100000000]), false)
+        assert.equal(isValueChanged([2, 10], [10, 2]), false)
+        assert.equal(isValueChanged('100000000,100000002', [100000000]), true)
+        assert.equal(isValueChanged('100000000', []), true)
+        assert.equal(isValueChanged([], null), false)
+    })
+
+    test('compares lookup values by GUID', () => {
+        assert.equal(isValueChanged(CONTACT_ID, CONTACT_ID), false)
+        assert.equal(isValueChanged(CONTACT_ID, 'c0000000-0000-4000-8000-000000000003'), true)
+        assert.equal(isValueChanged(CONTACT_ID, null), true)
+        assert.equal(isValueChanged(null, CONTACT_ID), true)
+    })
+})
+
+describe('getChangedFieldNames', () => {
+    const loaded = {
+        cp_name: 'Faster builds',
+        cp_score: 3,
+        cp_tags: '100000000,100000001',
+        cp_description: null,
+        _cp_contact_value: CONTACT_ID
+    }
+
+    test('lists only the fields that differ from the loaded record', () => {
+        const current = {
+            cp_name: 'Faster builds',
+            cp_score: '3.0',
+            cp_tags: [100000001, 100000000],
+            cp_description: '',
+            _cp_contact_value: 'c0000000-0000-4000-8000-000000000001'
+        }
+        assert.deepEqual(getChangedFieldNames(loaded, current), ['_cp_contact_value'])
+    })
+
+    test('reports fields the loaded record does not have once they hold a value', () => {
+        assert.deepEqual(getChangedFieldNames(loaded, { cp_category: 100000000, cp_notes: '' }), ['cp_category'])
+    })
+
+    test('handles a missing record or form data', () => {
+        assert.deepEqual(getChangedFieldNames(null, { cp_name: 'New' }), ['cp_name'])
+        assert.deepEqual(getChangedFieldNames(loaded, null), [])
+    })
+})
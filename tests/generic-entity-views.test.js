@@ -0,0 +1,75 @@
+/**
+ * Tests for views with user context conditions in the generic-entity list
+ * Own file: the Ideas configuration points at a different main view, and entity configs are cached per process
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { startHandlerHarness, invoke, createClerkToken, CONTACTS, IDEAS } from './helpers/handler-harness.js'
+
+const MY_IDEAS_VIEW = 'd0000000-0000-4000-8000-000000000011'
+
+const RECORDS = {
+    cp_entityconfigs: [
+        { cp_entityconfigid: 'e0000000-0000-4000-8000-000000000001', cp_viewmainguid: MY_IDEAS_VIEW }
+    ],
+    savedqueries: [
+        {
+            // eq-userid on the contact relation field - the portal applies it as the signed-in user's contact
+            savedqueryid: MY_IDEAS_VIEW,
+            name: 'My Active Ideas',
+            returnedtypecode: 'cp_idea',
+            querytype: 0,
+            layoutxml: '<grid name="resultset" jump="cp_name" select="1" icon="1" preview="1"><row name="result" id="cp_ideaid"><cell name="cp_name" width="300" /></row></grid>',
+            fetchxml: '<fetch version="1.0" mapping="logical"><entity name="cp_idea"><attribute name="cp_name" /><filter type="and"><condition attribute="statecode" operator="eq" value="0" /><condition attribute="cp_contact" operator="eq-userid" /></filter></entity></fetch>',
+            versionnumber: '5011'
+        }
+    ]
+}
+
+const tokens = {
+    robin: createClerkToken({ email: CONTACTS.robin.email }),
+    sam: createClerkToken({ email: CONTACTS.sam.email })
+}
+
+let harness
+let handler
+
+before(async () => {
+    harness = await startHandlerHarness({ records: RECORDS })
+    handler = (await import('../functions/generic-entity.js')).handler
+})
+
+after(async () => {
+    await harness.close()
+})
+
+beforeEach(() => {
+    harness.reset()
+})
+
+function list(user, query = {}) {
+    return invoke(handler, { token: tokens[user], query: { entity: 'cp_idea', mode: 'list', contactGuid: CONTACTS[user].contactid, ...query } })
+}
+
+const ids = response => response.body.entities.map(entity => entity.cp_ideaid).sort()
+
+describe('eq-userid on the contact relation field', () => {
+    test('lists only the signed-in user\'s records', async () => {
+        const response = await list('sam')
+        assert.equal(response.statusCode, 200)
+        assert.deepEqual(ids(response), [IDEAS.sam])
+    })
+
+    test('narrows the organization view of an admin to their own records', async () => {
+        const response = await list('robin', { viewMode: 'organization' })
+        assert.equal(response.statusCode, 200)
+        assert.deepEqual(ids(response), [IDEAS.robin])
+    })
+
+    test('resolves the contact per request from the cached view', async () => {
+        await list('robin')
+        const response = await list('sam')
+        assert.deepEqual(ids(response), [IDEAS.sam])
+    })
+})
@@ -0,0 +1,459 @@
+/**
+ * Tests for the generic-entity handler against the mock Dataverse server
+ * Seeded data: Robin (portal admin) and Sam at Contoso, Kim at Fabrikam, one idea each
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { startHandlerHarness, invoke, createClerkToken, CONTACTS, IDEAS } from './helpers/handler-harness.js'
+
+// Admin-only and unscoped entities on top of the fixtures
+const EXTRA_RECORDS = {
+    cp_entityconfigs: [
+        {
+            cp_entityconfigid: 'e0000000-0000-4000-8000-000000000002',
+            cp_name: 'Notes',
+            cp_entitylogicalname: 'annotation',
+            cp_showinmenu: true,
+            cp_menuorder: 2,
+            cp_requiresadmin: true,
+            statecode: 0,
+            statuscode: 1
+        },
+        {
+            // No contact or account relation - buildEntitySecurityFilter only lets admins through
+            cp_entityconfigid: 'e0000000-0000-4000-8000-000000000003',
+            cp_name: 'Accounts',
+            cp_entitylogicalname: 'account',
+            cp_viewmainguid: 'd0000000-0000-4000-8000-000000000002',
+            cp_showinmenu: false,
+            cp_menuorder: 3,
+            cp_requiresadmin: false,
+            statecode: 0,
+            statuscode: 1
+        },
+        {
+            // Account-owned - scoped through the contact's parent account
+            cp_entityconfigid: 'e0000000-0000-4000-8000-000000000004',
+            cp_name: 'Colleagues',
+            cp_entitylogicalname: 'contact',
+            cp_accountrelationfield: 'parentcustomerid',
+            cp_viewmainguid: 'd0000000-0000-4000-8000-000000000003',
+            cp_allowdelete: true,
+            cp_showinmenu: false,
+            cp_menuorder: 4,
+            cp_requiresadmin: false,
+            statecode: 0,
+            statuscode: 1
+        }
+    ],
+    annotations: [
+        {
+            annotationid: 'f1000000-0000-4000-8000-000000000001',
+            subject: 'contract.txt',
+            filename: 'contract.txt',
+            mimetype: 'text/plain',
+            documentbody: Buffer.from('Fabrikam contract').toString('base64'),
+            filesize: 17,
+            isdocument: true,
+            _objectid_value: 'c0000000-0000-4000-8000-000000000003',
+            createdon: '2025-03-01T10:00:00Z',
+            modifiedon: '2025-03-01T10:00:00Z'
+        }
+    ],
+    savedqueries: [
+        {
+            savedqueryid: 'd0000000-0000-4000-8000-000000000002',
+            name: 'Active Accounts',
+            returnedtypecode: 'account',
+            querytype: 0,
+            layoutxml: '<grid name="resultset" jump="name" select="1" icon="1" preview="1"><row name="result" id="accountid"><cell name="name" width="300" /></row></grid>',
+            fetchxml: '<fetch version="1.0" mapping="logical"><entity name="account"><attribute name="name" /><attribute name="accountid" /><order attribute="name" descending="false" /></entity></fetch>',
+            versionnumber: '5003'
+        },
+        {
+            // Filters and sorts on a lookup - translated to _parentcustomerid_value
+            savedqueryid: 'd0000000-0000-4000-8000-000000000003',
+            name: 'Colleagues With Company',
+            returnedtypecode: 'contact',
+            querytype: 0,
+            layoutxml: '<grid name="resultset" jump="fullname" select="1" icon="1" preview="1"><row name="result" id="contactid"><cell name="fullname" width="200" /><cell name="parentcustomerid" width="150" /></row></grid>',
+            fetchxml: '<fetch version="1.0" mapping="logical"><entity name="contact"><attribute name="fullname" /><attribute name="parentcustomerid" /><order attribute="parentcustomerid" descending="false" /><order attribute="lastname" descending="true" /><filter type="and"><condition attribute="parentcustomerid" operator="not-null" /></filter></entity></fetch>',
+            versionnumber: '5004'
+        },
+        {
+            // User context condition - has no OData equivalent
+            savedqueryid: 'd0000000-0000-4000-8000-000000000004',
+            name: 'My Ideas',
+            returnedtypecode: 'cp_idea',
+            querytype: 0,
+            layoutxml: '<grid name="resultset" jump="cp_name" select="1" icon="1" preview="1"><row name="result" id="cp_ideaid"><cell name="cp_name" width="300" /></row></grid>',
+            fetchxml: '<fetch version="1.0" mapping="logical"><entity name="cp_idea"><attribute name="cp_name" /><filter type="and"><condition attribute="statecode" operator="eq" value="0" /><condition attribute="ownerid" operator="eq-userid" /></filter></entity></fetch>',
+            versionnumber: '5005'
+        }
+    ]
+}
+
+const tokens = {
+    robin: createClerkToken({ email: CONTACTS.robin.email }),
+    sam: createClerkToken({ email: CONTACTS.sam.email })
+}
+
+let harness
+let handler
+
+before(async () => {
+    harness = await startHandlerHarness({ records: EXTRA_RECORDS })
+    handler = (await import('../functions/generic-entity.js')).handler
+})
+
+after(async () => {
+    await harness.close()
+})
+
+beforeEach(() => {
+    harness.reset()
+})
+
+// Requests as a seeded contact; GET carries the contact GUID in the query, other methods in the body
+function request(user, { method = 'GET', query = {}, body = {}, contactGuid = CONTACTS[user].contactid } = {}) {
+    if (method === 'GET') {
+        return invoke(handler, { method, token: tokens[user], query: { entity: 'cp_idea', contactGuid, ...query } })
+    }
+    return invoke(handler, { method, token: tokens[user], query: { entity: 'cp_idea', ...query }, body: { contactGuid, ...body } })
+}
+
+const getIdea = id => harness.mock.getRecords('cp_ideas').find(idea => idea.cp_ideaid === id)
+const ids = response => response.body.entities.map(entity => entity.cp_ideaid).sort()
+
+describe('authentication and contact ownership', () => {
+    test('rejects requests without a session token', async () => {
+        const response = await invoke(handler, { query: { entity: 'cp_idea', contactGuid: CONTACTS.sam.contactid } })
+        assert.equal(response.statusCode, 401)
+    })
+
+    test('requires a contact GUID', async () => {
+        const response = await invoke(handler, { token: tokens.sam, query: { entity: 'cp_idea' } })
+        assert.equal(response.statusCode, 401)
+    })
+
+    test('rejects a contact GUID that belongs to another user', async () => {
+        const response = await request('sam', { query: { mode: 'list' }, contactGuid: CONTACTS.robin.contactid })
+        assert.equal(response.statusCode, 403)
+        assert.equal(response.body.entities, undefined)
+    })
+
+    test('rejects a contact GUID that does not exist', async () => {
+        const response = await request('sam', { query: { mode: 'list' }, contactGuid: 'c0000000-0000-4000-8000-00000000ffff' })
+        assert.equal(response.statusCode, 403)
+    })
+})
+
+describe('OData injection', () => {
+    test('rejects a contact GUID carrying a filter expression', async () => {
+        const response = await request('sam', { query: { mode: 'list' }, contactGuid: `${CONTACTS.sam.contactid}' or statecode eq 0 or contactid eq '` })
+        assert.equal(response.statusCode, 401)
+    })
+
+    test('rejects a record id carrying a path or filter expression', async () => {
+        for (const id of [`${IDEAS.robin})?$select=cp_name&x=(`, `${IDEAS.sam}' or true or '`]) {
+            const response = await request('sam', { query: { id } })
+            assert.equal(response.statusCode, 400, id)
+        }
+    })
+
+    test('does not resolve an entity name carrying a filter expression', async () => {
+        const response = await request('sam', { query: { entity: "cp_idea' or cp_requiresadmin eq true or cp_name eq '", mode: 'list' } })
+        assert.equal(response.statusCode, 404)
+    })
+
+    test('treats search text as a literal', async () => {
+        const response = await request('sam', { query: { mode: 'list', search: "x') or (statecode eq 0" } })
+        assert.equal(response.statusCode, 200)
+        assert.deepEqual(response.body.entities, [])
+    })
+
+    test('rejects a forged list cursor without signing the user out', async () => {
+        const forged = `${Buffer.from(JSON.stringify({ link: 'v9.2/contacts', page: 2 })).toString('base64url')}.c2lnbmF0dXJl`
+        const response = await request('sam', { query: { mode: 'list', cursor: forged } })
+        assert.equal(response.statusCode, 400)
+        assert.equal(response.body.errorType, 'VALIDATION_FAILED')
+    })
+
+    test('rejects filters and sorting on columns outside the view', async () => {
+        const filter = await request('sam', {
+            query: { mode: 'list', filters: JSON.stringify([{ field: '_cp_contact_value', operator: 'eq', value: CONTACTS.robin.contactid }]) }
+        })
+        assert.equal(filter.statusCode, 400)
+
+        const sort = await request('sam', { query: { mode: 'list', sortBy: 'cp_score desc,cp_name' } })
+        assert.equal(sort.statusCode, 400)
+    })
+})
+
+describe('record ownership', () => {
+    test('lists only the user\'s own records in personal view', async () => {
+        const response = await request('sam', { query: { mode: 'list' } })
+        assert.equal(response.statusCode, 200)
+        assert.deepEqual(ids(response), [IDEAS.sam])
+    })
+
+    test('hides another user\'s record', async () => {
+        const response = await request('sam', { query: { id: IDEAS.robin } })
+        assert.equal(response.statusCode, 404)
+        assert.equal(response.body.entity, undefined)
+    })
+
+    test('rejects updating another user\'s record', async () => {
+        const response = await request('sam', { method: 'PATCH', query: { id: IDEAS.robin }, body: { cp_name: 'Taken over' } })
+        assert.equal(response.statusCode, 403)
+        assert.equal(getIdea(IDEAS.robin).cp_name, 'Self-service password reset')
+    })
+
+    test('rejects deleting another user\'s record', async () => {
+        const response = await request('sam', { method: 'DELETE', query: { id: IDEAS.robin } })
+        assert.equal(response.statusCode, 403)
+        assert.equal(getIdea(IDEAS.robin).statecode, 0)
+    })
+
+    test('assigns created records to the user even when another owner is bound', async () => {
+        const response = await request('sam', {
+            method: 'POST',
+            body: { cp_name: 'Borrowed identity', 'cp_Contact@odata.bind': `/contacts(${CONTACTS.robin.contactid})` }
+        })
+        assert.equal(response.statusCode, 200)
+        assert.equal(getIdea(response.body.entityId)._cp_contact_value, CONTACTS.sam.contactid)
+    })
+})
+
+describe('concurrency', () => {
+    // Loads Sam's idea, then saves it so the loaded ETag is stale
+    async function loadStaleIdea() {
+        const loaded = await request('sam', { query: { id: IDEAS.sam } })
+        const etag = loaded.body.entity['@odata.etag']
+        const saved = await request('sam', { method: 'PATCH', query: { id: IDEAS.sam }, body: { cp_name: 'Renamed', '@odata.etag': etag } })
+        assert.equal(saved.statusCode, 200)
+        return etag
+    }
+
+    test('rejects an update with a stale ETag and returns the current record', async () => {
+        const etag = await loadStaleIdea()
+        const response = await request('sam', { method: 'PATCH', query: { id: IDEAS.sam }, body: { cp_name: 'Overwritten', '@odata.etag': etag } })
+        assert.equal(response.statusCode, 412)
+        assert.equal(response.body.conflict.currentRecord.cp_name, 'Renamed')
+        assert.equal(getIdea(IDEAS.sam).cp_name, 'Renamed')
+    })
+
+    test('rejects a delete with a stale ETag and returns the current record', async () => {
+        const etag = await loadStaleIdea()
+        const response = await request('sam', { method: 'DELETE', query: { id: IDEAS.sam }, body: { '@odata.etag': etag } })
+        assert.equal(response.statusCode, 412)
+        assert.equal(response.body.errorType, 'UPDATE_CONFLICT')
+        assert.equal(response.body.conflict.etag, response.body.conflict.currentRecord['@odata.etag'])
+        assert.equal(getIdea(IDEAS.sam).statecode, 0)
+
+        const retried = await request('sam', { method: 'DELETE', query: { id: IDEAS.sam }, body: { '@odata.etag': response.body.conflict.etag } })
+        assert.equal(retried.statusCode, 200)
+        assert.equal(getIdea(IDEAS.sam).statecode, 1)
+    })
+})
+
+describe('soft delete', () => {
+    test('deactivates, lists and restores a record with the default status reasons', async () => {
+        const removed = await request('sam', { method: 'DELETE', query: { id: IDEAS.sam } })
+        assert.equal(removed.statusCode, 200)
+        assert.equal(getIdea(IDEAS.sam).statecode, 1)
+        assert.equal(getIdea(IDEAS.sam).statuscode, 2)
+
+        const list = await request('sam', { query: { mode: 'removed' } })
+        assert.deepEqual(list.body.entities.map(entity => entity.id), [IDEAS.sam])
+
+        const restored = await request('sam', { method: 'POST', query: { id: IDEAS.sam, action: 'restore' } })
+        assert.equal(restored.statusCode, 200)
+        assert.equal(getIdea(IDEAS.sam).statecode, 0)
+        assert.equal(getIdea(IDEAS.sam).statuscode, 1)
+    })
+
+    test('rejects a delete with a malformed body', async () => {
+        const response = await invoke(handler, {
+            method: 'DELETE',
+            token: tokens.sam,
+            query: { entity: 'cp_idea', id: IDEAS.sam },
+            body: `{"contactGuid":"${CONTACTS.sam.contactid}","@odata.etag":`
+        })
+        assert.equal(response.statusCode, 400)
+        assert.equal(response.body.errorType, 'VALIDATION_FAILED')
+        assert.equal(getIdea(IDEAS.sam).statecode, 0)
+    })
+})
+
+describe('field security', () => {
+    test('rejects blocked system fields on create', async () => {
+        const before = harness.mock.getRecords('cp_ideas').length
+        const response = await request('sam', { method: 'POST', body: { cp_name: 'Backdated', createdon: '2020-01-01T00:00:00Z', statecode: 1 } })
+
+        assert.equal(response.statusCode, 403)
+        assert.match(response.body.details, /Blocked system fields: createdon, statecode/)
+        assert.equal(harness.mock.getRecords('cp_ideas').length, before)
+    })
+
+    test('rejects blocked system fields on update', async () => {
+        const response = await request('sam', { method: 'PATCH', query: { id: IDEAS.sam }, body: { cp_name: 'Renamed', ownerid: CONTACTS.robin.contactid } })
+        assert.equal(response.statusCode, 403)
+        assert.equal(getIdea(IDEAS.sam).cp_name, 'Quarterly community meetup')
+    })
+
+    test('rejects fields that are not on the form', async () => {
+        const response = await request('sam', { method: 'PATCH', query: { id: IDEAS.sam }, body: { cp_score: 100 } })
+        assert.equal(response.statusCode, 403)
+        assert.match(response.body.details, /Unauthorized fields: cp_score/)
+        assert.equal(getIdea(IDEAS.sam).cp_score, 55)
+    })
+
+    test('accepts form fields on the user\'s own record', async () => {
+        const response = await request('sam', { method: 'PATCH', query: { id: IDEAS.sam }, body: { cp_name: 'Monthly community meetup' } })
+        assert.equal(response.statusCode, 200)
+        assert.equal(getIdea(IDEAS.sam).cp_name, 'Monthly community meetup')
+    })
+})
+
+describe('organization view', () => {
+    test('shows admins every record from their account', async () => {
+        const response = await request('robin', { query: { mode: 'list', viewMode: 'organization' } })
+        assert.equal(response.statusCode, 200)
+        assert.deepEqual(ids(response), [IDEAS.robin, IDEAS.sam])
+    })
+
+    test('falls back to personal view for non-admins', async () => {
+        const response = await request('sam', { query: { mode: 'list', viewMode: 'organization' } })
+        assert.equal(response.statusCode, 200)
+        assert.deepEqual(ids(response), [IDEAS.sam])
+    })
+})
+
+describe('admin-only entities', () => {
+    test('are not available to non-admins', async () => {
+        const response = await request('sam', { query: { entity: 'annotation', mode: 'list' } })
+        assert.notEqual(response.statusCode, 200)
+        assert.equal(response.body.entities, undefined)
+    })
+
+    test('without a contact or account relation are only listed for admins', async () => {
+        const denied = await request('sam', { query: { entity: 'account', mode: 'list' } })
+        assert.equal(denied.statusCode, 403)
+
+        const allowed = await request('robin', { query: { entity: 'account', mode: 'list' } })
+        assert.equal(allowed.statusCode, 200)
+        assert.deepEqual(allowed.body.entities.map(account => account.name), ['Contoso Ltd', 'Fabrikam Inc'])
+    })
+})
+
+describe('view filters', () => {
+    test('filter and sort lookups through their _value property', async () => {
+        const response = await request('sam', { query: { entity: 'contact', mode: 'list' } })
+        assert.equal(response.statusCode, 200)
+        assert.deepEqual(response.body.entities.map(contact => contact.fullname), ['Sam Lee', 'Robin Berg'])
+    })
+
+    test('reject a view with a condition the portal cannot apply', async () => {
+        const response = await request('sam', {
+            query: {
+                mode: 'subgrid',
+                parentEntity: 'contact',
+                parentId: CONTACTS.sam.contactid,
+                relationshipName: 'cp_idea_cp_contact_contact',
+                viewId: 'd0000000-0000-4000-8000-000000000004'
+            }
+        })
+        assert.equal(response.statusCode, 422)
+        assert.equal(response.body.errorType, 'VIEW_NOT_SUPPORTED')
+        assert.equal(response.body.entities, undefined)
+    })
+})
+
+describe('account-owned records', () => {
+    const getContact = id => harness.mock.getRecords('contacts').find(contact => contact.contactid === id)
+    const contactRequest = (options, id) => request('sam', { ...options, query: { entity: 'contact', id, ...options.query } })
+
+    test('can be deleted by a user of the same account', async () => {
+        const response = await contactRequest({ method: 'DELETE' }, CONTACTS.robin.contactid)
+        assert.equal(response.statusCode, 200)
+        assert.equal(getContact(CONTACTS.robin.contactid), undefined)
+    })
+
+    test('cannot be updated by a user of another account', async () => {
+        const response = await contactRequest({ method: 'PATCH', body: { firstname: 'Taken' } }, CONTACTS.kim.contactid)
+        assert.equal(response.statusCode, 403)
+        assert.equal(getContact(CONTACTS.kim.contactid).firstname, 'Kim')
+    })
+
+    test('cannot be deleted by a user of another account', async () => {
+        const response = await contactRequest({ method: 'DELETE' }, CONTACTS.kim.contactid)
+        assert.equal(response.statusCode, 403)
+        assert.ok(getContact(CONTACTS.kim.contactid))
+    })
+})
+
+describe('attachments on account-owned records', () => {
+    const KIM_NOTE = 'f1000000-0000-4000-8000-000000000001'
+    const attachmentRequest = (options, id = CONTACTS.kim.contactid) => request('sam', { ...options, query: { entity: 'contact', id, ...options.query } })
+
+    test('are listed for records of the user\'s account', async () => {
+        const response = await attachmentRequest({ query: { mode: 'attachments' } }, CONTACTS.robin.contactid)
+        assert.equal(response.statusCode, 200)
+        assert.deepEqual(response.body.attachments, [])
+    })
+
+    test('cannot be listed or downloaded on another account\'s record', async () => {
+        const list = await attachmentRequest({ query: { mode: 'attachments' } })
+        assert.equal(list.statusCode, 403)
+        assert.equal(list.body.attachments, undefined)
+
+        const download = await attachmentRequest({ query: { mode: 'attachment', attachmentId: KIM_NOTE } })
+        assert.equal(download.statusCode, 403)
+    })
+
+    test('cannot be added to or deleted from another account\'s record', async () => {
+        const upload = await attachmentRequest({
+            method: 'POST',
+            query: { action: 'attachment' },
+            body: { fileName: 'notes.txt', mimeType: 'text/plain', content: Buffer.from('hello').toString('base64') }
+        })
+        assert.equal(upload.statusCode, 403)
+
+        const remove = await attachmentRequest({ method: 'DELETE', query: { attachmentId: KIM_NOTE } })
+        assert.equal(remove.statusCode, 403)
+        assert.deepEqual(harness.mock.getRecords('annotations').map(note => note.annotationid), [KIM_NOTE])
+    })
+})
+
+describe('rate limiting', () => {
+    test('allows 60 requests per user per minute', async () => {
+        // Requests without an entity stop right after the rate limit check
+        const token = createClerkToken({ email: CONTACTS.kim.email })
+        for (let i = 0; i < 60; i++) {
+            const response = await invoke(handler, { token })
+            assert.equal(response.statusCode, 400)
+        }
+
+        const limited = await invoke(handler, { token })
+        assert.equal(limited.statusCode, 429)
+        assert.ok(Number(limited.headers['Retry-After']) > 0)
+
+        // Other users keep their own budget
+        const other = await invoke(handler, { token: createClerkToken({ email: CONTACTS.kim.email }) })
+        assert.equal(other.statusCode, 400)
+    })
+
+    test('does not share a budget between users for configuration lookups', async () => {
+        // More requests than the config handler allows one caller per minute, spread over many sessions
+        for (let i = 0; i < 40; i++) {
+            const user = i % 2 === 0 ? 'sam' : 'robin'
+            const response = await invoke(handler, {
+                token: createClerkToken({ email: CONTACTS[user].email }),
+                query: { entity: 'cp_idea', mode: 'list', contactGuid: CONTACTS[user].contactid }
+            })
+            assert.equal(response.statusCode, 200, `request ${i + 1}`)
+        }
+    })
+})
@@ -0,0 +1,128 @@
+/**
+ * Harness for invoking Netlify function handlers against the mock Dataverse server
+ *
+ * Starts mock/dataverse-server.js on a free port with the bundled fixtures (plus any extra
+ * records), points the functions' environment at it and builds handler events carrying
+ * Clerk-shaped session tokens. Handlers are imported after the environment is set.
+ */
+
+import { randomUUID } from 'node:crypto'
+import { loadFixtures, startMockDataverse } from '../../mock/dataverse-server.js'
+
+// Seeded contacts (mock/fixtures/contacts.json)
+export const CONTACTS = {
+    robin: { contactid: 'c0000000-0000-4000-8000-000000000001', email: 'robin.berg@contoso.example' }, // portal admin, Contoso
+    sam: { contactid: 'c0000000-0000-4000-8000-000000000002', email: 'sam.lee@contoso.example' }, // Contoso
+    kim: { contactid: 'c0000000-0000-4000-8000-000000000003', email: 'kim.dahl@fabrikam.example' } // Fabrikam
+}
+
+// Seeded ideas (mock/fixtures/cp_ideas.json), keyed by owner
+export const IDEAS = {
+    robin: 'b0000000-0000-4000-8000-000000000001',
+    sam: 'b0000000-0000-4000-8000-000000000002',
+    kim: 'b0000000-0000-4000-8000-000000000003'
+}
+
+export const CLIENT_ID = 'handler-tests'
+export const ORIGIN = 'http://localhost:8888'
+
+/**
+ * Unsigned token shaped like a Clerk session JWT
+ * validateSimpleAuth only decodes the payload; validateUser also checks iss, sub and length.
+ *
+ * @param {Object} claims - Claims overriding the defaults (sub, email, exp, ...)
+ * @returns {string}
+ */
+export function createClerkToken(claims = {}) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url')
+    const payload = {
+        iss: 'https://clerk.community-portal.test',
+        sub: `user_${randomUUID().replace(/-/g, '')}`,
+        sid: 'sess_handler_tests',
+        exp: Math.floor(Date.now() / 1000) + 3600,
+        ...claims
+    }
+    return `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(payload)}.${'s'.repeat(43)}`
+}
+
+/**
+ * Build a Netlify function event
+ *
+ * @param {Object} options - { method, query, body, token, headers }
+ * @returns {Object}
+ */
+export function createEvent({ method = 'GET', query = {}, body = null, token = null, headers = {} } = {}) {
+    return {
+        httpMethod: method,
+        path: '/.netlify/functions/test',
+        headers: {
+            origin: ORIGIN,
+            'x-forwarded-for': '203.0.113.10',
+            ...(token ? { authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        queryStringParameters: query,
+        body: body === null || typeof body === 'string' ? body : JSON.stringify(body)
+    }
+}
+
+/**
+ * Invoke a handler and parse its JSON body
+ *
+ * @returns {Promise<Object>} - { statusCode, headers, body }
+ */
+export async function invoke(handler, options) {
+    const response = await handler(createEvent(options), {})
+    let body = response.body
+    try {
+        body = body ? JSON.parse(body) : null
+    } catch (error) {
+        // Non-JSON bodies (e.g. CSV exports) are returned as text
+    }
+    return { statusCode: response.statusCode, headers: response.headers, body }
+}
+
+/**
+ * Start the mock Dataverse server and configure the functions to use it
+ *
+ * @param {Object} options - { records: { [entitySet]: Object[] } } - extra records on top of the fixtures;
+ *   a record with the key of a fixture record is merged into it instead
+ * @returns {Promise<Object>} - { url, mock, reset(), close() }
+ */
+export async function startHandlerHarness({ records = {} } = {}) {
+    const fixtures = await loadFixtures()
+    for (const [entitySet, extra] of Object.entries(records)) {
+        const table = fixtures.tables[entitySet]
+        for (const record of extra) {
+            const index = table.records.findIndex(existing => existing[table.key] === record[table.key])
+            if (index === -1) {
+                table.records.push(record)
+            } else {
+                table.records[index] = { ...table.records[index], ...record }
+            }
+        }
+    }
+
+    const server = await startMockDataverse({ port: 0, fixtures })
+    Object.assign(process.env, {
+        DATAVERSE_URL: server.url,
+        AZURE_AUTHORITY_HOST: server.url,
+        TENANT_ID: 'handler-tests',
+        CLIENT_ID,
+        CLIENT_SECRET: 'handler-tests-secret'
+    })
+
+    return {
+        url: server.url,
+        mock: server.mock,
+
+        /**
+         * Drop every change and start over from the fixtures
+         */
+        reset() {
+            server.mock.reset()
+        },
+
+        close: server.close
+    }
+}
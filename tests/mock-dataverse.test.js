@@ -0,0 +1,177 @@
+/**
+ * Tests for the mock Dataverse server (mock/dataverse-server.js) and its OData helpers
+ * The server runs on a free port with the bundled fixtures and is reset between tests
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseFilter, evaluateFilter, parseExpand } from '../mock/odata.js'
+import { startMockDataverse } from '../mock/dataverse-server.js'
+
+const ROBIN = 'c0000000-0000-4000-8000-000000000001'
+const SAM = 'c0000000-0000-4000-8000-000000000002'
+const CONTOSO = 'a0000000-0000-4000-8000-000000000001'
+const IDEA = 'b0000000-0000-4000-8000-000000000001'
+
+describe('OData query options', () => {
+    const record = { firstname: 'Sam', statecode: 0, _parentcustomerid_value: CONTOSO, createdon: '2024-03-01T10:00:00Z' }
+    const matches = filter => evaluateFilter(parseFilter(filter), record)
+
+    test('evaluates comparisons, logical operators and string functions', () => {
+        assert.equal(matches(`statecode eq 0 and _parentcustomerid_value eq ${CONTOSO.toUpperCase()}`), true)
+        assert.equal(matches("firstname eq 'sam' and (statecode eq 1 or not contains(firstname,'x'))"), true)
+        assert.equal(matches("startswith(firstname,'Ro') or createdon gt 2024-06-01T00:00:00Z"), false)
+        assert.equal(matches("firstname eq 'O''Brien'"), false)
+    })
+
+    test('supports the Dataverse query functions', () => {
+        assert.equal(matches("Microsoft.Dynamics.CRM.In(PropertyName='statecode',PropertyValues=['0','1'])"), true)
+        assert.equal(matches("Microsoft.Dynamics.CRM.Null(PropertyName='emailaddress1')"), true)
+    })
+
+    test('rejects unsupported syntax', () => {
+        assert.throws(() => parseFilter('statecode eq'), { status: 400 })
+        assert.throws(() => parseFilter("Microsoft.Dynamics.CRM.LastXDays(PropertyName='createdon',PropertyValue=7)"), { status: 501 })
+    })
+
+    test('parses nested $expand options', () => {
+        const [contact, owner] = parseExpand('cp_Contact($select=fullname;$expand=parentcustomerid_account($select=name)),owninguser')
+
+        assert.equal(contact.name, 'cp_Contact')
+        assert.deepEqual(contact.options.select, ['fullname'])
+        assert.equal(contact.options.expand[0].name, 'parentcustomerid_account')
+        assert.deepEqual(contact.options.expand[0].options.select, ['name'])
+        assert.equal(owner.name, 'owninguser')
+        assert.equal(owner.options.select, null)
+    })
+})
+
+describe('mock Dataverse server', () => {
+    let server
+    let token
+
+    const api = async (path, { method = 'GET', headers = {}, body } = {}) => {
+        const response = await fetch(`${server.url}/api/data/v9.2/${path}`, {
+            method,
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...headers },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        })
+        const text = await response.text()
+        return { status: response.status, headers: response.headers, body: text && response.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text }
+    }
+
+    before(async () => {
+        server = await startMockDataverse({ port: 0 })
+    })
+
+    after(async () => {
+        await server.close()
+    })
+
+    beforeEach(async () => {
+        server.mock.reset()
+        const response = await fetch(`${server.url}/tenant/oauth2/v2.0/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ grant_type: 'client_credentials', client_id: 'client', client_secret: 'secret', scope: `${server.url}/.default` })
+        })
+        assert.equal(response.status, 200)
+        token = (await response.json()).access_token
+    })
+
+    test('rejects Web API calls without a token from its token endpoint', async () => {
+        token = 'x.eyJzdWIiOiJ1c2VyIn0.y'
+        const response = await api('contacts')
+        assert.equal(response.status, 401)
+        assert.equal(typeof response.body.error.message, 'string')
+    })
+
+    test('lists with $filter, $select, $expand, $orderby and $count', async () => {
+        const filter = encodeURIComponent(`_parentcustomerid_value eq ${CONTOSO}`)
+        const response = await api(`contacts?$select=fullname&$filter=${filter}&$expand=parentcustomerid_account($select=name)&$orderby=fullname desc&$count=true`)
+
+        assert.equal(response.status, 200)
+        assert.equal(response.body['@odata.count'], 2)
+        assert.deepEqual(response.body.value.map(contact => contact.fullname), ['Sam Lee', 'Robin Berg'])
+        assert.equal(response.body.value[0].parentcustomerid_account.name, 'Contoso Ltd')
+        assert.equal(response.body.value[0].emailaddress1, undefined)
+    })
+
+    test('pages with odata.maxpagesize and follows the nextLink', async () => {
+        const first = await api('cp_ideas?$select=cp_name', { headers: { Prefer: 'odata.maxpagesize=2' } })
+        assert.equal(first.body.value.length, 2)
+        assert.ok(first.body['@odata.nextLink'])
+
+        const next = await fetch(first.body['@odata.nextLink'], { headers: { Authorization: `Bearer ${token}`, Prefer: 'odata.maxpagesize=2' } })
+        const second = await next.json()
+        assert.equal(second.value.length, 1)
+        assert.equal(second['@odata.nextLink'], undefined)
+    })
+
+    test('reads records by id and alternate key and serves metadata paths', async () => {
+        const byId = await api(`contacts(${SAM})?$select=emailaddress1`)
+        assert.equal(byId.body.emailaddress1, 'sam.lee@contoso.example')
+
+        const definition = await api("EntityDefinitions(LogicalName='cp_idea')?$select=EntitySetName")
+        assert.equal(definition.body.EntitySetName, 'cp_ideas')
+
+        const missing = await api('contacts(c0000000-0000-4000-8000-00000000ffff)')
+        assert.equal(missing.status, 404)
+    })
+
+    test('creates with lookup binds and validates columns', async () => {
+        const created = await api('cp_ideas', {
+            method: 'POST',
+            headers: { Prefer: 'return=representation' },
+            body: { cp_name: 'Offline mode', 'cp_Contact@odata.bind': `/contacts(${ROBIN})` }
+        })
+        assert.equal(created.status, 201)
+        assert.equal(created.body._cp_contact_value, ROBIN)
+        assert.ok(server.mock.getRecords('cp_ideas').some(idea => idea.cp_name === 'Offline mode'))
+
+        const invalid = await api('cp_ideas', { method: 'POST', body: { cp_unknown: 'x' } })
+        assert.equal(invalid.status, 400)
+    })
+
+    test('updates with optimistic concurrency', async () => {
+        const { body: idea } = await api(`cp_ideas(${IDEA})?$select=cp_name`)
+
+        const updated = await api(`cp_ideas(${IDEA})`, { method: 'PATCH', headers: { 'If-Match': idea['@odata.etag'] }, body: { cp_name: 'Renamed' } })
+        assert.equal(updated.status, 204)
+
+        const stale = await api(`cp_ideas(${IDEA})`, { method: 'PATCH', headers: { 'If-Match': idea['@odata.etag'] }, body: { cp_name: 'Again' } })
+        assert.equal(stale.status, 412)
+        assert.equal(server.mock.getRecords('cp_ideas').find(record => record.cp_ideaid === IDEA).cp_name, 'Renamed')
+    })
+
+    test('rolls back a $batch changeset when one request fails', async () => {
+        const batch = 'batch_test'
+        const changeset = 'changeset_test'
+        const part = (id, method, path, body) => [
+            `--${changeset}`,
+            'Content-Type: application/http',
+            'Content-Transfer-Encoding: binary',
+            `Content-ID: ${id}`,
+            '',
+            `${method} ${server.url}/api/data/v9.2/${path} HTTP/1.1`,
+            'Content-Type: application/json',
+            '',
+            JSON.stringify(body)
+        ].join('\r\n')
+        const body = [
+            `--${batch}`,
+            `Content-Type: multipart/mixed; boundary=${changeset}`,
+            '',
+            part(1, 'PATCH', `cp_ideas(${IDEA})`, { cp_name: 'In batch' }),
+            part(2, 'PATCH', `cp_ideas(${IDEA})`, { cp_unknown: 'x' }),
+            `--${changeset}--`,
+            `--${batch}--`,
+            ''
+        ].join('\r\n')
+
+        const response = await api('$batch', { method: 'POST', headers: { 'Content-Type': `multipart/mixed; boundary=${batch}` }, body })
+        assert.equal(response.status, 200)
+        assert.match(response.body, /HTTP\/1\.1 400/)
+        assert.notEqual(server.mock.getRecords('cp_ideas').find(record => record.cp_ideaid === IDEA).cp_name, 'In batch')
+    })
+})
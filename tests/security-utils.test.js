@@ -0,0 +1,50 @@
+/**
+ * Tests for functions/security-utils.js
+ * Organization-view filters must not grow with the number of contacts in an account
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildOrganizationScopeFilter } from '../functions/security-utils.js'
+
+const ACCOUNT_ID = 'c6821110-9b99-f011-b4cc-6045bd975a7a'
+
+// Rough limit for the URL of a GET request to Dataverse (IIS rejects longer query strings)
+const MAX_URL_LENGTH = 2048
+
+describe('buildOrganizationScopeFilter', () => {
+    test('filters through the owning contact account in one clause', () => {
+        assert.equal(
+            buildOrganizationScopeFilter('cp_Contact', ACCOUNT_ID),
+            `(cp_Contact/_parentcustomerid_value eq '${ACCOUNT_ID}' and cp_Contact/statecode eq 0)`
+        )
+    })
+
+    test('normalizes the account GUID', () => {
+        assert.equal(
+            buildOrganizationScopeFilter('cp_Contact', `{${ACCOUNT_ID.toUpperCase()}}`),
+            buildOrganizationScopeFilter('cp_Contact', ACCOUNT_ID)
+        )
+    })
+
+    test('stays small for large accounts where a per-contact OR chain breaks the URL limit', () => {
+        const filter = buildOrganizationScopeFilter('cp_Contact', ACCOUNT_ID)
+        const contactIds = Array.from({ length: 500 }, (_, index) => `00000000-0000-0000-0000-${String(index).padStart(12, '0')}`)
+        const contactChain = contactIds.map(id => `_cp_contact_value eq '${id}'`).join(' or ')
+
+        assert.doesNotMatch(filter, / or /)
+        assert.ok(encodeURIComponent(filter).length < MAX_URL_LENGTH / 4)
+        assert.ok(encodeURIComponent(contactChain).length > MAX_URL_LENGTH)
+    })
+
+    test('rejects navigation properties that could inject filter syntax', () => {
+        assert.throws(() => buildOrganizationScopeFilter("cp_Contact eq null or x", ACCOUNT_ID), /Invalid navigation property/)
+        assert.throws(() => buildOrganizationScopeFilter('cp_Contact/parentcustomerid', ACCOUNT_ID), /Invalid navigation property/)
+        assert.throws(() => buildOrganizationScopeFilter(null, ACCOUNT_ID), /Invalid navigation property/)
+    })
+
+    test('rejects account IDs that are not GUIDs', () => {
+        assert.throws(() => buildOrganizationScopeFilter('cp_Contact', "' or 1 eq 1 or '"), /Invalid GUID/)
+        assert.throws(() => buildOrganizationScopeFilter('cp_Contact', undefined), /Invalid GUID/)
+    })
+})
@@ -0,0 +1,93 @@
+/**
+ * Tests for functions/spreadsheet-export.js
+ * Records follow the list response shape, including formatted-value annotations
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { inflateRawSync } from 'node:zlib'
+import { buildCsv, buildXlsx, getExportValue, getColumnDataKey } from '../functions/spreadsheet-export.js'
+
+const FORMATTED = '@OData.Community.Display.V1.FormattedValue'
+
+const columns = [
+    { name: 'cp_name', displayName: 'Title', type: 'text' },
+    { name: 'cp_status', displayName: 'Status', type: 'optionset', options: [{ value: 1, label: 'Open' }, { value: 2, label: 'Closed' }] },
+    { name: 'cp_contact', displayName: 'Contact', type: 'lookup' },
+    { name: 'cp_votes', displayName: 'Votes', type: 'number' }
+]
+
+const records = [
+    { cp_name: 'First, "quoted"', cp_status: 1, [`cp_status${FORMATTED}`]: 'Open', _cp_contact_value: 'a1', [`_cp_contact_value${FORMATTED}`]: 'Jane Doe', cp_votes: 12 },
+    { cp_name: '=HYPERLINK("x")', cp_status: 2, _cp_contact_value: null, cp_votes: null }
+]
+
+// Read one entry from a zip built with deflate and no data descriptors
+const readZipEntry = (zip, entryName) => {
+    let offset = 0
+    while (zip.readUInt32LE(offset) === 0x04034b50) {
+        const compressedSize = zip.readUInt32LE(offset + 18)
+        const nameLength = zip.readUInt16LE(offset + 26)
+        const extraLength = zip.readUInt16LE(offset + 28)
+        const name = zip.toString('utf8', offset + 30, offset + 30 + nameLength)
+        const dataStart = offset + 30 + nameLength + extraLength
+        if (name === entryName) {
+            return inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize)).toString('utf8')
+        }
+        offset = dataStart + compressedSize
+    }
+    return null
+}
+
+describe('getExportValue', () => {
+    test('uses formatted labels for lookups and option sets', () => {
+        assert.equal(getColumnDataKey(columns[2]), '_cp_contact_value')
+        assert.equal(getExportValue(records[0], columns[2]), 'Jane Doe')
+        assert.equal(getExportValue(records[0], columns[1]), 'Open')
+    })
+
+    test('falls back to view options when the annotation is missing', () => {
+        assert.equal(getExportValue(records[1], columns[1]), 'Closed')
+    })
+
+    test('keeps numbers numeric and empty values empty', () => {
+        assert.equal(getExportValue(records[0], columns[3]), 12)
+        assert.equal(getExportValue(records[1], columns[3]), '')
+        assert.equal(getExportValue(records[1], columns[2]), '')
+    })
+
+    test('strips markup from rich text columns only', () => {
+        const record = { cp_description: '<p>Hello&nbsp;<b>world</b></p>', cp_name: 'a <b> c' }
+        assert.equal(getExportValue(record, { name: 'cp_description', type: 'text', format: 'RichText' }), 'Hello world')
+        assert.equal(getExportValue(record, columns[0]), 'a <b> c')
+    })
+})
+
+describe('buildCsv', () => {
+    test('writes a BOM, display-name header and escaped cells', () => {
+        const lines = buildCsv(columns, records).toString('utf8').split('\r\n')
+
+        assert.equal(lines[0], '\uFEFFTitle,Status,Contact,Votes')
+        assert.equal(lines[1], '"First, ""quoted""",Open,Jane Doe,12')
+    })
+
+    test('neutralizes values that spreadsheet apps would run as formulas', () => {
+        const lines = buildCsv(columns, records).toString('utf8').split('\r\n')
+        assert.ok(lines[2].startsWith(`"'=HYPERLINK(""x"")"`))
+    })
+})
+
+describe('buildXlsx', () => {
+    test('builds a workbook with inline strings and numeric cells', () => {
+        const zip = buildXlsx(columns, records, 'Ideas: all [2024]')
+        const sheet = readZipEntry(zip, 'xl/worksheets/sheet1.xml')
+        const workbook = readZipEntry(zip, 'xl/workbook.xml')
+
+        assert.ok(readZipEntry(zip, '[Content_Types].xml'))
+        assert.ok(workbook.includes('<sheet name="Ideas  all  2024"'))
+        assert.ok(sheet.includes('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Title</t></is></c>'))
+        assert.ok(sheet.includes('<c r="C2" t="inlineStr"><is><t xml:space="preserve">Jane Doe</t></is></c>'))
+        assert.ok(sheet.includes('<c r="D2"><v>12</v></c>'))
+        assert.ok(sheet.includes('=HYPERLINK(&quot;x&quot;)'))
+    })
+})